@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+'use strict';
+
+const { runCli } = require('../src/cli');
+
+process.exitCode = runCli({
+  argv: process.argv.slice(2),
+  cwd: process.cwd(),
+  stdout: process.stdout,
+  stderr: process.stderr,
+});
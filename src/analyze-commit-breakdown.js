@@ -0,0 +1,58 @@
+'use strict';
+
+const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
+const { listCommitsInRange } = require('./modules/file-and-git-helpers');
+
+const sortStrings = (values) => Array.from(values).sort((a, b) => a.localeCompare(b));
+
+const toImpactedMembers = (impactedMethodsByClass) => sortStrings(
+  Array.from(impactedMethodsByClass.entries())
+    .flatMap(([className, memberNames]) => Array.from(memberNames).map((memberName) => `${className}.${memberName}`))
+);
+
+/**
+ * Per-commit impact of a branch: analyzes each non-merge commit in `baseRef..headRef` (HEAD by default)
+ * against its parent, reading both sides from git objects, so the working tree plays no part.
+ * Returns one entry per commit (selected specs and impacted `Class.member`), the union of both,
+ * and `commitsBySpec` to find the commit that pulled a spec in.
+ */
+const analyzeCommitBreakdown = ({ baseRef, headRef = 'HEAD', ...analyzeOptions }) => {
+  if (!analyzeOptions.repoRoot) throw new Error('Missing required repoRoot');
+  if (!baseRef) throw new Error('Missing required baseRef');
+  if (analyzeOptions.patchPath) throw new Error('analyzeCommitBreakdown cannot be combined with patchPath');
+
+  const commits = listCommitsInRange({ repoRoot: analyzeOptions.repoRoot, baseRef, headRef }).map(({ sha, subject }) => {
+    const result = analyzeImpactedSpecs({ ...analyzeOptions, baseRef: `${sha}^`, headRef: sha });
+    return {
+      sha,
+      subject,
+      selectedSpecsRelative: result.selectedSpecsRelative,
+      impactedMembers: toImpactedMembers(result.impactedMethodsByClass),
+      forcedAllSpecs: result.forcedAllSpecs,
+      warnings: result.warnings,
+    };
+  });
+
+  const commitsBySpec = new Map();
+  for (const commit of commits) {
+    for (const spec of commit.selectedSpecsRelative) {
+      if (!commitsBySpec.has(spec)) commitsBySpec.set(spec, []);
+      commitsBySpec.get(spec).push(commit.sha);
+    }
+  }
+  const selectedSpecsRelative = sortStrings(commitsBySpec.keys());
+
+  return {
+    baseRef,
+    headRef,
+    commits,
+    selectedSpecsRelative,
+    impactedMembers: sortStrings(new Set(commits.flatMap((commit) => commit.impactedMembers))),
+    commitsBySpec: new Map(selectedSpecsRelative.map((spec) => [spec, commitsBySpec.get(spec)])),
+    hasAnythingToRun: selectedSpecsRelative.length > 0,
+  };
+};
+
+module.exports = {
+  analyzeCommitBreakdown,
+};
@@ -1,25 +1,43 @@
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
-const {
-  SUPPORTED_FILE_EXTENSIONS,
-  listFilesRecursive,
-  getChangedEntries,
-  readChangeContents,
-  getUntrackedSpecPaths,
-} = require('./modules/file-and-git-helpers');
+const { performance } = require('perf_hooks');
+const { SUPPORTED_FILE_EXTENSIONS, createGitChangeSource } = require('./modules/file-and-git-helpers');
 const { buildInheritanceGraph, collectImpactedClasses, getFixtureKeysForClasses } = require('./modules/class-impact-helpers');
 const { parseFixtureMappings } = require('./modules/fixture-map-helpers');
 const { collectChangedMethodsByClass, buildImpactedMethodsByClass } = require('./modules/method-impact-helpers');
 const { selectSpecFiles } = require('./modules/spec-selection-helpers');
 const { filterSpecsByImpactedMethods } = require('./modules/method-filter-helpers');
-const { selectSpecsByChangedImports } = require('./modules/import-impact-helpers');
+const { traceChangedImports } = require('./modules/import-impact-helpers');
 const { evaluateGlobalWatch, getDefaultGlobalWatchPatterns } = require('./modules/global-watch-helpers');
+const { resolveProfile } = require('./modules/profile-config-helpers');
+const { groupSpecsByProject, buildProjectArgs, resolveForcedProjectSpecs } = require('./modules/project-selection-helpers');
+const { buildTestLevelSelection } = require('./modules/test-selection-helpers');
+const { COVERAGE_MAP_MODES, readCoverageMap, collectRuntimeCoverageMatches } = require('./modules/runtime-coverage-helpers');
+const { createAnalysisCache } = require('./modules/analysis-cache-helpers');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { buildSelectionReasonRecords } = require('./modules/selection-reason-helpers');
+const { loadPatchChangeSource } = require('./modules/patch-helpers');
+const { createGitTreeFileSystem } = require('./modules/git-tree-helpers');
+const { createTypeResolverForProfile } = require('./modules/type-resolution-helpers');
+const { createClassIndex } = require('./modules/class-identity-helpers');
 
 const DIRECT_CHANGED_SPEC_STATUSES = new Set(['A', 'M', 'R']);
 const DEFAULT_SELECTION_BIAS = 'fail-open';
 const DEFAULT_GLOBAL_WATCH_MODE = 'force-all-in-project';
+const DEFAULT_ANALYSIS_ROOTS_RELATIVE = ['src/pages', 'src/utils'];
+const DEFAULT_FIXTURES_TYPES_RELATIVE = 'src/fixtures/types.ts';
+const PIPELINE_STAGES = [
+  'changedEntries',
+  'globalWatch',
+  'importGraph',
+  'semanticSeed',
+  'propagation',
+  'stageA',
+  'runtimeCoverage',
+  'stageB',
+  'testSelection',
+];
 
 const getStatusSummary = (entries) => {
   const summary = { A: 0, M: 0, D: 0, R: 0 };
@@ -29,11 +47,51 @@ const getStatusSummary = (entries) => {
   return summary;
 };
 
-const validateProfile = (profile) => {
-  if (!profile || typeof profile !== 'object') throw new Error('Missing required profile configuration');
-  if (!profile.testsRootRelative) throw new Error('Missing profile.testsRootRelative');
-  if (!profile.changedSpecPrefix) throw new Error('Missing profile.changedSpecPrefix');
-  if (typeof profile.isRelevantPomPath !== 'function') throw new Error('Missing profile.isRelevantPomPath(filePath) function');
+const isSpecFile = (filePath, fileExtensions) => fileExtensions.some((ext) => filePath.endsWith(`.spec${ext}`));
+
+const roundMs = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Wall-clock time per pipeline stage in milliseconds.
+ * Every stage key is always reported; stages skipped by a fast exit stay at 0.
+ */
+const createStageTimer = () => {
+  const startedAt = performance.now();
+  const timings = Object.fromEntries(PIPELINE_STAGES.map((stage) => [stage, 0]));
+  const time = (stage, run) => {
+    const stageStartedAt = performance.now();
+    try {
+      return run();
+    } finally {
+      timings[stage] += performance.now() - stageStartedAt;
+    }
+  };
+  const finish = () => ({
+    ...Object.fromEntries(Object.entries(timings).map(([stage, value]) => [stage, roundMs(value)])),
+    total: roundMs(performance.now() - startedAt),
+  });
+  return { time, finish };
+};
+
+// A shared source-file service (watch mode) accumulates stats; report only this run's share.
+const getStatsDelta = (before, after) => Object.fromEntries(Object.entries(after).map(([key, value]) => [key, value - before[key]]));
+
+// Derived outputs shared by every return path: per-project grouping, test-level selection and run diagnostics.
+const withSelectionOutputs = (result, { repoRoot, projects, narrowedTestsBySpec = new Map(), stageTimer, sourceFiles, sourceFileStatsAtStart }) => {
+  const selectedSpecsByProject = groupSpecsByProject({ repoRoot, selectedSpecs: result.selectedSpecs, projects });
+  const testLevelSelection = stageTimer.time('testSelection', () => buildTestLevelSelection({
+    repoRoot,
+    selectedSpecs: result.selectedSpecs,
+    narrowedTestsBySpec,
+  }));
+  return {
+    ...result,
+    selectedSpecsByProject,
+    playwrightProjectArgs: buildProjectArgs(selectedSpecsByProject),
+    ...testLevelSelection,
+    stageTimings: stageTimer.finish(),
+    sourceFileStats: getStatsDelta(sourceFileStatsAtStart, sourceFiles.getStats()),
+  };
 };
 
 const normalizeFileExtensions = (fileExtensions) => {
@@ -51,36 +109,70 @@ const normalizeFileExtensions = (fileExtensions) => {
  * 2) seed semantic impact from changed POM classes/methods
  * 3) Stage A preselect specs by impacted fixture keys
  * 4) Stage B precise/uncertain method matching with selection bias policy
+ * 5) narrow matched specs down to the tests that contain impacted call sites
+ *
+ * All stages share one per-run source-file service, so each file is read and parsed at most once.
+ * The second argument lets long-running callers (watch mode) keep that service and the analysis cache
+ * between runs, so only edited files are read and parsed again. A `trace` object passed there is filled
+ * with the provenance explainSpecSelection needs (import paths, propagation, fixture keys, call sites) and the
+ * source-file service the run read from.
+ * `changeSource` replaces git as the origin of changed entries and their base/head contents (what-if analysis).
+ * With `headRef`, the head side is that commit instead of the working tree: changes are `baseRef...headRef`
+ * and every stage reads files from the head commit's tree.
  */
 const analyzeImpactedSpecs = ({
   repoRoot,
   baseRef = null,
-  profile,
+  profile: rawProfile,
   includeUntrackedSpecs = true,
   includeWorkingTreeWithBase = true,
   fileExtensions = ['.ts', '.tsx'],
   selectionBias = DEFAULT_SELECTION_BIAS,
-}) => {
-  validateProfile(profile);
+  coverageMapPath = null,
+  coverageMapMode = 'merge',
+  cacheDir = null,
+  patchPath = null,
+  headRef = null,
+}, {
+  sourceFiles: sharedSourceFiles = null,
+  analysisCache: sharedAnalysisCache = null,
+  trace = null,
+  changeSource = null,
+} = {}) => {
+  const profile = resolveProfile(rawProfile);
   if (!repoRoot) throw new Error('Missing required repoRoot');
+  if (!COVERAGE_MAP_MODES.includes(coverageMapMode)) {
+    throw new Error(`Invalid coverageMapMode "${coverageMapMode}". Expected one of: ${COVERAGE_MAP_MODES.join(', ')}`);
+  }
+
+  if (headRef && !baseRef) throw new Error('headRef requires baseRef');
+  if (headRef && patchPath) throw new Error('headRef cannot be combined with patchPath');
 
+  // A patch file replaces git as the change source; base contents are rebuilt from its hunks.
+  const changes = changeSource
+    || (patchPath ? loadPatchChangeSource({ repoRoot, patchPath }) : createGitChangeSource({ repoRoot, headRef }));
+  const sourceFiles = sharedSourceFiles
+    || createSourceFileService(headRef ? { fileSystem: createGitTreeFileSystem({ repoRoot, ref: headRef }) } : {});
   const effectiveExtensions = normalizeFileExtensions(fileExtensions);
   const testsRoot = path.join(repoRoot, profile.testsRootRelative);
-  const analysisRootsRelative = profile.analysisRootsRelative || ['src/pages', 'src/utils'];
-  const fixturesTypesRelative = profile.fixturesTypesRelative || 'src/fixtures/types.ts';
+  const analysisRootsRelative = profile.analysisRootsRelative || DEFAULT_ANALYSIS_ROOTS_RELATIVE;
+  const fixturesTypesRelative = profile.fixturesTypesRelative || DEFAULT_FIXTURES_TYPES_RELATIVE;
   const globalWatchMode = profile.globalWatchMode || DEFAULT_GLOBAL_WATCH_MODE;
   const globalWatchPatterns = Array.isArray(profile.globalWatchPatterns)
     ? profile.globalWatchPatterns
     : getDefaultGlobalWatchPatterns();
+  const projects = Array.isArray(profile.projects) ? profile.projects : [];
+  const stageTimer = createStageTimer();
+  const sourceFileStatsAtStart = sourceFiles.getStats();
+  const cacheEnabled = Boolean(sharedAnalysisCache ? sharedAnalysisCache.enabled : cacheDir);
 
   // Stage 0: gather changed files and keep only profile-relevant subsets.
-  const changedEntriesResult = getChangedEntries({
-    repoRoot,
+  const changedEntriesResult = stageTimer.time('changedEntries', () => changes.getChangedEntries({
     baseRef,
     includeWorkingTreeWithBase,
     profile,
     fileExtensions: effectiveExtensions,
-  });
+  }));
   const changedEntries = changedEntriesResult.entries;
   const changedPomEntries = changedEntries.filter((entry) => {
     const candidates = [entry.effectivePath, entry.oldPath, entry.newPath].filter(Boolean);
@@ -91,30 +183,36 @@ const analyzeImpactedSpecs = ({
     return targetPath.startsWith(profile.changedSpecPrefix) && effectiveExtensions.some((ext) => targetPath.endsWith(`.spec${ext}`));
   });
   const globalWatch = globalWatchMode === 'disabled'
-    ? { matchedPaths: [], resolvedFiles: [] }
-    : evaluateGlobalWatch({
+    ? { matchedPaths: [], hits: [], resolvedFiles: [] }
+    : stageTimer.time('globalWatch', () => evaluateGlobalWatch({
       repoRoot,
       changedEntries,
       patterns: globalWatchPatterns,
-      listFilesRecursive,
-    });
+      listFilesRecursive: sourceFiles.listFiles,
+      sourceFiles,
+    }));
 
   const changedSpecFiles = changedSpecEntries
     .filter((entry) => DIRECT_CHANGED_SPEC_STATUSES.has(entry.status))
     .map((entry) => entry.effectivePath)
     .filter(Boolean);
   const untrackedSpecFiles = includeUntrackedSpecs
-    ? getUntrackedSpecPaths({ repoRoot, changedSpecPrefix: profile.changedSpecPrefix, fileExtensions: effectiveExtensions })
+    ? stageTimer.time('changedEntries', () => changes.getUntrackedSpecPaths({
+      changedSpecPrefix: profile.changedSpecPrefix,
+      fileExtensions: effectiveExtensions,
+    }))
     : [];
   const directChangedSpecFiles = Array.from(new Set([...changedSpecFiles, ...untrackedSpecFiles])).sort((a, b) => a.localeCompare(b));
 
+  const allSpecFiles = sourceFiles.listFiles(testsRoot)
+    .filter((filePath) => isSpecFile(filePath, effectiveExtensions))
+    .sort((a, b) => a.localeCompare(b));
+
   if (globalWatchMode !== 'disabled' && globalWatch.matchedPaths.length > 0) {
-    const selectedSpecs = listFilesRecursive(testsRoot)
-      .filter((filePath) => effectiveExtensions.some((ext) => filePath.endsWith(`.spec${ext}`)))
-      .sort((a, b) => a.localeCompare(b));
+    const selectedSpecs = allSpecFiles;
     const selectionReasons = new Map(selectedSpecs.map((specPath) => [specPath, 'global-watch-force-all']));
 
-    return {
+    return withSelectionOutputs({
       selectedSpecs,
       selectedSpecsRelative: selectedSpecs.map((specPath) => path.relative(repoRoot, specPath)),
       changedPomEntries,
@@ -129,20 +227,44 @@ const analyzeImpactedSpecs = ({
       droppedByMethodFilter: 0,
       retainedWithoutMethodFilter: 0,
       selectionReasons,
+      selectionReasonRecords: buildSelectionReasonRecords({
+        repoRoot,
+        selectedSpecs,
+        selectionReasons,
+        globalWatchHits: globalWatch.hits,
+        sourceFiles,
+      }),
+      exclusionReasons: new Map(),
       hasAnythingToRun: selectedSpecs.length > 0,
       warnings: changedEntriesResult.warnings,
       coverageStats: { uncertainCallSites: 0, statusFallbackHits: changedEntriesResult.statusFallbackHits },
       changedEntriesBySource: changedEntriesResult.changedEntriesBySource,
       forcedAllSpecs: true,
       forcedAllSpecsReason: 'global-watch-force-all',
+      forcedProjects: projects.map((project) => project.name),
       globalWatchMatches: globalWatch.matchedPaths,
       globalWatchResolvedFiles: globalWatch.resolvedFiles,
-    };
+      cacheStats: { enabled: cacheEnabled, hits: 0, misses: 0, invalidated: false },
+    }, { repoRoot, projects, stageTimer, sourceFiles, sourceFileStatsAtStart });
   }
 
-  // Fast exit when neither changed POM files nor direct changed specs are present.
-  if (changedPomEntries.length === 0 && directChangedSpecFiles.length === 0) {
-    return {
+  // A hit in one project's own watch patterns forces only that project's specs.
+  const projectWatch = globalWatchMode === 'disabled'
+    ? { forcedProjects: [], forcedSpecs: [], matchedPaths: [], hits: [], projectsBySpec: new Map() }
+    : stageTimer.time('globalWatch', () => resolveForcedProjectSpecs({
+      repoRoot,
+      projects,
+      changedEntries,
+      specFiles: allSpecFiles,
+      listFilesRecursive: sourceFiles.listFiles,
+      sourceFiles,
+    }));
+  const globalWatchMatches = Array.from(new Set([...globalWatch.matchedPaths, ...projectWatch.matchedPaths]))
+    .sort((a, b) => a.localeCompare(b));
+
+  // Fast exit when neither changed POM files, direct changed specs nor forced projects are present.
+  if (changedPomEntries.length === 0 && directChangedSpecFiles.length === 0 && projectWatch.forcedSpecs.length === 0) {
+    return withSelectionOutputs({
       selectedSpecs: [],
       selectedSpecsRelative: [],
       changedPomEntries,
@@ -157,17 +279,29 @@ const analyzeImpactedSpecs = ({
       droppedByMethodFilter: 0,
       retainedWithoutMethodFilter: 0,
       selectionReasons: new Map(),
+      selectionReasonRecords: new Map(),
+      exclusionReasons: new Map(allSpecFiles.map((specPath) => [specPath, 'excluded-no-pom-change'])),
       hasAnythingToRun: false,
       warnings: changedEntriesResult.warnings,
       coverageStats: { uncertainCallSites: 0, statusFallbackHits: changedEntriesResult.statusFallbackHits },
       changedEntriesBySource: changedEntriesResult.changedEntriesBySource,
       forcedAllSpecs: false,
       forcedAllSpecsReason: null,
-      globalWatchMatches: globalWatch.matchedPaths,
+      forcedProjects: [],
+      globalWatchMatches,
       globalWatchResolvedFiles: globalWatch.resolvedFiles,
-    };
+      cacheStats: { enabled: cacheEnabled, hits: 0, misses: 0, invalidated: false },
+    }, { repoRoot, projects, stageTimer, sourceFiles, sourceFileStatsAtStart });
   }
 
+  // Opened only past the fast exits, so runs with nothing to analyze never touch the cache file.
+  const analysisCache = sharedAnalysisCache || createAnalysisCache({
+    repoRoot,
+    cacheDir,
+    contextFilesRelative: ['tsconfig.json', fixturesTypesRelative],
+    readText: sourceFiles.readText,
+  });
+
   let impactedClasses = new Set();
   let impactedMethodsByClass = new Map();
   let fixtureKeys = new Set();
@@ -182,73 +316,141 @@ const analyzeImpactedSpecs = ({
   let propagationStats = { impactedMethodsTotal: 0 };
   let propagationWarnings = [];
   let importMatchedSpecs = [];
+  let importPathBySpec = new Map();
+  let changedMethodsByClass = new Map();
+  let propagationTrace = null;
+  let hasSemanticPomImpact = false;
 
   const pageFiles = analysisRootsRelative
-    .flatMap((relativePath) => listFilesRecursive(path.join(repoRoot, relativePath)))
+    .flatMap((relativePath) => sourceFiles.listFiles(path.join(repoRoot, relativePath)))
     .filter((filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase()));
-  const { parentsByChild, childrenByParent } = buildInheritanceGraph(pageFiles, fs.readFileSync);
+  // Same-named classes in different page files get file-qualified ids; every stage below keys classes by id.
+  const classIndex = stageTimer.time('semanticSeed', () => createClassIndex({ repoRoot, pageFiles, sourceFiles, analysisCache }));
+  // Opt-in `resolution: 'typechecker'`: one program over page and spec files, built only past the fast exits.
+  const typeResolver = stageTimer.time('semanticSeed', () => createTypeResolverForProfile({
+    profile,
+    repoRoot,
+    pageFiles,
+    rootFiles: allSpecFiles,
+    sourceFiles,
+    classIndex,
+  }));
+  const { parentsByChild, childrenByParent, mixinsByChild } = stageTimer.time(
+    'semanticSeed',
+    () => buildInheritanceGraph(pageFiles, (filePath) => sourceFiles.readText(filePath), {
+      typeResolver,
+      classIndex,
+      analysisCache,
+      getSourceFile: sourceFiles.getSourceFile,
+    })
+  );
 
   if (changedPomEntries.length > 0) {
-    importMatchedSpecs = selectSpecsByChangedImports({
+    const importTrace = stageTimer.time('importGraph', () => traceChangedImports({
       repoRoot,
       testsRootAbs: testsRoot,
       changedPomEntries,
-      listFilesRecursive,
+      listFilesRecursive: sourceFiles.listFiles,
       fileExtensions: effectiveExtensions,
-    });
+      analysisCache,
+      sourceFiles,
+    }));
+    importMatchedSpecs = importTrace.impactedSpecs;
+    importPathBySpec = importTrace.importPathBySpec;
   }
 
   // Stage 1: semantic seed and callgraph propagation from changed POM entries.
   if (changedPomEntries.length > 0) {
-    const changedMethodsResult = collectChangedMethodsByClass({
+    const changedMethodsResult = stageTimer.time('semanticSeed', () => collectChangedMethodsByClass({
       changedPomEntries,
       baseRef,
-      readChangeContents: (entry, entryBaseRef) => readChangeContents({ repoRoot, entry, baseRef: entryBaseRef }),
-    });
+      readChangeContents: changes.readChangeContents,
+      classIndex,
+    }));
 
     semanticStats = changedMethodsResult.stats;
-    const hasSemanticPomImpact = semanticStats.semanticChangedMethodsCount > 0 || semanticStats.topLevelRuntimeChangedFiles > 0;
+    changedMethodsByClass = changedMethodsResult.changedMethodsByClass;
+    hasSemanticPomImpact = semanticStats.semanticChangedMethodsCount > 0 || semanticStats.topLevelRuntimeChangedFiles > 0;
 
     if (hasSemanticPomImpact) {
-      impactedClasses = collectImpactedClasses({
+      impactedClasses = stageTimer.time('semanticSeed', () => collectImpactedClasses({
         changedPomEntries,
         childrenByParent,
         baseRef,
-        readChangeContents: (entry, entryBaseRef) => readChangeContents({ repoRoot, entry, baseRef: entryBaseRef }),
-      });
+        readChangeContents: changes.readChangeContents,
+        classIndex,
+      }));
 
-      const impactedMethodsResult = buildImpactedMethodsByClass({
+      const impactedMethodsResult = stageTimer.time('propagation', () => buildImpactedMethodsByClass({
         impactedClasses,
-        changedMethodsByClass: changedMethodsResult.changedMethodsByClass,
+        changedMethodsByClass,
         parentsByChild,
+        mixinsByChild,
         pageFiles,
-      });
+        analysisCache,
+        sourceFiles,
+        typeResolver,
+        classIndex,
+      }));
 
       impactedMethodsByClass = impactedMethodsResult.impactedMethodsByClass;
       propagationStats = impactedMethodsResult.stats;
       propagationWarnings = impactedMethodsResult.warnings || [];
+      propagationTrace = impactedMethodsResult.trace;
 
-      const fixtureMappings = parseFixtureMappings({ typesPath: path.join(repoRoot, fixturesTypesRelative) });
+      const fixtureMappings = stageTimer.time('stageA', () => parseFixtureMappings({
+        typesPath: path.join(repoRoot, fixturesTypesRelative),
+        sourceFiles,
+        classIndex,
+      }));
       fixtureKeyToClass = fixtureMappings.fixtureKeyToClass;
       const classesForFixtureSelection = impactedMethodsByClass.size > 0 ? new Set(impactedMethodsByClass.keys()) : impactedClasses;
       fixtureKeys = getFixtureKeysForClasses(classesForFixtureSelection, fixtureMappings.classToFixtureKeys);
 
       // Stage A: fixture-key prefilter to avoid scanning unrelated specs in Stage B.
       if (fixtureKeys.size > 0) {
-        selectedSpecs = selectSpecFiles({ testsRootAbs: testsRoot, fixtureKeys, listFilesRecursive, fileExtensions: effectiveExtensions });
+        selectedSpecs = stageTimer.time('stageA', () => selectSpecFiles({
+          testsRootAbs: testsRoot,
+          fixtureKeys,
+          listFilesRecursive: sourceFiles.listFiles,
+          fileExtensions: effectiveExtensions,
+          analysisCache,
+          sourceFiles,
+        }));
         stageASelectedCount = selectedSpecs.length;
       }
     }
   }
 
+  // Runtime coverage adds specs that called an impacted member, even when Stage A saw no fixture key.
+  const coverageWarnings = [];
+  let runtimeCoverage = null;
+  if (coverageMapPath && impactedMethodsByClass.size > 0) {
+    const coverageMap = stageTimer.time('runtimeCoverage', () => readCoverageMap({ repoRoot, coverageMapPath }));
+    if (!coverageMap) {
+      coverageWarnings.push(`Coverage map not found: ${coverageMapPath}`);
+    } else {
+      const existingSpecs = new Set(allSpecFiles);
+      const coveredSpecs = new Set(Array.from(coverageMap.keys())
+        .map((specPath) => path.join(repoRoot, specPath))
+        .filter((specPath) => existingSpecs.has(specPath)));
+      const matchesBySpec = collectRuntimeCoverageMatches({ repoRoot, coverageMap, impactedMethodsByClass });
+      for (const specPath of matchesBySpec.keys()) {
+        if (!coveredSpecs.has(specPath)) matchesBySpec.delete(specPath);
+      }
+      runtimeCoverage = { mode: coverageMapMode, coveredSpecs, matchesBySpec };
+    }
+  }
+
   // Directly changed specs are always added after Stage A prefilter.
   const directChangedSpecsAbs = directChangedSpecFiles.map((filePath) => path.join(repoRoot, filePath));
-  const selectedSet = new Set([...selectedSpecs, ...directChangedSpecsAbs, ...importMatchedSpecs]);
+  const runtimeMatchedSpecs = runtimeCoverage ? Array.from(runtimeCoverage.matchesBySpec.keys()) : [];
+  const selectedSet = new Set([...selectedSpecs, ...directChangedSpecsAbs, ...importMatchedSpecs, ...runtimeMatchedSpecs]);
   selectedSpecs = Array.from(selectedSet).sort((a, b) => a.localeCompare(b));
   stageASelectedCount = selectedSpecs.length;
 
   // Stage B: method-level filtering with fail-open/fail-closed handling for uncertain call sites.
-  const methodFilterResult = filterSpecsByImpactedMethods({
+  const methodFilterResult = stageTimer.time('stageB', () => filterSpecsByImpactedMethods({
     selectedSpecs,
     directChangedSpecsAbs,
     alwaysIncludeSpecsAbs: importMatchedSpecs,
@@ -256,11 +458,59 @@ const analyzeImpactedSpecs = ({
     fixtureKeys,
     impactedMethodsByClass,
     selectionBias,
+    runtimeCoverage,
+    sourceFiles,
+    typeResolver,
+  }));
+
+  const selectionReasons = methodFilterResult.selectionReasons;
+  const narrowedTestsBySpec = methodFilterResult.narrowedTestsBySpec;
+  for (const specPath of projectWatch.forcedSpecs) {
+    if (!selectionReasons.has(specPath)) selectionReasons.set(specPath, 'global-watch-force-project');
+    // A forced project runs its specs whole, even where Stage B found individual tests.
+    narrowedTestsBySpec.delete(specPath);
+  }
+  selectedSpecs = Array.from(new Set([...methodFilterResult.filteredSpecs, ...projectWatch.forcedSpecs]))
+    .sort((a, b) => a.localeCompare(b));
+
+  // Every spec that did not make it gets a drop reason; Stage B reasons win over the Stage A fallback.
+  let stageAFallbackReason = 'excluded-no-impacted-fixture';
+  if (changedPomEntries.length === 0) stageAFallbackReason = 'excluded-no-pom-change';
+  else if (!hasSemanticPomImpact) stageAFallbackReason = 'excluded-no-semantic-change';
+  const finalSelectedSet = new Set(selectedSpecs);
+  const exclusionReasons = new Map(allSpecFiles
+    .filter((specPath) => !finalSelectedSet.has(specPath))
+    .map((specPath) => [specPath, methodFilterResult.exclusionReasons.get(specPath) || stageAFallbackReason]));
+
+  const runtimeMatchesBySpec = runtimeCoverage ? runtimeCoverage.matchesBySpec : new Map();
+  const selectionReasonRecords = buildSelectionReasonRecords({
+    repoRoot,
+    selectedSpecs,
+    selectionReasons,
+    callSitesBySpec: methodFilterResult.callSitesBySpec,
+    importPathBySpec,
+    runtimeMatchesBySpec,
+    projectWatch,
+    sourceFiles,
   });
 
-  selectedSpecs = methodFilterResult.filteredSpecs;
+  analysisCache.save();
+  if (trace) {
+    Object.assign(trace, {
+      importPathBySpec,
+      changedMethodsByClass,
+      propagation: propagationTrace,
+      fixtureKeyToClass,
+      fixtureKeys,
+      selectionBias,
+      coverageMapMode,
+      callSitesBySpec: methodFilterResult.callSitesBySpec,
+      runtimeMatchesBySpec,
+      sourceFiles,
+    });
+  }
 
-  return {
+  return withSelectionOutputs({
     selectedSpecs,
     selectedSpecsRelative: selectedSpecs.map((specPath) => path.relative(repoRoot, specPath)),
     changedPomEntries,
@@ -274,9 +524,18 @@ const analyzeImpactedSpecs = ({
     propagationStats,
     droppedByMethodFilter: methodFilterResult.droppedByMethodFilter,
     retainedWithoutMethodFilter: methodFilterResult.retainedWithoutMethodFilter,
-    selectionReasons: methodFilterResult.selectionReasons,
+    selectionReasons,
+    selectionReasonRecords,
+    exclusionReasons,
     hasAnythingToRun: selectedSpecs.length > 0,
-    warnings: [...changedEntriesResult.warnings, ...propagationWarnings, ...methodFilterResult.warnings],
+    warnings: [
+      ...changedEntriesResult.warnings,
+      ...(typeResolver ? typeResolver.warnings : []),
+      ...classIndex.warnings,
+      ...propagationWarnings,
+      ...coverageWarnings,
+      ...methodFilterResult.warnings,
+    ],
     coverageStats: {
       uncertainCallSites: methodFilterResult.uncertainCallSites,
       statusFallbackHits: changedEntriesResult.statusFallbackHits,
@@ -284,11 +543,16 @@ const analyzeImpactedSpecs = ({
     changedEntriesBySource: changedEntriesResult.changedEntriesBySource,
     forcedAllSpecs: false,
     forcedAllSpecsReason: null,
-    globalWatchMatches: globalWatch.matchedPaths,
+    forcedProjects: projectWatch.forcedProjects,
+    globalWatchMatches,
     globalWatchResolvedFiles: globalWatch.resolvedFiles,
-  };
+    cacheStats: analysisCache.getStats(),
+  }, { repoRoot, projects, narrowedTestsBySpec, stageTimer, sourceFiles, sourceFileStatsAtStart });
 };
 
 module.exports = {
+  DEFAULT_ANALYSIS_ROOTS_RELATIVE,
+  DEFAULT_FIXTURES_TYPES_RELATIVE,
+  normalizeFileExtensions,
   analyzeImpactedSpecs,
 };
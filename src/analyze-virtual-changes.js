@@ -0,0 +1,24 @@
+'use strict';
+
+const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { createVirtualChangeSource } = require('./modules/virtual-change-helpers');
+
+/**
+ * What-if analysis: which specs would these changes impact?
+ * `changes` replaces git as the change source; every other file is read from the working tree with the head
+ * contents of the changes laid over it, so semantic diff, propagation and Stage A/B run as for a real change.
+ * `baseContent` may be omitted for modified, renamed and deleted files to compare against the file on disk.
+ */
+const analyzeVirtualChanges = ({ changes, ...analyzeOptions }) => {
+  if (!analyzeOptions.repoRoot) throw new Error('Missing required repoRoot');
+  const changeSource = createVirtualChangeSource({ repoRoot: analyzeOptions.repoRoot, changes });
+  return analyzeImpactedSpecs(analyzeOptions, {
+    sourceFiles: createSourceFileService({ overlay: changeSource.overlay }),
+    changeSource,
+  });
+};
+
+module.exports = {
+  analyzeVirtualChanges,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const path = require('path');
+const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
+const { listFirstParentMerges } = require('./modules/file-and-git-helpers');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { createGitTreeFileSystem } = require('./modules/git-tree-helpers');
+const {
+  BACKTEST_FORMATS,
+  toBacktestRecord,
+  summarizeBacktest,
+  resolveBacktestFormat,
+  writeBacktestRecords,
+} = require('./modules/backtest-helpers');
+
+const SELECTION_BIASES = ['fail-open', 'balanced', 'fail-closed'];
+const DEFAULT_BACKTEST_LIMIT = 20;
+
+/**
+ * Replay analyzeImpactedSpecs over the last `limit` merge commits of headRef (first-parent history):
+ * each merge is analyzed against its first parent from git objects, once per selection bias.
+ * Returns one record per merge and bias (newest merge first) plus a per-bias summary, and writes the
+ * records to `outputPath` as NDJSON or CSV when given. A run that fails is recorded with its error.
+ */
+const backtestImpactedSpecs = ({
+  limit = DEFAULT_BACKTEST_LIMIT,
+  headRef = 'HEAD',
+  selectionBiases = SELECTION_BIASES,
+  outputPath = null,
+  outputFormat = null,
+  ...analyzeOptions
+}) => {
+  const { repoRoot } = analyzeOptions;
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+  if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid backtest limit: ${limit}. Expected a positive integer`);
+  for (const selectionBias of selectionBiases) {
+    if (!SELECTION_BIASES.includes(selectionBias)) {
+      throw new Error(`Invalid selection bias "${selectionBias}". Expected one of: ${SELECTION_BIASES.join(', ')}`);
+    }
+  }
+  if (analyzeOptions.baseRef || analyzeOptions.patchPath) {
+    throw new Error('backtestImpactedSpecs picks the base of each merge itself; baseRef and patchPath are not supported');
+  }
+  const format = outputPath ? resolveBacktestFormat({ outputPath, format: outputFormat }) : outputFormat;
+  if (format && !BACKTEST_FORMATS.includes(format)) {
+    throw new Error(`Invalid backtest format "${format}". Expected one of: ${BACKTEST_FORMATS.join(', ')}`);
+  }
+
+  const merges = listFirstParentMerges({ repoRoot, headRef, limit });
+  const records = [];
+  for (const commit of merges) {
+    // The biases only differ from Stage B on, so the runs of one merge share its file layer.
+    let sourceFiles = null;
+    for (const selectionBias of selectionBiases) {
+      try {
+        sourceFiles = sourceFiles || createSourceFileService({ fileSystem: createGitTreeFileSystem({ repoRoot, ref: commit.sha }) });
+        const result = analyzeImpactedSpecs(
+          { ...analyzeOptions, baseRef: `${commit.sha}^1`, headRef: commit.sha, selectionBias },
+          { sourceFiles }
+        );
+        records.push(toBacktestRecord({ commit, selectionBias, result }));
+      } catch (error) {
+        records.push(toBacktestRecord({ commit, selectionBias, error }));
+      }
+    }
+  }
+
+  const resolvedOutputPath = outputPath ? path.resolve(repoRoot, outputPath) : null;
+  if (resolvedOutputPath) writeBacktestRecords({ outputPath: resolvedOutputPath, records, format });
+
+  return {
+    merges: merges.length,
+    records,
+    summary: summarizeBacktest({ records, selectionBiases }),
+    outputPath: resolvedOutputPath,
+  };
+};
+
+module.exports = {
+  SELECTION_BIASES,
+  DEFAULT_BACKTEST_LIMIT,
+  backtestImpactedSpecs,
+};
@@ -0,0 +1,610 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
+const { watchImpactedSpecs } = require('./watch-impacted-specs');
+const { explainSpecSelection } = require('./explain-spec-selection');
+const { analyzeCommitBreakdown } = require('./analyze-commit-breakdown');
+const { backtestImpactedSpecs } = require('./backtest-impacted-specs');
+const { validateSelection } = require('./validate-selection');
+const { exportImpactGraph } = require('./export-impact-graph');
+const { queryImpactedSpecs } = require('./query-impacted-specs');
+const { reportUnusedMembers } = require('./report-unused-members');
+const {
+  formatSelectionReasonsForLog,
+  formatSpecExplanation,
+  formatCommitBreakdown,
+  formatBacktestSummary,
+  formatSelectionValidation,
+  formatQueryResult,
+  formatUnusedReport,
+} = require('./format-analyze-result');
+const { CONFIG_FILE_NAMES, loadImpactConfig } = require('./modules/profile-config-helpers');
+const { readSpecDurationsFromReport } = require('./modules/playwright-report-helpers');
+const { shardSelectedSpecs, parseShardArg } = require('./modules/shard-helpers');
+const { GRAPH_FORMATS, formatImpactGraph } = require('./modules/impact-graph-helpers');
+const { RESOLUTION_MODES } = require('./modules/type-resolution-helpers');
+
+const COMMANDS = new Set(['explain', 'commits', 'backtest', 'validate', 'graph', 'query', 'unused']);
+const OUTPUT_FORMATS = new Set(['text', 'json', 'null']);
+const COVERAGE_MODES = new Set(['merge', 'replace']);
+const SELECTION_BIASES = new Set(['fail-open', 'balanced', 'fail-closed']);
+
+// grep-style exit codes keep shell usage predictable: 0 = found, 1 = nothing, 2 = error.
+const EXIT_CODES = {
+  SPECS_SELECTED: 0,
+  NOTHING_TO_RUN: 1,
+  ANALYSIS_ERROR: 2,
+};
+
+const USAGE = [
+  'Usage: playwright-impact [options]',
+  '       playwright-impact explain <spec> [options]',
+  '       playwright-impact commits --base <ref> [options]',
+  '       playwright-impact backtest [--last <n>] [--output <file>] [options]',
+  '       playwright-impact validate --report <file> [--result <file>] [options]',
+  '       playwright-impact graph [--format dot|mermaid|json] [--changed-only] [options]',
+  '       playwright-impact query <Class.member|file>... [options]',
+  '       playwright-impact unused [options]',
+  '',
+  'Commands:',
+  '  explain <spec>       Show why a spec is selected: changed member, call path, fixture and call site',
+  '  commits              Analyze each commit in <base>..HEAD (or --head) alone: its specs and impacted members',
+  '  backtest             Replay the analysis over the last merge commits and compare selection biases',
+  '  validate             Compare the selection with a full Playwright run: missed failures, precision, recall',
+  '  graph                Export the inheritance, call, fixture and import graphs as DOT, Mermaid or JSON',
+  '  query <target>...    List the specs and tests that reach Class.member or file targets, without any diff',
+  '  unused               List POM members no spec reaches and fixtures no spec destructures',
+  '',
+  'Options:',
+  `  --config <path>      Config file to load (default: first of ${CONFIG_FILE_NAMES.join(', ')})`,
+  '  --playwright-config <path>',
+  '                       Derive profile defaults from a Playwright config (read statically)',
+  '  --repo-root <path>   Repository root (default: current directory)',
+  '  --base <ref>         Compare <ref>...HEAD in addition to the working tree',
+  '  --head <ref>         With --base, compare <base>...<ref> and read every file from <ref> instead of the working tree',
+  '  --patch <path>       Read changes from a unified diff already applied to the working tree instead of git',
+  '  --bias <mode>        Selection bias: fail-open | balanced | fail-closed',
+  '  --resolution <mode>  How classes, fields and calls are resolved: syntactic | typechecker',
+  '                       (default: the profile\'s resolution, else syntactic)',
+  '  --no-untracked       Ignore untracked spec files',
+  '  --cache-dir <path>   Reuse parsed file facts between runs from this folder',
+  '  --coverage-map <path>',
+  '                       Runtime coverage map written by the coverage reporter',
+  '  --coverage-mode <mode>',
+  '                       How the coverage map is used: merge | replace (default: merge)',
+  '  --format <format>    Output format: text | json | null (default: text); graph: dot | mermaid | json (default: dot)',
+  '  --tests              Print file:line per impacted test instead of whole spec files',
+  '  --shard <i/N>        Print only the specs of shard i out of N',
+  '  --durations <path>   Playwright JSON report used to balance shards by duration',
+  '  --watch              Keep running and print added (+) / removed (-) specs as files change',
+  '  --last <n>           backtest: number of merge commits to replay (default: 20)',
+  '  --output <path>      backtest: write one record per merge and bias to this .ndjson or .csv file',
+  '  --biases <list>      backtest: comma-separated selection biases to compare (default: all)',
+  '  --report <path>      validate: Playwright JSON report of a full run of the same change',
+  '  --result <path>      validate: --format json output of an earlier analysis (default: analyze now)',
+  '  --changed-only       graph: keep only the part of the graph the current change touches',
+  '  --verbose            Print selection reasons to stderr',
+  '  -h, --help           Show this help',
+  '',
+  'Exit codes:',
+  `  ${EXIT_CODES.SPECS_SELECTED}  impacted specs were selected (explain: the spec is selected; validate: no missed failures;`,
+  '     graph: it has nodes; query: a spec reaches a target; unused: something is unused)',
+  `  ${EXIT_CODES.NOTHING_TO_RUN}  nothing to run (explain: the spec is not selected; validate: missed failures;`,
+  '     graph: it is empty; query: no spec reaches a target; unused: everything is used)',
+  `  ${EXIT_CODES.ANALYSIS_ERROR}  analysis or usage error`,
+].join('\n');
+
+const OPTIONS_WITH_VALUE = {
+  '--config': 'configPath',
+  '--playwright-config': 'playwrightConfigPath',
+  '--repo-root': 'repoRoot',
+  '--base': 'baseRef',
+  '--head': 'headRef',
+  '--bias': 'selectionBias',
+  '--resolution': 'resolution',
+  '--format': 'format',
+  '--shard': 'shard',
+  '--durations': 'durationsReportPath',
+  '--coverage-map': 'coverageMapPath',
+  '--coverage-mode': 'coverageMapMode',
+  '--cache-dir': 'cacheDir',
+  '--patch': 'patchPath',
+  '--last': 'backtestLimit',
+  '--output': 'backtestOutputPath',
+  '--biases': 'backtestBiases',
+  '--report': 'validateReportPath',
+  '--result': 'validateResultPath',
+};
+
+/**
+ * Parse CLI arguments into analysis options.
+ * Accepts both `--flag value` and `--flag=value` forms.
+ */
+const parseCliArgs = (argv) => {
+  const parsed = {
+    command: null,
+    explainSpec: null,
+    queryTargets: [],
+    configPath: null,
+    playwrightConfigPath: null,
+    repoRoot: null,
+    baseRef: null,
+    headRef: null,
+    selectionBias: null,
+    resolution: null,
+    includeUntrackedSpecs: true,
+    format: null,
+    tests: false,
+    shard: null,
+    durationsReportPath: null,
+    coverageMapPath: null,
+    coverageMapMode: null,
+    cacheDir: null,
+    patchPath: null,
+    backtestLimit: null,
+    backtestOutputPath: null,
+    backtestBiases: null,
+    validateReportPath: null,
+    validateResultPath: null,
+    graphChangedOnly: false,
+    watch: false,
+    verbose: false,
+    help: false,
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const arg = String(argv[index]);
+    const eqIndex = arg.indexOf('=');
+    const flag = arg.startsWith('--') && eqIndex > 0 ? arg.slice(0, eqIndex) : arg;
+
+    if (index === 0 && COMMANDS.has(arg)) {
+      parsed.command = arg;
+      continue;
+    }
+    if (parsed.command === 'explain' && !parsed.explainSpec && !arg.startsWith('-')) {
+      parsed.explainSpec = arg;
+      continue;
+    }
+    if (parsed.command === 'query' && !arg.startsWith('-')) {
+      parsed.queryTargets.push(arg);
+      continue;
+    }
+
+    if (flag === '-h' || flag === '--help') {
+      parsed.help = true;
+      continue;
+    }
+    if (flag === '--no-untracked') {
+      parsed.includeUntrackedSpecs = false;
+      continue;
+    }
+    if (flag === '--tests') {
+      parsed.tests = true;
+      continue;
+    }
+    if (flag === '--watch') {
+      parsed.watch = true;
+      continue;
+    }
+    if (flag === '--verbose') {
+      parsed.verbose = true;
+      continue;
+    }
+    if (flag === '--changed-only') {
+      parsed.graphChangedOnly = true;
+      continue;
+    }
+
+    const key = OPTIONS_WITH_VALUE[flag];
+    if (!key) throw new Error(`Unknown option: ${arg}`);
+
+    let value;
+    if (flag !== arg) {
+      value = arg.slice(eqIndex + 1);
+    } else {
+      value = argv[index + 1];
+      index += 1;
+    }
+    if (value === undefined || value === '') throw new Error(`Missing value for ${flag}`);
+    parsed[key] = String(value);
+  }
+
+  // graph has its own formats, so the default depends on the command.
+  const formats = parsed.command === 'graph' ? GRAPH_FORMATS : Array.from(OUTPUT_FORMATS);
+  parsed.format = parsed.format || formats[0];
+  if (!formats.includes(parsed.format)) {
+    throw new Error(`Invalid --format "${parsed.format}". Expected one of: ${formats.join(', ')}`);
+  }
+  if (parsed.selectionBias && !SELECTION_BIASES.has(parsed.selectionBias)) {
+    throw new Error(`Invalid --bias "${parsed.selectionBias}". Expected one of: ${Array.from(SELECTION_BIASES).join(', ')}`);
+  }
+  if (parsed.resolution && !RESOLUTION_MODES.includes(parsed.resolution)) {
+    throw new Error(`Invalid --resolution "${parsed.resolution}". Expected one of: ${RESOLUTION_MODES.join(', ')}`);
+  }
+
+  if (parsed.coverageMapMode && !COVERAGE_MODES.has(parsed.coverageMapMode)) {
+    throw new Error(`Invalid --coverage-mode "${parsed.coverageMapMode}". Expected one of: ${Array.from(COVERAGE_MODES).join(', ')}`);
+  }
+  if (parsed.coverageMapMode && !parsed.coverageMapPath) throw new Error('--coverage-mode requires --coverage-map');
+  if (parsed.shard) parsed.shard = parseShardArg(parsed.shard);
+  if (parsed.durationsReportPath && !parsed.shard) throw new Error('--durations requires --shard');
+  if (parsed.patchPath && parsed.baseRef) throw new Error('--patch cannot be combined with --base');
+  // backtest walks back from --head (HEAD by default) and picks each base itself; a full graph just reads --head.
+  const headWithoutBase = parsed.command === 'backtest' || (parsed.command === 'graph' && !parsed.graphChangedOnly);
+  if (parsed.headRef && !parsed.baseRef && !headWithoutBase) throw new Error('--head requires --base');
+  if (parsed.command === 'commits') {
+    if (!parsed.baseRef && !parsed.help) throw new Error('commits requires --base');
+    for (const [enabled, flag] of [[parsed.watch, '--watch'], [parsed.shard, '--shard'], [parsed.tests, '--tests'], [parsed.patchPath, '--patch']]) {
+      if (enabled) throw new Error(`commits cannot be combined with ${flag}`);
+    }
+    if (parsed.format === 'null') throw new Error('commits cannot be combined with --format null');
+  }
+  const backtestFlags = [[parsed.backtestLimit, '--last'], [parsed.backtestOutputPath, '--output'], [parsed.backtestBiases, '--biases']];
+  if (parsed.command === 'backtest') {
+    const rejected = [[parsed.baseRef, '--base'], [parsed.patchPath, '--patch'], [parsed.watch, '--watch'], [parsed.shard, '--shard'], [parsed.tests, '--tests']];
+    for (const [enabled, flag] of rejected) {
+      if (enabled) throw new Error(`backtest cannot be combined with ${flag}`);
+    }
+    if (parsed.format === 'null') throw new Error('backtest cannot be combined with --format null');
+    if (parsed.backtestLimit !== null) {
+      const limit = Number(parsed.backtestLimit);
+      if (!Number.isInteger(limit) || limit < 1) throw new Error(`Invalid --last "${parsed.backtestLimit}". Expected a positive integer`);
+      parsed.backtestLimit = limit;
+    }
+    if (parsed.backtestBiases !== null) {
+      parsed.backtestBiases = parsed.backtestBiases.split(',').map((bias) => bias.trim()).filter(Boolean);
+      for (const bias of parsed.backtestBiases) {
+        if (!SELECTION_BIASES.has(bias)) {
+          throw new Error(`Invalid --biases entry "${bias}". Expected any of: ${Array.from(SELECTION_BIASES).join(', ')}`);
+        }
+      }
+    }
+  } else {
+    for (const [enabled, flag] of backtestFlags) {
+      if (enabled) throw new Error(`${flag} requires the backtest command`);
+    }
+  }
+  if (parsed.command === 'validate') {
+    if (!parsed.validateReportPath && !parsed.help) throw new Error('validate requires --report');
+    for (const [enabled, flag] of [[parsed.watch, '--watch'], [parsed.shard, '--shard'], [parsed.tests, '--tests']]) {
+      if (enabled) throw new Error(`validate cannot be combined with ${flag}`);
+    }
+    if (parsed.format === 'null') throw new Error('validate cannot be combined with --format null');
+  } else {
+    for (const [enabled, flag] of [[parsed.validateReportPath, '--report'], [parsed.validateResultPath, '--result']]) {
+      if (enabled) throw new Error(`${flag} requires the validate command`);
+    }
+  }
+  if (parsed.command === 'graph') {
+    for (const [enabled, flag] of [[parsed.watch, '--watch'], [parsed.shard, '--shard'], [parsed.tests, '--tests']]) {
+      if (enabled) throw new Error(`graph cannot be combined with ${flag}`);
+    }
+  } else if (parsed.graphChangedOnly) {
+    throw new Error('--changed-only requires the graph command');
+  }
+  if (parsed.command === 'query') {
+    if (parsed.queryTargets.length === 0 && !parsed.help) throw new Error('query requires at least one Class.member or file target');
+    const rejected = [
+      [parsed.baseRef, '--base'], [parsed.headRef, '--head'], [parsed.patchPath, '--patch'], [parsed.watch, '--watch'],
+      [parsed.shard, '--shard'], [parsed.coverageMapPath, '--coverage-map'], [parsed.cacheDir, '--cache-dir'],
+    ];
+    for (const [enabled, flag] of rejected) {
+      if (enabled) throw new Error(`query cannot be combined with ${flag}`);
+    }
+    if (parsed.format === 'null') throw new Error('query cannot be combined with --format null');
+  }
+  if (parsed.command === 'unused') {
+    const rejected = [
+      [parsed.baseRef, '--base'], [parsed.headRef, '--head'], [parsed.patchPath, '--patch'], [parsed.watch, '--watch'],
+      [parsed.shard, '--shard'], [parsed.tests, '--tests'], [parsed.coverageMapPath, '--coverage-map'], [parsed.cacheDir, '--cache-dir'],
+    ];
+    for (const [enabled, flag] of rejected) {
+      if (enabled) throw new Error(`unused cannot be combined with ${flag}`);
+    }
+    if (parsed.format === 'null') throw new Error('unused cannot be combined with --format null');
+  }
+  if (parsed.command === 'explain') {
+    if (!parsed.explainSpec && !parsed.help) throw new Error('explain requires a spec path');
+    for (const [enabled, flag] of [[parsed.watch, '--watch'], [parsed.shard, '--shard'], [parsed.tests, '--tests']]) {
+      if (enabled) throw new Error(`explain cannot be combined with ${flag}`);
+    }
+    if (parsed.format === 'null') throw new Error('explain cannot be combined with --format null');
+  }
+  if (parsed.watch) {
+    if (parsed.shard) throw new Error('--watch cannot be combined with --shard');
+    if (parsed.format === 'null') throw new Error('--watch cannot be combined with --format null');
+    // Watch mode keeps parsed facts in memory for the whole session instead.
+    if (parsed.cacheDir) throw new Error('--watch cannot be combined with --cache-dir');
+    if (parsed.patchPath) throw new Error('--watch cannot be combined with --patch');
+    // A commit never changes, so there is nothing to watch.
+    if (parsed.headRef) throw new Error('--watch cannot be combined with --head');
+  }
+
+  return parsed;
+};
+
+const formatJsonOutput = ({ result, shard, repoRoot }) => JSON.stringify({
+  hasAnythingToRun: result.hasAnythingToRun,
+  selectedSpecs: result.selectedSpecsRelative,
+  selectionReasons: Object.fromEntries(
+    result.selectedSpecs.map((specPath, index) => [result.selectedSpecsRelative[index], result.selectionReasons.get(specPath) || null])
+  ),
+  selectionReasonRecords: Object.fromEntries(
+    result.selectedSpecs.map((specPath, index) => [result.selectedSpecsRelative[index], result.selectionReasonRecords.get(specPath) || null])
+  ),
+  exclusionReasons: Object.fromEntries(
+    Array.from(result.exclusionReasons).map(([specPath, reason]) => [path.relative(repoRoot, specPath).split(path.sep).join('/'), reason])
+  ),
+  selectedSpecsByProject: Object.fromEntries(result.selectedSpecsByProject),
+  playwrightProjectArgs: result.playwrightProjectArgs,
+  forcedAllSpecs: result.forcedAllSpecs,
+  forcedAllSpecsReason: result.forcedAllSpecsReason,
+  forcedProjects: result.forcedProjects,
+  impactedTests: Object.fromEntries(
+    result.selectedSpecs.map((specPath, index) => [result.selectedSpecsRelative[index], result.impactedTestsBySpec.get(specPath)])
+  ),
+  testLocationArgs: result.testLocationArgs,
+  testGrepPattern: result.testGrepPattern,
+  ...(shard ? { shard } : {}),
+  stageTimings: result.stageTimings,
+  warnings: result.warnings,
+}, null, 2);
+
+const getOutputEntries = ({ result, tests, shard }) => {
+  const entries = tests ? result.testLocationArgs : result.selectedSpecsRelative;
+  if (!shard) return entries;
+  const shardSpecs = new Set(shard.specs);
+  return entries.filter((entry) => shardSpecs.has(entry) || shardSpecs.has(entry.replace(/:\d+$/, '')));
+};
+
+// Pick this machine's shard from the selection; durations come from a previous Playwright JSON report.
+const resolveShard = ({ result, args, repoRoot }) => {
+  if (!args.shard) return null;
+  const durations = args.durationsReportPath
+    ? readSpecDurationsFromReport({ reportPath: args.durationsReportPath, repoRoot })
+    : null;
+  const { shards, missingDurations } = shardSelectedSpecs({
+    selectedSpecs: result.selectedSpecsRelative,
+    shards: args.shard.total,
+    durations,
+  });
+  return { ...shards[args.shard.index - 1], total: args.shard.total, missingDurations };
+};
+
+const writeResult = ({ result, format, tests, shard, repoRoot, stdout }) => {
+  if (format === 'json') {
+    stdout.write(`${formatJsonOutput({ result, shard, repoRoot })}\n`);
+    return;
+  }
+  const entries = getOutputEntries({ result, tests, shard });
+  if (entries.length === 0) return;
+  if (format === 'null') {
+    stdout.write(entries.map((entry) => `${entry}\0`).join(''));
+    return;
+  }
+  stdout.write(`${entries.join('\n')}\n`);
+};
+
+const buildAnalyzeOptions = ({ args, config, repoRoot }) => ({
+  repoRoot,
+  baseRef: args.baseRef,
+  profile: args.resolution ? { ...config.profile, resolution: args.resolution } : config.profile,
+  includeUntrackedSpecs: args.includeUntrackedSpecs,
+  ...(config.fileExtensions ? { fileExtensions: config.fileExtensions } : {}),
+  ...(args.selectionBias ? { selectionBias: args.selectionBias } : {}),
+  ...(args.coverageMapPath ? { coverageMapPath: args.coverageMapPath } : {}),
+  ...(args.coverageMapMode ? { coverageMapMode: args.coverageMapMode } : {}),
+  ...(args.cacheDir ? { cacheDir: args.cacheDir } : {}),
+  ...(args.patchPath ? { patchPath: args.patchPath } : {}),
+  ...(args.headRef ? { headRef: args.headRef } : {}),
+});
+
+const readAnalysisResultFile = (resultPath) => {
+  if (!fs.existsSync(resultPath)) throw new Error(`Analysis result not found: ${resultPath}`);
+  try {
+    return JSON.parse(fs.readFileSync(resultPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse analysis result ${resultPath}: ${error.message}`);
+  }
+};
+
+const writeWarnings = ({ warnings, stderr }) => {
+  for (const warning of warnings) stderr.write(`warning: ${warning}\n`);
+};
+
+// Watch mode: json prints one line per update; text prints the initial list, then +/- lines per change.
+const startWatch = ({ args, config, repoRoot, stdout, stderr, signal }) => {
+  let previousEntries = null;
+  const watcher = watchImpactedSpecs(buildAnalyzeOptions({ args, config, repoRoot }), (update) => {
+    if (update.error) {
+      stderr.write(`playwright-impact: ${update.error.message}\n`);
+      return;
+    }
+    if (args.verbose) writeWarnings({ warnings: update.result.warnings, stderr });
+    if (args.format === 'json') {
+      stdout.write(`${JSON.stringify({
+        selectedSpecs: update.selectedSpecs,
+        addedSpecs: update.addedSpecs,
+        removedSpecs: update.removedSpecs,
+        changedFiles: update.changedFiles,
+        testLocationArgs: update.result.testLocationArgs,
+      })}\n`);
+      return;
+    }
+
+    const entries = getOutputEntries({ result: update.result, tests: args.tests, shard: null });
+    if (previousEntries === null) {
+      if (entries.length > 0) stdout.write(`${entries.join('\n')}\n`);
+      stderr.write(`Watching for changes (${entries.length} impacted)\n`);
+    } else {
+      const previous = new Set(previousEntries);
+      const next = new Set(entries);
+      const lines = [
+        ...entries.filter((entry) => !previous.has(entry)).map((entry) => `+ ${entry}`),
+        ...previousEntries.filter((entry) => !next.has(entry)).map((entry) => `- ${entry}`),
+      ];
+      if (lines.length > 0) stdout.write(`${lines.join('\n')}\n`);
+    }
+    previousEntries = entries;
+  });
+  if (signal) signal.addEventListener('abort', () => watcher.close(), { once: true });
+};
+
+/**
+ * Run the CLI and return the process exit code.
+ * Streams are injectable so the command can be exercised without spawning a process.
+ * With --watch the command keeps running until `signal` aborts (or the process is stopped).
+ */
+const runCli = ({ argv = [], cwd = process.cwd(), stdout = process.stdout, stderr = process.stderr, signal = null } = {}) => {
+  let args;
+  try {
+    args = parseCliArgs(argv);
+  } catch (error) {
+    stderr.write(`playwright-impact: ${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.ANALYSIS_ERROR;
+  }
+
+  if (args.help) {
+    stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.SPECS_SELECTED;
+  }
+
+  try {
+    const repoRoot = path.resolve(cwd, args.repoRoot || '.');
+    const config = loadImpactConfig({ repoRoot, configPath: args.configPath, playwrightConfigPath: args.playwrightConfigPath });
+    if (args.command === 'explain') {
+      const explanation = explainSpecSelection({ ...buildAnalyzeOptions({ args, config, repoRoot }), spec: args.explainSpec });
+      stdout.write(args.format === 'json'
+        ? `${JSON.stringify(explanation, null, 2)}\n`
+        : `${formatSpecExplanation(explanation)}\n`);
+      if (args.verbose) writeWarnings({ warnings: [...config.warnings, ...explanation.warnings], stderr });
+      return explanation.selected ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.command === 'validate') {
+      const result = args.validateResultPath ? readAnalysisResultFile(path.resolve(repoRoot, args.validateResultPath)) : null;
+      const validation = validateSelection({
+        ...buildAnalyzeOptions({ args, config, repoRoot }),
+        reportPath: args.validateReportPath,
+        result,
+      });
+      stdout.write(args.format === 'json'
+        ? `${JSON.stringify(validation, null, 2)}\n`
+        : `${formatSelectionValidation(validation)}\n`);
+      if (args.verbose) writeWarnings({ warnings: [...config.warnings, ...validation.warnings], stderr });
+      return validation.missedFailures.length === 0 ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.command === 'query') {
+      const queryResult = queryImpactedSpecs({ ...buildAnalyzeOptions({ args, config, repoRoot }), targets: args.queryTargets });
+      if (args.format === 'json') {
+        stdout.write(`${JSON.stringify({
+          targets: queryResult.targets,
+          selectedSpecs: queryResult.selectedSpecsRelative,
+          selectionReasons: Object.fromEntries(
+            queryResult.selectedSpecs.map((specPath, index) => [queryResult.selectedSpecsRelative[index], queryResult.selectionReasons.get(specPath)])
+          ),
+          impactedTests: Object.fromEntries(
+            queryResult.selectedSpecs.map((specPath, index) => [queryResult.selectedSpecsRelative[index], queryResult.impactedTestsBySpec.get(specPath)])
+          ),
+          testLocationArgs: queryResult.testLocationArgs,
+          uncertainCallSites: queryResult.coverageStats.uncertainCallSites,
+          warnings: queryResult.warnings,
+        }, null, 2)}\n`);
+      } else if (args.tests) {
+        if (queryResult.testLocationArgs.length > 0) stdout.write(`${queryResult.testLocationArgs.join('\n')}\n`);
+      } else {
+        stdout.write(`${formatQueryResult(queryResult)}\n`);
+      }
+      if (args.verbose) writeWarnings({ warnings: [...config.warnings, ...queryResult.warnings], stderr });
+      return queryResult.hasAnythingToRun ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.command === 'unused') {
+      const report = reportUnusedMembers(buildAnalyzeOptions({ args, config, repoRoot }));
+      stdout.write(args.format === 'json'
+        ? `${JSON.stringify(report, null, 2)}\n`
+        : `${formatUnusedReport(report)}\n`);
+      if (args.verbose) writeWarnings({ warnings: [...config.warnings, ...report.warnings], stderr });
+      const hasUnused = report.unusedMembers.length > 0 || report.unusedClasses.length > 0 || report.unusedFixtures.length > 0;
+      return hasUnused ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.command === 'graph') {
+      const graph = exportImpactGraph({
+        ...buildAnalyzeOptions({ args, config, repoRoot }),
+        scope: args.graphChangedOnly ? 'change' : 'full',
+      });
+      stdout.write(`${formatImpactGraph({ graph, format: args.format })}\n`);
+      if (args.verbose) writeWarnings({ warnings: config.warnings, stderr });
+      return graph.nodes.length > 0 ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.command === 'backtest') {
+      const { baseRef: _baseRef, selectionBias, ...analyzeOptions } = buildAnalyzeOptions({ args, config, repoRoot });
+      const backtest = backtestImpactedSpecs({
+        ...analyzeOptions,
+        ...(args.backtestLimit ? { limit: args.backtestLimit } : {}),
+        ...(args.backtestOutputPath ? { outputPath: args.backtestOutputPath } : {}),
+        // --bias picks one bias; --biases several. Without either, all biases are compared.
+        ...(args.backtestBiases ? { selectionBiases: args.backtestBiases } : {}),
+        ...(!args.backtestBiases && selectionBias ? { selectionBiases: [selectionBias] } : {}),
+      });
+      stdout.write(args.format === 'json'
+        ? `${JSON.stringify(backtest, null, 2)}\n`
+        : `${backtest.merges} merge commits\n${formatBacktestSummary(backtest.summary)}\n`);
+      if (backtest.outputPath && args.format === 'text') stderr.write(`Backtest records written to ${backtest.outputPath}\n`);
+      if (args.verbose) writeWarnings({ warnings: config.warnings, stderr });
+      return backtest.merges > 0 ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.command === 'commits') {
+      const breakdown = analyzeCommitBreakdown(buildAnalyzeOptions({ args, config, repoRoot }));
+      stdout.write(args.format === 'json'
+        ? `${JSON.stringify({ ...breakdown, commitsBySpec: Object.fromEntries(breakdown.commitsBySpec) }, null, 2)}\n`
+        : `${formatCommitBreakdown(breakdown)}\n`);
+      if (args.verbose) {
+        const warnings = breakdown.commits.flatMap((commit) => commit.warnings.map((warning) => `${commit.sha.slice(0, 7)}: ${warning}`));
+        writeWarnings({ warnings: [...config.warnings, ...warnings], stderr });
+      }
+      return breakdown.hasAnythingToRun ? EXIT_CODES.SPECS_SELECTED : EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (args.watch) {
+      if (args.verbose) writeWarnings({ warnings: config.warnings, stderr });
+      startWatch({ args, config, repoRoot, stdout, stderr, signal });
+      return EXIT_CODES.SPECS_SELECTED;
+    }
+    const result = analyzeImpactedSpecs(buildAnalyzeOptions({ args, config, repoRoot }));
+
+    const shard = resolveShard({ result, args, repoRoot });
+    writeResult({ result, format: args.format, tests: args.tests, shard, repoRoot, stdout });
+
+    if (args.verbose) {
+      const reasons = formatSelectionReasonsForLog({
+        selectedSpecs: result.selectedSpecs,
+        selectionReasons: result.selectionReasons,
+        selectionReasonRecords: result.selectionReasonRecords,
+        repoRoot,
+      });
+      if (reasons) stderr.write(`Selection reasons:\n${reasons}\n`);
+      writeWarnings({ warnings: [...config.warnings, ...result.warnings], stderr });
+    }
+
+    if (!result.hasAnythingToRun) {
+      if (args.format === 'text') stderr.write('No impacted specs found\n');
+      return EXIT_CODES.NOTHING_TO_RUN;
+    }
+    if (shard && shard.specs.length === 0) {
+      if (args.format === 'text') stderr.write(`No specs in shard ${shard.index}/${shard.total}\n`);
+      return EXIT_CODES.NOTHING_TO_RUN;
+    }
+    return EXIT_CODES.SPECS_SELECTED;
+  } catch (error) {
+    stderr.write(`playwright-impact: ${error.message}\n`);
+    return EXIT_CODES.ANALYSIS_ERROR;
+  }
+};
+
+module.exports = {
+  EXIT_CODES,
+  runCli,
+  __testOnly: {
+    parseCliArgs,
+  },
+};
@@ -0,0 +1,18 @@
+declare namespace PomCoverageReporter {
+  type Options = {
+    /** Coverage map location, relative to repoRoot. Default `playwright-impact-coverage.json`. */
+    outputFile?: string;
+    repoRoot?: string;
+    /** Keep entries of tests that did not run in this session. Default true. */
+    merge?: boolean;
+  };
+}
+
+declare class PomCoverageReporter {
+  constructor(options?: PomCoverageReporter.Options);
+  onTestEnd(test: { location: { file: string }; title?: string; titlePath?: () => string[] }, result: { attachments: Array<{ name: string; body?: Buffer }> }): void;
+  onEnd(): void;
+  printsToStdio(): boolean;
+}
+
+export = PomCoverageReporter;
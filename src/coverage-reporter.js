@@ -0,0 +1,63 @@
+'use strict';
+
+const path = require('path');
+const {
+  COVERAGE_ATTACHMENT_NAME,
+  DEFAULT_COVERAGE_MAP_FILE,
+  writeCoverageMap,
+} = require('./modules/runtime-coverage-helpers');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const readAttachmentCalls = (attachment) => {
+  if (!attachment.body) return [];
+  try {
+    const parsed = JSON.parse(Buffer.from(attachment.body).toString('utf8'));
+    return Array.isArray(parsed.calls) ? parsed.calls.map(String) : [];
+  } catch (_error) {
+    return [];
+  }
+};
+
+// Project, file, describe blocks and title: stable across runs and unique within a spec.
+const getTestKey = (test) => (typeof test.titlePath === 'function' ? test.titlePath().filter(Boolean).join(' › ') : String(test.title || ''));
+
+/**
+ * Playwright reporter that collects `withPomCoverage` attachments into a coverage map file, per test.
+ * Options:
+ * - outputFile: map location, relative to repoRoot (default `playwright-impact-coverage.json`)
+ * - repoRoot: root that spec keys are relative to (default process.cwd())
+ * - merge: keep entries of tests that did not run in this session (default true)
+ */
+class PomCoverageReporter {
+  constructor(options = {}) {
+    this.repoRoot = path.resolve(options.repoRoot || process.cwd());
+    this.outputPath = path.resolve(this.repoRoot, options.outputFile || DEFAULT_COVERAGE_MAP_FILE);
+    this.merge = options.merge !== false;
+    this.testsBySpec = new Map();
+  }
+
+  onTestEnd(test, result) {
+    const specPath = normalizePath(path.relative(this.repoRoot, test.location.file));
+    const testKey = getTestKey(test);
+    if (!this.testsBySpec.has(specPath)) this.testsBySpec.set(specPath, new Map());
+    const callsByTest = this.testsBySpec.get(specPath);
+    // A test that ran is recorded even without calls, so its stale entry is replaced on merge; retries add up.
+    if (!callsByTest.has(testKey)) callsByTest.set(testKey, new Set());
+    const calls = callsByTest.get(testKey);
+    for (const attachment of result.attachments || []) {
+      if (attachment.name !== COVERAGE_ATTACHMENT_NAME) continue;
+      for (const call of readAttachmentCalls(attachment)) calls.add(call);
+    }
+  }
+
+  onEnd() {
+    writeCoverageMap({ outputPath: this.outputPath, specs: this.testsBySpec, merge: this.merge });
+  }
+
+  printsToStdio() {
+    return false;
+  }
+}
+
+module.exports = PomCoverageReporter;
@@ -0,0 +1,9 @@
+/**
+ * Pass a POM through a recording proxy and attach the `Class.member` calls to the current test.
+ * Use inside a Playwright fixture: `async ({ page }, use, testInfo) => withPomCoverage(new LoginPage(page), use, testInfo)`.
+ */
+export function withPomCoverage<T extends object>(
+  instance: T,
+  use: (value: T) => Promise<void>,
+  testInfo: { attach?: (name: string, options: { body: string; contentType: string }) => Promise<void> } | null
+): Promise<void>;
@@ -0,0 +1,8 @@
+'use strict';
+
+const { withPomCoverage } = require('./modules/runtime-coverage-helpers');
+
+// Runtime surface for Playwright fixtures. Kept apart from index.js so workers do not load the analyzer.
+module.exports = {
+  withPomCoverage,
+};
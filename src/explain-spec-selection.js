@@ -0,0 +1,192 @@
+'use strict';
+
+const path = require('path');
+const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
+const { extractFixtureUsagesFromSpec } = require('./modules/spec-selection-helpers');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const splitMemberKey = (memberKey) => {
+  const separatorIndex = memberKey.indexOf('#');
+  return { className: memberKey.slice(0, separatorIndex), memberName: memberKey.slice(separatorIndex + 1) };
+};
+
+/**
+ * Steps from the changed member to an impacted `className.memberName`:
+ * the changed member, then each caller on the reverse call path, then how the class got the member
+ * (own, inherited from a base class, or through a composed field).
+ */
+const buildMemberChain = ({ className, memberName, propagation, toRelative }) => {
+  if (!propagation) return [];
+  const projection = propagation.projectionByMember.get(`${className}.${memberName}`);
+  if (!projection) return [];
+  const fileOf = (ownerClass) => {
+    const filePath = propagation.fileByClass.get(ownerClass);
+    return filePath ? toRelative(filePath) : null;
+  };
+
+  const steps = [];
+  let sourceClass = null;
+  if (projection.memberKey) {
+    const callPath = [projection.memberKey];
+    for (let current = propagation.reachedFrom.get(projection.memberKey); current; current = propagation.reachedFrom.get(current)) {
+      callPath.unshift(current);
+    }
+    const seedChange = propagation.seedChangeByMemberKey.get(callPath[0]) || splitMemberKey(callPath[0]);
+    steps.push({ kind: 'changed-member', file: fileOf(seedChange.className), ...seedChange });
+    for (const memberKey of callPath.slice(1)) {
+      const caller = splitMemberKey(memberKey);
+      steps.push({ kind: 'called-by', file: fileOf(caller.className), ...caller });
+    }
+    sourceClass = splitMemberKey(projection.memberKey).className;
+  } else {
+    // The member no longer resolves: it was removed or renamed in this class lineage.
+    steps.push({ kind: 'changed-member', file: fileOf(projection.removedInClass), className: projection.removedInClass, memberName, removed: true });
+    sourceClass = projection.removedInClass;
+  }
+
+  if (projection.composedClass) {
+    steps.push({ kind: 'projected', via: 'composed', className, memberName, fromClass: projection.composedClass });
+  } else if (sourceClass !== className) {
+    steps.push({ kind: 'projected', via: 'inherited', className, memberName, fromClass: sourceClass });
+  }
+  return steps;
+};
+
+const buildCallSiteChains = ({ callSites, certainty, spec, propagation, toRelative }) => callSites.map((callSite) => [
+  ...(callSite.methodName
+    ? buildMemberChain({ className: callSite.className, memberName: callSite.methodName, propagation, toRelative })
+    : []),
+  { kind: 'fixture', fixtureKey: callSite.fixtureKey, className: callSite.className },
+  { kind: 'call-site', file: spec, line: callSite.line, column: callSite.column, callee: callSite.callee, certainty },
+]);
+
+const buildChains = ({ reason, specAbs, spec, result, trace, toRelative }) => {
+  const propagation = trace.propagation || null;
+  const callSites = trace.callSitesBySpec ? trace.callSitesBySpec.get(specAbs) : null;
+
+  if (reason === 'direct-changed-spec') return [[{ kind: 'changed-spec', file: spec }]];
+  if (reason === 'global-watch-force-all' || reason === 'global-watch-force-project') {
+    const projects = reason === 'global-watch-force-project'
+      ? Array.from(result.selectedSpecsByProject.entries())
+        .filter(([projectName, specs]) => result.forcedProjects.includes(projectName) && specs.includes(spec))
+        .map(([projectName]) => projectName)
+      : [];
+    return [[{ kind: 'global-watch', files: result.globalWatchMatches, projects }]];
+  }
+  if (reason === 'matched-import-graph') {
+    const importPath = (trace.importPathBySpec && trace.importPathBySpec.get(specAbs)) || [specAbs];
+    return [[
+      { kind: 'changed-file', file: toRelative(importPath[0]) },
+      ...importPath.slice(1).map((filePath) => ({ kind: 'imported-by', file: toRelative(filePath) })),
+    ]];
+  }
+  if (reason === 'matched-runtime-coverage') {
+    const members = (trace.runtimeMatchesBySpec && trace.runtimeMatchesBySpec.get(specAbs)) || [];
+    return members.map((member) => {
+      const separatorIndex = member.lastIndexOf('.');
+      const className = member.slice(0, separatorIndex);
+      const memberName = member.slice(separatorIndex + 1);
+      return [
+        ...buildMemberChain({ className, memberName, propagation, toRelative }),
+        { kind: 'runtime-call', file: spec, className, memberName },
+      ];
+    });
+  }
+  if (reason === 'matched-precise' && callSites) {
+    return buildCallSiteChains({ callSites: callSites.precise, certainty: 'precise', spec, propagation, toRelative });
+  }
+  if (reason === 'matched-uncertain-fail-open' && callSites) {
+    return buildCallSiteChains({ callSites: callSites.uncertain, certainty: 'uncertain', spec, propagation, toRelative });
+  }
+  // retained-* reasons keep the spec without a matched call, so there is no chain to show.
+  return [];
+};
+
+// Read through the analysis's own source files, so a head commit or an overlay describes the analyzed spec.
+const readBoundFixtureKeys = ({ specAbs, sourceFiles }) => Array.from(extractFixtureUsagesFromSpec(sourceFiles.readText(specAbs), specAbs))
+  .sort((a, b) => a.localeCompare(b));
+
+/**
+ * Drop reason of a spec that was not selected, with the facts behind it:
+ * which fixtures it binds, which impacted members those fixtures have, and which call sites stayed uncertain.
+ */
+const buildExclusion = ({ specAbs, result, trace, toRelative }) => {
+  const reason = result.exclusionReasons.get(specAbs);
+  const callSites = trace.callSitesBySpec ? trace.callSitesBySpec.get(specAbs) : null;
+  const details = {};
+
+  if (reason === 'excluded-no-pom-change' || reason === 'excluded-no-semantic-change') {
+    details.changedFiles = result.changedPomEntries.map((entry) => entry.effectivePath).filter(Boolean);
+  } else if (reason === 'excluded-no-impacted-fixture') {
+    details.boundFixtureKeys = readBoundFixtureKeys({ specAbs, sourceFiles: trace.sourceFiles });
+    details.impactedFixtureKeys = Array.from(result.fixtureKeys).sort((a, b) => a.localeCompare(b));
+  } else if (callSites) {
+    details.boundFixtures = callSites.boundFixtures.map(({ fixtureKey, className }) => ({
+      fixtureKey,
+      className,
+      impactedMembers: Array.from(result.impactedMethodsByClass.get(className) || []).sort((a, b) => a.localeCompare(b)),
+    }));
+    if (reason === 'excluded-uncertain-only') {
+      details.selectionBias = trace.selectionBias;
+      details.uncertainCallSites = callSites.uncertain.map((callSite) => ({ file: toRelative(specAbs), ...callSite }));
+    }
+    if (reason === 'excluded-runtime-coverage') details.coverageMapMode = trace.coverageMapMode;
+  } else if (reason === 'excluded-runtime-coverage') {
+    details.coverageMapMode = trace.coverageMapMode;
+  }
+
+  return { reason, details };
+};
+
+/**
+ * Explain why one spec was (or was not) selected.
+ * Runs the same analysis as analyzeImpactedSpecs and returns, per matched call site, the causal chain:
+ * changed file and member -> reverse call path -> inherited/composed projection -> fixture key -> call site.
+ */
+const explainSpecSelection = ({ spec, ...analyzeOptions }) => {
+  if (!spec) throw new Error('Missing required spec');
+  if (!analyzeOptions.repoRoot) throw new Error('Missing required repoRoot');
+  const { repoRoot } = analyzeOptions;
+  const specAbs = path.resolve(repoRoot, spec);
+  const specRelative = normalizePath(path.relative(repoRoot, specAbs));
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, filePath));
+
+  const trace = {};
+  const result = analyzeImpactedSpecs(analyzeOptions, { trace });
+  const selected = result.selectedSpecs.includes(specAbs);
+  if (!selected && !result.exclusionReasons.has(specAbs)) {
+    throw new Error(`Spec not found under the tests root: ${specRelative}`);
+  }
+  const reason = result.selectionReasons.get(specAbs) || null;
+
+  return {
+    spec: specRelative,
+    selected,
+    reason,
+    chains: selected ? buildChains({ reason, specAbs, spec: specRelative, result, trace, toRelative }) : [],
+    exclusion: selected ? null : buildExclusion({ specAbs, result, trace, toRelative }),
+    impactedTests: result.impactedTestsBySpec.get(specAbs) || null,
+    warnings: result.warnings,
+  };
+};
+
+/**
+ * Explain why one spec was NOT selected.
+ * Returns `{ spec, excluded, reason, details }`; a selected spec yields `excluded: false` and a null reason.
+ */
+const explainExclusion = (options) => {
+  const explanation = explainSpecSelection(options);
+  return {
+    spec: explanation.spec,
+    excluded: !explanation.selected,
+    reason: explanation.exclusion ? explanation.exclusion.reason : null,
+    details: explanation.exclusion ? explanation.exclusion.details : null,
+  };
+};
+
+module.exports = {
+  explainSpecSelection,
+  explainExclusion,
+  buildExclusion,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+const path = require('path');
+const {
+  DEFAULT_ANALYSIS_ROOTS_RELATIVE,
+  DEFAULT_FIXTURES_TYPES_RELATIVE,
+  normalizeFileExtensions,
+  analyzeImpactedSpecs,
+} = require('./analyze-impacted-specs');
+const { resolveProfile } = require('./modules/profile-config-helpers');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { createGitTreeFileSystem } = require('./modules/git-tree-helpers');
+const { collectImpactGraphs, buildImpactGraph } = require('./modules/impact-graph-helpers');
+const { createTypeResolverForProfile } = require('./modules/type-resolution-helpers');
+const { createClassIndex } = require('./modules/class-identity-helpers');
+
+const GRAPH_SCOPES = ['full', 'change'];
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+// Everything the analysis of the current change walked through, keyed the way buildImpactGraph ids nodes.
+const collectTouched = ({ repoRoot, result, trace }) => {
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, path.resolve(repoRoot, filePath)));
+  // Fast exits of the analysis (nothing changed, everything forced) leave the trace empty.
+  const {
+    importPathBySpec = new Map(),
+    changedMethodsByClass = new Map(),
+    propagation = null,
+    fixtureKeyToClass = new Map(),
+    fixtureKeys = new Set(),
+  } = trace;
+  const impactedMemberKeys = propagation ? Array.from(propagation.impactedMemberKeys) : [];
+  const changedFiles = new Set([
+    ...result.changedPomEntries.map((entry) => entry.effectivePath).filter(Boolean),
+    ...result.directChangedSpecFiles,
+  ].map(toRelative));
+
+  return {
+    classes: new Set([
+      ...result.impactedClasses,
+      ...result.impactedMethodsByClass.keys(),
+      ...impactedMemberKeys.map((memberKey) => propagation.memberKeyParts.get(memberKey).className),
+      ...Array.from(fixtureKeys, (fixtureKey) => fixtureKeyToClass.get(fixtureKey)).filter(Boolean),
+    ]),
+    memberKeys: new Set(impactedMemberKeys),
+    fixtureKeys: new Set(fixtureKeys),
+    files: new Set([
+      ...changedFiles,
+      ...Array.from(importPathBySpec.values()).flat().map(toRelative),
+      ...result.selectedSpecsRelative.map(toRelative),
+    ]),
+    changedClasses: new Set(changedMethodsByClass.keys()),
+    changedMemberKeys: new Set(propagation ? propagation.seedChangeByMemberKey.keys() : []),
+    changedFiles,
+  };
+};
+
+/**
+ * Export the graphs the analysis walks (inheritance, member calls and composition, fixture bindings, imports)
+ * as one node/edge document. `scope: 'full'` covers the whole tree; `scope: 'change'` analyzes the current
+ * change with the remaining options and keeps only the subgraph it touched. Format it with formatImpactGraph.
+ */
+const exportImpactGraph = ({ scope = 'full', ...analyzeOptions }) => {
+  const { repoRoot, headRef = null, fileExtensions } = analyzeOptions;
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+  if (!GRAPH_SCOPES.includes(scope)) {
+    throw new Error(`Invalid graph scope "${scope}". Expected one of: ${GRAPH_SCOPES.join(', ')}`);
+  }
+
+  const profile = resolveProfile(analyzeOptions.profile);
+  const effectiveExtensions = normalizeFileExtensions(fileExtensions);
+  const sourceFiles = createSourceFileService(headRef ? { fileSystem: createGitTreeFileSystem({ repoRoot, ref: headRef }) } : {});
+  const pageFiles = (profile.analysisRootsRelative || DEFAULT_ANALYSIS_ROOTS_RELATIVE)
+    .flatMap((relativePath) => sourceFiles.listFiles(path.join(repoRoot, relativePath)))
+    .filter((filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase()));
+  const testsRootAbs = path.join(repoRoot, profile.testsRootRelative);
+  const classIndex = createClassIndex({ repoRoot, pageFiles, sourceFiles });
+  const graphs = collectImpactGraphs({
+    repoRoot,
+    testsRootAbs,
+    pageFiles,
+    fixturesTypesPath: path.join(repoRoot, profile.fixturesTypesRelative || DEFAULT_FIXTURES_TYPES_RELATIVE),
+    fileExtensions: effectiveExtensions,
+    sourceFiles,
+    typeResolver: createTypeResolverForProfile({
+      profile,
+      repoRoot,
+      pageFiles,
+      rootFiles: sourceFiles.listFiles(testsRootAbs).filter((filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase())),
+      sourceFiles,
+      classIndex,
+    }),
+    classIndex,
+  });
+
+  let touched = null;
+  if (scope === 'change') {
+    const trace = {};
+    const result = analyzeImpactedSpecs(analyzeOptions, { sourceFiles, trace });
+    touched = collectTouched({ repoRoot, result, trace });
+  }
+
+  return buildImpactGraph({
+    repoRoot,
+    graphs,
+    isSpecPath: (filePath) => effectiveExtensions.some((ext) => filePath.endsWith(`.spec${ext}`)),
+    touched,
+  });
+};
+
+module.exports = {
+  GRAPH_SCOPES,
+  exportImpactGraph,
+};
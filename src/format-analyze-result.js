@@ -2,28 +2,236 @@
 
 const path = require('path');
 
+const formatGlobalWatchHit = (hit) => {
+  const via = hit.pattern ? `pattern ${hit.pattern}` : 'imported by a watched file';
+  return `${hit.file} (${via}${hit.project ? `, project ${hit.project}` : ''})`;
+};
+
+// Evidence lines under one spec; empty for a record without evidence (e.g. a directly changed spec).
+const formatSelectionReasonRecord = (record) => {
+  const lines = [];
+  if (record.matchedMembers.length > 0) lines.push(`members: ${record.matchedMembers.join(', ')}`);
+  for (const callSite of record.uncertainCallSites) {
+    lines.push(`uncertain: ${callSite.file}:${callSite.line}:${callSite.column} ${callSite.callee}${callSite.snippet ? ` | ${callSite.snippet}` : ''}`);
+  }
+  if (record.importChain.length > 0) lines.push(`import chain: ${record.importChain.join(' -> ')}`);
+  for (const hit of record.globalWatchHits) lines.push(`global watch: ${formatGlobalWatchHit(hit)}`);
+  return lines;
+};
+
 /**
  * Format selection reasons as log-friendly lines for CLI output.
- * The output is deterministic and can be truncated with maxLines.
+ * With `selectionReasonRecords`, each spec is followed by its evidence (members, uncertain call sites,
+ * import chain, global watch hits). The output is deterministic and can be truncated to maxLines specs.
  */
-const formatSelectionReasonsForLog = ({ selectedSpecs, selectionReasons, repoRoot, maxLines = 40 }) => {
+const formatSelectionReasonsForLog = ({ selectedSpecs, selectionReasons, selectionReasonRecords = null, repoRoot, maxLines = 40 }) => {
   if (!selectionReasons || typeof selectionReasons.get !== 'function' || selectedSpecs.length === 0) return '';
 
-  const lines = [];
+  const entries = [];
   for (const specPath of selectedSpecs) {
     const reason = selectionReasons.get(specPath);
     if (!reason) continue;
-    lines.push(`       - ${path.relative(repoRoot, specPath)}: ${reason}`);
+    const record = selectionReasonRecords ? selectionReasonRecords.get(specPath) : null;
+    entries.push([
+      `       - ${path.relative(repoRoot, specPath)}: ${reason}`,
+      ...(record ? formatSelectionReasonRecord(record).map((line) => `           ${line}`) : []),
+    ].join('\n'));
   }
 
-  if (lines.length === 0) return '';
-  if (lines.length <= maxLines) return lines.join('\n');
+  if (entries.length === 0) return '';
+  if (entries.length <= maxLines) return entries.join('\n');
 
-  const visible = lines.slice(0, maxLines);
-  const hidden = lines.length - maxLines;
+  const visible = entries.slice(0, maxLines);
+  const hidden = entries.length - maxLines;
   return `${visible.join('\n')}\n       - ... ${hidden} more selected specs with reasons`;
 };
 
+const formatExplanationStep = (step) => {
+  switch (step.kind) {
+    case 'changed-spec':
+      return `changed spec  ${step.file}`;
+    case 'changed-file':
+      return `changed file  ${step.file}`;
+    case 'imported-by':
+      return `imported by   ${step.file}`;
+    case 'global-watch': {
+      const projects = step.projects.length > 0 ? ` (projects: ${step.projects.join(', ')})` : '';
+      return `global watch  ${step.files.join(', ')}${projects}`;
+    }
+    case 'changed-member': {
+      const location = step.file ? ` (${step.file})` : '';
+      return `changed       ${step.className}.${step.memberName}${step.removed ? ' [removed or renamed]' : ''}${location}`;
+    }
+    case 'called-by':
+      return `called by     ${step.className}.${step.memberName}${step.file ? ` (${step.file})` : ''}`;
+    case 'projected':
+      return `projected     ${step.className}.${step.memberName} (${step.via} from ${step.fromClass})`;
+    case 'fixture':
+      return `fixture       ${step.fixtureKey} -> ${step.className}`;
+    case 'call-site':
+      return `call site     ${step.file}:${step.line}:${step.column} ${step.callee} (${step.certainty})`;
+    case 'runtime-call':
+      return `runtime call  ${step.className}.${step.memberName} recorded in ${step.file}`;
+    default:
+      return step.kind;
+  }
+};
+
+const formatList = (values) => (values.length > 0 ? values.join(', ') : 'none');
+
+const formatExclusionDetails = (details) => {
+  const lines = [];
+  if (details.changedFiles) lines.push(`changed files: ${formatList(details.changedFiles)}`);
+  if (details.boundFixtureKeys) lines.push(`bound fixtures: ${formatList(details.boundFixtureKeys)}`);
+  if (details.impactedFixtureKeys) lines.push(`impacted fixtures: ${formatList(details.impactedFixtureKeys)}`);
+  for (const fixture of details.boundFixtures || []) {
+    lines.push(`fixture ${fixture.fixtureKey} -> ${fixture.className} (impacted: ${formatList(fixture.impactedMembers)})`);
+  }
+  for (const callSite of details.uncertainCallSites || []) {
+    lines.push(`uncertain call site ${callSite.file}:${callSite.line}:${callSite.column} ${callSite.callee} (bias: ${details.selectionBias})`);
+  }
+  if (details.coverageMapMode) lines.push(`runtime coverage (${details.coverageMapMode}) recorded no impacted call`);
+  return lines;
+};
+
+/**
+ * Format an explainSpecSelection result as indented text: one numbered chain per matched call site,
+ * or the drop reason and its facts for a spec that was not selected.
+ */
+const formatSpecExplanation = (explanation) => {
+  if (!explanation.selected) {
+    const { reason, details } = explanation.exclusion || { reason: null, details: {} };
+    const header = `${explanation.spec}: not selected${reason ? ` (${reason})` : ''}`;
+    return [header, ...formatExclusionDetails(details || {}).map((line) => `  ${line}`)].join('\n');
+  }
+  const lines = [`${explanation.spec}: selected (${explanation.reason})`];
+  explanation.chains.forEach((chain, index) => {
+    lines.push(`  chain ${index + 1}:`);
+    for (const step of chain) lines.push(`    ${formatExplanationStep(step)}`);
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Format an analyzeCommitBreakdown result: one block per commit (short sha, subject, spec count),
+ * its impacted members and selected specs, then the union over the range.
+ */
+const formatCommitBreakdown = (breakdown) => {
+  const lines = [];
+  for (const commit of breakdown.commits) {
+    const forced = commit.forcedAllSpecs ? ', global watch' : '';
+    lines.push(`${commit.sha.slice(0, 7)} ${commit.subject} (${commit.selectedSpecsRelative.length} specs${forced})`);
+    lines.push(`  members: ${formatList(commit.impactedMembers)}`);
+    lines.push(`  specs: ${formatList(commit.selectedSpecsRelative)}`);
+  }
+  lines.push(`total: ${breakdown.selectedSpecsRelative.length} specs from ${breakdown.commits.length} commits`);
+  return lines.join('\n');
+};
+
+const formatRatio = (value) => (value === null ? 'n/a' : value.toFixed(4));
+
+/**
+ * Format a validateSelection result: counts, precision and recall, then each missed failure
+ * with its failed tests, drop reason and the facts behind it.
+ */
+const formatSelectionValidation = (validation) => {
+  const caught = validation.caughtFailures.length;
+  const lines = [
+    `failed specs: ${validation.failedSpecs.length}, caught: ${caught}, missed: ${validation.missedFailures.length}`,
+    `precision: ${formatRatio(validation.precision)} (${caught} of ${validation.selectedSpecs - validation.selectedSpecsNotInReport.length} selected specs failed)`,
+    `recall: ${formatRatio(validation.recall)} (${caught} of ${validation.failedSpecs.length} failed specs selected)`,
+  ];
+  if (validation.missedFailures.length > 0) lines.push('missed failures:');
+  for (const miss of validation.missedFailures) {
+    lines.push(`  ${miss.spec}: ${miss.exclusionReason || 'not analyzed'}`);
+    for (const title of miss.failedTests) lines.push(`    failed: ${title}`);
+    for (const line of formatExclusionDetails(miss.exclusionDetails || {})) lines.push(`    ${line}`);
+  }
+  return lines.join('\n');
+};
+
+const BACKTEST_COLUMNS = [
+  ['bias', (row) => row.selectionBias],
+  ['runs', (row) => String(row.runs)],
+  ['errors', (row) => String(row.errors)],
+  ['mean specs', (row) => row.meanSelectedSpecs.toFixed(1)],
+  ['mean share', (row) => `${(row.meanSuiteShare * 100).toFixed(1)}%`],
+  ['forced-all', (row) => String(row.forcedAllRuns)],
+  ['uncertain', (row) => String(row.uncertainCallSites)],
+  ['mean ms', (row) => row.meanTotalMs.toFixed(1)],
+];
+
+/**
+ * Format a backtest summary as an aligned table, one row per selection bias.
+ */
+const formatBacktestSummary = (summary) => {
+  const rows = [
+    BACKTEST_COLUMNS.map(([title]) => title),
+    ...summary.map((row) => BACKTEST_COLUMNS.map(([, getValue]) => getValue(row))),
+  ];
+  const widths = BACKTEST_COLUMNS.map((_column, index) => Math.max(...rows.map((row) => row[index].length)));
+  return rows
+    .map((row) => row.map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index]))).join('  '))
+    .join('\n');
+};
+
+/**
+ * Format a queryImpactedSpecs result: each spec with its selection reason and the tests that reach the
+ * targets, then a count of precise and uncertain matches.
+ */
+const formatQueryResult = (result) => {
+  const lines = [];
+  const reasons = result.selectedSpecs.map((specPath) => result.selectionReasons.get(specPath));
+  for (const [index, specPath] of result.selectedSpecs.entries()) {
+    lines.push(`${result.selectedSpecsRelative[index]}: ${reasons[index]}`);
+    const impactedTests = result.impactedTestsBySpec.get(specPath);
+    if (!impactedTests || impactedTests.wholeFile) {
+      lines.push('  whole file');
+      continue;
+    }
+    for (const testBlock of impactedTests.tests) {
+      lines.push(`  ${testBlock.titlePath.map((title) => (title === null ? '<dynamic title>' : title)).join(' > ')} (line ${testBlock.line})`);
+    }
+  }
+  const precise = reasons.filter((reason) => reason === 'matched-precise').length;
+  const uncertain = reasons.filter((reason) => reason === 'matched-uncertain-fail-open').length;
+  lines.push(`${result.selectedSpecs.length} specs reach ${result.targets.join(', ')} (${precise} precise, ${uncertain} uncertain)`);
+  return lines.join('\n');
+};
+
+/**
+ * Format a reportUnusedMembers result: unused members grouped by file, then unused classes and fixtures,
+ * the classes kept whole because of dynamic use, and a count line.
+ */
+const formatUnusedReport = (report) => {
+  const lines = [];
+  const membersByFile = new Map();
+  for (const member of report.unusedMembers) {
+    if (!membersByFile.has(member.file)) membersByFile.set(member.file, []);
+    membersByFile.get(member.file).push(member);
+  }
+  for (const [file, members] of membersByFile) {
+    lines.push(file);
+    for (const member of members) lines.push(`  ${member.className}.${member.memberName} (${member.kind}, line ${member.line})`);
+  }
+  if (report.unusedClasses.length > 0) lines.push(`Unused classes: ${report.unusedClasses.join(', ')}`);
+  for (const { fixtureKey, className } of report.unusedFixtures) lines.push(`Unused fixture: ${fixtureKey} -> ${className}`);
+  for (const { className, files } of report.dynamicallyUsedClasses) {
+    lines.push(`Kept whole (dynamic use): ${className} in ${files.join(', ')}`);
+  }
+  lines.push(
+    `${report.unusedMembers.length} of ${report.stats.members} members unused, `
+    + `${report.unusedFixtures.length} of ${report.stats.fixtures} fixtures unused`
+  );
+  return lines.join('\n');
+};
+
 module.exports = {
   formatSelectionReasonsForLog,
+  formatSpecExplanation,
+  formatCommitBreakdown,
+  formatBacktestSummary,
+  formatSelectionValidation,
+  formatQueryResult,
+  formatUnusedReport,
 };
@@ -8,14 +8,32 @@ export type ChangedEntry = {
   rawStatus?: string;
 };
 
+export type ProfileProject = {
+  name: string;
+  testDirRelative: string;
+  testMatch?: Array<string | RegExp>;
+  testIgnore?: Array<string | RegExp>;
+  /** A hit forces only this project's specs. */
+  globalWatchPatterns?: string[];
+};
+
 export type AnalyzeProfile = {
   testsRootRelative: string;
   changedSpecPrefix: string;
-  isRelevantPomPath: (filePath: string) => boolean;
+  /** Either this function or `pomPathGlobs` must be set. */
+  isRelevantPomPath?: (filePath: string) => boolean;
+  pomPathGlobs?: string[];
+  pomPathExclude?: string[];
   analysisRootsRelative?: string[];
   fixturesTypesRelative?: string;
   globalWatchPatterns?: string[];
   globalWatchMode?: 'force-all-in-project' | 'disabled';
+  projects?: ProfileProject[];
+  /**
+   * `syntactic` (default) matches classes, fields and calls by name. `typechecker` builds a ts.Program from
+   * the repo's tsconfig.json and resolves heritage clauses, field types, call targets and spec receivers by symbol.
+   */
+  resolution?: 'syntactic' | 'typechecker';
 };
 
 export type AnalyzeOptions = {
@@ -26,6 +44,66 @@ export type AnalyzeOptions = {
   includeWorkingTreeWithBase?: boolean;
   fileExtensions?: string[];
   selectionBias?: 'fail-open' | 'balanced' | 'fail-closed';
+  /** Coverage map written by `@autotests/playwright-impact/coverage-reporter`. */
+  coverageMapPath?: string | null;
+  /**
+   * `merge` (default) adds specs with recorded impacted calls to Stage B, `replace` lets coverage decide for covered specs.
+   * Coverage misses calls through composed objects, extracted methods and returned objects; `replace` warns when it
+   * drops a spec Stage B matched.
+   */
+  coverageMapMode?: 'merge' | 'replace';
+  /** Opt-in folder for the persistent per-file analysis cache, relative to repoRoot. */
+  cacheDir?: string | null;
+  /**
+   * Unified diff (relative to repoRoot) already applied to the working tree; replaces git as the change source.
+   * Base contents are rebuilt by reverse-applying its hunks, so no git history is needed.
+   */
+  patchPath?: string | null;
+  /**
+   * Head commit to analyze instead of the working tree (requires baseRef). Changes are `baseRef...headRef`
+   * and every stage reads files from the head commit's tree, so the checkout does not matter.
+   */
+  headRef?: string | null;
+};
+
+export type ImpactedTestBlock = {
+  kind: 'test' | 'describe';
+  /** null when the title is not a string literal. */
+  title: string | null;
+  titlePath: Array<string | null>;
+  line: number;
+  column: number;
+};
+
+export type ImpactedTests = {
+  /** true when the spec must run as a whole (direct change, hooks at file level, forced, ...). */
+  wholeFile: boolean;
+  tests: ImpactedTestBlock[];
+};
+
+export type StageTimings = {
+  changedEntries: number;
+  globalWatch: number;
+  importGraph: number;
+  semanticSeed: number;
+  propagation: number;
+  stageA: number;
+  runtimeCoverage: number;
+  stageB: number;
+  testSelection: number;
+  total: number;
+};
+
+/** Evidence behind one selection reason; all paths are repo-relative. */
+export type SelectionReasonRecord = {
+  reason: string;
+  /** Impacted `Class.method` names the spec calls; from precise, uncertain or runtime matches. */
+  matchedMembers: string[];
+  uncertainCallSites: Array<{ file: string; line: number; column: number; callee: string; snippet: string }>;
+  /** Changed file -> importers -> spec; only for `matched-import-graph`. */
+  importChain: string[];
+  /** `pattern` is null when the file was reached through the imports of a watched file; `project` is null for global patterns. */
+  globalWatchHits: Array<{ file: string; pattern: string | null; project: string | null }>;
 };
 
 export type AnalyzeResult = {
@@ -34,6 +112,7 @@ export type AnalyzeResult = {
   changedPomEntries: ChangedEntry[];
   directChangedSpecFiles: string[];
   statusSummary: { A: number; M: number; D: number; R: number };
+  /** Class ids: the class name, or `path/to/file.ts:ClassName` when several page files declare that name. */
   impactedClasses: Set<string>;
   impactedMethodsByClass: Map<string, Set<string>>;
   fixtureKeys: Set<string>;
@@ -47,6 +126,10 @@ export type AnalyzeResult = {
   droppedByMethodFilter: number;
   retainedWithoutMethodFilter: number;
   selectionReasons: Map<string, string>;
+  /** Reason code plus evidence for every selected spec. */
+  selectionReasonRecords: Map<string, SelectionReasonRecord>;
+  /** Drop reason (`excluded-*`) for every spec under the tests root that was not selected. */
+  exclusionReasons: Map<string, string>;
   hasAnythingToRun: boolean;
   warnings: string[];
   coverageStats: {
@@ -62,13 +145,355 @@ export type AnalyzeResult = {
   forcedAllSpecsReason: string | null;
   globalWatchMatches: string[];
   globalWatchResolvedFiles: string[];
+  cacheStats: { enabled: boolean; hits: number; misses: number; invalidated: boolean };
+  /** Wall-clock milliseconds per pipeline stage; stages skipped by a fast exit report 0. */
+  stageTimings: StageTimings;
+  /** Files read from disk and parsed into an AST during this run; each file counts at most once. */
+  sourceFileStats: { filesRead: number; filesParsed: number };
+  forcedProjects: string[];
+  selectedSpecsByProject: Map<string, string[]>;
+  playwrightProjectArgs: string[];
+  impactedTestsBySpec: Map<string, ImpactedTests>;
+  /** `file:line` per impacted test, or the plain spec path when the spec runs whole. */
+  testLocationArgs: string[];
+  /** null when any selected spec runs whole or an impacted title is dynamic. */
+  testGrepPattern: string | null;
 };
 
 export function analyzeImpactedSpecs(options: AnalyzeOptions): AnalyzeResult;
 
+/** A hypothetical change; paths are repo-relative. */
+export type VirtualChange = {
+  path: string;
+  status: 'A' | 'M' | 'D' | 'R';
+  /** Previous path of a renamed file; required for `R`. */
+  oldPath?: string;
+  /** Defaults to the file on disk (at `oldPath` for renames). */
+  baseContent?: string;
+  /** Required for every status except `D`. */
+  headContent?: string;
+};
+
+export function analyzeVirtualChanges(options: AnalyzeOptions & { changes: VirtualChange[] }): AnalyzeResult;
+
+/** Impact of one commit analyzed against its parent; spec paths are repo-relative. */
+export type CommitImpact = {
+  sha: string;
+  subject: string;
+  selectedSpecsRelative: string[];
+  /** `Class.member` entries impacted by this commit alone. */
+  impactedMembers: string[];
+  forcedAllSpecs: boolean;
+  warnings: string[];
+};
+
+export type CommitBreakdown = {
+  baseRef: string;
+  headRef: string;
+  /** Non-merge commits of `baseRef..headRef`, oldest first. */
+  commits: CommitImpact[];
+  selectedSpecsRelative: string[];
+  impactedMembers: string[];
+  /** Spec -> shas of the commits that selected it. */
+  commitsBySpec: Map<string, string[]>;
+  hasAnythingToRun: boolean;
+};
+
+export function analyzeCommitBreakdown(options: AnalyzeOptions & { baseRef: string; headRef?: string }): CommitBreakdown;
+
+export function formatCommitBreakdown(breakdown: CommitBreakdown): string;
+
+export type SelectionBias = 'fail-open' | 'balanced' | 'fail-closed';
+
+/** One merge commit analyzed with one bias; a failed run has only the identifying fields and `error`. */
+export type BacktestRecord = {
+  commit: string;
+  subject: string;
+  selectionBias: SelectionBias;
+  selectedSpecs?: number;
+  totalSpecs?: number;
+  /** selectedSpecs / totalSpecs, rounded to 4 decimals. */
+  suiteShare?: number;
+  forcedAllSpecs?: boolean;
+  uncertainCallSites?: number;
+  warnings?: number;
+  stageTimings?: Record<string, number>;
+  error?: string;
+};
+
+export type BacktestSummary = {
+  selectionBias: SelectionBias;
+  runs: number;
+  errors: number;
+  meanSelectedSpecs: number;
+  meanSuiteShare: number;
+  forcedAllRuns: number;
+  uncertainCallSites: number;
+  meanTotalMs: number;
+};
+
+export function backtestImpactedSpecs(options: Omit<AnalyzeOptions, 'baseRef' | 'patchPath' | 'selectionBias'> & {
+  /** Merge commits to replay (default 20). */
+  limit?: number;
+  /** Commit whose first-parent history is replayed (default HEAD). */
+  headRef?: string;
+  /** Biases to run for every merge (default: all three). */
+  selectionBiases?: SelectionBias[];
+  /** Records file, relative to repoRoot; `.csv` writes CSV, anything else NDJSON. */
+  outputPath?: string | null;
+  outputFormat?: 'ndjson' | 'csv' | null;
+}): {
+  merges: number;
+  records: BacktestRecord[];
+  summary: BacktestSummary[];
+  outputPath: string | null;
+};
+
+export function formatBacktestSummary(summary: BacktestSummary[]): string;
+
+export type WatchUpdate = {
+  /** null when the recompute failed; see `error`. */
+  result: AnalyzeResult | null;
+  selectedSpecs: string[];
+  addedSpecs: string[];
+  removedSpecs: string[];
+  /** Repo-relative files that triggered this update; empty for the initial selection. */
+  changedFiles: string[];
+  error: Error | null;
+};
+
+export type WatchOptions = AnalyzeOptions & {
+  /** Quiet period that batches bursts of file events, in milliseconds (default 100). */
+  debounceMs?: number;
+};
+
+export function watchImpactedSpecs(options: WatchOptions, onChange: (update: WatchUpdate) => void): { close(): void };
+
 export function formatSelectionReasonsForLog(args: {
   selectedSpecs: string[];
   selectionReasons: Map<string, string>;
+  selectionReasonRecords?: Map<string, SelectionReasonRecord> | null;
   repoRoot: string;
   maxLines?: number;
 }): string;
+
+/** One link of an explain chain; `file` paths are repo-relative. */
+export type ExplanationStep =
+  | { kind: 'changed-spec'; file: string }
+  | { kind: 'changed-file'; file: string }
+  | { kind: 'imported-by'; file: string }
+  | { kind: 'global-watch'; files: string[]; projects: string[] }
+  | { kind: 'changed-member'; file: string | null; className: string; memberName: string; removed?: true }
+  | { kind: 'called-by'; file: string | null; className: string; memberName: string }
+  | { kind: 'projected'; via: 'inherited' | 'composed'; className: string; memberName: string; fromClass: string }
+  | { kind: 'fixture'; fixtureKey: string | null; className: string }
+  | { kind: 'call-site'; file: string; line: number; column: number; callee: string; certainty: 'precise' | 'uncertain' }
+  | { kind: 'runtime-call'; file: string; className: string; memberName: string };
+
+/** Facts behind a drop reason; which fields are set depends on the reason. */
+export type ExclusionDetails = {
+  changedFiles?: string[];
+  boundFixtureKeys?: string[];
+  impactedFixtureKeys?: string[];
+  boundFixtures?: Array<{ fixtureKey: string; className: string; impactedMembers: string[] }>;
+  selectionBias?: 'fail-open' | 'balanced' | 'fail-closed';
+  uncertainCallSites?: Array<{
+    file: string;
+    line: number;
+    column: number;
+    callee: string;
+    fixtureKey: string | null;
+    className: string;
+    methodName: string | null;
+  }>;
+  coverageMapMode?: 'merge' | 'replace';
+};
+
+export type SpecExplanation = {
+  spec: string;
+  selected: boolean;
+  reason: string | null;
+  /** One chain per matched call site (or import path / runtime call), ordered from the change to the spec. */
+  chains: ExplanationStep[][];
+  /** null when the spec is selected. */
+  exclusion: { reason: string; details: ExclusionDetails } | null;
+  impactedTests: ImpactedTests | null;
+  warnings: string[];
+};
+
+export function explainSpecSelection(options: AnalyzeOptions & { spec: string }): SpecExplanation;
+
+export function explainExclusion(options: AnalyzeOptions & { spec: string }): {
+  spec: string;
+  excluded: boolean;
+  reason: string | null;
+  details: ExclusionDetails | null;
+};
+
+export function formatSpecExplanation(explanation: SpecExplanation): string;
+
+export type PlaywrightProjectInfo = {
+  name: string;
+  testDirRelative: string;
+  testMatch: Array<string | RegExp>;
+  testIgnore: Array<string | RegExp>;
+  dependencies: string[];
+};
+
+export function loadImpactConfig(args: {
+  repoRoot: string;
+  configPath?: string | null;
+  playwrightConfigPath?: string | null;
+}): {
+  profile: AnalyzeProfile & { isRelevantPomPath: (filePath: string) => boolean };
+  configPath: string | null;
+  fileExtensions: string[] | null;
+  warnings: string[];
+};
+
+export function resolvePlaywrightProfile(args: {
+  repoRoot: string;
+  configPath?: string | null;
+  overrides?: Partial<AnalyzeProfile>;
+}): {
+  profile: AnalyzeProfile;
+  fileExtensions: string[];
+  projects: PlaywrightProjectInfo[];
+  playwrightConfigPath: string;
+  warnings: string[];
+};
+
+export type SpecShard = {
+  /** 1-based shard index. */
+  index: number;
+  specs: string[];
+  estimatedDuration: number;
+};
+
+export function shardSelectedSpecs(args: {
+  selectedSpecs: string[];
+  shards: number;
+  durations?: Map<string, number> | Record<string, number> | null;
+}): {
+  shards: SpecShard[];
+  missingDurations: string[];
+};
+
+export function readSpecDurationsFromReport(args: { reportPath: string; repoRoot: string }): Map<string, number>;
+
+/** Test titles (`describe > test [project]`) per repo-relative spec; flaky tests passed on retry. */
+export function readSpecOutcomesFromReport(args: {
+  reportPath: string;
+  repoRoot: string;
+}): Map<string, { failedTests: string[]; flakyTests: string[] }>;
+
+export type SelectionValidation = {
+  specsInReport: number;
+  selectedSpecs: number;
+  failedSpecs: string[];
+  caughtFailures: Array<{ spec: string; selectionReason: string | null; failedTests: string[] }>;
+  /** Failed specs the selection would have skipped, with their drop reason. */
+  missedFailures: Array<{
+    spec: string;
+    failedTests: string[];
+    exclusionReason: string | null;
+    /** Set when validateSelection ran the analysis itself. */
+    exclusionDetails: ExclusionDetails | null;
+  }>;
+  /** Share of selected (and executed) specs that failed; null without any. */
+  precision: number | null;
+  /** Share of failed specs that were selected; null without failures. */
+  recall: number | null;
+  selectedSpecsNotInReport: string[];
+  warnings: string[];
+};
+
+export function validateSelection(options: AnalyzeOptions & {
+  reportPath: string;
+  /** An analyzeImpactedSpecs result or its `--format json` output; analyzes now when omitted. */
+  result?: AnalyzeResult | { selectedSpecs: string[]; selectionReasons?: Record<string, string>; exclusionReasons?: Record<string, string> } | null;
+}): SelectionValidation;
+
+export function formatSelectionValidation(validation: SelectionValidation): string;
+
+export type ImpactGraphNode = {
+  /** `class:<Class>`, `member:<Class>#<member>`, `fixture:<key>` or `file:<repo-relative path>`. */
+  id: string;
+  kind: 'class' | 'member' | 'fixture' | 'file' | 'spec';
+  label: string;
+  /** Repo-relative file that declares a class. */
+  file?: string;
+  /** Set on nodes the change itself modified (scope `change` only). */
+  changed?: true;
+};
+
+export type ImpactGraphEdge = {
+  from: string;
+  to: string;
+  /** extends: child -> parent; mixes: class -> applied mixin factory; composes: owner -> field class; declares: class -> member; calls: caller -> callee; binds: fixture -> class; imports: importer -> dependency. */
+  kind: 'extends' | 'mixes' | 'composes' | 'declares' | 'calls' | 'binds' | 'imports';
+};
+
+export type ImpactGraph = {
+  schemaVersion: 1;
+  scope: 'full' | 'change';
+  nodes: ImpactGraphNode[];
+  edges: ImpactGraphEdge[];
+};
+
+export type ImpactGraphFormat = 'dot' | 'mermaid' | 'json';
+
+/** Whole-tree graphs, or with `scope: 'change'` only the subgraph the current change touches. */
+export function exportImpactGraph(options: AnalyzeOptions & { scope?: 'full' | 'change' }): ImpactGraph;
+
+export function formatImpactGraph(args: { graph: ImpactGraph; format: ImpactGraphFormat }): string;
+
+export type QueryResult = {
+  targets: string[];
+  selectedSpecs: string[];
+  selectedSpecsRelative: string[];
+  selectionReasons: Map<string, string>;
+  selectionReasonRecords: Map<string, SelectionReasonRecord>;
+  impactedClasses: Set<string>;
+  impactedMethodsByClass: Map<string, Set<string>>;
+  fixtureKeys: Set<string>;
+  impactedTestsBySpec: Map<string, ImpactedTests>;
+  testLocationArgs: string[];
+  testGrepPattern: string | null;
+  hasAnythingToRun: boolean;
+  coverageStats: { uncertainCallSites: number };
+  warnings: string[];
+};
+
+/**
+ * Specs and tests that reach `Class.member` or file targets, from the working tree without any diff.
+ * A class name declared in several page files must be qualified: `path/to/file.ts:Class.member`.
+ */
+export function queryImpactedSpecs(
+  options: Pick<AnalyzeOptions, 'repoRoot' | 'profile' | 'fileExtensions' | 'selectionBias'> & { targets: string[] }
+): QueryResult;
+
+export function formatQueryResult(result: QueryResult): string;
+
+export type UnusedMember = {
+  className: string;
+  memberName: string;
+  kind: 'method' | 'getter' | 'setter' | 'accessor' | 'field';
+  file: string;
+  line: number;
+};
+
+export type UnusedReport = {
+  unusedMembers: UnusedMember[];
+  unusedClasses: string[];
+  unusedFixtures: Array<{ fixtureKey: string; className: string }>;
+  /** Classes kept whole because a spec used them dynamically (computed key, fixture passed on). */
+  dynamicallyUsedClasses: Array<{ className: string; files: string[] }>;
+  stats: { classes: number; members: number; unusedMembers: number; fixtures: number; specs: number };
+  warnings: string[];
+};
+
+/** POM members no spec reaches, directly or through other members, and fixtures no spec destructures. */
+export function reportUnusedMembers(options: Pick<AnalyzeOptions, 'repoRoot' | 'profile' | 'fileExtensions'>): UnusedReport;
+
+export function formatUnusedReport(report: UnusedReport): string;
@@ -1,10 +1,54 @@
 'use strict';
 
 const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
-const { formatSelectionReasonsForLog } = require('./format-analyze-result');
+const { analyzeVirtualChanges } = require('./analyze-virtual-changes');
+const { analyzeCommitBreakdown } = require('./analyze-commit-breakdown');
+const { backtestImpactedSpecs } = require('./backtest-impacted-specs');
+const { validateSelection } = require('./validate-selection');
+const { exportImpactGraph } = require('./export-impact-graph');
+const { queryImpactedSpecs } = require('./query-impacted-specs');
+const { reportUnusedMembers } = require('./report-unused-members');
+const { watchImpactedSpecs } = require('./watch-impacted-specs');
+const { explainSpecSelection, explainExclusion } = require('./explain-spec-selection');
+const {
+  formatSelectionReasonsForLog,
+  formatSpecExplanation,
+  formatCommitBreakdown,
+  formatBacktestSummary,
+  formatSelectionValidation,
+  formatQueryResult,
+  formatUnusedReport,
+} = require('./format-analyze-result');
+const { loadImpactConfig } = require('./modules/profile-config-helpers');
+const { resolvePlaywrightProfile } = require('./modules/playwright-config-helpers');
+const { readSpecDurationsFromReport, readSpecOutcomesFromReport } = require('./modules/playwright-report-helpers');
+const { shardSelectedSpecs } = require('./modules/shard-helpers');
+const { formatImpactGraph } = require('./modules/impact-graph-helpers');
 
 // Public library surface.
 module.exports = {
   analyzeImpactedSpecs,
+  analyzeVirtualChanges,
+  analyzeCommitBreakdown,
+  backtestImpactedSpecs,
+  validateSelection,
+  exportImpactGraph,
+  queryImpactedSpecs,
+  reportUnusedMembers,
+  watchImpactedSpecs,
+  explainSpecSelection,
+  explainExclusion,
   formatSelectionReasonsForLog,
+  formatSpecExplanation,
+  formatCommitBreakdown,
+  formatBacktestSummary,
+  formatSelectionValidation,
+  formatImpactGraph,
+  formatQueryResult,
+  formatUnusedReport,
+  loadImpactConfig,
+  resolvePlaywrightProfile,
+  readSpecDurationsFromReport,
+  readSpecOutcomesFromReport,
+  shardSelectedSpecs,
 };
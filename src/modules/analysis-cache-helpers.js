@@ -0,0 +1,133 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+// Bump when the shape of any cached fact, or what is extracted into it, changes.
+const CACHE_FORMAT_VERSION = 3;
+const CACHE_FILE_NAME = 'analysis-cache.json';
+
+const hashText = (text) => crypto.createHash('sha1').update(String(text)).digest('hex');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const readOptionalFile = (filePath, readText = (absPath) => fs.readFileSync(absPath, 'utf8')) => {
+  try {
+    return readText(filePath);
+  } catch (_error) {
+    return '';
+  }
+};
+
+/**
+ * Hash of everything that can change the meaning of cached per-file facts without changing
+ * the file itself: the cache format, the TypeScript parser, tsconfig.json and the fixtures types file.
+ */
+const getCacheContextHash = ({ repoRoot, contextFilesRelative = [], readText }) => hashText(JSON.stringify({
+  formatVersion: CACHE_FORMAT_VERSION,
+  typescriptVersion: ts.version,
+  files: contextFilesRelative.map((relativePath) => [relativePath, hashText(readOptionalFile(path.join(repoRoot, relativePath), readText))]),
+}));
+
+const createNoopAnalysisCache = () => ({
+  enabled: false,
+  getOrCompute: (_kind, _filePath, _content, compute) => compute(),
+  save: () => {},
+  getStats: () => ({ enabled: false, hits: 0, misses: 0, invalidated: false }),
+});
+
+const readCacheEntries = ({ cacheFilePath, contextHash }) => {
+  if (!fs.existsSync(cacheFilePath)) return { entries: new Map(), invalidated: false };
+  try {
+    const raw = JSON.parse(fs.readFileSync(cacheFilePath, 'utf8'));
+    if (!raw || raw.contextHash !== contextHash || !raw.entries || typeof raw.entries !== 'object') {
+      return { entries: new Map(), invalidated: true };
+    }
+    return { entries: new Map(Object.entries(raw.entries)), invalidated: false };
+  } catch (_error) {
+    // A truncated cache (for example from a cancelled CI job) is rebuilt instead of failing the run.
+    return { entries: new Map(), invalidated: true };
+  }
+};
+
+// Lookup shared by the persistent and in-memory caches; `persist` writes the entries out on save.
+const createEntryCache = ({ repoRoot, entries, invalidated, persist }) => {
+  let hits = 0;
+  let misses = 0;
+  let dirty = invalidated;
+
+  const getOrCompute = (kind, filePath, content, compute) => {
+    const key = `${kind}:${normalizePath(path.relative(repoRoot, filePath))}`;
+    const contentHash = hashText(content);
+    const cached = entries.get(key);
+    if (cached && cached.hash === contentHash) {
+      hits += 1;
+      return cached.data;
+    }
+    misses += 1;
+    const data = compute();
+    entries.set(key, { hash: contentHash, data });
+    dirty = true;
+    return data;
+  };
+
+  const save = () => {
+    if (!dirty) return;
+    persist(entries);
+    dirty = false;
+  };
+
+  return {
+    enabled: true,
+    getOrCompute,
+    save,
+    getStats: () => ({ enabled: true, hits, misses, invalidated }),
+  };
+};
+
+/**
+ * Opt-in persistent cache of per-file analysis facts (parsed class models, import specifiers,
+ * fixture usage), keyed by fact kind + repo-relative path and validated by content hash.
+ * Without cacheDir a no-op cache is returned, so callers never branch on it.
+ * `readText` reads the context files (defaults to the working tree; analysis of a commit passes its tree).
+ */
+const createAnalysisCache = ({ repoRoot, cacheDir = null, contextFilesRelative = [], readText }) => {
+  if (!cacheDir) return createNoopAnalysisCache();
+
+  const cacheFilePath = path.join(path.resolve(repoRoot, cacheDir), CACHE_FILE_NAME);
+  const contextHash = getCacheContextHash({ repoRoot, contextFilesRelative, readText });
+  const { entries, invalidated } = readCacheEntries({ cacheFilePath, contextHash });
+
+  return createEntryCache({
+    repoRoot,
+    entries,
+    invalidated,
+    persist: (currentEntries) => {
+      const sortedEntries = Object.fromEntries(Array.from(currentEntries.entries()).sort(([a], [b]) => a.localeCompare(b)));
+      fs.mkdirSync(path.dirname(cacheFilePath), { recursive: true });
+      // Write then rename, so a concurrent reader never sees a half-written file.
+      const tempPath = `${cacheFilePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ contextHash, entries: sortedEntries }), 'utf8');
+      fs.renameSync(tempPath, cacheFilePath);
+    },
+  });
+};
+
+/**
+ * In-memory cache with the same content-hash validation, for long-running sessions such as watch mode.
+ * Pass the same `entries` map to each run's cache to reuse facts of unchanged files; nothing is written to disk.
+ */
+const createMemoryAnalysisCache = ({ repoRoot, entries = new Map() }) => createEntryCache({
+  repoRoot,
+  entries,
+  invalidated: false,
+  persist: () => {},
+});
+
+module.exports = {
+  createAnalysisCache,
+  createMemoryAnalysisCache,
+  createNoopAnalysisCache,
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const BACKTEST_FORMATS = ['ndjson', 'csv'];
+const RECORD_COLUMNS = [
+  'commit',
+  'subject',
+  'selectionBias',
+  'selectedSpecs',
+  'totalSpecs',
+  'suiteShare',
+  'forcedAllSpecs',
+  'uncertainCallSites',
+  'warnings',
+  'error',
+];
+
+const roundRatio = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * One backtest row: the size of a run's selection against the whole suite, and the signals worth tracking
+ * across history (uncertain call sites, forced-all hits, stage timings). A failed run keeps only its `error`.
+ */
+const toBacktestRecord = ({ commit, selectionBias, result = null, error = null }) => {
+  if (error) {
+    return { commit: commit.sha, subject: commit.subject, selectionBias, error: error.message };
+  }
+  // Every spec under the tests root is either selected or has a drop reason.
+  const totalSpecs = result.selectedSpecs.length + result.exclusionReasons.size;
+  return {
+    commit: commit.sha,
+    subject: commit.subject,
+    selectionBias,
+    selectedSpecs: result.selectedSpecs.length,
+    totalSpecs,
+    suiteShare: totalSpecs > 0 ? roundRatio(result.selectedSpecs.length / totalSpecs) : 0,
+    forcedAllSpecs: result.forcedAllSpecs,
+    uncertainCallSites: result.coverageStats.uncertainCallSites,
+    warnings: result.warnings.length,
+    stageTimings: result.stageTimings,
+  };
+};
+
+/**
+ * Per-bias totals over all records, in the order the biases were run, for side-by-side comparison.
+ */
+const summarizeBacktest = ({ records, selectionBiases }) => selectionBiases.map((selectionBias) => {
+  const runs = records.filter((record) => record.selectionBias === selectionBias);
+  const succeeded = runs.filter((record) => !record.error);
+  const mean = (key) => (succeeded.length > 0
+    ? roundRatio(succeeded.reduce((sum, record) => sum + record[key], 0) / succeeded.length)
+    : 0);
+  return {
+    selectionBias,
+    runs: runs.length,
+    errors: runs.length - succeeded.length,
+    meanSelectedSpecs: mean('selectedSpecs'),
+    meanSuiteShare: mean('suiteShare'),
+    forcedAllRuns: succeeded.filter((record) => record.forcedAllSpecs).length,
+    uncertainCallSites: succeeded.reduce((sum, record) => sum + record.uncertainCallSites, 0),
+    meanTotalMs: succeeded.length > 0
+      ? roundRatio(succeeded.reduce((sum, record) => sum + record.stageTimings.total, 0) / succeeded.length)
+      : 0,
+  };
+});
+
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records as NDJSON (one JSON object per line) or CSV.
+ * CSV flattens stage timings into `<stage>Ms` columns, taken from the first successful record.
+ */
+const formatBacktestRecords = ({ records, format }) => {
+  if (!BACKTEST_FORMATS.includes(format)) {
+    throw new Error(`Invalid backtest format "${format}". Expected one of: ${BACKTEST_FORMATS.join(', ')}`);
+  }
+  if (format === 'ndjson') return records.map((record) => `${JSON.stringify(record)}\n`).join('');
+
+  const timedRecord = records.find((record) => record.stageTimings);
+  const stages = timedRecord ? Object.keys(timedRecord.stageTimings) : [];
+  const header = [...RECORD_COLUMNS, ...stages.map((stage) => `${stage}Ms`)];
+  const rows = records.map((record) => [
+    ...RECORD_COLUMNS.map((column) => toCsvValue(record[column])),
+    ...stages.map((stage) => toCsvValue(record.stageTimings ? record.stageTimings[stage] : null)),
+  ].join(','));
+  return `${[header.join(','), ...rows].join('\n')}\n`;
+};
+
+// `.csv` writes CSV, anything else NDJSON, unless the format is given.
+const resolveBacktestFormat = ({ outputPath, format = null }) => {
+  if (format) return format;
+  return path.extname(String(outputPath || '')).toLowerCase() === '.csv' ? 'csv' : 'ndjson';
+};
+
+const writeBacktestRecords = ({ outputPath, records, format }) => {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, formatBacktestRecords({ records, format }), 'utf8');
+};
+
+module.exports = {
+  BACKTEST_FORMATS,
+  toBacktestRecord,
+  summarizeBacktest,
+  formatBacktestRecords,
+  resolveBacktestFormat,
+  writeBacktestRecords,
+};
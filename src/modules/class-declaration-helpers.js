@@ -0,0 +1,103 @@
+'use strict';
+
+const ts = require('typescript');
+
+// Strips parentheses, `as` casts, `!` and instantiation type arguments (`Mixin(Base<string>)`).
+const unwrapExpression = (node) => {
+  let current = node;
+  while (current && (ts.isParenthesizedExpression(current) || ts.isAsExpression(current)
+    || ts.isNonNullExpression(current) || ts.isExpressionWithTypeArguments(current))) {
+    current = current.expression;
+  }
+  return current;
+};
+
+// `Base` or `ns.Base` as written; null for anything else.
+const getExpressionName = (expression) => {
+  const node = unwrapExpression(expression);
+  if (!node) return null;
+  if (ts.isIdentifier(node)) return node.text;
+  if (ts.isPropertyAccessExpression(node)) {
+    const qualifier = getExpressionName(node.expression);
+    return qualifier ? `${qualifier}.${node.name.text}` : null;
+  }
+  return null;
+};
+
+/**
+ * The `extends` clause of a class: `extends ns.Base<T>` gives baseName 'ns.Base'; mixin calls are peeled off
+ * outermost first, so `extends A(B(Base))` gives mixins ['A', 'B'] and baseName 'Base'.
+ * A base that is one of `parameterNames` (the parameter of a mixin factory) is no class, so baseName is null.
+ */
+const readHeritage = (classNode, parameterNames = new Set()) => {
+  const clause = (classNode.heritageClauses || []).find((candidate) => candidate.token === ts.SyntaxKind.ExtendsKeyword);
+  if (!clause || clause.types.length === 0) return { baseName: null, mixins: [], extendsParameter: false };
+
+  const mixins = [];
+  let current = unwrapExpression(clause.types[0].expression);
+  while (current && ts.isCallExpression(current)) {
+    const mixinName = getExpressionName(current.expression);
+    if (!mixinName) return { baseName: null, mixins, extendsParameter: false };
+    mixins.push(mixinName);
+    current = unwrapExpression(current.arguments[0]);
+  }
+  const baseName = getExpressionName(current);
+  const extendsParameter = Boolean(baseName) && parameterNames.has(baseName);
+  return { baseName: extendsParameter ? null : baseName, mixins, extendsParameter };
+};
+
+// The class a mixin factory returns: `(Base) => class extends Base {}` or a body that returns one.
+const getMixinClass = (fn) => {
+  if (!fn || !fn.body) return null;
+  const parameterNames = new Set(fn.parameters.filter((parameter) => ts.isIdentifier(parameter.name)).map((parameter) => parameter.name.text));
+  const candidates = ts.isBlock(fn.body)
+    ? fn.body.statements.filter(ts.isReturnStatement).map((statement) => unwrapExpression(statement.expression))
+    : [unwrapExpression(fn.body)];
+  const classNode = candidates.find((candidate) => candidate && ts.isClassExpression(candidate));
+  if (!classNode) return null;
+  const heritage = readHeritage(classNode, parameterNames);
+  return heritage.extendsParameter ? { classNode, heritage } : null;
+};
+
+const isFunctionLike = (node) => Boolean(node) && (ts.isArrowFunction(node) || ts.isFunctionExpression(node));
+
+/**
+ * Classes declared at the top level of a file, read from the AST (so `class` in comments and strings never counts):
+ * - class declarations, abstract and default-exported ones included
+ * - class expressions bound to a const (`const Foo = class extends Bar {}`), named after the const
+ * - mixin factories (`const Timestamped = (Base) => class extends Base {}`, or a function that returns such
+ *   a class), named after the factory, with `isMixin: true`; their own base is a parameter, so baseName is null
+ * Each entry has the class node, its top-level statement, `baseName` as written and the `mixins` it applies.
+ */
+const collectClassDeclarations = (sourceFile) => {
+  const declarations = [];
+  const add = (name, classNode, statement, heritage, isMixin = false) => {
+    declarations.push({ name, classNode, statement, baseName: heritage.baseName, mixins: heritage.mixins, isMixin });
+  };
+
+  for (const statement of sourceFile.statements) {
+    if (ts.isClassDeclaration(statement)) {
+      if (statement.name) add(statement.name.text, statement, statement, readHeritage(statement));
+    } else if (ts.isFunctionDeclaration(statement)) {
+      const mixin = statement.name ? getMixinClass(statement) : null;
+      if (mixin) add(statement.name.text, mixin.classNode, statement, mixin.heritage, true);
+    } else if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (!ts.isIdentifier(declaration.name)) continue;
+        const initializer = unwrapExpression(declaration.initializer);
+        if (initializer && ts.isClassExpression(initializer)) {
+          add(declaration.name.text, initializer, statement, readHeritage(initializer));
+        } else if (isFunctionLike(initializer)) {
+          const mixin = getMixinClass(initializer);
+          if (mixin) add(declaration.name.text, mixin.classNode, statement, mixin.heritage, true);
+        }
+      }
+    }
+  }
+
+  return declarations;
+};
+
+module.exports = {
+  collectClassDeclarations,
+};
@@ -0,0 +1,182 @@
+'use strict';
+
+const path = require('path');
+const ts = require('typescript');
+const { createNoopAnalysisCache } = require('./analysis-cache-helpers');
+const { collectClassDeclarations } = require('./class-declaration-helpers');
+const { createSourceFileService } = require('./source-file-helpers');
+const { readCompilerOptions } = require('./type-resolution-helpers');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const hasModifier = (node, kind) => (ts.canHaveModifiers(node) ? ts.getModifiers(node) || [] : []).some((modifier) => modifier.kind === kind);
+
+/**
+ * Serializable module facts of one file: declared classes (see class-declaration-helpers), import bindings and re-exports.
+ * `importedName` is `default` for default imports and `*` for namespace imports and `export *`.
+ */
+const extractModuleFacts = (sourceFile) => {
+  const declarations = collectClassDeclarations(sourceFile);
+  const classes = declarations.map((declaration) => declaration.name);
+  const imports = [];
+  const reexports = [];
+  const defaultClass = declarations.find(({ statement }) => ts.isClassDeclaration(statement)
+    && hasModifier(statement, ts.SyntaxKind.DefaultKeyword))?.name || null;
+
+  for (const statement of sourceFile.statements) {
+    if (!statement.moduleSpecifier || !ts.isStringLiteral(statement.moduleSpecifier)) continue;
+    const specifier = statement.moduleSpecifier.text;
+
+    if (ts.isImportDeclaration(statement) && statement.importClause) {
+      const { name, namedBindings } = statement.importClause;
+      if (name) imports.push({ localName: name.text, importedName: 'default', specifier });
+      if (namedBindings && ts.isNamespaceImport(namedBindings)) {
+        imports.push({ localName: namedBindings.name.text, importedName: '*', specifier });
+      } else if (namedBindings) {
+        for (const element of namedBindings.elements) {
+          imports.push({ localName: element.name.text, importedName: (element.propertyName || element.name).text, specifier });
+        }
+      }
+    } else if (ts.isExportDeclaration(statement)) {
+      if (!statement.exportClause) {
+        reexports.push({ exportedName: '*', importedName: '*', specifier });
+      } else if (ts.isNamedExports(statement.exportClause)) {
+        for (const element of statement.exportClause.elements) {
+          reexports.push({ exportedName: element.name.text, importedName: (element.propertyName || element.name).text, specifier });
+        }
+      }
+    }
+  }
+
+  return { classes, defaultClass, imports, reexports };
+};
+
+/**
+ * Class identity across page files.
+ * A class is known by its bare name while exactly one page file declares that name, so ids of ordinary trees stay
+ * the class names. When several files declare it, each class gets the file-qualified id `relative/path.ts:Name`.
+ * Type names written in a file (`extends`, field types, fixture types) are resolved through that file's own
+ * declarations and imports (re-exports and tsconfig paths included); a duplicated name the imports do not settle
+ * resolves to null with a warning, so same-named classes never stand in for each other.
+ */
+const createClassIndex = ({
+  repoRoot,
+  pageFiles,
+  sourceFiles = createSourceFileService(),
+  analysisCache = createNoopAnalysisCache(),
+}) => {
+  const warnings = [];
+  const factsByFile = new Map();
+  const filesByClassName = new Map();
+  let compilerOptions = null;
+
+  const toAbsolute = (filePath) => path.resolve(repoRoot, filePath);
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, filePath));
+
+  const getModuleFacts = (absPath) => {
+    if (!factsByFile.has(absPath)) {
+      factsByFile.set(absPath, sourceFiles.exists(absPath)
+        ? analysisCache.getOrCompute('module-facts', absPath, sourceFiles.readText(absPath), () => extractModuleFacts(sourceFiles.getSourceFile(absPath)))
+        : null);
+    }
+    return factsByFile.get(absPath);
+  };
+
+  for (const filePath of pageFiles) {
+    const absPath = toAbsolute(filePath);
+    for (const className of getModuleFacts(absPath)?.classes || []) {
+      if (!filesByClassName.has(className)) filesByClassName.set(className, []);
+      if (!filesByClassName.get(className).includes(absPath)) filesByClassName.get(className).push(absPath);
+    }
+  }
+  for (const files of filesByClassName.values()) files.sort((a, b) => a.localeCompare(b));
+
+  /**
+   * Id of the class `className` declared in `filePath` (absolute or repo-relative). Files that no longer hold the
+   * class (a deleted file) are qualified too when the name lives on elsewhere.
+   */
+  const getClassId = (filePath, className) => {
+    const files = filesByClassName.get(className) || [];
+    const absPath = toAbsolute(filePath);
+    if (files.length === 0 || (files.length === 1 && files[0] === absPath)) return className;
+    return `${toRelative(absPath)}:${className}`;
+  };
+
+  const resolveModuleFile = (specifier, fromFile) => {
+    if (!compilerOptions) compilerOptions = readCompilerOptions({ repoRoot, sourceFiles, warnings }).options;
+    const host = {
+      fileExists: (fileName) => sourceFiles.exists(fileName),
+      readFile: (fileName) => (sourceFiles.exists(fileName) ? sourceFiles.readText(fileName) : undefined),
+    };
+    const { resolvedModule } = ts.resolveModuleName(specifier, fromFile, compilerOptions, host);
+    return resolvedModule ? path.resolve(resolvedModule.resolvedFileName) : null;
+  };
+
+  // The file that declares the class a module exports as `exportedName`, following re-exports.
+  const findDeclaringFile = (absPath, exportedName, visited = new Set()) => {
+    const visitKey = `${absPath}\0${exportedName}`;
+    if (!absPath || visited.has(visitKey)) return null;
+    visited.add(visitKey);
+    const facts = getModuleFacts(absPath);
+    if (!facts) return null;
+    if (exportedName === 'default' ? facts.defaultClass : facts.classes.includes(exportedName)) return absPath;
+
+    for (const reexport of facts.reexports) {
+      if (reexport.exportedName !== exportedName && reexport.exportedName !== '*') continue;
+      const importedName = reexport.exportedName === '*' ? exportedName : reexport.importedName;
+      const declaringFile = findDeclaringFile(resolveModuleFile(reexport.specifier, absPath), importedName, visited);
+      if (declaringFile) return declaringFile;
+    }
+    return null;
+  };
+
+  /**
+   * Id of the class a type name written in `fromFile` refers to: `Name`, or `ns.Name` through a namespace import.
+   * Names of no page class come back unchanged (minus any qualifier); ambiguous names come back as null.
+   */
+  const resolveClassName = (typeName, fromFile) => {
+    const parts = typeName.split('.');
+    const className = parts[parts.length - 1];
+    const files = filesByClassName.get(className) || [];
+    if (files.length <= 1) return className;
+
+    const absPath = toAbsolute(fromFile);
+    let declaringFile = parts.length === 1 && files.includes(absPath) ? absPath : null;
+    if (!declaringFile && parts.length <= 2) {
+      const binding = (getModuleFacts(absPath)?.imports || []).find((candidate) => candidate.localName === parts[0]
+        && (parts.length === 1 ? candidate.importedName !== '*' : candidate.importedName === '*'));
+      const importedName = parts.length === 1 ? binding?.importedName : className;
+      if (binding) declaringFile = findDeclaringFile(resolveModuleFile(binding.specifier, absPath), importedName);
+    }
+    if (declaringFile && files.includes(declaringFile)) return getClassId(declaringFile, className);
+
+    const warning = `Ambiguous class ${typeName} in ${toRelative(absPath)}: declared in ${files.map(toRelative).join(', ')}`;
+    if (!warnings.includes(warning)) warnings.push(warning);
+    return null;
+  };
+
+  /** Ids of every page class named `className`. */
+  const getClassIdsByName = (className) => (filesByClassName.get(className) || []).map((absPath) => getClassId(absPath, className));
+
+  return {
+    getClassId,
+    resolveClassName,
+    getClassIdsByName,
+    warnings,
+  };
+};
+
+/**
+ * Name-only identity for callers without a class index: every class is its bare name, as before file-qualified ids.
+ */
+const createNoopClassIndex = () => ({
+  getClassId: (_filePath, className) => className,
+  resolveClassName: (typeName) => typeName.slice(typeName.lastIndexOf('.') + 1),
+  getClassIdsByName: (className) => [className],
+  warnings: [],
+});
+
+module.exports = {
+  createClassIndex,
+  createNoopClassIndex,
+};
@@ -1,70 +1,147 @@
 'use strict';
 
-const parseClassNames = (content) => {
+const ts = require('typescript');
+const { createNoopAnalysisCache } = require('./analysis-cache-helpers');
+const { collectClassDeclarations } = require('./class-declaration-helpers');
+const { createNoopClassIndex } = require('./class-identity-helpers');
+
+const parseSourceText = (filePath, content) => ts.createSourceFile(
+  filePath,
+  content,
+  ts.ScriptTarget.Latest,
+  true,
+  filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS
+);
+
+const parseClassNames = (content, filePath) => {
   if (!content) return new Set();
-  const names = new Set();
-  const re = /(?:export\s+)?class\s+([A-Za-z_]\w*)/g;
-  let match = re.exec(content);
-  while (match) {
-    names.add(match[1]);
-    match = re.exec(content);
-  }
-  return names;
+  return new Set(collectClassDeclarations(parseSourceText(filePath, content)).map((declaration) => declaration.name));
 };
 
 /**
- * Build simple inheritance lookup maps from source files.
+ * Build inheritance lookup maps from the class declarations of the page files (see class-declaration-helpers).
  * These maps are reused in class impact and method propagation stages.
+ * `parentsByChild` holds each class's base class; for `extends A(B(Base))` that is Base, and the mixin factories
+ * A and B go to `mixinsByChild`. `childrenByParent` holds both kinds of edge, so descendants of a changed base or
+ * mixin are found the same way.
+ * Classes are keyed by their `classIndex` id; base class names resolve through the imports of the child's file.
+ * With a `typeResolver` (typechecker resolution), heritage clauses are resolved through the checker;
+ * the name-based match stays for classes the checker cannot place.
  */
-const buildInheritanceGraph = (pageFiles, readFile) => {
+const buildInheritanceGraph = (pageFiles, readFile, {
+  typeResolver = null,
+  classIndex = createNoopClassIndex(),
+  analysisCache = createNoopAnalysisCache(),
+  getSourceFile = null,
+} = {}) => {
   // Build parent/child lookup once so both Stage A and method propagation can resolve lineage.
   const parentsByChild = new Map();
   const childrenByParent = new Map();
+  const mixinsByChild = new Map();
+
+  const addChild = (parent, child) => {
+    if (!childrenByParent.has(parent)) childrenByParent.set(parent, new Set());
+    childrenByParent.get(parent).add(child);
+  };
+  const link = (child, parent) => {
+    parentsByChild.set(child, parent);
+    addChild(parent, child);
+  };
 
   for (const filePath of pageFiles) {
     const content = readFile(filePath, 'utf8');
-    const re = /(?:export\s+)?class\s+([A-Za-z_]\w*)\s+extends\s+([A-Za-z_]\w*)/g;
-    let match = re.exec(content);
-    while (match) {
-      const child = match[1];
-      const parent = match[2];
-      parentsByChild.set(child, parent);
-      if (!childrenByParent.has(parent)) childrenByParent.set(parent, new Set());
-      childrenByParent.get(parent).add(child);
-      match = re.exec(content);
+    // Heritage facts depend only on file content, so they can come from the persistent analysis cache.
+    const declarations = analysisCache.getOrCompute('class-heritage', filePath, content, () => collectClassDeclarations(
+      getSourceFile ? getSourceFile(filePath) : parseSourceText(filePath, content)
+    ).map(({ name, baseName, mixins }) => ({ name, baseName, mixins })));
+
+    for (const { name, baseName, mixins } of declarations) {
+      const child = classIndex.getClassId(filePath, name);
+      const parent = baseName ? classIndex.resolveClassName(baseName, filePath) : null;
+      if (parent) link(child, parent);
+      const mixinClasses = mixins.map((mixinName) => classIndex.resolveClassName(mixinName, filePath)).filter(Boolean);
+      if (mixinClasses.length === 0) continue;
+      mixinsByChild.set(child, mixinClasses);
+      for (const mixinClass of mixinClasses) addChild(mixinClass, child);
+    }
+  }
+
+  for (const filePath of typeResolver ? pageFiles : []) {
+    const sourceFile = typeResolver.getSourceFile(filePath);
+    for (const declaration of sourceFile ? collectClassDeclarations(sourceFile) : []) {
+      // Mixin applications keep their syntactic edges: the checker sees an intersection of the mixin and the base.
+      if (!ts.isClassDeclaration(declaration.classNode) || declaration.mixins.length > 0) continue;
+      const child = classIndex.getClassId(filePath, declaration.name);
+      const parent = typeResolver.getBaseClassName(declaration.classNode);
+      if (!parent || parentsByChild.get(child) === parent) continue;
+      // The name-based parent was an alias; the checker's answer replaces it.
+      childrenByParent.get(parentsByChild.get(child))?.delete(child);
+      link(child, parent);
     }
   }
 
-  return { parentsByChild, childrenByParent };
+  return { parentsByChild, childrenByParent, mixinsByChild };
 };
 
 /**
- * Collect changed classes from base/head content and include all descendants.
- * Descendant expansion prevents missing specs bound to inherited behavior.
+ * A class followed by everything it inherits from, nearest first: the mixins applied to it (outermost first,
+ * each followed by its own mixins), then its base class and so on. A cycle ends the walk.
  */
-const collectImpactedClasses = ({ changedPomEntries, childrenByParent, baseRef, readChangeContents }) => {
-  // Seed impacted classes from both base and head versions, then include descendants.
-  // This keeps fixture preselection safe for renamed files and inheritance-heavy POM trees.
-  const impacted = new Set();
-
-  for (const entry of changedPomEntries) {
-    const { baseContent, headContent } = readChangeContents(entry, baseRef);
-    for (const className of parseClassNames(baseContent)) impacted.add(className);
-    for (const className of parseClassNames(headContent)) impacted.add(className);
+const getClassLineage = ({ className, parentsByChild, mixinsByChild = new Map() }) => {
+  const lineage = [];
+  const addWithMixins = (current) => {
+    if (lineage.includes(current)) return;
+    lineage.push(current);
+    for (const mixinClass of mixinsByChild.get(current) || []) addWithMixins(mixinClass);
+  };
+  let current = className;
+  while (current && !lineage.includes(current)) {
+    addWithMixins(current);
+    current = parentsByChild.get(current);
   }
+  return lineage;
+};
 
-  const queue = [...impacted];
+/**
+ * Add every descendant of the given classes to the set (in place) and return it.
+ */
+const addDescendantClasses = (classes, childrenByParent) => {
+  const queue = [...classes];
   while (queue.length > 0) {
     const current = queue.shift();
     const children = childrenByParent.get(current) || new Set();
     for (const child of children) {
-      if (impacted.has(child)) continue;
-      impacted.add(child);
+      if (classes.has(child)) continue;
+      classes.add(child);
       queue.push(child);
     }
   }
+  return classes;
+};
+
+/**
+ * Collect changed classes from base/head content and include all descendants.
+ * Descendant expansion prevents missing specs bound to inherited behavior.
+ * Classes of both versions take the identity of the entry's effective path, so a renamed file keeps its classes.
+ */
+const collectImpactedClasses = ({
+  changedPomEntries,
+  childrenByParent,
+  baseRef,
+  readChangeContents,
+  classIndex = createNoopClassIndex(),
+}) => {
+  // Seed impacted classes from both base and head versions, then include descendants.
+  // This keeps fixture preselection safe for renamed files and inheritance-heavy POM trees.
+  const impacted = new Set();
+
+  for (const entry of changedPomEntries) {
+    const { baseContent, headContent } = readChangeContents(entry, baseRef);
+    for (const className of parseClassNames(baseContent, entry.effectivePath)) impacted.add(classIndex.getClassId(entry.effectivePath, className));
+    for (const className of parseClassNames(headContent, entry.effectivePath)) impacted.add(classIndex.getClassId(entry.effectivePath, className));
+  }
 
-  return impacted;
+  return addDescendantClasses(impacted, childrenByParent);
 };
 
 /**
@@ -81,6 +158,8 @@ const getFixtureKeysForClasses = (impactedClasses, classToFixtureKeys) => {
 
 module.exports = {
   buildInheritanceGraph,
+  getClassLineage,
+  addDescendantClasses,
   collectImpactedClasses,
   getFixtureKeysForClasses,
 };
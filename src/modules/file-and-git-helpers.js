@@ -7,11 +7,11 @@ const { runCommand } = require('./shell');
 const STATUS_PRIORITY = { D: 4, R: 3, M: 2, A: 1 };
 const SUPPORTED_FILE_EXTENSIONS = new Set(['.ts', '.tsx']);
 
-const readFileFromBaseRef = ({ repoRoot, relativePath, baseRef }) => {
+const readFileFromRef = ({ repoRoot, relativePath, ref }) => {
   if (!relativePath) return null;
-  const effectiveBaseRef = String(baseRef || 'HEAD').trim();
-  if (!effectiveBaseRef) return null;
-  const showResult = runCommand('git', ['show', `${effectiveBaseRef}:${relativePath}`], { cwd: repoRoot });
+  const effectiveRef = String(ref || 'HEAD').trim();
+  if (!effectiveRef) return null;
+  const showResult = runCommand('git', ['show', `${effectiveRef}:${relativePath}`], { cwd: repoRoot });
   if (showResult.status !== 0 || showResult.error) return null;
   return typeof showResult.stdout === 'string' ? showResult.stdout : null;
 };
@@ -165,13 +165,22 @@ const getUntrackedSourceEntries = ({ repoRoot, profile, fileExtensions = ['.ts',
  * - git diff <base>...HEAD (if baseRef is set)
  * - git diff HEAD (working tree, optionally merged with base mode)
  * - untracked source files matching profile.isRelevantPomPath
+ * With headRef, only `git diff <base>...<head>` is used: the working tree and untracked files play no part.
  */
-const getChangedEntries = ({ repoRoot, baseRef, includeWorkingTreeWithBase = true, profile = null, fileExtensions = ['.ts', '.tsx'] }) => {
+const getChangedEntries = ({
+  repoRoot,
+  baseRef,
+  headRef = null,
+  includeWorkingTreeWithBase = true,
+  profile = null,
+  fileExtensions = ['.ts', '.tsx'],
+}) => {
   const warnings = [];
   let statusFallbackHits = 0;
+  const useWorkingTree = !headRef;
 
-  const baseHeadEntries = baseRef ? runDiffAndParse({ repoRoot, args: [`${baseRef}...HEAD`] }) : [];
-  const workingTreeEntries = (!baseRef || includeWorkingTreeWithBase) ? runDiffAndParse({ repoRoot, args: ['HEAD'] }) : [];
+  const baseHeadEntries = baseRef ? runDiffAndParse({ repoRoot, args: [`${baseRef}...${headRef || 'HEAD'}`] }) : [];
+  const workingTreeEntries = useWorkingTree && (!baseRef || includeWorkingTreeWithBase) ? runDiffAndParse({ repoRoot, args: ['HEAD'] }) : [];
   const combined = [...baseHeadEntries, ...workingTreeEntries];
 
   if (!baseRef && combined.length === 0) {
@@ -179,7 +188,7 @@ const getChangedEntries = ({ repoRoot, baseRef, includeWorkingTreeWithBase = tru
     combined.push(...workingTreeEntries);
   }
 
-  if (profile && typeof profile.isRelevantPomPath === 'function') {
+  if (useWorkingTree && profile && typeof profile.isRelevantPomPath === 'function') {
     combined.push(...getUntrackedSourceEntries({ repoRoot, profile, fileExtensions }));
   }
 
@@ -204,28 +213,81 @@ const getChangedEntries = ({ repoRoot, baseRef, includeWorkingTreeWithBase = tru
     changedEntriesBySource: {
       fromBaseHead: baseHeadEntries.length,
       fromWorkingTree: workingTreeEntries.length,
-      fromUntracked: profile ? getUntrackedSourceEntries({ repoRoot, profile, fileExtensions }).length : 0,
+      fromUntracked: useWorkingTree && profile ? getUntrackedSourceEntries({ repoRoot, profile, fileExtensions }).length : 0,
     },
   };
 };
 
-const readChangeContents = ({ repoRoot, entry, baseRef }) => {
+// Base content comes from baseRef (HEAD by default); head content from headRef, or the working tree without one.
+const readChangeContents = ({ repoRoot, entry, baseRef, headRef = null }) => {
   const basePath = entry?.status === 'R' ? entry.oldPath : entry?.oldPath;
   const headPath = entry?.status === 'R' ? entry.newPath : entry?.newPath;
 
-  const baseContent = basePath ? readFileFromBaseRef({ repoRoot, relativePath: basePath, baseRef }) : null;
-  const headContent = headPath ? readFileFromWorkingTree({ repoRoot, relativePath: headPath }) : null;
+  const baseContent = basePath ? readFileFromRef({ repoRoot, relativePath: basePath, ref: baseRef }) : null;
+  let headContent = null;
+  if (headPath) {
+    headContent = headRef
+      ? readFileFromRef({ repoRoot, relativePath: headPath, ref: headRef })
+      : readFileFromWorkingTree({ repoRoot, relativePath: headPath });
+  }
 
   return { basePath: basePath || null, headPath: headPath || null, baseContent, headContent };
 };
 
+/**
+ * Change source backed by git: changed entries from `git diff` and untracked files, base contents from `git show`.
+ * With headRef, head contents are read from that commit too and there are no untracked files.
+ * analyzeImpactedSpecs accepts any object with the same three methods (see virtual-change-helpers).
+ */
+const createGitChangeSource = ({ repoRoot, headRef = null }) => ({
+  getChangedEntries: (options) => getChangedEntries({ repoRoot, headRef, ...options }),
+  readChangeContents: (entry, baseRef) => readChangeContents({ repoRoot, entry, baseRef, headRef }),
+  getUntrackedSpecPaths: (options) => (headRef ? [] : getUntrackedSpecPaths({ repoRoot, ...options })),
+});
+
+const listCommits = ({ repoRoot, args, description }) => {
+  const result = runCommand('git', ['log', '--format=%H%x00%s', ...args], { cwd: repoRoot });
+  if (result.error || result.status !== 0) {
+    throw new Error(`Cannot list ${description}: ${(result.stderr || (result.error && result.error.message) || '').trim()}`);
+  }
+  return result.stdout
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => {
+      const [sha, subject = ''] = line.split('\0');
+      return { sha, subject };
+    });
+};
+
+/**
+ * Non-merge commits in `baseRef..headRef`, oldest first, as `{ sha, subject }`.
+ * Merge commits are skipped: their changes are already in the commits they merge.
+ */
+const listCommitsInRange = ({ repoRoot, baseRef, headRef = 'HEAD' }) => listCommits({
+  repoRoot,
+  args: ['--reverse', '--no-merges', `${baseRef}..${headRef}`],
+  description: `commits in ${baseRef}..${headRef}`,
+});
+
+/**
+ * The last `limit` merge commits on the first-parent history of headRef, newest first, as `{ sha, subject }`.
+ */
+const listFirstParentMerges = ({ repoRoot, headRef = 'HEAD', limit }) => listCommits({
+  repoRoot,
+  args: ['--first-parent', '--merges', `--max-count=${limit}`, headRef],
+  description: `merge commits of ${headRef}`,
+});
+
 module.exports = {
   SUPPORTED_FILE_EXTENSIONS,
   listFilesRecursive,
   getChangedEntries,
   readChangeContents,
   getUntrackedSpecPaths,
+  createGitChangeSource,
   getUntrackedSourceEntries,
+  listCommitsInRange,
+  listFirstParentMerges,
   __testOnly: {
     parseChangedEntryLine,
     normalizeEntryStatus,
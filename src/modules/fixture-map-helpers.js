@@ -1,22 +1,23 @@
 'use strict';
 
-const fs = require('fs');
 const ts = require('typescript');
+const { createNoopClassIndex } = require('./class-identity-helpers');
+const { createSourceFileService } = require('./source-file-helpers');
 
 /**
  * Parse fixture declarations from fixture types file.
  * Supported shapes include direct types, namespace-qualified types,
- * interfaces, and type intersections.
+ * interfaces, and type intersections. Fixture types resolve to class ids through the imports of the types file.
  */
-const parseFixtureClassMap = ({ typesPath }) => {
-  if (!typesPath || !fs.existsSync(typesPath)) return new Map();
-  const content = fs.readFileSync(typesPath, 'utf8');
+const parseFixtureClassMap = ({ typesPath, sourceFiles, classIndex }) => {
+  if (!typesPath || !sourceFiles.exists(typesPath)) return new Map();
   const classToFixtureKeys = new Map();
-  const sourceFile = ts.createSourceFile(typesPath, content, ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+  const sourceFile = sourceFiles.getSourceFile(typesPath);
   const declarationsByName = new Map();
   const memoByDeclarationName = new Map();
 
-  const addMapping = (fixtureKey, className) => {
+  const addMapping = (fixtureKey, typeName) => {
+    const className = typeName ? classIndex.resolveClassName(typeName, typesPath) : null;
     if (!fixtureKey || !className) return;
     if (!classToFixtureKeys.has(className)) classToFixtureKeys.set(className, new Set());
     classToFixtureKeys.get(className).add(fixtureKey);
@@ -48,12 +49,23 @@ const parseFixtureClassMap = ({ typesPath }) => {
     return null;
   };
 
+  const getEntityText = (entity) => {
+    if (!entity) return null;
+    if (ts.isIdentifier(entity)) return entity.text;
+    if (ts.isQualifiedName(entity)) {
+      const qualifier = getEntityText(entity.left);
+      return qualifier ? `${qualifier}.${entity.right.text}` : null;
+    }
+    return null;
+  };
+
+  // The type name as written (`Pages.CartPage`), so the class index can follow a namespace import.
   const getTypeReferenceName = (typeNode) => {
     if (!typeNode || !ts.isTypeReferenceNode(typeNode)) return null;
-    return getEntityRightmostName(typeNode.typeName);
+    return getEntityText(typeNode.typeName);
   };
 
-  const isClassLikeTypeName = (typeName) => Boolean(typeName) && /^[A-Z]/.test(typeName);
+  const isClassLikeTypeName = (typeName) => Boolean(typeName) && /^[A-Z]/.test(typeName.slice(typeName.lastIndexOf('.') + 1));
 
   const collectPairsFromTypeNode = (typeNode, visitingNames) => {
     if (!typeNode) return [];
@@ -144,17 +156,17 @@ const parseFixtureClassMap = ({ typesPath }) => {
 
   for (const declarationName of declarationsByName.keys()) {
     const pairs = collectPairsFromDeclarationName(declarationName, new Set());
-    for (const [fixtureKey, className] of pairs) addMapping(fixtureKey, className);
+    for (const [fixtureKey, typeName] of pairs) addMapping(fixtureKey, typeName);
   }
 
   return classToFixtureKeys;
 };
 
 /**
- * Return bidirectional fixture mappings used by Stage A and Stage B.
+ * Return bidirectional fixture mappings used by Stage A and Stage B, keyed by `classIndex` class ids.
  */
-const parseFixtureMappings = ({ typesPath }) => {
-  const classToFixtureKeys = parseFixtureClassMap({ typesPath });
+const parseFixtureMappings = ({ typesPath, sourceFiles = createSourceFileService(), classIndex = createNoopClassIndex() }) => {
+  const classToFixtureKeys = parseFixtureClassMap({ typesPath, sourceFiles, classIndex });
   const fixtureKeyToClass = new Map();
   for (const [className, fixtureKeys] of classToFixtureKeys.entries()) {
     for (const fixtureKey of fixtureKeys) fixtureKeyToClass.set(fixtureKey, className);
@@ -0,0 +1,66 @@
+'use strict';
+
+const path = require('path');
+const { runCommand } = require('./shell');
+
+// Tree listings and blobs of large repositories exceed spawnSync's 1 MB default.
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;
+
+const toGitPath = (repoRoot, absPath) => path.relative(repoRoot, absPath).split(path.sep).join('/');
+
+const createMissingFileError = (absPath, ref) => {
+  const error = new Error(`ENOENT: no such file in ${ref}, open '${absPath}'`);
+  error.code = 'ENOENT';
+  return error;
+};
+
+/**
+ * Read-only file system over the tree of a commit, with the same `readText` / `exists` / `listFiles`
+ * methods as the working tree in source-file-helpers. Paths stay absolute under repoRoot, so the pipeline
+ * does not know whether it reads the working tree or `ref`. The tree is listed once; blobs are read on demand.
+ */
+const createGitTreeFileSystem = ({ repoRoot, ref }) => {
+  const repoRootAbs = path.resolve(repoRoot);
+  const listing = runCommand('git', ['ls-tree', '-r', '-z', '--name-only', ref], { cwd: repoRootAbs, maxBuffer: GIT_MAX_BUFFER });
+  if (listing.error || listing.status !== 0) {
+    throw new Error(`Cannot read the tree of ${ref}: ${(listing.stderr || (listing.error && listing.error.message) || '').trim()}`);
+  }
+
+  const files = listing.stdout.split('\0').filter(Boolean).map((gitPath) => path.join(repoRootAbs, gitPath));
+  const fileSet = new Set(files);
+  const directorySet = new Set([repoRootAbs]);
+  for (const filePath of files) {
+    for (let dirPath = path.dirname(filePath); dirPath.startsWith(repoRootAbs) && !directorySet.has(dirPath); dirPath = path.dirname(dirPath)) {
+      directorySet.add(dirPath);
+    }
+  }
+
+  const readText = (absPath) => {
+    const resolved = path.resolve(absPath);
+    if (!fileSet.has(resolved)) throw createMissingFileError(resolved, ref);
+    const result = runCommand('git', ['cat-file', 'blob', `${ref}:${toGitPath(repoRootAbs, resolved)}`], {
+      cwd: repoRootAbs,
+      maxBuffer: GIT_MAX_BUFFER,
+    });
+    if (result.error || result.status !== 0) throw createMissingFileError(resolved, ref);
+    return result.stdout;
+  };
+
+  const exists = (absPath) => {
+    const resolved = path.resolve(absPath);
+    return fileSet.has(resolved) || directorySet.has(resolved);
+  };
+
+  const listFiles = (absPath) => {
+    const resolved = path.resolve(absPath);
+    if (!directorySet.has(resolved)) return [];
+    const prefix = `${resolved}${path.sep}`;
+    return files.filter((filePath) => filePath.startsWith(prefix));
+  };
+
+  return { readText, exists, listFiles };
+};
+
+module.exports = {
+  createGitTreeFileSystem,
+};
@@ -1,8 +1,8 @@
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 const ts = require('typescript');
+const { createSourceFileService } = require('./source-file-helpers');
 
 const DEFAULT_GLOBAL_WATCH_PATTERNS = [];
 
@@ -10,13 +10,26 @@ const WATCH_DEP_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.js
 
 const normalizePath = (filePath) => String(filePath || '').replace(/\\/g, '/');
 
-const globToRegex = (globPattern) => {
+/**
+ * Glob to anchored RegExp: `*` stays within a path segment and `**` spans segments.
+ * `extended` adds what pomPathGlobs and Playwright testMatch expect: a `**` directory segment also matches zero
+ * directories and `{a,b}` is an alternation. globalWatchPatterns keep the plain matching,
+ * where `**` needs at least one directory and braces are literal, so existing force-all rules match as before.
+ */
+const globToRegex = (globPattern, { extended = false } = {}) => {
   const normalized = normalizePath(globPattern).replace(/^\.\//, '');
   let regex = '^';
+  let braceDepth = 0;
   for (let index = 0; index < normalized.length; index += 1) {
     const char = normalized[index];
     const next = normalized[index + 1];
     if (char === '*' && next === '*') {
+      // `**/` also matches zero directories, so `src/**/*.ts` covers `src/a.ts`.
+      if (extended && normalized[index + 2] === '/') {
+        regex += '(?:.*/)?';
+        index += 2;
+        continue;
+      }
       regex += '.*';
       index += 1;
       continue;
@@ -25,6 +38,20 @@ const globToRegex = (globPattern) => {
       regex += '[^/]*';
       continue;
     }
+    if (extended && char === '{') {
+      braceDepth += 1;
+      regex += '(?:';
+      continue;
+    }
+    if (char === '}' && braceDepth > 0) {
+      braceDepth -= 1;
+      regex += ')';
+      continue;
+    }
+    if (char === ',' && braceDepth > 0) {
+      regex += '|';
+      continue;
+    }
     if ('\\^$+?.()|{}[]'.includes(char)) {
       regex += `\\${char}`;
       continue;
@@ -47,11 +74,11 @@ const getCandidateFilePaths = (basePath) => {
   return candidates;
 };
 
-const readTsConfigPathAliases = (repoRoot) => {
+const readTsConfigPathAliases = (repoRoot, sourceFiles) => {
   const tsConfigPath = path.join(repoRoot, 'tsconfig.json');
-  if (!fs.existsSync(tsConfigPath)) return [];
+  if (!sourceFiles.exists(tsConfigPath)) return [];
 
-  const rawText = fs.readFileSync(tsConfigPath, 'utf8');
+  const rawText = sourceFiles.readText(tsConfigPath);
   const parsedResult = ts.parseConfigFileTextToJson(tsConfigPath, rawText);
   const parsed = parsedResult?.config;
   if (!parsed || typeof parsed !== 'object') return [];
@@ -81,12 +108,12 @@ const readTsConfigPathAliases = (repoRoot) => {
   return entries;
 };
 
-const resolveModuleSpecifier = ({ importerAbsPath, moduleSpecifier, repoRoot, aliasEntries }) => {
+const resolveModuleSpecifier = ({ importerAbsPath, moduleSpecifier, repoRoot, aliasEntries, exists }) => {
   const resolved = [];
 
   const addResolvedFromBase = (basePathAbs) => {
     for (const candidate of getCandidateFilePaths(basePathAbs)) {
-      if (!fs.existsSync(candidate)) continue;
+      if (!exists(candidate)) continue;
       resolved.push(path.resolve(candidate));
     }
   };
@@ -102,7 +129,7 @@ const resolveModuleSpecifier = ({ importerAbsPath, moduleSpecifier, repoRoot, al
     const repoRootAbs = path.resolve(repoRoot);
     while (currentDir.startsWith(repoRootAbs)) {
       const candidate = path.resolve(currentDir, moduleSpecifier);
-      if (fs.existsSync(candidate)) resolved.push(candidate);
+      if (exists(candidate)) resolved.push(candidate);
       if (currentDir === repoRootAbs) break;
       currentDir = path.dirname(currentDir);
     }
@@ -149,14 +176,23 @@ const extractImportSpecifiers = (sourceFile) => {
   return specifiers;
 };
 
-const resolveWatchSeedFiles = ({ repoRoot, patterns, listFilesRecursive }) => {
+// Directories throw on read, so this doubles as the "is a file" check.
+const readOptionalText = (sourceFiles, filePath) => {
+  try {
+    return sourceFiles.readText(filePath);
+  } catch (_error) {
+    return null;
+  }
+};
+
+const resolveWatchSeedFiles = ({ repoRoot, patterns, listFilesRecursive, sourceFiles }) => {
   const seedFiles = new Set();
   for (const pattern of patterns) {
     const normalizedPattern = normalizePath(pattern).replace(/^\.\//, '');
     const hasWildcard = normalizedPattern.includes('*');
     const absolute = path.resolve(repoRoot, normalizedPattern);
     if (!hasWildcard) {
-      if (fs.existsSync(absolute) && fs.statSync(absolute).isFile()) seedFiles.add(absolute);
+      if (sourceFiles.exists(absolute) && readOptionalText(sourceFiles, absolute) !== null) seedFiles.add(absolute);
       continue;
     }
 
@@ -165,11 +201,10 @@ const resolveWatchSeedFiles = ({ repoRoot, patterns, listFilesRecursive }) => {
     const fixedPrefix = firstWildcardIndex >= 0 ? normalizedPattern.slice(0, firstWildcardIndex) : normalizedPattern;
     const prefixDir = fixedPrefix.includes('/') ? fixedPrefix.slice(0, fixedPrefix.lastIndexOf('/')) : '';
     const scanRoot = path.resolve(repoRoot, prefixDir || '.');
-    if (!fs.existsSync(scanRoot)) continue;
+    if (!sourceFiles.exists(scanRoot)) continue;
 
-    const candidates = fs.statSync(scanRoot).isFile() ? [scanRoot] : listFilesRecursive(scanRoot);
+    const candidates = readOptionalText(sourceFiles, scanRoot) !== null ? [scanRoot] : listFilesRecursive(scanRoot);
     for (const candidateAbs of candidates) {
-      if (!fs.existsSync(candidateAbs) || !fs.statSync(candidateAbs).isFile()) continue;
       const relative = normalizePath(path.relative(repoRoot, candidateAbs));
       if (regex.test(relative)) seedFiles.add(path.resolve(candidateAbs));
     }
@@ -177,9 +212,9 @@ const resolveWatchSeedFiles = ({ repoRoot, patterns, listFilesRecursive }) => {
   return seedFiles;
 };
 
-const resolveGlobalWatchClosure = ({ repoRoot, patterns, listFilesRecursive }) => {
-  const aliasEntries = readTsConfigPathAliases(repoRoot);
-  const seeds = resolveWatchSeedFiles({ repoRoot, patterns, listFilesRecursive });
+const resolveGlobalWatchClosure = ({ repoRoot, patterns, listFilesRecursive, sourceFiles = createSourceFileService() }) => {
+  const aliasEntries = readTsConfigPathAliases(repoRoot, sourceFiles);
+  const seeds = resolveWatchSeedFiles({ repoRoot, patterns, listFilesRecursive, sourceFiles });
   const resolvedFiles = new Set(seeds);
   const queue = Array.from(seeds);
   const visited = new Set();
@@ -188,17 +223,13 @@ const resolveGlobalWatchClosure = ({ repoRoot, patterns, listFilesRecursive }) =
     const currentAbs = path.resolve(queue.shift());
     if (visited.has(currentAbs)) continue;
     visited.add(currentAbs);
-    if (!fs.existsSync(currentAbs)) continue;
+    if (!sourceFiles.exists(currentAbs)) continue;
 
     const ext = path.extname(currentAbs).toLowerCase();
     if (!WATCH_DEP_EXTENSIONS.includes(ext) || ext === '.json' || ext === '.yml' || ext === '.yaml') continue;
 
-    let content;
-    try {
-      content = fs.readFileSync(currentAbs, 'utf8');
-    } catch (_error) {
-      continue;
-    }
+    const content = readOptionalText(sourceFiles, currentAbs);
+    if (content === null) continue;
 
     const scriptKind = currentAbs.endsWith('.tsx')
       ? ts.ScriptKind.TSX
@@ -209,7 +240,13 @@ const resolveGlobalWatchClosure = ({ repoRoot, patterns, listFilesRecursive }) =
     const sourceFile = ts.createSourceFile(currentAbs, content, ts.ScriptTarget.Latest, true, scriptKind);
     const importSpecifiers = extractImportSpecifiers(sourceFile);
     for (const moduleSpecifier of importSpecifiers) {
-      const dependencies = resolveModuleSpecifier({ importerAbsPath: currentAbs, moduleSpecifier, repoRoot, aliasEntries });
+      const dependencies = resolveModuleSpecifier({
+        importerAbsPath: currentAbs,
+        moduleSpecifier,
+        repoRoot,
+        aliasEntries,
+        exists: sourceFiles.exists,
+      });
       for (const dependencyAbs of dependencies) {
         if (!dependencyAbs.startsWith(path.resolve(repoRoot))) continue;
         if (!resolvedFiles.has(dependencyAbs)) {
@@ -226,39 +263,49 @@ const resolveGlobalWatchClosure = ({ repoRoot, patterns, listFilesRecursive }) =
   };
 };
 
+/**
+ * Match changed entries against global watch patterns and the import closure of the watched files.
+ * `hits` records, per matched path, the pattern it matched, or null when only the import closure reached it.
+ */
 const evaluateGlobalWatch = ({
   repoRoot,
   changedEntries,
   patterns,
   listFilesRecursive,
+  sourceFiles = createSourceFileService(),
 }) => {
   const effectivePatterns = Array.isArray(patterns) ? patterns : getDefaultGlobalWatchPatterns();
-  const patternRegexes = effectivePatterns.map((pattern) => globToRegex(normalizePath(pattern).replace(/^\.\//, '')));
-  const closure = resolveGlobalWatchClosure({ repoRoot, patterns: effectivePatterns, listFilesRecursive });
-  const matched = new Set();
+  const patternRegexes = effectivePatterns.map((pattern) => ({
+    pattern,
+    regex: globToRegex(normalizePath(pattern).replace(/^\.\//, '')),
+  }));
+  const closure = resolveGlobalWatchClosure({ repoRoot, patterns: effectivePatterns, listFilesRecursive, sourceFiles });
+  const matched = new Map();
 
   for (const entry of changedEntries) {
     for (const candidate of [entry.effectivePath, entry.oldPath, entry.newPath]) {
       if (!candidate) continue;
       const relative = normalizePath(candidate).replace(/^\.\//, '');
       const absolute = path.resolve(repoRoot, relative);
-      const byPattern = patternRegexes.some((regex) => regex.test(relative));
+      const byPattern = patternRegexes.find(({ regex }) => regex.test(relative));
       const byClosure = closure.resolvedFilesAbs.has(absolute);
-      if (byPattern || byClosure) matched.add(relative);
+      if ((byPattern || byClosure) && !matched.has(relative)) matched.set(relative, byPattern ? String(byPattern.pattern) : null);
     }
   }
 
+  const matchedPaths = Array.from(matched.keys()).sort((a, b) => a.localeCompare(b));
   return {
-    matchedPaths: Array.from(matched).sort((a, b) => a.localeCompare(b)),
+    matchedPaths,
+    hits: matchedPaths.map((file) => ({ file, pattern: matched.get(file) })),
     resolvedFiles: closure.resolvedFilesRelative,
   };
 };
 
 module.exports = {
+  globToRegex,
   getDefaultGlobalWatchPatterns,
   evaluateGlobalWatch,
   __testOnly: {
-    globToRegex,
     resolveGlobalWatchClosure,
   },
 };
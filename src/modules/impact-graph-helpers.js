@@ -0,0 +1,202 @@
+'use strict';
+
+const path = require('path');
+const { buildInheritanceGraph } = require('./class-impact-helpers');
+const { createNoopClassIndex } = require('./class-identity-helpers');
+const { buildImpactedMethodsByClass } = require('./method-impact-helpers');
+const { parseFixtureMappings } = require('./fixture-map-helpers');
+const { traceChangedImports } = require('./import-impact-helpers');
+
+const GRAPH_FORMATS = ['dot', 'mermaid', 'json'];
+const GRAPH_SCHEMA_VERSION = 1;
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const classId = (className) => `class:${className}`;
+const memberId = (memberKey) => `member:${memberKey}`;
+const fixtureId = (fixtureKey) => `fixture:${fixtureKey}`;
+const fileId = (relativePath) => `file:${relativePath}`;
+
+/**
+ * Build the four graphs of the pipeline over the whole tree, independent of any change:
+ * class inheritance, the member call graph (with composition), fixture -> class bindings and the import graph.
+ * Each comes from the same helper the analysis uses, so the export shows exactly what propagation walks.
+ */
+const collectImpactGraphs = ({
+  repoRoot,
+  testsRootAbs,
+  pageFiles,
+  fixturesTypesPath,
+  fileExtensions,
+  sourceFiles,
+  typeResolver = null,
+  classIndex = createNoopClassIndex(),
+}) => {
+  const { parentsByChild, mixinsByChild } = buildInheritanceGraph(
+    pageFiles,
+    (filePath) => sourceFiles.readText(filePath),
+    { typeResolver, classIndex, getSourceFile: sourceFiles.getSourceFile }
+  );
+  const { trace: callGraph } = buildImpactedMethodsByClass({
+    impactedClasses: new Set(),
+    changedMethodsByClass: new Map(),
+    parentsByChild,
+    mixinsByChild,
+    pageFiles,
+    sourceFiles,
+    typeResolver,
+    classIndex,
+  });
+  const { fixtureKeyToClass } = parseFixtureMappings({ typesPath: fixturesTypesPath, sourceFiles, classIndex });
+  const { importersByFile } = traceChangedImports({
+    repoRoot,
+    testsRootAbs,
+    changedPomEntries: [],
+    listFilesRecursive: sourceFiles.listFiles,
+    fileExtensions,
+    sourceFiles,
+  });
+  return { parentsByChild, mixinsByChild, callGraph, fixtureKeyToClass, importersByFile };
+};
+
+/**
+ * Turn the graphs into one node/edge document (the JSON schema of the export).
+ * Nodes: `class`, `member`, `fixture`, `file` and `spec`; edges: `extends`, `mixes` (class -> applied mixin),
+ * `composes`, `declares`, `calls` (caller -> callee), `binds` (fixture -> class) and `imports` (importer -> dependency).
+ * With `touched` (from an analysis of the current change), only touched nodes and the edges between them
+ * are kept, and nodes that the change itself modified carry `changed: true`.
+ */
+const buildImpactGraph = ({ repoRoot, graphs, isSpecPath, touched = null }) => {
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, filePath));
+  const nodes = new Map();
+  const edges = new Map();
+
+  const addNode = (node) => {
+    if (!nodes.has(node.id)) nodes.set(node.id, node);
+  };
+  const addEdge = (from, to, kind) => edges.set(`${from}\0${to}\0${kind}`, { from, to, kind });
+
+  const { parentsByChild, mixinsByChild = new Map(), callGraph, fixtureKeyToClass, importersByFile } = graphs;
+  const addClass = (className) => {
+    const filePath = callGraph.fileByClass.get(className);
+    addNode({ id: classId(className), kind: 'class', label: className, ...(filePath ? { file: toRelative(filePath) } : {}) });
+  };
+
+  for (const [childClass, parentClass] of parentsByChild) {
+    addClass(childClass);
+    addClass(parentClass);
+    addEdge(classId(childClass), classId(parentClass), 'extends');
+  }
+  for (const [childClass, mixinClasses] of mixinsByChild) {
+    addClass(childClass);
+    for (const mixinClass of mixinClasses) {
+      addClass(mixinClass);
+      addEdge(classId(childClass), classId(mixinClass), 'mixes');
+    }
+  }
+  for (const [composedClass, ownerClasses] of callGraph.composedClassToOwnerClasses) {
+    addClass(composedClass);
+    for (const ownerClass of ownerClasses) {
+      addClass(ownerClass);
+      addEdge(classId(ownerClass), classId(composedClass), 'composes');
+    }
+  }
+  for (const [memberKey, { className, memberName }] of callGraph.memberKeyParts) {
+    addClass(className);
+    addNode({ id: memberId(memberKey), kind: 'member', label: `${className}.${memberName}` });
+    addEdge(classId(className), memberId(memberKey), 'declares');
+  }
+  for (const [callerKey, calleeKeys] of callGraph.callEdges) {
+    for (const calleeKey of calleeKeys) addEdge(memberId(callerKey), memberId(calleeKey), 'calls');
+  }
+  for (const [fixtureKey, className] of fixtureKeyToClass) {
+    addNode({ id: fixtureId(fixtureKey), kind: 'fixture', label: fixtureKey });
+    addClass(className);
+    addEdge(fixtureId(fixtureKey), classId(className), 'binds');
+  }
+  for (const [dependencyAbs, importers] of importersByFile) {
+    for (const importerAbs of [dependencyAbs, ...importers]) {
+      const relativePath = toRelative(importerAbs);
+      addNode({ id: fileId(relativePath), kind: isSpecPath(importerAbs) ? 'spec' : 'file', label: relativePath });
+    }
+    for (const importerAbs of importers) addEdge(fileId(toRelative(importerAbs)), fileId(toRelative(dependencyAbs)), 'imports');
+  }
+
+  let keptNodes = Array.from(nodes.values());
+  let keptEdges = Array.from(edges.values());
+  if (touched) {
+    // Changed files and spec files may be missing from the import graph (nothing imports them).
+    for (const relativePath of touched.files) {
+      addNode({ id: fileId(relativePath), kind: isSpecPath(path.join(repoRoot, relativePath)) ? 'spec' : 'file', label: relativePath });
+    }
+    const keep = new Set([
+      ...Array.from(touched.classes, classId),
+      ...Array.from(touched.memberKeys, memberId),
+      ...Array.from(touched.fixtureKeys, fixtureId),
+      ...Array.from(touched.files, fileId),
+    ]);
+    const changed = new Set([
+      ...Array.from(touched.changedClasses, classId),
+      ...Array.from(touched.changedMemberKeys, memberId),
+      ...Array.from(touched.changedFiles, fileId),
+    ]);
+    keptNodes = Array.from(nodes.values())
+      .filter((node) => keep.has(node.id))
+      .map((node) => (changed.has(node.id) ? { ...node, changed: true } : node));
+    keptEdges = keptEdges.filter((edge) => keep.has(edge.from) && keep.has(edge.to));
+  }
+
+  return {
+    schemaVersion: GRAPH_SCHEMA_VERSION,
+    scope: touched ? 'change' : 'full',
+    nodes: keptNodes.sort((a, b) => a.id.localeCompare(b.id)),
+    edges: keptEdges.sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to) || a.kind.localeCompare(b.kind)),
+  };
+};
+
+const DOT_SHAPES = { class: 'box', member: 'ellipse', fixture: 'diamond', file: 'note', spec: 'component' };
+const quoteDot = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+const formatDot = (graph) => [
+  'digraph impact {',
+  '  rankdir=LR;',
+  ...graph.nodes.map((node) => {
+    const style = node.changed ? ', style=filled, fillcolor="#f8c4c4"' : '';
+    return `  ${quoteDot(node.id)} [label=${quoteDot(node.label)}, shape=${DOT_SHAPES[node.kind]}${style}];`;
+  }),
+  ...graph.edges.map((edge) => `  ${quoteDot(edge.from)} -> ${quoteDot(edge.to)} [label=${quoteDot(edge.kind)}];`),
+  '}',
+].join('\n');
+
+const MERMAID_SHAPES = { class: ['[', ']'], member: ['(', ')'], fixture: ['{', '}'], file: ['[/', '/]'], spec: ['[[', ']]'] };
+// Mermaid ids must be plain words, so nodes are numbered in their sorted order.
+const formatMermaid = (graph) => {
+  const idByNode = new Map(graph.nodes.map((node, index) => [node.id, `n${index}`]));
+  const changedIds = graph.nodes.filter((node) => node.changed).map((node) => idByNode.get(node.id));
+  return [
+    'flowchart LR',
+    ...graph.nodes.map((node) => {
+      const [open, close] = MERMAID_SHAPES[node.kind];
+      return `  ${idByNode.get(node.id)}${open}"${node.label.replace(/"/g, '#quot;')}"${close}`;
+    }),
+    ...graph.edges.map((edge) => `  ${idByNode.get(edge.from)} -->|${edge.kind}| ${idByNode.get(edge.to)}`),
+    ...(changedIds.length > 0 ? ['  classDef changed fill:#f8c4c4,stroke:#c00', `  class ${changedIds.join(',')} changed`] : []),
+  ].join('\n');
+};
+
+/**
+ * Serialize a graph from buildImpactGraph as Graphviz DOT, a Mermaid flowchart or JSON.
+ */
+const formatImpactGraph = ({ graph, format }) => {
+  if (format === 'dot') return formatDot(graph);
+  if (format === 'mermaid') return formatMermaid(graph);
+  if (format === 'json') return JSON.stringify(graph, null, 2);
+  throw new Error(`Invalid graph format "${format}". Expected one of: ${GRAPH_FORMATS.join(', ')}`);
+};
+
+module.exports = {
+  GRAPH_FORMATS,
+  collectImpactGraphs,
+  buildImpactGraph,
+  formatImpactGraph,
+};
@@ -3,6 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 const ts = require('typescript');
+const { createNoopAnalysisCache } = require('./analysis-cache-helpers');
+const { createSourceFileService } = require('./source-file-helpers');
 
 const DEFAULT_EXTENSIONS = ['.ts', '.tsx'];
 
@@ -10,11 +12,11 @@ const normalizePath = (filePath) => filePath.split(path.sep).join('/');
 
 const toAbsolute = (repoRoot, relativePath) => path.resolve(repoRoot, normalizePath(relativePath));
 
-const readTsConfigPathAliases = (repoRoot) => {
+const readTsConfigPathAliases = (repoRoot, sourceFiles) => {
   const tsConfigPath = path.join(repoRoot, 'tsconfig.json');
-  if (!fs.existsSync(tsConfigPath)) return [];
+  if (!sourceFiles.exists(tsConfigPath)) return [];
 
-  const rawText = fs.readFileSync(tsConfigPath, 'utf8');
+  const rawText = sourceFiles.readText(tsConfigPath);
   const parsedResult = ts.parseConfigFileTextToJson(tsConfigPath, rawText);
   const parsed = parsedResult?.config;
   if (!parsed || typeof parsed !== 'object') return [];
@@ -56,12 +58,12 @@ const getCandidateFilePaths = (basePath, fileExtensions) => {
   return candidates;
 };
 
-const resolveModuleSpecifier = ({ importerAbsPath, moduleSpecifier, repoRoot, fileExtensions, aliasEntries }) => {
+const resolveModuleSpecifier = ({ importerAbsPath, moduleSpecifier, repoRoot, fileExtensions, aliasEntries, exists = fs.existsSync }) => {
   const resolved = [];
 
   const addResolvedFromBase = (basePathAbs) => {
     for (const candidate of getCandidateFilePaths(basePathAbs, fileExtensions)) {
-      if (!fs.existsSync(candidate)) continue;
+      if (!exists(candidate)) continue;
       resolved.push(path.resolve(candidate));
     }
   };
@@ -82,7 +84,7 @@ const resolveModuleSpecifier = ({ importerAbsPath, moduleSpecifier, repoRoot, fi
     const repoRootAbs = path.resolve(repoRoot);
     while (currentDir.startsWith(repoRootAbs)) {
       const candidate = path.resolve(currentDir, moduleSpecifier);
-      if (fs.existsSync(candidate)) resolved.push(candidate);
+      if (exists(candidate)) resolved.push(candidate);
       if (currentDir === repoRootAbs) break;
       currentDir = path.dirname(currentDir);
     }
@@ -149,17 +151,19 @@ const extractImportSpecifiers = (sourceFile) => {
 const isSpecPath = (filePath, fileExtensions) => fileExtensions.some((ext) => filePath.endsWith(`.spec${ext}`));
 
 /**
- * Select specs impacted by changed source imports/re-exports.
- * This stage covers helper/function modules that are not represented as fixture classes.
+ * Walk the reverse import graph from changed files to the specs that import them.
+ * Returns the impacted specs and, per spec, the import path from a changed file down to the spec.
  */
-const selectSpecsByChangedImports = ({
+const traceChangedImports = ({
   repoRoot,
   testsRootAbs,
   changedPomEntries,
   listFilesRecursive,
   fileExtensions = DEFAULT_EXTENSIONS,
+  analysisCache = createNoopAnalysisCache(),
+  sourceFiles = createSourceFileService(),
 }) => {
-  const aliasEntries = readTsConfigPathAliases(repoRoot);
+  const aliasEntries = readTsConfigPathAliases(repoRoot, sourceFiles);
   const specFiles = listFilesRecursive(testsRootAbs).filter((filePath) => isSpecPath(filePath, fileExtensions));
 
   const reverseDeps = new Map();
@@ -175,18 +179,19 @@ const selectSpecsByChangedImports = ({
     const currentAbs = path.resolve(queue.shift());
     if (visited.has(currentAbs)) continue;
     visited.add(currentAbs);
-    if (!fs.existsSync(currentAbs)) continue;
+    if (!sourceFiles.exists(currentAbs)) continue;
 
     let content;
     try {
-      content = fs.readFileSync(currentAbs, 'utf8');
+      content = sourceFiles.readText(currentAbs);
     } catch (_error) {
       continue;
     }
 
-    const scriptKind = currentAbs.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
-    const sourceFile = ts.createSourceFile(currentAbs, content, ts.ScriptTarget.Latest, true, scriptKind);
-    const importSpecifiers = extractImportSpecifiers(sourceFile);
+    // Only the specifiers are cached: resolving them depends on which files exist right now.
+    const importSpecifiers = analysisCache.getOrCompute('imports', currentAbs, content, () => (
+      extractImportSpecifiers(sourceFiles.getSourceFile(currentAbs))
+    ));
     for (const moduleSpecifier of importSpecifiers) {
       const dependencies = resolveModuleSpecifier({
         importerAbsPath: currentAbs,
@@ -194,6 +199,7 @@ const selectSpecsByChangedImports = ({
         repoRoot,
         fileExtensions,
         aliasEntries,
+        exists: sourceFiles.exists,
       });
 
       for (const dependencyAbs of dependencies) {
@@ -216,6 +222,8 @@ const selectSpecsByChangedImports = ({
   const impactedSpecs = new Set();
   const traverseQueue = Array.from(changedSeeds);
   const traversed = new Set();
+  // First importer -> dependency edge that reached each file; BFS keeps these paths shortest.
+  const reachedFrom = new Map();
   while (traverseQueue.length > 0) {
     const current = traverseQueue.shift();
     if (traversed.has(current)) continue;
@@ -223,14 +231,28 @@ const selectSpecsByChangedImports = ({
 
     const importers = reverseDeps.get(current) || new Set();
     for (const importerAbs of importers) {
+      if (!reachedFrom.has(importerAbs) && !changedSeeds.has(importerAbs)) reachedFrom.set(importerAbs, current);
       if (isSpecPath(importerAbs, fileExtensions)) impactedSpecs.add(importerAbs);
       if (!traversed.has(importerAbs)) traverseQueue.push(importerAbs);
     }
   }
 
-  return Array.from(impactedSpecs).sort((a, b) => a.localeCompare(b));
+  const sortedSpecs = Array.from(impactedSpecs).sort((a, b) => a.localeCompare(b));
+  const importPathBySpec = new Map(sortedSpecs.map((specPath) => {
+    const importPath = [specPath];
+    for (let current = reachedFrom.get(specPath); current; current = reachedFrom.get(current)) importPath.unshift(current);
+    return [specPath, importPath];
+  }));
+  return { impactedSpecs: sortedSpecs, importPathBySpec, importersByFile: reverseDeps };
 };
 
+/**
+ * Select specs impacted by changed source imports/re-exports.
+ * This stage covers helper/function modules that are not represented as fixture classes.
+ */
+const selectSpecsByChangedImports = (options) => traceChangedImports(options).impactedSpecs;
+
 module.exports = {
   selectSpecsByChangedImports,
+  traceChangedImports,
 };
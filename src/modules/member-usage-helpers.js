@@ -0,0 +1,348 @@
+'use strict';
+
+const ts = require('typescript');
+const { collectClassDeclarations } = require('./class-declaration-helpers');
+const { getClassLineage } = require('./class-impact-helpers');
+const { createNoopClassIndex } = require('./class-identity-helpers');
+const { extractFixtureVariablesFromSpecAst } = require('./method-filter-helpers');
+
+const getPropertyName = (nameNode) => {
+  if (!nameNode) return null;
+  if (ts.isIdentifier(nameNode) || ts.isPrivateIdentifier(nameNode)) return nameNode.text;
+  if (ts.isStringLiteral(nameNode) || ts.isNoSubstitutionTemplateLiteral(nameNode)) return nameNode.text;
+  return null;
+};
+
+// `x['a']` names a member; `x[key]` does not, whatever `key` holds.
+const getElementAccessName = (argumentNode) => (
+  argumentNode && (ts.isStringLiteral(argumentNode) || ts.isNoSubstitutionTemplateLiteral(argumentNode)) ? argumentNode.text : null
+);
+
+const isStatic = (member) => Boolean(ts.getCombinedModifierFlags(member) & ts.ModifierFlags.Static);
+const isFunctionInitializer = (member) => Boolean(member.initializer)
+  && (ts.isArrowFunction(member.initializer) || ts.isFunctionExpression(member.initializer));
+
+const unwrap = (node) => {
+  let current = node;
+  while (current && (ts.isParenthesizedExpression(current) || ts.isNonNullExpression(current) || ts.isAwaitExpression(current))) {
+    current = current.expression;
+  }
+  return current;
+};
+
+/**
+ * Property names read along the access chain that starts at `rootNode`: `x.a['b'].c` gives ['a', 'b', 'c'].
+ * A computed key ends the chain with `dynamic: true`; a call ends it, since its result type is unknown.
+ */
+const readAccessChain = (rootNode) => {
+  const names = [];
+  let current = rootNode;
+  while (current.parent) {
+    const parent = current.parent;
+    if ((ts.isParenthesizedExpression(parent) || ts.isNonNullExpression(parent)) && parent.expression === current) {
+      current = parent;
+      continue;
+    }
+    if (ts.isPropertyAccessExpression(parent) && parent.expression === current) {
+      names.push(parent.name.text);
+      current = parent;
+      continue;
+    }
+    if (ts.isElementAccessExpression(parent) && parent.expression === current) {
+      const name = getElementAccessName(parent.argumentExpression);
+      if (name === null) return { names, dynamic: true, end: parent };
+      names.push(name);
+      current = parent;
+      continue;
+    }
+    break;
+  }
+  return { names, dynamic: false, end: current };
+};
+
+// `const { a, b: alias } = root` reads members a and b.
+const readDestructuredNames = (end) => {
+  const parent = end.parent;
+  if (!parent || !ts.isVariableDeclaration(parent) || parent.initializer !== end || !ts.isObjectBindingPattern(parent.name)) return null;
+  return parent.name.elements
+    .map((element) => getPropertyName(element.propertyName || element.name))
+    .filter(Boolean);
+};
+
+const isBindingName = (node) => ts.isBindingElement(node.parent)
+  || (ts.isParameter(node.parent) && node.parent.name === node)
+  || (ts.isVariableDeclaration(node.parent) && node.parent.name === node)
+  || (ts.isPropertyAccessExpression(node.parent) && node.parent.name === node)
+  || (ts.isPropertyAssignment(node.parent) && node.parent.name === node);
+
+/**
+ * Every use of a member in one file, as raw access chains:
+ * - `roots`: chains from a known receiver (`this`, `super`, or a fixture variable bound to a class);
+ *   `dynamic` means any member may be used: a computed key, or a fixture that escaped whole (passed on, spread)
+ * - `looseNames`: property names read from receivers whose class is unknown (aliases, call results, parameters)
+ */
+const collectMemberUsesInSourceFile = ({ sourceFile, fixtureVarToClass = new Map() }) => {
+  const roots = [];
+  const looseNames = new Set();
+
+  const isKnownReceiver = (node) => {
+    const target = unwrap(node);
+    if (!target) return false;
+    if (target.kind === ts.SyntaxKind.ThisKeyword || target.kind === ts.SyntaxKind.SuperKeyword) return true;
+    if (ts.isIdentifier(target)) return fixtureVarToClass.has(target.text);
+    if (ts.isPropertyAccessExpression(target) || ts.isElementAccessExpression(target)) return isKnownReceiver(target.expression);
+    return false;
+  };
+
+  const visit = (node) => {
+    if (ts.isPropertyAccessExpression(node) && !isKnownReceiver(node.expression)) looseNames.add(node.name.text);
+    if (ts.isElementAccessExpression(node) && !isKnownReceiver(node.expression)) {
+      const name = getElementAccessName(node.argumentExpression);
+      if (name) looseNames.add(name);
+    }
+
+    const isThis = node.kind === ts.SyntaxKind.ThisKeyword;
+    const isSuper = node.kind === ts.SyntaxKind.SuperKeyword;
+    const fixtureClass = ts.isIdentifier(node) && !isBindingName(node) ? fixtureVarToClass.get(node.text) : null;
+    if (isThis || isSuper || fixtureClass) {
+      const chain = readAccessChain(node);
+      const names = chain.names.length > 0 ? chain.names : readDestructuredNames(chain.end);
+      const receiver = isThis ? 'this' : isSuper ? 'super' : 'fixture';
+      // A bare `this` is a fluent return or a hand-off to a composed object; only a bare fixture escapes.
+      if (names && names.length > 0) roots.push({ receiver, className: fixtureClass, names, dynamic: chain.dynamic });
+      else if (chain.dynamic || receiver === 'fixture') roots.push({ receiver, className: fixtureClass, names: [], dynamic: true });
+    }
+    ts.forEachChild(node, visit);
+  };
+
+  visit(sourceFile);
+  return { roots, looseNames };
+};
+
+/**
+ * Members of every class declared in the page files (mixin factory classes included): methods, accessors and fields (constructor parameter
+ * properties included), with the member uses in each body. Construction-time uses (constructor and field
+ * initializers) are kept apart, since they run whenever the class is instantiated. Static members are skipped.
+ * Code outside classes (top-level helpers and statements) has no known receiver, so the names it reads are loose.
+ * Classes are keyed by their `classIndex` id.
+ */
+const collectClassMembers = ({ pageFiles, sourceFiles, classIndex = createNoopClassIndex() }) => {
+  const classes = new Map();
+  const looseNames = new Set();
+
+  for (const filePath of pageFiles) {
+    const sourceFile = sourceFiles.getSourceFile(filePath);
+    const lineOf = (node) => sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line + 1;
+
+    const declarations = collectClassDeclarations(sourceFile);
+    const classStatements = new Set(declarations.map((declaration) => declaration.statement));
+    for (const statement of sourceFile.statements) {
+      if (classStatements.has(statement)) continue;
+      for (const name of collectMemberUsesInSourceFile({ sourceFile: statement }).looseNames) looseNames.add(name);
+    }
+
+    for (const { name: className, classNode } of declarations) {
+      const members = new Map();
+      const usesByMember = new Map();
+      const constructionUses = [];
+      const addMember = (memberName, kind, node) => {
+        const existing = members.get(memberName);
+        if (existing) {
+          if (existing.kind !== kind && (kind === 'getter' || kind === 'setter')) existing.kind = 'accessor';
+          return;
+        }
+        members.set(memberName, { kind, line: lineOf(node) });
+      };
+      const addUses = (target, node) => {
+        const uses = collectMemberUsesInSourceFile({ sourceFile: node });
+        target.push(...uses.roots);
+        for (const name of uses.looseNames) looseNames.add(name);
+      };
+
+      for (const member of classNode.members) {
+        if (ts.isConstructorDeclaration(member)) {
+          for (const parameter of member.parameters) {
+            if (ts.isParameterPropertyDeclaration(parameter, member) && ts.isIdentifier(parameter.name)) {
+              addMember(parameter.name.text, 'field', parameter);
+            }
+          }
+          if (member.body) addUses(constructionUses, member.body);
+          continue;
+        }
+        if (isStatic(member)) continue;
+        const memberName = getPropertyName(member.name);
+        if (!memberName) continue;
+        if (ts.isMethodDeclaration(member)) addMember(memberName, 'method', member);
+        else if (ts.isGetAccessorDeclaration(member)) addMember(memberName, 'getter', member);
+        else if (ts.isSetAccessorDeclaration(member)) addMember(memberName, 'setter', member);
+        else if (ts.isPropertyDeclaration(member)) addMember(memberName, isFunctionInitializer(member) ? 'method' : 'field', member);
+        else continue;
+
+        if (ts.isPropertyDeclaration(member) && !isFunctionInitializer(member)) {
+          if (member.initializer) addUses(constructionUses, member.initializer);
+          continue;
+        }
+        const body = ts.isPropertyDeclaration(member) ? member.initializer : member.body;
+        if (!body) continue;
+        if (!usesByMember.has(memberName)) usesByMember.set(memberName, []);
+        addUses(usesByMember.get(memberName), body);
+      }
+
+      classes.set(classIndex.getClassId(filePath, className), { file: filePath, members, usesByMember, constructionUses });
+    }
+  }
+
+  return { classes, looseNames };
+};
+
+/**
+ * Forward reachability from the specs over member uses and the call graph.
+ * Returns the members no spec reaches (directly or through other members), classes never used, and the classes
+ * whose members were all kept because a spec used them dynamically. Anything uncertain counts as reachable:
+ * a dynamic key or escaped fixture keeps the whole class, and a member name read from an unknown receiver
+ * keeps every member with that name. Mixins count as ancestors of the classes they are applied to.
+ */
+const findUnusedMembers = ({
+  classMembers,
+  testFiles,
+  fixtureKeyToClass,
+  parentsByChild,
+  mixinsByChild = new Map(),
+  callGraph,
+  sourceFiles,
+}) => {
+  const { classes } = classMembers;
+  const looseNames = new Set(classMembers.looseNames);
+  const childrenByParent = new Map();
+  const addChild = (parentClass, childClass) => {
+    if (!childrenByParent.has(parentClass)) childrenByParent.set(parentClass, new Set());
+    childrenByParent.get(parentClass).add(childClass);
+  };
+  for (const [childClass, parentClass] of parentsByChild) addChild(parentClass, childClass);
+  for (const [childClass, mixinClasses] of mixinsByChild) {
+    for (const mixinClass of mixinClasses) addChild(mixinClass, childClass);
+  }
+  const lineageOf = (className) => getClassLineage({ className, parentsByChild, mixinsByChild });
+  const descendantsOf = (className) => {
+    const descendants = [];
+    const queue = [className];
+    while (queue.length > 0) {
+      for (const child of childrenByParent.get(queue.shift()) || []) {
+        if (descendants.includes(child)) continue;
+        descendants.push(child);
+        queue.push(child);
+      }
+    }
+    return descendants;
+  };
+  const composedClassOf = (className, fieldName) => {
+    for (const current of lineageOf(className)) {
+      const fieldClass = callGraph.composedFieldClassByNameByClass.get(current)?.get(fieldName);
+      if (fieldClass) return fieldClass;
+    }
+    return null;
+  };
+
+  const reachable = new Set();
+  const liveClasses = new Set();
+  const queue = [];
+  const markMember = (memberKey) => {
+    if (reachable.has(memberKey)) return;
+    reachable.add(memberKey);
+    queue.push(memberKey);
+  };
+  // The first declaration up the lineage, plus overrides in subclasses (the receiver may be one of them).
+  const markMemberByName = (className, memberName) => {
+    const declaring = lineageOf(className).find((current) => classes.get(current)?.members.has(memberName));
+    if (declaring) markMember(`${declaring}#${memberName}`);
+    for (const descendant of descendantsOf(className)) {
+      if (classes.get(descendant)?.members.has(memberName)) markMember(`${descendant}#${memberName}`);
+    }
+  };
+  const markWholeClass = (className) => {
+    for (const current of [...lineageOf(className), ...descendantsOf(className)]) {
+      for (const memberName of classes.get(current)?.members.keys() || []) markMember(`${current}#${memberName}`);
+    }
+  };
+  let markClassLive = null;
+  // Walk a chain through composed fields: `cartPage.header.open` reads CartPage.header, then Header.open.
+  const markChain = ({ className, names, dynamic }) => {
+    let current = className;
+    for (const [index, memberName] of names.entries()) {
+      markMemberByName(current, memberName);
+      const next = composedClassOf(current, memberName);
+      if (!next) {
+        for (const looseName of names.slice(index + 1)) looseNames.add(looseName);
+        return;
+      }
+      markClassLive(next);
+      current = next;
+    }
+    if (dynamic) markWholeClass(current);
+  };
+  const markUse = (ownerClass, use) => {
+    const className = use.receiver === 'super' ? lineageOf(ownerClass)[1] : ownerClass;
+    if (className) markChain({ className, names: use.names, dynamic: use.dynamic });
+  };
+  markClassLive = (className) => {
+    if (!className || liveClasses.has(className)) return;
+    liveClasses.add(className);
+    for (const use of classes.get(className)?.constructionUses || []) markUse(className, use);
+    for (const fieldClass of callGraph.composedFieldClassByNameByClass.get(className)?.values() || []) markClassLive(fieldClass);
+    for (const ancestor of lineageOf(className).slice(1)) markClassLive(ancestor);
+  };
+
+  const fixtureKeysUsedBySpecs = new Set();
+  const dynamicUsesByClass = new Map();
+  for (const { filePath, relativePath, isSpec } of testFiles) {
+    const sourceFile = sourceFiles.getSourceFile(filePath);
+    const { fixtureVarToClass, fixtureVarToKey } = extractFixtureVariablesFromSpecAst({
+      sourceFile,
+      fixtureKeyToClass,
+      fixtureKeys: new Set(fixtureKeyToClass.keys()),
+    });
+    if (isSpec) for (const fixtureKey of fixtureVarToKey.values()) fixtureKeysUsedBySpecs.add(fixtureKey);
+    for (const className of fixtureVarToClass.values()) markClassLive(className);
+
+    const uses = collectMemberUsesInSourceFile({ sourceFile, fixtureVarToClass });
+    for (const name of uses.looseNames) looseNames.add(name);
+    for (const use of uses.roots) {
+      if (use.receiver !== 'fixture') continue;
+      markChain(use);
+      if (!use.dynamic) continue;
+      if (!dynamicUsesByClass.has(use.className)) dynamicUsesByClass.set(use.className, new Set());
+      dynamicUsesByClass.get(use.className).add(relativePath);
+    }
+  }
+
+  while (queue.length > 0) {
+    const memberKey = queue.shift();
+    const [className, memberName] = [memberKey.slice(0, memberKey.indexOf('#')), memberKey.slice(memberKey.indexOf('#') + 1)];
+    markClassLive(className);
+    for (const use of classes.get(className)?.usesByMember.get(memberName) || []) markUse(className, use);
+    for (const calleeKey of callGraph.callEdges.get(memberKey) || []) markMember(calleeKey);
+  }
+
+  const unusedMembers = [];
+  for (const [className, classInfo] of classes) {
+    for (const [memberName, { kind, line }] of classInfo.members) {
+      if (reachable.has(`${className}#${memberName}`) || looseNames.has(memberName)) continue;
+      unusedMembers.push({ className, memberName, kind, file: classInfo.file, line });
+    }
+  }
+
+  return {
+    unusedMembers,
+    unusedClasses: Array.from(classes.keys()).filter((className) => !liveClasses.has(className)),
+    fixtureKeysUsedBySpecs,
+    dynamicUsesByClass,
+  };
+};
+
+module.exports = {
+  collectClassMembers,
+  findUnusedMembers,
+  __testOnly: {
+    collectMemberUsesInSourceFile,
+  },
+};
@@ -1,7 +1,8 @@
 'use strict';
 
-const fs = require('fs');
 const ts = require('typescript');
+const { selectImpactedTests } = require('./test-selection-helpers');
+const { createSourceFileService } = require('./source-file-helpers');
 
 const DEFAULT_SELECTION_BIAS = 'fail-open';
 const MAX_PRECISE_CHAIN_DEPTH = 2;
@@ -21,8 +22,9 @@ const getFixtureKeyFromBindingElement = (element) => {
 };
 
 const extractFixtureVariablesFromSpecAst = ({ sourceFile, fixtureKeyToClass, fixtureKeys }) => {
-  // Map fixture variable names used in test callbacks to their underlying POM class.
+  // Map fixture variable names used in test callbacks to their underlying POM class and fixture key.
   const fixtureVarToClass = new Map();
+  const fixtureVarToKey = new Map();
 
   const parseBindingPattern = (bindingPattern) => {
     for (const element of bindingPattern.elements) {
@@ -36,11 +38,13 @@ const extractFixtureVariablesFromSpecAst = ({ sourceFile, fixtureKeyToClass, fix
 
       if (ts.isIdentifier(element.name)) {
         fixtureVarToClass.set(element.name.text, className);
+        fixtureVarToKey.set(element.name.text, fixtureKey);
         continue;
       }
 
       if (ts.isObjectBindingPattern(element.name) || ts.isArrayBindingPattern(element.name)) {
         fixtureVarToClass.set(fixtureKey, className);
+        fixtureVarToKey.set(fixtureKey, fixtureKey);
       }
     }
   };
@@ -55,7 +59,7 @@ const extractFixtureVariablesFromSpecAst = ({ sourceFile, fixtureKeyToClass, fix
   };
 
   visit(sourceFile);
-  return fixtureVarToClass;
+  return { fixtureVarToClass, fixtureVarToKey };
 };
 
 const getLiteralNameFromArgumentExpression = (node) => {
@@ -81,6 +85,19 @@ const getRootIdentifierName = (node) => {
   return null;
 };
 
+// Call sites as reported by explain: 1-based line/column plus the fixture key the call goes through.
+const toCallSiteRecords = ({ sourceFile, details, fixtureVarToKey }) => details.map(({ position, callee, fixtureVar, className, methodName }) => {
+  const { line, character } = sourceFile.getLineAndCharacterOfPosition(position);
+  return {
+    line: line + 1,
+    column: character + 1,
+    callee,
+    fixtureKey: fixtureVarToKey.get(fixtureVar) || null,
+    className,
+    methodName,
+  };
+});
+
 const getAccessChainDepth = (node) => {
   let depth = 0;
   let current = node;
@@ -96,18 +113,39 @@ const getAccessChainDepth = (node) => {
  * Produces:
  * - precise matches for known fixtureVar.method() patterns
  * - uncertain call-site count for dynamic/alias/deep patterns
+ * - per call site: start offset, fixture variable and (for precise sites) the matched Class.member
+ * With a `typeResolver`, a receiver whose page class the checker knows is matched by that class, whatever
+ * its name or chain depth; other receivers fall back to fixture variable names.
  */
-const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, impactedMethodsByClass, selectionBias }) => {
+const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, impactedMethodsByClass, selectionBias, typeResolver = null }) => {
   // Stage B checks fixtureVar.method(), fixtureVar[method](), and optional call-chain forms.
   const preciseMatches = new Set();
-  let uncertainCallSites = 0;
   const aliasCalls = new Map();
+  // Call-site start offsets, used to narrow a matched spec down to individual tests.
+  const preciseCallSitePositions = [];
+  const uncertainCallSitePositions = [];
+  const preciseCallSiteDetails = [];
+  const uncertainCallSiteDetails = [];
 
   const includeUncertain = selectionBias === 'fail-open';
 
-  const tryRegisterAlias = (aliasName, className, methodName, isUncertain) => {
+  const addPreciseCallSite = (node, fixtureVar, className, methodName) => {
+    preciseMatches.add(`${className}.${methodName}`);
+    const position = node.getStart(sourceFile);
+    preciseCallSitePositions.push(position);
+    preciseCallSiteDetails.push({ position, callee: node.expression.getText(sourceFile), fixtureVar, className, methodName });
+  };
+
+  const addUncertainCallSite = (node, fixtureVar, className) => {
+    const position = node.getStart(sourceFile);
+    uncertainCallSitePositions.push(position);
+    uncertainCallSiteDetails.push({ position, callee: node.expression.getText(sourceFile), fixtureVar, className, methodName: null });
+  };
+
+  const tryRegisterAlias = (aliasName, fixtureVar, className, methodName, isUncertain) => {
     if (!aliasName || !className) return;
     aliasCalls.set(aliasName, {
+      fixtureVar,
       className,
       methodName: methodName || null,
       isUncertain: Boolean(isUncertain || !methodName),
@@ -125,7 +163,7 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
               ? (ts.isIdentifier(node.initializer.name) ? node.initializer.name.text : null)
               : getLiteralNameFromArgumentExpression(node.initializer.argumentExpression);
             const uncertain = true;
-            tryRegisterAlias(node.name.text, className, methodName, uncertain);
+            tryRegisterAlias(node.name.text, rootIdentifier, className, methodName, uncertain);
           }
         }
       }
@@ -139,7 +177,7 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
               ? element.propertyName.text
               : (ts.isIdentifier(element.name) ? element.name.text : null);
             const aliasName = ts.isIdentifier(element.name) ? element.name.text : null;
-            tryRegisterAlias(aliasName, className, methodName, true);
+            tryRegisterAlias(aliasName, node.initializer.text, className, methodName, true);
           }
         }
       }
@@ -151,9 +189,9 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
       if (alias) {
         const impactedMethods = impactedMethodsByClass.get(alias.className) || new Set();
         if (alias.methodName && impactedMethods.has(alias.methodName) && !alias.isUncertain) {
-          preciseMatches.add(`${alias.className}.${alias.methodName}`);
+          addPreciseCallSite(node, alias.fixtureVar, alias.className, alias.methodName);
         } else {
-          uncertainCallSites += 1;
+          addUncertainCallSite(node, alias.fixtureVar, alias.className);
         }
       }
     }
@@ -163,8 +201,18 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
       const objectExpr = calleeExpression.expression;
       const rootIdentifier = getRootIdentifierName(objectExpr);
       const className = rootIdentifier ? fixtureVarToClass.get(rootIdentifier) : null;
-
-      if (className) {
+      const receiverClasses = typeResolver ? typeResolver.getReceiverClassNames(objectExpr) : [];
+
+      if (receiverClasses.length > 0) {
+        const methodName = ts.isPropertyAccessExpression(calleeExpression)
+          ? (ts.isIdentifier(calleeExpression.name) ? calleeExpression.name.text : null)
+          : getLiteralNameFromArgumentExpression(calleeExpression.argumentExpression);
+        const impactedClass = methodName
+          ? receiverClasses.find((receiverClass) => (impactedMethodsByClass.get(receiverClass) || new Set()).has(methodName))
+          : null;
+        if (impactedClass) addPreciseCallSite(node, rootIdentifier, impactedClass, methodName);
+        else if (ts.isElementAccessExpression(calleeExpression) && !methodName) addUncertainCallSite(node, rootIdentifier, receiverClasses[0]);
+      } else if (className) {
         const impactedMethods = impactedMethodsByClass.get(className) || new Set();
         const chainDepth = getAccessChainDepth(objectExpr);
         const tooDeepForPrecise = chainDepth > MAX_PRECISE_CHAIN_DEPTH;
@@ -173,9 +221,9 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
           const methodName = calleeExpression.name.text;
           if (tooDeepForPrecise) {
             // Deep chains are intentionally uncertain to avoid false-precise matches.
-            uncertainCallSites += 1;
+            addUncertainCallSite(node, rootIdentifier, className);
           } else if (impactedMethods.has(methodName)) {
-            preciseMatches.add(`${className}.${methodName}`);
+            addPreciseCallSite(node, rootIdentifier, className, methodName);
           }
         }
 
@@ -183,12 +231,12 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
           const methodName = getLiteralNameFromArgumentExpression(calleeExpression.argumentExpression);
           if (methodName) {
             if (tooDeepForPrecise) {
-              uncertainCallSites += 1;
+              addUncertainCallSite(node, rootIdentifier, className);
             } else if (impactedMethods.has(methodName)) {
-              preciseMatches.add(`${className}.${methodName}`);
+              addPreciseCallSite(node, rootIdentifier, className, methodName);
             }
           } else {
-            uncertainCallSites += 1;
+            addUncertainCallSite(node, rootIdentifier, className);
           }
         }
       }
@@ -201,8 +249,12 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
 
   return {
     preciseMatches: Array.from(preciseMatches).sort((a, b) => a.localeCompare(b)),
-    uncertainCallSites,
-    shouldIncludeByUncertain: includeUncertain && uncertainCallSites > 0,
+    uncertainCallSites: uncertainCallSiteDetails.length,
+    shouldIncludeByUncertain: includeUncertain && uncertainCallSiteDetails.length > 0,
+    preciseCallSitePositions,
+    uncertainCallSitePositions,
+    preciseCallSiteDetails,
+    uncertainCallSiteDetails,
   };
 };
 
@@ -212,6 +264,14 @@ const collectImpactedMethodMatchesInSpec = ({ sourceFile, fixtureVarToClass, imp
  * - direct changed specs are always retained
  * - precise matches are retained
  * - uncertain-only specs are retained only in fail-open mode
+ * - with runtime coverage, specs that called an impacted member at runtime are retained;
+ *   in `replace` mode coverage alone decides for covered specs, with a warning when it drops a spec Stage B matched;
+ *   in `merge` mode it only adds specs, since the recorded calls are those made directly on wrapped fixtures and miss
+ *   calls through composed objects, extracted references and objects a POM returns
+ * Matched specs also get `narrowedTestsBySpec` entries: the tests that contain a matching call site.
+ * `callSitesBySpec` keeps the bound fixtures and the precise and uncertain call sites of every spec Stage B parsed,
+ * and `exclusionReasons` records why each dropped spec was dropped; both feed explain.
+ * A `typeResolver` (typechecker resolution) supplies spec ASTs from its program and types call receivers.
  */
 const filterSpecsByImpactedMethods = ({
   selectedSpecs,
@@ -221,6 +281,9 @@ const filterSpecsByImpactedMethods = ({
   fixtureKeys,
   impactedMethodsByClass,
   selectionBias = DEFAULT_SELECTION_BIAS,
+  runtimeCoverage = null,
+  sourceFiles = createSourceFileService(),
+  typeResolver = null,
 }) => {
   // Stage B keeps direct changed specs unconditionally and filters the rest by impacted calls.
   if (selectedSpecs.length === 0) {
@@ -229,6 +292,9 @@ const filterSpecsByImpactedMethods = ({
       droppedByMethodFilter: 0,
       retainedWithoutMethodFilter: 0,
       selectionReasons: new Map(),
+      narrowedTestsBySpec: new Map(),
+      callSitesBySpec: new Map(),
+      exclusionReasons: new Map(),
       uncertainCallSites: 0,
       warnings: [],
     };
@@ -237,6 +303,9 @@ const filterSpecsByImpactedMethods = ({
   const directChangedSet = new Set(directChangedSpecsAbs);
   const alwaysIncludeSet = new Set(alwaysIncludeSpecsAbs);
   const selectionReasons = new Map();
+  const narrowedTestsBySpec = new Map();
+  const callSitesBySpec = new Map();
+  const exclusionReasons = new Map();
   const warnings = [];
   let uncertainCallSitesTotal = 0;
 
@@ -257,6 +326,9 @@ const filterSpecsByImpactedMethods = ({
       droppedByMethodFilter: 0,
       retainedWithoutMethodFilter,
       selectionReasons,
+      narrowedTestsBySpec,
+      callSitesBySpec,
+      exclusionReasons,
       uncertainCallSites: 0,
       warnings,
     };
@@ -278,24 +350,46 @@ const filterSpecsByImpactedMethods = ({
       continue;
     }
 
-    let content;
+    const hasRuntimeMatch = Boolean(runtimeCoverage && runtimeCoverage.matchesBySpec.has(specPath));
+    const isDecidedByCoverage = Boolean(runtimeCoverage && runtimeCoverage.mode === 'replace' && runtimeCoverage.coveredSpecs.has(specPath));
+    if (isDecidedByCoverage && hasRuntimeMatch) {
+      filteredSpecs.push(specPath);
+      selectionReasons.set(specPath, 'matched-runtime-coverage');
+      continue;
+    }
+
+    // Receiver types are only known for specs in the checker's program.
+    const programSourceFile = typeResolver ? typeResolver.getSourceFile(specPath) : null;
+    let sourceFile;
     try {
-      content = fs.readFileSync(specPath, 'utf8');
+      sourceFile = programSourceFile || sourceFiles.getSourceFile(specPath);
     } catch (_error) {
+      if (isDecidedByCoverage) {
+        droppedByMethodFilter += 1;
+        exclusionReasons.set(specPath, 'excluded-runtime-coverage');
+        continue;
+      }
       retainedWithoutMethodFilter += 1;
       filteredSpecs.push(specPath);
       selectionReasons.set(specPath, 'retained-read-error');
       continue;
     }
 
-    const scriptKind = specPath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
-    const sourceFile = ts.createSourceFile(specPath, content, ts.ScriptTarget.Latest, true, scriptKind);
-    const fixtureVarToClass = extractFixtureVariablesFromSpecAst({ sourceFile, fixtureKeyToClass, fixtureKeys });
+    const { fixtureVarToClass, fixtureVarToKey } = extractFixtureVariablesFromSpecAst({ sourceFile, fixtureKeyToClass, fixtureKeys });
 
     if (fixtureVarToClass.size === 0) {
-      retainedWithoutMethodFilter += 1;
+      if (isDecidedByCoverage) {
+        droppedByMethodFilter += 1;
+        exclusionReasons.set(specPath, 'excluded-runtime-coverage');
+        continue;
+      }
       filteredSpecs.push(specPath);
-      selectionReasons.set(specPath, 'retained-no-bindings');
+      if (hasRuntimeMatch) {
+        selectionReasons.set(specPath, 'matched-runtime-coverage');
+      } else {
+        retainedWithoutMethodFilter += 1;
+        selectionReasons.set(specPath, 'retained-no-bindings');
+      }
       continue;
     }
 
@@ -304,23 +398,55 @@ const filterSpecsByImpactedMethods = ({
       fixtureVarToClass,
       impactedMethodsByClass,
       selectionBias,
+      typeResolver: programSourceFile ? typeResolver : null,
     });
     uncertainCallSitesTotal += matchResult.uncertainCallSites;
+    callSitesBySpec.set(specPath, {
+      boundFixtures: Array.from(fixtureVarToClass.entries())
+        .map(([fixtureVar, className]) => ({ fixtureKey: fixtureVarToKey.get(fixtureVar), className }))
+        .sort((a, b) => a.fixtureKey.localeCompare(b.fixtureKey)),
+      precise: toCallSiteRecords({ sourceFile, details: matchResult.preciseCallSiteDetails, fixtureVarToKey }),
+      uncertain: toCallSiteRecords({ sourceFile, details: matchResult.uncertainCallSiteDetails, fixtureVarToKey }),
+    });
+
+    // Stage B still runs for specs coverage drops, so a drop that overrides a static match is not silent.
+    if (isDecidedByCoverage) {
+      droppedByMethodFilter += 1;
+      exclusionReasons.set(specPath, 'excluded-runtime-coverage');
+      if (matchResult.preciseMatches.length > 0 || matchResult.shouldIncludeByUncertain) {
+        warnings.push(`Runtime coverage dropped a spec Stage B matched: ${specPath}`);
+      }
+      continue;
+    }
 
     if (matchResult.preciseMatches.length > 0) {
+      // In fail-open mode uncertain call sites may hit impacted methods too, so their tests stay selected.
+      const positions = matchResult.shouldIncludeByUncertain
+        ? [...matchResult.preciseCallSitePositions, ...matchResult.uncertainCallSitePositions]
+        : matchResult.preciseCallSitePositions;
       filteredSpecs.push(specPath);
       selectionReasons.set(specPath, 'matched-precise');
+      narrowedTestsBySpec.set(specPath, selectImpactedTests({ sourceFile, positions }));
+      continue;
+    }
+
+    if (hasRuntimeMatch) {
+      filteredSpecs.push(specPath);
+      selectionReasons.set(specPath, 'matched-runtime-coverage');
       continue;
     }
 
     if (matchResult.shouldIncludeByUncertain) {
       filteredSpecs.push(specPath);
+      narrowedTestsBySpec.set(specPath, selectImpactedTests({ sourceFile, positions: matchResult.uncertainCallSitePositions }));
       selectionReasons.set(specPath, 'matched-uncertain-fail-open');
       warnings.push(`Uncertain callsite retained spec: ${specPath}`);
       continue;
     }
 
     droppedByMethodFilter += 1;
+    if (matchResult.uncertainCallSites === 0) exclusionReasons.set(specPath, 'excluded-no-impacted-method-call');
+    else exclusionReasons.set(specPath, 'excluded-uncertain-only');
   }
 
   return {
@@ -328,6 +454,9 @@ const filterSpecsByImpactedMethods = ({
     droppedByMethodFilter,
     retainedWithoutMethodFilter,
     selectionReasons,
+    narrowedTestsBySpec,
+    callSitesBySpec,
+    exclusionReasons,
     uncertainCallSites: uncertainCallSitesTotal,
     warnings,
   };
@@ -335,4 +464,5 @@ const filterSpecsByImpactedMethods = ({
 
 module.exports = {
   filterSpecsByImpactedMethods,
+  extractFixtureVariablesFromSpecAst,
 };
@@ -1,8 +1,12 @@
 'use strict';
 
-const fs = require('fs');
 const path = require('path');
 const ts = require('typescript');
+const { createNoopAnalysisCache } = require('./analysis-cache-helpers');
+const { collectClassDeclarations } = require('./class-declaration-helpers');
+const { getClassLineage } = require('./class-impact-helpers');
+const { createNoopClassIndex } = require('./class-identity-helpers');
+const { createSourceFileService } = require('./source-file-helpers');
 
 const createEmptyStats = () => ({
   changedPomEntriesByStatus: { A: 0, M: 0, D: 0, R: 0 },
@@ -59,10 +63,14 @@ const getMemberName = (member) => {
   return null;
 };
 
+// Type names keep their qualifier (`ns.Header`): the class index resolves it through the file's imports.
 const getTypeNameFromEntity = (entityName) => {
   if (!entityName) return null;
   if (ts.isIdentifier(entityName)) return entityName.text;
-  if (ts.isQualifiedName(entityName)) return entityName.right.text;
+  if (ts.isQualifiedName(entityName)) {
+    const qualifier = getTypeNameFromEntity(entityName.left);
+    return qualifier ? `${qualifier}.${entityName.right.text}` : null;
+  }
   return null;
 };
 
@@ -142,7 +150,7 @@ const isRuntimeStatement = (statement) => {
   return true;
 };
 
-const parseFileModel = ({ refKind, absPath, content, cache }) => {
+const parseFileModel = ({ refKind, absPath, content, cache, sourceFile: parsedSourceFile = null }) => {
   // Parse once per unique file/ref/content and keep a compact model for semantic diff.
   if (typeof content !== 'string') return null;
 
@@ -150,8 +158,11 @@ const parseFileModel = ({ refKind, absPath, content, cache }) => {
   if (cache.astByFileRef.has(key)) return cache.astByFileRef.get(key);
 
   const scriptKind = path.extname(absPath).toLowerCase() === '.tsx' ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
-  const sourceFile = ts.createSourceFile(absPath, content, ts.ScriptTarget.Latest, true, scriptKind);
-  const runtimeStatements = sourceFile.statements.filter((statement) => isRuntimeStatement(statement));
+  const sourceFile = parsedSourceFile || ts.createSourceFile(absPath, content, ts.ScriptTarget.Latest, true, scriptKind);
+  const classDeclarations = collectClassDeclarations(sourceFile);
+  // Statements that hold a class expression or a mixin factory are diffed member by member, like class declarations.
+  const classStatements = new Set(classDeclarations.map((declaration) => declaration.statement));
+  const runtimeStatements = sourceFile.statements.filter((statement) => !classStatements.has(statement) && isRuntimeStatement(statement));
   const classModels = new Map();
 
   const ensureClassModel = (className) => {
@@ -184,12 +195,10 @@ const parseFileModel = ({ refKind, absPath, content, cache }) => {
     return memberModel;
   };
 
-  for (const statement of sourceFile.statements) {
-    if (!ts.isClassDeclaration(statement) || !statement.name?.text) continue;
-    const className = statement.name.text;
+  for (const { name: className, classNode } of classDeclarations) {
     const classModel = ensureClassModel(className);
 
-    for (const member of statement.members) {
+    for (const member of classNode.members) {
       const identity = getMemberIdentity(member);
       if (!identity) continue;
 
@@ -269,11 +278,11 @@ const addChangedMethod = (changedMethodsByClass, className, memberName) => {
   changedMethodsByClass.get(className).add(memberName);
 };
 
-const addAllCallableMembers = ({ parsed, changedMethodsByClass }) => {
+const addAllCallableMembers = ({ parsed, changedMethodsByClass, toClassId }) => {
   if (!parsed) return;
   for (const [className, classModel] of parsed.classModels.entries()) {
     for (const memberName of classModel.callableMembersByName.keys()) {
-      addChangedMethod(changedMethodsByClass, className, memberName);
+      addChangedMethod(changedMethodsByClass, toClassId(className), memberName);
     }
   }
 };
@@ -288,8 +297,9 @@ const addCallableMembersFromClassModel = ({ classModel, className, changedMethod
 /**
  * Build semantic seed of changed callable members per class from changed source entries.
  * The seed intentionally ignores formatting-only edits and expands field-level changes to callables.
+ * Classes are keyed by their `classIndex` id for the entry's effective path (a renamed file keeps its classes).
  */
-const collectChangedMethodsByClass = ({ changedPomEntries, baseRef, readChangeContents }) => {
+const collectChangedMethodsByClass = ({ changedPomEntries, baseRef, readChangeContents, classIndex = createNoopClassIndex() }) => {
   // Semantic seed stage:
   // 1) compare top-level runtime statements
   // 2) compare class members (methods/accessors/ctor/callable properties/fields)
@@ -306,6 +316,7 @@ const collectChangedMethodsByClass = ({ changedPomEntries, baseRef, readChangeCo
     const { basePath, headPath, baseContent, headContent } = readChangeContents(entry, baseRef);
     const baseAbsPath = basePath || entry.effectivePath;
     const headAbsPath = headPath || entry.effectivePath;
+    const toClassId = (className) => classIndex.getClassId(entry.effectivePath, className);
 
     if (baseContent !== null && headContent !== null && baseContent === headContent) {
       continue;
@@ -319,8 +330,8 @@ const collectChangedMethodsByClass = ({ changedPomEntries, baseRef, readChangeCo
 
     if (baseRuntime !== headRuntime) {
       stats.topLevelRuntimeChangedFiles += 1;
-      addAllCallableMembers({ parsed: parsedBase, changedMethodsByClass });
-      addAllCallableMembers({ parsed: parsedHead, changedMethodsByClass });
+      addAllCallableMembers({ parsed: parsedBase, changedMethodsByClass, toClassId });
+      addAllCallableMembers({ parsed: parsedHead, changedMethodsByClass, toClassId });
     }
 
     const classNames = new Set([
@@ -357,7 +368,7 @@ const collectChangedMethodsByClass = ({ changedPomEntries, baseRef, readChangeCo
 
         if (baseFingerprint === headFingerprint) continue;
 
-        const targetClass = headMember?.className || baseMember?.className;
+        const targetClass = toClassId(headMember?.className || baseMember?.className);
         const targetMember = headMember?.memberName || baseMember?.memberName;
         const isCallable = headMember?.callable || baseMember?.callable;
         const identityType = headMember?.identityType || baseMember?.identityType || '';
@@ -382,15 +393,14 @@ const collectChangedMethodsByClass = ({ changedPomEntries, baseRef, readChangeCo
   };
 };
 
-const resolveCallableMemberKey = ({ className, memberName, callableMemberKeyByClassAndName, parentsByChild, mode }) => {
+const resolveCallableMemberKey = ({ className, memberName, callableMemberKeyByClassAndName, lineageOf, mode }) => {
   // Resolve member names through class lineage for both this.* and super.* calls.
   if (!className || !memberName) return null;
 
-  let current = mode === 'super' ? parentsByChild.get(className) : className;
-  while (current) {
+  const lineage = lineageOf(className);
+  for (const current of mode === 'super' ? lineage.slice(1) : lineage) {
     const classMap = callableMemberKeyByClassAndName.get(current);
     if (classMap && classMap.has(memberName)) return classMap.get(memberName);
-    current = parentsByChild.get(current);
   }
 
   return null;
@@ -409,28 +419,21 @@ const getCallableFunctionBodyNode = (memberNode) => {
   return null;
 };
 
-const hasChangedMethodInLineage = ({ className, memberName, changedMethodsByClass, parentsByChild }) => {
-  let current = className;
-  while (current) {
-    const changedMethods = changedMethodsByClass.get(current);
-    if (changedMethods && changedMethods.has(memberName)) return true;
-    current = parentsByChild.get(current);
-  }
-  return false;
-};
+const findChangedClassInLineage = ({ className, memberName, changedMethodsByClass, lineageOf }) => (
+  lineageOf(className).find((current) => changedMethodsByClass.get(current)?.has(memberName)) || null
+);
+
+const hasChangedMethodInLineage = (args) => Boolean(findChangedClassInLineage(args));
 
 const resolveComposedFieldClassInLineage = ({
   className,
   fieldName,
   composedFieldClassByNameByClass,
-  parentsByChild,
+  lineageOf,
 }) => {
-  let current = className;
-  while (current) {
-    const fieldMap = composedFieldClassByNameByClass.get(current);
-    const resolvedClass = fieldMap?.get(fieldName);
+  for (const current of lineageOf(className)) {
+    const resolvedClass = composedFieldClassByNameByClass.get(current)?.get(fieldName);
     if (resolvedClass) return resolvedClass;
-    current = parentsByChild.get(current);
   }
   return null;
 };
@@ -438,25 +441,130 @@ const resolveComposedFieldClassInLineage = ({
 const getComposedClassesInLineage = ({
   className,
   composedFieldClassByNameByClass,
-  parentsByChild,
+  lineageOf,
 }) => {
   const composedClasses = new Set();
-  let current = className;
-  while (current) {
+  for (const current of lineageOf(className)) {
     const fieldMap = composedFieldClassByNameByClass.get(current);
     if (fieldMap) {
       for (const composedClass of fieldMap.values()) composedClasses.add(composedClass);
     }
-    current = parentsByChild.get(current);
   }
   return composedClasses;
 };
 
+const getRootOfExpression = (expr) => {
+  let current = expr;
+  while (current && (ts.isPropertyAccessExpression(current) || ts.isElementAccessExpression(current))) {
+    current = current.expression;
+  }
+  return current;
+};
+
+/**
+ * Collect unresolved call references from one member body, in source order.
+ * Kinds: this / super (named member), dynamic-this / dynamic-super (computed member),
+ * deep-this (this.a.b.m()) and field (this.field.m()).
+ * With a `typeResolver`, calls the checker places on a page member become `resolved` refs (any receiver),
+ * calls it places outside page classes are dropped, and the rest fall back to the kinds above.
+ */
+const collectMemberCallRefs = (bodyNode, typeResolver = null) => {
+  const callRefs = [];
+
+  const visit = (node) => {
+    const isCallLike = ts.isCallExpression(node) || (typeof ts.isCallChain === 'function' && ts.isCallChain(node));
+    if (isCallLike && (ts.isPropertyAccessExpression(node.expression) || ts.isElementAccessExpression(node.expression))) {
+      const calleeExpression = node.expression;
+      const objectExpr = calleeExpression.expression;
+      const methodName = ts.isPropertyAccessExpression(calleeExpression)
+        ? (ts.isIdentifier(calleeExpression.name) ? calleeExpression.name.text : null)
+        : getLiteralNameFromArgumentExpression(calleeExpression.argumentExpression);
+      const isDynamicElementAccess = ts.isElementAccessExpression(calleeExpression) && !methodName;
+      const target = typeResolver && !isDynamicElementAccess ? typeResolver.resolveCallTarget(calleeExpression) : null;
+
+      if (target === 'external') {
+        // Lands outside page classes (for example on a Playwright Page): not part of the call graph.
+      } else if (target) {
+        callRefs.push({ kind: 'resolved', className: target.className, methodName: target.memberName });
+      } else if (objectExpr.kind === ts.SyntaxKind.ThisKeyword || objectExpr.kind === ts.SyntaxKind.SuperKeyword) {
+        const mode = objectExpr.kind === ts.SyntaxKind.ThisKeyword ? 'this' : 'super';
+        if (methodName) callRefs.push({ kind: mode, methodName });
+        else if (isDynamicElementAccess) callRefs.push({ kind: `dynamic-${mode}` });
+      } else if ((ts.isPropertyAccessExpression(objectExpr) || ts.isElementAccessExpression(objectExpr)) && methodName) {
+        const chainRoot = getRootOfExpression(objectExpr);
+        const fieldName = getFieldNameFromThisPropertyAccess(objectExpr);
+        if (chainRoot && chainRoot.kind === ts.SyntaxKind.ThisKeyword && !fieldName) callRefs.push({ kind: 'deep-this' });
+        else if (fieldName) callRefs.push({ kind: 'field', fieldName, methodName });
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+
+  visit(bodyNode);
+  return callRefs;
+};
+
+// Field and constructor-parameter-property types the checker places on a page class, by field name.
+const resolveComposedFieldClasses = ({ classModel, typeResolver }) => {
+  const resolved = new Map();
+  for (const memberModel of classModel.membersByIdentity.values()) {
+    const node = memberModel.implementationNode;
+    if (memberModel.identityType === 'field' && node) {
+      const className = typeResolver.getClassNameOfNode(node.name);
+      if (className) resolved.set(memberModel.memberName, className);
+    }
+    if (memberModel.identityType === 'ctor' && node) {
+      for (const parameter of node.parameters) {
+        if (!ts.isParameterPropertyDeclaration(parameter, node) || !ts.isIdentifier(parameter.name)) continue;
+        const className = typeResolver.getClassNameOfNode(parameter.name);
+        if (className) resolved.set(parameter.name.text, className);
+      }
+    }
+  }
+  return resolved;
+};
+
+/**
+ * Serializable call-graph facts of one page file: classes, composed fields (type names as written) and per-member
+ * call references. Facts depend only on file content, so they can be reused from the persistent analysis cache;
+ * facts resolved through a `typeResolver` (`resolvedComposedFields` holds class ids) also depend on other files
+ * and must not be.
+ */
+const extractCallGraphFacts = ({ absPath, content, sourceFile = null, typeResolver = null }) => {
+  const parsed = parseFileModel({ refKind: 'head', absPath, content, cache: createSemanticCache(), sourceFile });
+  if (!parsed) return { classes: [] };
+
+  return {
+    classes: Array.from(parsed.classModels.entries()).map(([className, classModel]) => ({
+      className,
+      composedFields: Array.from(classModel.composedFieldClassByName),
+      ...(typeResolver ? { resolvedComposedFields: Array.from(resolveComposedFieldClasses({ classModel, typeResolver })) } : {}),
+      members: Array.from(classModel.callableMembersByName.entries()).map(([memberName, memberModel]) => {
+        const bodyNode = getCallableFunctionBodyNode(memberModel.implementationNode);
+        return { memberName, callRefs: bodyNode ? collectMemberCallRefs(bodyNode, typeResolver) : null };
+      }),
+    })),
+  };
+};
+
 /**
  * Propagate semantic seed through class call graph and return final impacted methods by class.
  * Includes inheritance and simple composition projection used by Stage B filtering.
+ * Lineage walks take the mixins of `mixinsByChild` before the base class, as the runtime prototype chain does.
+ * Classes are keyed by their `classIndex` id; composed field types resolve through the imports of the owner's file.
+ * A `typeResolver` (typechecker resolution) resolves call targets and field types through the checker.
  */
-const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, parentsByChild, pageFiles }) => {
+const buildImpactedMethodsByClass = ({
+  impactedClasses,
+  changedMethodsByClass,
+  parentsByChild,
+  mixinsByChild = new Map(),
+  pageFiles,
+  analysisCache = createNoopAnalysisCache(),
+  sourceFiles = createSourceFileService(),
+  typeResolver = null,
+  classIndex = createNoopClassIndex(),
+}) => {
   // Propagation stage:
   // - build callable method graph from page files
   // - reverse-traverse callers from semantic seed methods
@@ -464,151 +572,126 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
   const impactedMethodsByClass = new Map();
   const stats = createEmptyStats();
   const warnings = [];
-  const cache = createSemanticCache();
 
   const callableMemberKeyByClassAndName = new Map();
   const composedFieldClassByNameByClass = new Map();
   const composedClassToOwnerClasses = new Map();
-  const callableNodeByMemberKey = new Map();
+  const callRefsByMemberKey = new Map();
   const memberKeyParts = new Map();
+  const fileByClass = new Map();
+  const lineageByClass = new Map();
+  const lineageOf = (className) => {
+    if (!lineageByClass.has(className)) lineageByClass.set(className, getClassLineage({ className, parentsByChild, mixinsByChild }));
+    return lineageByClass.get(className);
+  };
 
   for (const filePath of pageFiles) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const parsed = parseFileModel({ refKind: 'head', absPath: filePath, content, cache });
-    if (!parsed) continue;
-
-    for (const [className, classModel] of parsed.classModels.entries()) {
+    const content = sourceFiles.readText(filePath);
+    const programSourceFile = typeResolver ? typeResolver.getSourceFile(filePath) : null;
+    const facts = programSourceFile
+      ? extractCallGraphFacts({ absPath: filePath, content, sourceFile: programSourceFile, typeResolver })
+      : analysisCache.getOrCompute('call-graph', filePath, content, () => extractCallGraphFacts({
+        absPath: filePath,
+        content,
+        sourceFile: sourceFiles.getSourceFile(filePath),
+      }));
+
+    for (const classFacts of facts.classes) {
+      const className = classIndex.getClassId(filePath, classFacts.className);
+      fileByClass.set(className, filePath);
       if (!callableMemberKeyByClassAndName.has(className)) callableMemberKeyByClassAndName.set(className, new Map());
       const classMap = callableMemberKeyByClassAndName.get(className);
-      composedFieldClassByNameByClass.set(className, classModel.composedFieldClassByName);
-      for (const composedClass of classModel.composedFieldClassByName.values()) {
+      const composedFieldClassByName = new Map([
+        ...classFacts.composedFields
+          .map(([fieldName, typeName]) => [fieldName, classIndex.resolveClassName(typeName, filePath)])
+          .filter(([, composedClass]) => composedClass),
+        ...(classFacts.resolvedComposedFields || []),
+      ]);
+      composedFieldClassByNameByClass.set(className, composedFieldClassByName);
+      for (const composedClass of composedFieldClassByName.values()) {
         if (!composedClassToOwnerClasses.has(composedClass)) composedClassToOwnerClasses.set(composedClass, new Set());
         composedClassToOwnerClasses.get(composedClass).add(className);
       }
 
-      for (const [memberName, memberModel] of classModel.callableMembersByName.entries()) {
+      for (const { memberName, callRefs } of classFacts.members) {
         const memberKey = `${className}#${memberName}`;
         classMap.set(memberName, memberKey);
         memberKeyParts.set(memberKey, { className, memberName });
-        if (memberModel.implementationNode) callableNodeByMemberKey.set(memberKey, memberModel.implementationNode);
+        if (callRefs) callRefsByMemberKey.set(memberKey, callRefs);
       }
     }
   }
 
   const directEdges = new Map();
 
-  for (const [callerKey, callerNode] of callableNodeByMemberKey.entries()) {
+  for (const [callerKey, callRefs] of callRefsByMemberKey.entries()) {
     const callerParts = memberKeyParts.get(callerKey);
     if (!callerParts) continue;
 
-    const bodyNode = getCallableFunctionBodyNode(callerNode);
-    if (!bodyNode) continue;
-
     const callees = new Set();
     const addAllClassMembersAsCallees = (className, mode = 'this') => {
-      let current = mode === 'super' ? parentsByChild.get(className) : className;
-      while (current) {
+      const lineage = lineageOf(className);
+      for (const current of mode === 'super' ? lineage.slice(1) : lineage) {
         const classMap = callableMemberKeyByClassAndName.get(current);
         if (classMap) {
           for (const memberKey of classMap.values()) callees.add(memberKey);
           return;
         }
-        current = parentsByChild.get(current);
       }
       warnings.push(`Unresolvable ${mode} lineage for class ${className}`);
     };
 
-    const getRootOfExpression = (expr) => {
-      let current = expr;
-      while (current && (ts.isPropertyAccessExpression(current) || ts.isElementAccessExpression(current))) {
-        current = current.expression;
-      }
-      return current;
-    };
-
-    const visit = (node) => {
-      const isCallLike = ts.isCallExpression(node) || (typeof ts.isCallChain === 'function' && ts.isCallChain(node));
-      if (isCallLike && (ts.isPropertyAccessExpression(node.expression) || ts.isElementAccessExpression(node.expression))) {
-        const calleeExpression = node.expression;
-        const objectExpr = calleeExpression.expression;
-        const methodName = ts.isPropertyAccessExpression(calleeExpression)
-          ? (ts.isIdentifier(calleeExpression.name) ? calleeExpression.name.text : null)
-          : getLiteralNameFromArgumentExpression(calleeExpression.argumentExpression);
-        const isDynamicElementAccess = ts.isElementAccessExpression(calleeExpression) && !methodName;
-
-        if (objectExpr.kind === ts.SyntaxKind.ThisKeyword) {
-          if (methodName) {
-            const calleeKey = resolveCallableMemberKey({
-              className: callerParts.className,
-              memberName: methodName,
-              callableMemberKeyByClassAndName,
-              parentsByChild,
-              mode: 'this',
-            });
-            if (calleeKey) callees.add(calleeKey);
-            else warnings.push(`Unresolvable this.${methodName} in ${callerParts.className}`);
-          } else if (isDynamicElementAccess) {
-            addAllClassMembersAsCallees(callerParts.className, 'this');
-            warnings.push(`Dynamic this[...] call in ${callerParts.className} treated as uncertain`);
-          }
-        } else if (objectExpr.kind === ts.SyntaxKind.SuperKeyword) {
-          if (methodName) {
-            const calleeKey = resolveCallableMemberKey({
-              className: callerParts.className,
-              memberName: methodName,
-              callableMemberKeyByClassAndName,
-              parentsByChild,
-              mode: 'super',
-            });
-            if (calleeKey) callees.add(calleeKey);
-            else warnings.push(`Unresolvable super.${methodName} in ${callerParts.className}`);
-          } else if (isDynamicElementAccess) {
-            addAllClassMembersAsCallees(callerParts.className, 'super');
-            warnings.push(`Dynamic super[...] call in ${callerParts.className} treated as uncertain`);
-          }
-        } else if (ts.isPropertyAccessExpression(objectExpr) || ts.isElementAccessExpression(objectExpr)) {
-          if (!methodName) {
-            ts.forEachChild(node, visit);
-            return;
-          }
-          const chainRoot = getRootOfExpression(objectExpr);
-          if (chainRoot && chainRoot.kind === ts.SyntaxKind.ThisKeyword && !getFieldNameFromThisPropertyAccess(objectExpr)) {
-            addAllClassMembersAsCallees(callerParts.className, 'this');
-            warnings.push(`Deep this.* chain in ${callerParts.className} treated as uncertain`);
-            ts.forEachChild(node, visit);
-            return;
-          }
-          const fieldName = getFieldNameFromThisPropertyAccess(objectExpr);
-          if (!fieldName) {
-            ts.forEachChild(node, visit);
-            return;
-          }
-          const composedClass = resolveComposedFieldClassInLineage({
-            className: callerParts.className,
-            fieldName,
-            composedFieldClassByNameByClass,
-            parentsByChild,
-          });
-          if (!composedClass) {
-            warnings.push(`Unknown composed field type for ${fieldName} in ${callerParts.className}`);
-            ts.forEachChild(node, visit);
-            return;
-          }
-          const calleeKey = resolveCallableMemberKey({
-            className: composedClass,
-            memberName: methodName,
-            callableMemberKeyByClassAndName,
-            parentsByChild,
-            mode: 'this',
-          });
-          if (calleeKey) callees.add(calleeKey);
-          else warnings.push(`Unresolvable composed call ${fieldName}.${methodName} in ${callerParts.className}`);
+    for (const callRef of callRefs) {
+      if (callRef.kind === 'this' || callRef.kind === 'super') {
+        const calleeKey = resolveCallableMemberKey({
+          className: callerParts.className,
+          memberName: callRef.methodName,
+          callableMemberKeyByClassAndName,
+          lineageOf,
+          mode: callRef.kind,
+        });
+        if (calleeKey) callees.add(calleeKey);
+        else warnings.push(`Unresolvable ${callRef.kind}.${callRef.methodName} in ${callerParts.className}`);
+      } else if (callRef.kind === 'resolved') {
+        const calleeKey = resolveCallableMemberKey({
+          className: callRef.className,
+          memberName: callRef.methodName,
+          callableMemberKeyByClassAndName,
+          lineageOf,
+          mode: 'this',
+        });
+        // A call the checker placed on a field that holds a function has no callable member behind it.
+        if (calleeKey) callees.add(calleeKey);
+      } else if (callRef.kind === 'dynamic-this' || callRef.kind === 'dynamic-super') {
+        const mode = callRef.kind === 'dynamic-this' ? 'this' : 'super';
+        addAllClassMembersAsCallees(callerParts.className, mode);
+        warnings.push(`Dynamic ${mode}[...] call in ${callerParts.className} treated as uncertain`);
+      } else if (callRef.kind === 'deep-this') {
+        addAllClassMembersAsCallees(callerParts.className, 'this');
+        warnings.push(`Deep this.* chain in ${callerParts.className} treated as uncertain`);
+      } else if (callRef.kind === 'field') {
+        const composedClass = resolveComposedFieldClassInLineage({
+          className: callerParts.className,
+          fieldName: callRef.fieldName,
+          composedFieldClassByNameByClass,
+          lineageOf,
+        });
+        if (!composedClass) {
+          warnings.push(`Unknown composed field type for ${callRef.fieldName} in ${callerParts.className}`);
+          continue;
         }
+        const calleeKey = resolveCallableMemberKey({
+          className: composedClass,
+          memberName: callRef.methodName,
+          callableMemberKeyByClassAndName,
+          lineageOf,
+          mode: 'this',
+        });
+        if (calleeKey) callees.add(calleeKey);
+        else warnings.push(`Unresolvable composed call ${callRef.fieldName}.${callRef.methodName} in ${callerParts.className}`);
       }
-      ts.forEachChild(node, visit);
-    };
+    }
 
-    visit(bodyNode);
     directEdges.set(callerKey, callees);
   }
 
@@ -622,6 +705,9 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
 
   const queue = [];
   const visited = new Set();
+  // Provenance for explain: the callee each caller was reached from, and the changed member behind each seed key.
+  const reachedFrom = new Map();
+  const seedChangeByMemberKey = new Map();
 
   for (const [className, methodNames] of changedMethodsByClass.entries()) {
     for (const methodName of methodNames) {
@@ -629,11 +715,12 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
         className,
         memberName: methodName,
         callableMemberKeyByClassAndName,
-        parentsByChild,
+        lineageOf,
         mode: 'this',
       });
       if (!memberKey || visited.has(memberKey)) continue;
       visited.add(memberKey);
+      seedChangeByMemberKey.set(memberKey, { className, memberName: methodName });
       queue.push(memberKey);
     }
   }
@@ -645,6 +732,7 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
     for (const caller of callers) {
       if (visited.has(caller)) continue;
       visited.add(caller);
+      reachedFrom.set(caller, current);
       queue.push(caller);
     }
   }
@@ -660,11 +748,17 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
   }
 
   let classesForProjection = Array.from(callableMemberKeyByClassAndName.keys());
+  const projectedClassFrom = new Map();
+  const projectionByMember = new Map();
   if (impactedClasses.size > 0) {
     const childrenByParent = new Map();
-    for (const [childClass, parentClass] of parentsByChild.entries()) {
+    const addChild = (parentClass, childClass) => {
       if (!childrenByParent.has(parentClass)) childrenByParent.set(parentClass, new Set());
       childrenByParent.get(parentClass).add(childClass);
+    };
+    for (const [childClass, parentClass] of parentsByChild.entries()) addChild(parentClass, childClass);
+    for (const [childClass, mixinClasses] of mixinsByChild.entries()) {
+      for (const mixinClass of mixinClasses) addChild(mixinClass, childClass);
     }
 
     const projectionSet = new Set(impactedClasses);
@@ -675,6 +769,7 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
       for (const ownerClass of owners) {
         if (projectionSet.has(ownerClass)) continue;
         projectionSet.add(ownerClass);
+        projectedClassFrom.set(ownerClass, { via: 'composed', className: currentClass });
         queueForComposition.push(ownerClass);
       }
     }
@@ -686,6 +781,7 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
       for (const childClass of children) {
         if (projectionSet.has(childClass)) continue;
         projectionSet.add(childClass);
+        projectedClassFrom.set(childClass, { via: 'inherited', className: currentClass });
         queueForDescendants.push(childClass);
       }
     }
@@ -698,26 +794,29 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
         className,
         memberName,
         callableMemberKeyByClassAndName,
-        parentsByChild,
+        lineageOf,
         mode: 'this',
       });
       const isResolvedImpacted = Boolean(resolvedMemberKey && visited.has(resolvedMemberKey));
-      const isRemovedOrRenamedInLineage = !resolvedMemberKey &&
-        hasChangedMethodInLineage({ className, memberName, changedMethodsByClass, parentsByChild });
+      const removedInClass = resolvedMemberKey
+        ? null
+        : findChangedClassInLineage({ className, memberName, changedMethodsByClass, lineageOf });
+      const isRemovedOrRenamedInLineage = Boolean(removedInClass);
 
       let isComposedImpacted = false;
+      let composedSource = null;
       if (!isResolvedImpacted && !isRemovedOrRenamedInLineage) {
         const composedClasses = getComposedClassesInLineage({
           className,
           composedFieldClassByNameByClass,
-          parentsByChild,
+          lineageOf,
         });
         for (const composedClass of composedClasses) {
           const composedMemberKey = resolveCallableMemberKey({
             className: composedClass,
             memberName,
             callableMemberKeyByClassAndName,
-            parentsByChild,
+            lineageOf,
             mode: 'this',
           });
           const isComposedResolvedImpacted = Boolean(composedMemberKey && visited.has(composedMemberKey));
@@ -727,10 +826,17 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
               className: composedClass,
               memberName,
               changedMethodsByClass,
-              parentsByChild,
+              lineageOf,
             });
           if (isComposedResolvedImpacted || isComposedRemovedOrRenamed) {
             isComposedImpacted = true;
+            composedSource = {
+              composedClass,
+              memberKey: composedMemberKey,
+              removedInClass: isComposedRemovedOrRenamed
+                ? findChangedClassInLineage({ className: composedClass, memberName, changedMethodsByClass, lineageOf })
+                : null,
+            };
             break;
           }
         }
@@ -739,6 +845,11 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
       if (!isResolvedImpacted && !isRemovedOrRenamedInLineage && !isComposedImpacted) continue;
       if (!impactedMethodsByClass.has(className)) impactedMethodsByClass.set(className, new Set());
       impactedMethodsByClass.get(className).add(memberName);
+      projectionByMember.set(`${className}.${memberName}`, composedSource || {
+        composedClass: null,
+        memberKey: isResolvedImpacted ? resolvedMemberKey : null,
+        removedInClass,
+      });
     }
   }
 
@@ -748,6 +859,19 @@ const buildImpactedMethodsByClass = ({ impactedClasses, changedMethodsByClass, p
     impactedMethodsByClass,
     stats,
     warnings,
+    // Provenance of every impacted member, consumed by explainSpecSelection; the graph parts feed graph export and the unused-member report.
+    trace: {
+      fileByClass,
+      seedChangeByMemberKey,
+      reachedFrom,
+      projectedClassFrom,
+      projectionByMember,
+      memberKeyParts,
+      callEdges: directEdges,
+      composedClassToOwnerClasses,
+      composedFieldClassByNameByClass,
+      impactedMemberKeys: visited,
+    },
   };
 };
 
@@ -0,0 +1,224 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const NULL_PATH = '/dev/null';
+
+// `--- a/src/x.ts\t2024-01-01 ...` -> `src/x.ts`; quoted paths keep their escapes unresolved except `\"` and `\\`.
+const parseDiffPath = (rawValue) => {
+  let value = String(rawValue || '').split('\t')[0].trim();
+  if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  if (value === NULL_PATH) return null;
+  return value.replace(/^[ab]\//, '');
+};
+
+const parseGitHeaderPaths = (line) => {
+  const match = /^diff --git (?:"?a\/)(.+?)"? (?:"?b\/)(.+?)"?$/.exec(line);
+  return match ? { oldPath: match[1], newPath: match[2] } : { oldPath: null, newPath: null };
+};
+
+const resolveStatus = (filePatch) => {
+  if (filePatch.status) return filePatch.status;
+  if (!filePatch.oldPath) return 'A';
+  if (!filePatch.newPath) return 'D';
+  return filePatch.oldPath === filePatch.newPath ? 'M' : 'R';
+};
+
+/**
+ * Parse a unified diff (git or plain `diff -u` style) into one record per file:
+ * `{ status, oldPath, newPath, effectivePath, rawStatus, hunks }`, with paths relative to the diff root.
+ * Hunk bodies are read by their line counts, so removed lines that look like `--- ` headers are safe.
+ */
+const parseUnifiedDiff = (patchText) => {
+  const lines = String(patchText || '').split(/\r?\n/);
+  const files = [];
+  let current = null;
+
+  const startFile = (fromGitHeader) => {
+    current = { status: null, oldPath: null, newPath: null, hunks: [], fromGitHeader, headerPathsSet: false };
+    files.push(current);
+  };
+
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+
+    if (line.startsWith('diff --git ')) {
+      startFile(true);
+      Object.assign(current, parseGitHeaderPaths(line));
+      continue;
+    }
+    if (line.startsWith('--- ') && (lines[index + 1] || '').startsWith('+++ ')) {
+      if (!current || !current.fromGitHeader || current.headerPathsSet || current.hunks.length > 0) startFile(false);
+      current.oldPath = parseDiffPath(line.slice(4));
+      current.newPath = parseDiffPath(lines[index + 1].slice(4));
+      current.headerPathsSet = true;
+      index += 1;
+      continue;
+    }
+    if (!current) continue;
+
+    if (line.startsWith('new file mode')) current.status = 'A';
+    else if (line.startsWith('deleted file mode')) current.status = 'D';
+    else if (line.startsWith('rename from ')) {
+      current.status = 'R';
+      current.oldPath = line.slice('rename from '.length).trim();
+    } else if (line.startsWith('rename to ')) {
+      current.newPath = line.slice('rename to '.length).trim();
+    } else if (line.startsWith('copy to ')) {
+      // A copy has no stable base identity; treat it like an added file, as the git source does.
+      current.status = 'A';
+      current.newPath = line.slice('copy to '.length).trim();
+    } else if (HUNK_HEADER.test(line)) {
+      const [, oldStart, oldCount = '1', newStart, newCount = '1'] = HUNK_HEADER.exec(line);
+      const hunk = { oldStart: Number(oldStart), newStart: Number(newStart), lines: [], oldNoNewline: false, newNoNewline: false };
+      let oldRemaining = Number(oldCount);
+      let newRemaining = Number(newCount);
+      while ((oldRemaining > 0 || newRemaining > 0 || (lines[index + 1] || '').startsWith('\\')) && index + 1 < lines.length) {
+        const bodyLine = lines[index + 1];
+        const kind = bodyLine[0] || ' ';
+        if (kind === '\\') {
+          const previous = hunk.lines[hunk.lines.length - 1];
+          if (previous && previous.kind !== '+') hunk.oldNoNewline = true;
+          if (previous && previous.kind !== '-') hunk.newNoNewline = true;
+        } else if (kind === ' ' || kind === '-' || kind === '+') {
+          hunk.lines.push({ kind, text: bodyLine.slice(1) });
+          if (kind !== '+') oldRemaining -= 1;
+          if (kind !== '-') newRemaining -= 1;
+        } else {
+          break;
+        }
+        index += 1;
+      }
+      current.hunks.push(hunk);
+    }
+  }
+
+  return files
+    .map((filePatch) => {
+      const status = resolveStatus(filePatch);
+      const oldPath = status === 'A' ? null : filePatch.oldPath;
+      const newPath = status === 'D' ? null : filePatch.newPath;
+      return { status, oldPath, newPath, effectivePath: newPath || oldPath, rawStatus: `${status} (patch)`, hunks: filePatch.hunks };
+    })
+    .filter((filePatch) => Boolean(filePatch.effectivePath));
+};
+
+const splitContentLines = (content) => {
+  const endsWithNewline = content.endsWith('\n');
+  const lines = content.split('\n');
+  if (endsWithNewline) lines.pop();
+  return { lines, endsWithNewline };
+};
+
+/**
+ * Rebuild the base version of a file from its head version by applying the hunks in reverse.
+ * Throws when a context or added line does not match the head content.
+ */
+const reverseApplyHunks = ({ headContent, hunks, filePath }) => {
+  const head = splitContentLines(headContent);
+  const baseLines = [];
+  let endsWithNewline = head.endsWithNewline;
+  let headIndex = 0;
+
+  for (const hunk of hunks) {
+    // A hunk without new lines (pure deletion) starts after line `newStart`, not at it.
+    const hunkStart = hunk.lines.some((line) => line.kind !== '-') ? hunk.newStart - 1 : hunk.newStart;
+    if (hunkStart < headIndex || hunkStart > head.lines.length) {
+      throw new Error(`Patch does not match ${filePath}: hunk at line ${hunk.newStart} is out of range`);
+    }
+    while (headIndex < hunkStart) baseLines.push(head.lines[headIndex++]);
+
+    for (const line of hunk.lines) {
+      if (line.kind === '-') {
+        baseLines.push(line.text);
+        continue;
+      }
+      const headLine = head.lines[headIndex];
+      if (headLine === undefined || headLine.replace(/\r$/, '') !== line.text.replace(/\r$/, '')) {
+        throw new Error(`Patch does not match ${filePath} at line ${headIndex + 1}`);
+      }
+      if (line.kind === ' ') baseLines.push(headLine);
+      headIndex += 1;
+    }
+    if (hunk.oldNoNewline) endsWithNewline = false;
+    else if (hunk.newNoNewline) endsWithNewline = true;
+  }
+  while (headIndex < head.lines.length) baseLines.push(head.lines[headIndex++]);
+
+  if (baseLines.length === 0) return '';
+  return `${baseLines.join('\n')}${endsWithNewline ? '\n' : ''}`;
+};
+
+// A deleted file's hunks hold its whole base content.
+const rebuildDeletedContent = (hunks) => {
+  const lines = hunks.flatMap((hunk) => hunk.lines.filter((line) => line.kind !== '+').map((line) => line.text));
+  if (lines.length === 0) return '';
+  return `${lines.join('\n')}${hunks.some((hunk) => hunk.oldNoNewline) ? '' : '\n'}`;
+};
+
+const readWorkingTreeFile = (absolutePath) => (fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null);
+
+/**
+ * Change source for a unified diff that is already applied to the working tree (a PR diff or `.patch` artifact).
+ * Head contents come from the working tree; base contents are rebuilt by reverse-applying each file's hunks,
+ * so the semantic method diff works without git history. A file whose hunks do not match the working tree
+ * is compared against an empty base (every member counts as changed) and reported in `warnings`.
+ */
+const createPatchChangeSource = ({ repoRoot, patchText }) => {
+  const filePatches = parseUnifiedDiff(patchText);
+  const warnings = [];
+  const contentsByPath = new Map();
+
+  for (const filePatch of filePatches) {
+    const basePath = filePatch.oldPath;
+    const headPath = filePatch.newPath;
+    const headContent = headPath ? readWorkingTreeFile(path.join(repoRoot, headPath)) : null;
+    let baseContent = null;
+    if (filePatch.status === 'D') {
+      baseContent = rebuildDeletedContent(filePatch.hunks);
+    } else if (basePath && headContent === null) {
+      warnings.push(`Patch file missing from the working tree: ${headPath}`);
+    } else if (basePath) {
+      try {
+        baseContent = reverseApplyHunks({ headContent, hunks: filePatch.hunks, filePath: headPath });
+      } catch (error) {
+        warnings.push(`${error.message}; comparing against an empty base`);
+      }
+    }
+    contentsByPath.set(filePatch.effectivePath, { basePath, headPath, baseContent, headContent });
+  }
+
+  const entries = filePatches
+    .map(({ hunks: _hunks, ...entry }) => entry)
+    .sort((a, b) => a.effectivePath.localeCompare(b.effectivePath));
+
+  return {
+    getChangedEntries: () => ({
+      entries,
+      warnings: [...warnings],
+      statusFallbackHits: 0,
+      changedEntriesBySource: { fromBaseHead: 0, fromWorkingTree: 0, fromUntracked: 0 },
+    }),
+    readChangeContents: (entry) => contentsByPath.get(entry.effectivePath),
+    // New files are part of the patch itself.
+    getUntrackedSpecPaths: () => [],
+  };
+};
+
+/**
+ * Read a patch file (resolved against repoRoot) and build its change source.
+ */
+const loadPatchChangeSource = ({ repoRoot, patchPath }) => {
+  const resolvedPath = path.resolve(repoRoot, patchPath);
+  if (!fs.existsSync(resolvedPath)) throw new Error(`Patch file not found: ${patchPath}`);
+  return createPatchChangeSource({ repoRoot, patchText: fs.readFileSync(resolvedPath, 'utf8') });
+};
+
+module.exports = {
+  parseUnifiedDiff,
+  reverseApplyHunks,
+  createPatchChangeSource,
+  loadPatchChangeSource,
+};
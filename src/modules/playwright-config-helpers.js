@@ -0,0 +1,381 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const DEFAULT_PLAYWRIGHT_CONFIG_FILES = [
+  'playwright.config.ts',
+  'playwright.config.mts',
+  'playwright.config.cts',
+  'playwright.config.js',
+  'playwright.config.mjs',
+  'playwright.config.cjs',
+];
+const DEFAULT_FILE_EXTENSIONS = ['.ts', '.tsx'];
+// Extensions a RegExp testMatch is tried against; a glob names its extension directly.
+const REGEXP_EXTENSION_CANDIDATES = ['.cjs', '.cts', '.js', '.jsx', '.mjs', '.mts', '.ts', '.tsx'];
+const DEFAULT_ANALYSIS_ROOTS = ['src/pages', 'src/utils'];
+const UNRESOLVED = Symbol('unresolved');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const getScriptKind = (filePath) => {
+  if (filePath.endsWith('.tsx')) return ts.ScriptKind.TSX;
+  if (/\.[cm]?js$/.test(filePath)) return ts.ScriptKind.JS;
+  return ts.ScriptKind.TS;
+};
+
+const getPropertyNameText = (nameNode) => {
+  if (!nameNode) return null;
+  if (ts.isIdentifier(nameNode) || ts.isStringLiteral(nameNode) || ts.isNoSubstitutionTemplateLiteral(nameNode)) return nameNode.text;
+  return null;
+};
+
+const unwrapExpression = (node) => {
+  let current = node;
+  while (current && (ts.isParenthesizedExpression(current) || ts.isAsExpression(current) || ts.isSatisfiesExpression?.(current)
+    || ts.isTypeAssertionExpression(current) || ts.isNonNullExpression(current))) {
+    current = current.expression;
+  }
+  return current;
+};
+
+/**
+ * Small static evaluator for the literal subset used by Playwright configs.
+ * It never executes the file: anything outside strings, arrays, objects, regex literals,
+ * same-file constants and `path.join/resolve(__dirname, ...)` evaluates to UNRESOLVED.
+ */
+const createStaticEvaluator = ({ sourceFile, configDir, warnings }) => {
+  const constInitializers = new Map();
+  for (const statement of sourceFile.statements) {
+    if (!ts.isVariableStatement(statement)) continue;
+    for (const declaration of statement.declarationList.declarations) {
+      if (ts.isIdentifier(declaration.name) && declaration.initializer) {
+        constInitializers.set(declaration.name.text, declaration.initializer);
+      }
+    }
+  }
+
+  const evaluating = new Set();
+
+  const evaluate = (rawNode) => {
+    const node = unwrapExpression(rawNode);
+    if (!node) return UNRESOLVED;
+
+    if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) return node.text;
+    if (ts.isNumericLiteral(node)) return Number(node.text);
+    if (node.kind === ts.SyntaxKind.TrueKeyword) return true;
+    if (node.kind === ts.SyntaxKind.FalseKeyword) return false;
+    if (ts.isRegularExpressionLiteral(node)) {
+      const lastSlash = node.text.lastIndexOf('/');
+      return new RegExp(node.text.slice(1, lastSlash), node.text.slice(lastSlash + 1));
+    }
+
+    if (ts.isIdentifier(node)) {
+      if (node.text === '__dirname') return configDir;
+      if (node.text === 'undefined') return undefined;
+      const initializer = constInitializers.get(node.text);
+      if (!initializer || evaluating.has(node.text)) return UNRESOLVED;
+      evaluating.add(node.text);
+      const value = evaluate(initializer);
+      evaluating.delete(node.text);
+      return value;
+    }
+
+    if (ts.isArrayLiteralExpression(node)) {
+      const values = [];
+      for (const element of node.elements) {
+        if (ts.isSpreadElement(element)) {
+          const spread = evaluate(element.expression);
+          if (Array.isArray(spread)) values.push(...spread);
+          continue;
+        }
+        values.push(evaluate(element));
+      }
+      return values;
+    }
+
+    if (ts.isObjectLiteralExpression(node)) {
+      const value = {};
+      for (const property of node.properties) {
+        if (ts.isSpreadAssignment(property)) {
+          const spread = evaluate(property.expression);
+          if (spread && spread !== UNRESOLVED && typeof spread === 'object') Object.assign(value, spread);
+          continue;
+        }
+        if (ts.isPropertyAssignment(property)) {
+          const key = getPropertyNameText(property.name);
+          if (key) value[key] = evaluate(property.initializer);
+          continue;
+        }
+        if (ts.isShorthandPropertyAssignment(property)) {
+          value[property.name.text] = evaluate(property.name);
+        }
+      }
+      return value;
+    }
+
+    if (ts.isCallExpression(node)) {
+      const callee = node.expression;
+      const calleeText = ts.isPropertyAccessExpression(callee) && ts.isIdentifier(callee.expression)
+        ? `${callee.expression.text}.${callee.name.text}`
+        : (ts.isIdentifier(callee) ? callee.text : null);
+
+      if (calleeText === 'path.join' || calleeText === 'path.resolve' || calleeText === 'join' || calleeText === 'resolve') {
+        const parts = node.arguments.map((argument) => evaluate(argument));
+        if (parts.some((part) => typeof part !== 'string')) return UNRESOLVED;
+        return calleeText.endsWith('resolve') ? path.resolve(configDir, ...parts) : path.join(...parts);
+      }
+      if (calleeText === 'require.resolve') {
+        const target = evaluate(node.arguments[0]);
+        return typeof target === 'string' ? path.resolve(configDir, target) : UNRESOLVED;
+      }
+      if (calleeText === 'defineConfig') {
+        // defineConfig(base, override, ...) merges configs from left to right.
+        const merged = {};
+        for (const argument of node.arguments) {
+          const value = evaluate(argument);
+          if (value && value !== UNRESOLVED && typeof value === 'object') Object.assign(merged, value);
+        }
+        return merged;
+      }
+    }
+
+    warnings.push(`Playwright config: cannot statically evaluate "${node.getText(sourceFile).slice(0, 60)}"`);
+    return UNRESOLVED;
+  };
+
+  return evaluate;
+};
+
+const findExportedConfigExpression = (sourceFile) => {
+  for (const statement of sourceFile.statements) {
+    if (ts.isExportAssignment(statement)) return statement.expression;
+
+    if (ts.isExpressionStatement(statement) && ts.isBinaryExpression(statement.expression)) {
+      const { left, right, operatorToken } = statement.expression;
+      if (operatorToken.kind !== ts.SyntaxKind.EqualsToken) continue;
+      if (ts.isPropertyAccessExpression(left) && ts.isIdentifier(left.expression)
+        && left.expression.text === 'module' && left.name.text === 'exports') {
+        return right;
+      }
+    }
+  }
+  return null;
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === UNRESOLVED) return [];
+  return (Array.isArray(value) ? value : [value]).filter((item) => typeof item === 'string' || item instanceof RegExp);
+};
+
+const toRepoRelative = ({ repoRoot, configDir, value }) => {
+  if (typeof value !== 'string') return null;
+  const relative = normalizePath(path.relative(repoRoot, path.resolve(configDir, value)));
+  return relative || '.';
+};
+
+const getCommonDirectory = (relativeDirs) => {
+  if (relativeDirs.length === 0) return '.';
+  const split = relativeDirs.map((dir) => (dir === '.' ? [] : dir.split('/')));
+  const common = [];
+  for (let index = 0; index < split[0].length; index += 1) {
+    const segment = split[0][index];
+    if (split.every((parts) => parts[index] === segment)) common.push(segment);
+    else break;
+  }
+  return common.length > 0 ? common.join('/') : '.';
+};
+
+const toSuffixRegex = (suffixSource, flags) => {
+  try {
+    return new RegExp(`^(?:${suffixSource})$`, flags.replace(/[gy]/g, ''));
+  } catch (_error) {
+    // A suffix cut out of a larger group (`(a\.ts|b\.js)`) is no regex on its own.
+    return null;
+  }
+};
+
+/**
+ * Infer spec file extensions from testMatch entries.
+ * Only `.spec.<ext>` names are selectable by the library, other patterns fall back to defaults.
+ */
+const inferFileExtensions = (testMatchList) => {
+  const extensions = new Set();
+  for (const pattern of testMatchList) {
+    const source = pattern instanceof RegExp ? pattern.source : pattern;
+    const globMatch = typeof pattern === 'string' ? /\.spec\.(?:\{([a-z,]+)\}|([a-z]+))$/i.exec(source) : null;
+    if (globMatch) {
+      const names = (globMatch[1] || globMatch[2]).split(',');
+      for (const name of names) extensions.add(`.${name.toLowerCase()}`);
+      continue;
+    }
+    // A RegExp names the extension at its end, after the last escaped dot: `\.spec\.[jt]sx?$`.
+    const suffix = pattern instanceof RegExp ? /\\\.([^\\/.]+?)\$?$/.exec(source) : null;
+    const suffixRegex = suffix ? toSuffixRegex(suffix[1], pattern.flags) : null;
+    for (const extension of suffixRegex ? REGEXP_EXTENSION_CANDIDATES : []) {
+      if (suffixRegex.test(extension.slice(1))) extensions.add(extension);
+    }
+  }
+  return extensions.size > 0 ? Array.from(extensions).sort((a, b) => a.localeCompare(b)) : [...DEFAULT_FILE_EXTENSIONS];
+};
+
+/**
+ * Setup projects listed in `dependencies` act as a project-level global setup,
+ * so their string testMatch globs become watch patterns of the dependent project.
+ */
+const getDependencySetupPatterns = ({ project, projects }) => {
+  const patterns = [];
+  for (const dependencyName of project.dependencies) {
+    const dependency = projects.find((candidate) => candidate.name === dependencyName);
+    if (!dependency) continue;
+    for (const pattern of dependency.testMatch) {
+      if (typeof pattern !== 'string') continue;
+      const prefix = dependency.testDirRelative === '.' ? '' : `${dependency.testDirRelative}/`;
+      const normalized = pattern.replace(/^\.\//, '');
+      // Slash-free globs match the file name at any depth, as in Playwright.
+      patterns.push(normalized.includes('/') ? `${prefix}${normalized}` : `${prefix}**/${normalized}`);
+    }
+  }
+  return patterns;
+};
+
+const findPlaywrightConfig = (repoRoot) => {
+  for (const fileName of DEFAULT_PLAYWRIGHT_CONFIG_FILES) {
+    const candidate = path.join(repoRoot, fileName);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+};
+
+/**
+ * Statically read testDir/testMatch/testIgnore/projects from a Playwright config.
+ * Returned paths are repo-relative; unresolved values are reported in warnings.
+ */
+const readPlaywrightConfig = ({ repoRoot, configPath = null }) => {
+  const resolvedPath = configPath ? path.resolve(repoRoot, configPath) : findPlaywrightConfig(repoRoot);
+  if (!resolvedPath || !fs.existsSync(resolvedPath)) {
+    throw new Error(`Playwright config not found: ${resolvedPath || DEFAULT_PLAYWRIGHT_CONFIG_FILES.join(', ')}`);
+  }
+
+  const warnings = [];
+  const configDir = path.dirname(resolvedPath);
+  const content = fs.readFileSync(resolvedPath, 'utf8');
+  const sourceFile = ts.createSourceFile(resolvedPath, content, ts.ScriptTarget.Latest, true, getScriptKind(resolvedPath));
+  const evaluate = createStaticEvaluator({ sourceFile, configDir, warnings });
+
+  const exportedExpression = findExportedConfigExpression(sourceFile);
+  const config = exportedExpression ? evaluate(exportedExpression) : UNRESOLVED;
+  if (!config || config === UNRESOLVED || typeof config !== 'object') {
+    throw new Error(`Cannot statically read the exported config object from ${resolvedPath}`);
+  }
+
+  // Playwright defaults testDir to the folder that holds the config file.
+  const rootTestDir = toRepoRelative({
+    repoRoot,
+    configDir,
+    value: typeof config.testDir === 'string' ? config.testDir : '.',
+  });
+  const rootTestMatch = toList(config.testMatch);
+  const rootTestIgnore = toList(config.testIgnore);
+
+  const projects = [];
+  for (const project of Array.isArray(config.projects) ? config.projects : []) {
+    if (!project || project === UNRESOLVED || typeof project !== 'object') continue;
+    const name = typeof project.name === 'string' ? project.name : '';
+    const projectTestDir = project.testDir === undefined || project.testDir === UNRESOLVED
+      ? rootTestDir
+      : toRepoRelative({ repoRoot, configDir, value: project.testDir }) || rootTestDir;
+    projects.push({
+      name,
+      testDirRelative: projectTestDir,
+      testMatch: project.testMatch !== undefined ? toList(project.testMatch) : rootTestMatch,
+      testIgnore: project.testIgnore !== undefined ? toList(project.testIgnore) : rootTestIgnore,
+      dependencies: toList(project.dependencies).filter((item) => typeof item === 'string'),
+    });
+  }
+
+  const globalFiles = ['globalSetup', 'globalTeardown']
+    .flatMap((key) => toList(config[key]))
+    .filter((value) => typeof value === 'string')
+    .map((value) => toRepoRelative({ repoRoot, configDir, value }))
+    .filter(Boolean);
+
+  return {
+    configPath: resolvedPath,
+    configRelative: normalizePath(path.relative(repoRoot, resolvedPath)),
+    testDirRelative: rootTestDir,
+    testMatch: rootTestMatch,
+    testIgnore: rootTestIgnore,
+    globalFilesRelative: globalFiles,
+    projects,
+    warnings,
+  };
+};
+
+/**
+ * Derive a default analysis profile and fileExtensions from a Playwright config.
+ * `overrides` win over every derived field.
+ */
+const resolvePlaywrightProfile = ({ repoRoot, configPath = null, overrides = {} }) => {
+  const playwrightConfig = readPlaywrightConfig({ repoRoot, configPath });
+  const warnings = [...playwrightConfig.warnings];
+
+  const testDirs = playwrightConfig.projects.length > 0
+    ? playwrightConfig.projects.map((project) => project.testDirRelative)
+    : [playwrightConfig.testDirRelative];
+  const testsRootRelative = getCommonDirectory(Array.from(new Set(testDirs)));
+  if (testsRootRelative === '.') {
+    warnings.push('Playwright testDir resolves to the repo root; set changedSpecPrefix explicitly');
+  }
+
+  const testMatchList = [
+    ...playwrightConfig.testMatch,
+    ...playwrightConfig.projects.flatMap((project) => project.testMatch),
+  ];
+  if (testMatchList.some((pattern) => typeof pattern === 'string' && /\.test\.[a-z{]/i.test(pattern))) {
+    warnings.push('Playwright testMatch uses *.test.* files; only *.spec.* files are analyzed');
+  }
+  const fileExtensions = inferFileExtensions(testMatchList);
+  const extensionGlob = fileExtensions.length === 1
+    ? fileExtensions[0].slice(1)
+    : `{${fileExtensions.map((ext) => ext.slice(1)).join(',')}}`;
+
+  const analysisRootsRelative = overrides.analysisRootsRelative || DEFAULT_ANALYSIS_ROOTS;
+  const derivedProfile = {
+    testsRootRelative,
+    changedSpecPrefix: testsRootRelative === '.' ? '' : `${testsRootRelative}/`,
+    analysisRootsRelative,
+    pomPathGlobs: analysisRootsRelative.map((root) => `${normalizePath(root).replace(/\/$/, '')}/**/*.${extensionGlob}`),
+    globalWatchPatterns: [playwrightConfig.configRelative, ...playwrightConfig.globalFilesRelative],
+  };
+  const namedProjects = playwrightConfig.projects.filter((project) => project.name);
+  if (namedProjects.length > 0) {
+    derivedProfile.projects = namedProjects.map((project) => ({
+      name: project.name,
+      testDirRelative: project.testDirRelative,
+      testMatch: project.testMatch,
+      testIgnore: project.testIgnore,
+      globalWatchPatterns: getDependencySetupPatterns({ project, projects: namedProjects }),
+    }));
+  }
+
+  const profile = { ...derivedProfile, ...overrides };
+  if (typeof overrides.isRelevantPomPath === 'function' && overrides.pomPathGlobs === undefined) {
+    delete profile.pomPathGlobs;
+  }
+
+  return {
+    profile,
+    fileExtensions,
+    projects: playwrightConfig.projects,
+    playwrightConfigPath: playwrightConfig.configPath,
+    warnings,
+  };
+};
+
+module.exports = {
+  readPlaywrightConfig,
+  resolvePlaywrightProfile,
+};
@@ -0,0 +1,87 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const sumResultDurations = (spec) => (spec.tests || [])
+  .flatMap((testEntry) => testEntry.results || [])
+  .reduce((total, result) => total + (Number.isFinite(result.duration) ? result.duration : 0), 0);
+
+const readReport = ({ reportPath, repoRoot }) => {
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+  const resolvedPath = path.resolve(repoRoot, reportPath);
+  if (!fs.existsSync(resolvedPath)) throw new Error(`Playwright report not found: ${resolvedPath}`);
+
+  let report;
+  try {
+    report = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse Playwright report ${resolvedPath}: ${error.message}`);
+  }
+  if (!report || !Array.isArray(report.suites)) throw new Error(`Not a Playwright JSON report: ${resolvedPath}`);
+  return report;
+};
+
+// Calls visit(specRelative, spec, titlePath) for every spec entry; titlePath holds the describe titles above it.
+const visitReportSpecs = ({ report, repoRoot, visit }) => {
+  const rootDir = report.config && report.config.rootDir ? report.config.rootDir : repoRoot;
+
+  const visitSuite = (suite, titlePath) => {
+    for (const spec of suite.specs || []) {
+      const file = spec.file || suite.file;
+      if (!file) continue;
+      visit(normalizePath(path.relative(repoRoot, path.resolve(rootDir, file))), spec, titlePath);
+    }
+    for (const child of suite.suites || []) visitSuite(child, [...titlePath, child.title]);
+  };
+
+  // Top-level suites are the spec files themselves; their titles are file names, not describe blocks.
+  for (const suite of report.suites) visitSuite(suite, []);
+};
+
+/**
+ * Read per-spec durations (ms) from a Playwright JSON report (`--reporter=json`).
+ * Durations of all projects and retries are summed, since that is the time a shard spends on the file.
+ * Keys are repo-relative spec paths; report paths are resolved against the report's `config.rootDir`.
+ */
+const readSpecDurationsFromReport = ({ reportPath, repoRoot }) => {
+  const report = readReport({ reportPath, repoRoot });
+  const durations = new Map();
+  visitReportSpecs({
+    report,
+    repoRoot,
+    visit: (specRelative, spec) => durations.set(specRelative, (durations.get(specRelative) || 0) + sumResultDurations(spec)),
+  });
+  return durations;
+};
+
+/**
+ * Read per-spec outcomes from a Playwright JSON report: `{ failedTests, flakyTests }` per repo-relative spec,
+ * listing test titles (`describe > test [project]`). A test fails when its final status is `unexpected`;
+ * a test that passed on retry is flaky, not failed.
+ */
+const readSpecOutcomesFromReport = ({ reportPath, repoRoot }) => {
+  const report = readReport({ reportPath, repoRoot });
+  const outcomes = new Map();
+  visitReportSpecs({
+    report,
+    repoRoot,
+    visit: (specRelative, spec, titlePath) => {
+      if (!outcomes.has(specRelative)) outcomes.set(specRelative, { failedTests: [], flakyTests: [] });
+      const outcome = outcomes.get(specRelative);
+      for (const testEntry of spec.tests || []) {
+        const title = `${[...titlePath, spec.title].join(' > ')}${testEntry.projectName ? ` [${testEntry.projectName}]` : ''}`;
+        if (testEntry.status === 'unexpected') outcome.failedTests.push(title);
+        else if (testEntry.status === 'flaky') outcome.flakyTests.push(title);
+      }
+    },
+  });
+  return outcomes;
+};
+
+module.exports = {
+  readSpecDurationsFromReport,
+  readSpecOutcomesFromReport,
+};
@@ -0,0 +1,224 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { globToRegex } = require('./global-watch-helpers');
+const { resolvePlaywrightProfile } = require('./playwright-config-helpers');
+const { RESOLUTION_MODES } = require('./type-resolution-helpers');
+
+const CONFIG_FILE_NAMES = ['playwright-impact.config.js', 'playwright-impact.config.cjs', 'playwright-impact.config.json'];
+const GLOBAL_WATCH_MODES = ['force-all-in-project', 'disabled'];
+
+const KNOWN_PROFILE_KEYS = new Set([
+  'testsRootRelative',
+  'changedSpecPrefix',
+  'isRelevantPomPath',
+  'pomPathGlobs',
+  'pomPathExclude',
+  'analysisRootsRelative',
+  'fixturesTypesRelative',
+  'globalWatchPatterns',
+  'globalWatchMode',
+  'projects',
+  'resolution',
+]);
+
+// Config-file-only keys that are consumed by the loader and never reach the profile.
+const LOADER_ONLY_KEYS = new Set(['playwrightConfig']);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => isNonEmptyString(item));
+
+const normalizeRelativePath = (filePath) => String(filePath || '').replace(/\\/g, '/').replace(/^\.\//, '');
+
+// Matchers compiled from globs, so resolving an already resolved profile stays a no-op.
+const compiledPomPathMatchers = new WeakSet();
+
+/**
+ * Collect every profile problem instead of stopping at the first one,
+ * so a broken config file can be fixed in a single pass.
+ */
+const collectProfileIssues = (profile, { strictKeys = false } = {}) => {
+  const issues = [];
+
+  if (!isNonEmptyString(profile.testsRootRelative)) {
+    issues.push('Missing profile.testsRootRelative: set it to the folder that holds your specs, for example "tests"');
+  }
+  if (!isNonEmptyString(profile.changedSpecPrefix)) {
+    issues.push('Missing profile.changedSpecPrefix: set it to the repo-relative spec prefix, for example "tests/"');
+  }
+
+  const hasPathFunction = profile.isRelevantPomPath !== undefined;
+  const hasPathGlobs = profile.pomPathGlobs !== undefined;
+  if (hasPathFunction && typeof profile.isRelevantPomPath !== 'function') {
+    issues.push('profile.isRelevantPomPath must be a function (filePath) => boolean');
+  }
+  if (hasPathGlobs && (!isStringList(profile.pomPathGlobs) || profile.pomPathGlobs.length === 0)) {
+    issues.push('profile.pomPathGlobs must be a non-empty array of glob strings, for example ["src/pages/**/*.ts"]');
+  }
+  if (hasPathFunction && hasPathGlobs) {
+    issues.push('Use either profile.isRelevantPomPath or profile.pomPathGlobs, not both');
+  }
+  if (!hasPathFunction && !hasPathGlobs) {
+    issues.push('Missing profile.isRelevantPomPath(filePath) function or profile.pomPathGlobs list');
+  }
+  if (profile.pomPathExclude !== undefined) {
+    if (!isStringList(profile.pomPathExclude)) issues.push('profile.pomPathExclude must be an array of glob strings');
+    else if (!hasPathGlobs) issues.push('profile.pomPathExclude requires profile.pomPathGlobs');
+  }
+
+  if (profile.analysisRootsRelative !== undefined && !isStringList(profile.analysisRootsRelative)) {
+    issues.push('profile.analysisRootsRelative must be an array of repo-relative folders, for example ["src/pages"]');
+  }
+  if (profile.fixturesTypesRelative !== undefined && !isNonEmptyString(profile.fixturesTypesRelative)) {
+    issues.push('profile.fixturesTypesRelative must be a repo-relative file path, for example "src/fixtures/types.ts"');
+  }
+  if (profile.globalWatchPatterns !== undefined && !isStringList(profile.globalWatchPatterns)) {
+    issues.push('profile.globalWatchPatterns must be an array of glob strings');
+  }
+  if (profile.globalWatchMode !== undefined && !GLOBAL_WATCH_MODES.includes(profile.globalWatchMode)) {
+    issues.push(`profile.globalWatchMode must be one of: ${GLOBAL_WATCH_MODES.join(', ')}`);
+  }
+  if (profile.resolution !== undefined && !RESOLUTION_MODES.includes(profile.resolution)) {
+    issues.push(`profile.resolution must be one of: ${RESOLUTION_MODES.join(', ')}`);
+  }
+
+  if (profile.projects !== undefined) {
+    if (!Array.isArray(profile.projects)) {
+      issues.push('profile.projects must be an array of { name, testDirRelative } objects');
+    } else {
+      const isPatternList = (value) => Array.isArray(value) && value.every((item) => isNonEmptyString(item) || item instanceof RegExp);
+      const seenNames = new Set();
+      profile.projects.forEach((project, index) => {
+        const label = `profile.projects[${index}]`;
+        if (!project || typeof project !== 'object') {
+          issues.push(`${label} must be an object`);
+          return;
+        }
+        if (!isNonEmptyString(project.name)) issues.push(`${label}.name must be the Playwright project name`);
+        else if (seenNames.has(project.name)) issues.push(`${label}.name "${project.name}" is declared twice`);
+        else seenNames.add(project.name);
+        if (!isNonEmptyString(project.testDirRelative)) issues.push(`${label}.testDirRelative must be a repo-relative folder`);
+        if (project.testMatch !== undefined && !isPatternList(project.testMatch)) issues.push(`${label}.testMatch must be an array of globs or RegExps`);
+        if (project.testIgnore !== undefined && !isPatternList(project.testIgnore)) issues.push(`${label}.testIgnore must be an array of globs or RegExps`);
+        if (project.globalWatchPatterns !== undefined && !isStringList(project.globalWatchPatterns)) {
+          issues.push(`${label}.globalWatchPatterns must be an array of glob strings`);
+        }
+      });
+    }
+  }
+
+  if (strictKeys) {
+    for (const key of Object.keys(profile)) {
+      if (!KNOWN_PROFILE_KEYS.has(key)) issues.push(`Unknown profile key "${key}"`);
+    }
+  }
+
+  return issues;
+};
+
+const createPomPathMatcher = ({ pomPathGlobs, pomPathExclude = [] }) => {
+  const includeRegexes = pomPathGlobs.map((pattern) => globToRegex(pattern, { extended: true }));
+  const excludeRegexes = pomPathExclude.map((pattern) => globToRegex(pattern, { extended: true }));
+  const matcher = (filePath) => {
+    const relative = normalizeRelativePath(filePath);
+    if (!includeRegexes.some((regex) => regex.test(relative))) return false;
+    return !excludeRegexes.some((regex) => regex.test(relative));
+  };
+  compiledPomPathMatchers.add(matcher);
+  return matcher;
+};
+
+/**
+ * Validate a profile and return a copy where declarative path globs are compiled
+ * into `isRelevantPomPath`, so downstream stages only deal with the function form.
+ */
+const resolveProfile = (profile, { strictKeys = false, source = null } = {}) => {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    throw new Error(source ? `Missing required profile configuration in ${source}` : 'Missing required profile configuration');
+  }
+  if (compiledPomPathMatchers.has(profile.isRelevantPomPath)) return profile;
+
+  const issues = collectProfileIssues(profile, { strictKeys });
+  if (issues.length > 0) {
+    const header = source ? `Invalid profile configuration in ${source}:` : 'Invalid profile configuration:';
+    const error = new Error([header, ...issues.map((issue) => `  - ${issue}`)].join('\n'));
+    error.issues = issues;
+    throw error;
+  }
+
+  if (typeof profile.isRelevantPomPath === 'function') return profile;
+  return {
+    ...profile,
+    isRelevantPomPath: createPomPathMatcher({ pomPathGlobs: profile.pomPathGlobs, pomPathExclude: profile.pomPathExclude }),
+  };
+};
+
+const findConfigFile = (repoRoot) => {
+  for (const fileName of CONFIG_FILE_NAMES) {
+    const candidate = path.join(repoRoot, fileName);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+};
+
+const readConfigFile = (configPath) => {
+  if (configPath.endsWith('.json')) {
+    // Reuse the tsconfig parser so JSON configs may contain comments and trailing commas.
+    const parsedResult = ts.parseConfigFileTextToJson(configPath, fs.readFileSync(configPath, 'utf8'));
+    if (parsedResult.error) {
+      const message = ts.flattenDiagnosticMessageText(parsedResult.error.messageText, '\n');
+      throw new Error(`Failed to parse ${configPath}: ${message}`);
+    }
+    return parsedResult.config;
+  }
+
+  // Drop the require cache so long-lived processes see config edits.
+  delete require.cache[require.resolve(configPath)];
+  const loaded = require(configPath);
+  return loaded && loaded.__esModule && loaded.default ? loaded.default : loaded;
+};
+
+/**
+ * Load and validate a playwright-impact config file.
+ * Without an explicit path the first existing `playwright-impact.config.{js,cjs,json}` in repoRoot is used.
+ * When `playwrightConfig` is set (in the file or as an argument), defaults are derived from the
+ * Playwright config and the file's own keys override them.
+ */
+const loadImpactConfig = ({ repoRoot, configPath = null, playwrightConfigPath = null }) => {
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+
+  const resolvedPath = configPath ? path.resolve(repoRoot, configPath) : findConfigFile(repoRoot);
+  if (!resolvedPath && !playwrightConfigPath) {
+    throw new Error(`No playwright-impact config found in ${repoRoot}. Expected one of: ${CONFIG_FILE_NAMES.join(', ')}`);
+  }
+  if (resolvedPath && !fs.existsSync(resolvedPath)) throw new Error(`Profile config not found: ${resolvedPath}`);
+
+  const rawConfig = resolvedPath ? readConfigFile(resolvedPath) : {};
+  const source = resolvedPath ? (path.relative(repoRoot, resolvedPath) || resolvedPath) : null;
+  if (!rawConfig || typeof rawConfig !== 'object' || Array.isArray(rawConfig)) {
+    throw new Error(`Missing required profile configuration in ${source}`);
+  }
+
+  const ownKeys = Object.fromEntries(Object.entries(rawConfig).filter(([key]) => !LOADER_ONLY_KEYS.has(key)));
+  const effectivePlaywrightConfig = playwrightConfigPath || rawConfig.playwrightConfig || null;
+  if (!effectivePlaywrightConfig) {
+    return { profile: resolveProfile(ownKeys, { strictKeys: true, source }), configPath: resolvedPath, fileExtensions: null, warnings: [] };
+  }
+
+  const derived = resolvePlaywrightProfile({ repoRoot, configPath: effectivePlaywrightConfig, overrides: ownKeys });
+  return {
+    profile: resolveProfile(derived.profile, { strictKeys: true, source: source || derived.playwrightConfigPath }),
+    configPath: resolvedPath,
+    fileExtensions: derived.fileExtensions,
+    warnings: derived.warnings,
+  };
+};
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  loadImpactConfig,
+  resolveProfile,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+const path = require('path');
+const { globToRegex, evaluateGlobalWatch } = require('./global-watch-helpers');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const toPatternMatcher = (pattern) => {
+  if (pattern instanceof RegExp) {
+    // Playwright tests regular expressions against the absolute file path.
+    return ({ absolutePath }) => {
+      pattern.lastIndex = 0;
+      return pattern.test(normalizePath(absolutePath));
+    };
+  }
+  const normalized = normalizePath(pattern).replace(/^\.\//, '');
+  const regex = globToRegex(normalized, { extended: true });
+  const anyDepthRegex = normalized.startsWith('**/') || normalized.includes('/') ? null : globToRegex(`**/${normalized}`, { extended: true });
+  return ({ relativeToTestDir }) => regex.test(relativeToTestDir) || Boolean(anyDepthRegex && anyDepthRegex.test(relativeToTestDir));
+};
+
+const isUnderDirectory = (relativePath, dirRelative) => {
+  if (!dirRelative || dirRelative === '.') return true;
+  return relativePath.startsWith(`${dirRelative.replace(/\/$/, '')}/`);
+};
+
+/**
+ * Build a membership predicate for one Playwright project.
+ * A spec belongs to the project when it is under testDir, matches testMatch (if any)
+ * and matches none of testIgnore.
+ */
+const createProjectMatcher = ({ repoRoot, project }) => {
+  const testDirRelative = normalizePath(project.testDirRelative || '.').replace(/^\.\//, '').replace(/\/$/, '') || '.';
+  const includeMatchers = (project.testMatch || []).map(toPatternMatcher);
+  const ignoreMatchers = (project.testIgnore || []).map(toPatternMatcher);
+
+  return (specPathAbs) => {
+    const relativePath = normalizePath(path.relative(repoRoot, specPathAbs));
+    if (!isUnderDirectory(relativePath, testDirRelative)) return false;
+    const relativeToTestDir = testDirRelative === '.' ? relativePath : relativePath.slice(testDirRelative.length + 1);
+    const candidate = { absolutePath: specPathAbs, relativeToTestDir };
+    if (includeMatchers.length > 0 && !includeMatchers.some((matches) => matches(candidate))) return false;
+    return !ignoreMatchers.some((matches) => matches(candidate));
+  };
+};
+
+/**
+ * Group selected specs by the projects that would run them.
+ * A spec can belong to several projects (for example one per browser).
+ */
+const groupSpecsByProject = ({ repoRoot, selectedSpecs, projects }) => {
+  const selectedSpecsByProject = new Map();
+  for (const project of projects) {
+    const matchesProject = createProjectMatcher({ repoRoot, project });
+    const specs = selectedSpecs
+      .filter((specPath) => matchesProject(specPath))
+      .map((specPath) => normalizePath(path.relative(repoRoot, specPath)));
+    if (specs.length > 0) selectedSpecsByProject.set(project.name, specs);
+  }
+  return selectedSpecsByProject;
+};
+
+const buildProjectArgs = (selectedSpecsByProject) => Array.from(selectedSpecsByProject.keys()).map((name) => `--project=${name}`);
+
+/**
+ * Evaluate per-project global watch patterns and return the specs of every project that was hit.
+ * Only the hit projects are forced, other projects keep regular selection.
+ * `hits` tags each matched path with its project; `projectsBySpec` lists the hit projects that own each forced spec.
+ */
+const resolveForcedProjectSpecs = ({ repoRoot, projects, changedEntries, specFiles, listFilesRecursive, sourceFiles }) => {
+  const forcedProjects = [];
+  const forcedSpecs = new Set();
+  const matchedPaths = new Set();
+  const hits = [];
+  const projectsBySpec = new Map();
+
+  for (const project of projects) {
+    const patterns = project.globalWatchPatterns || [];
+    if (patterns.length === 0) continue;
+    const watch = evaluateGlobalWatch({ repoRoot, changedEntries, patterns, listFilesRecursive, sourceFiles });
+    if (watch.matchedPaths.length === 0) continue;
+
+    forcedProjects.push(project.name);
+    for (const matchedPath of watch.matchedPaths) matchedPaths.add(matchedPath);
+    for (const hit of watch.hits) hits.push({ ...hit, project: project.name });
+    const matchesProject = createProjectMatcher({ repoRoot, project });
+    for (const specPath of specFiles) {
+      if (!matchesProject(specPath)) continue;
+      forcedSpecs.add(specPath);
+      if (!projectsBySpec.has(specPath)) projectsBySpec.set(specPath, []);
+      projectsBySpec.get(specPath).push(project.name);
+    }
+  }
+
+  return {
+    forcedProjects,
+    forcedSpecs: Array.from(forcedSpecs).sort((a, b) => a.localeCompare(b)),
+    matchedPaths: Array.from(matchedPaths).sort((a, b) => a.localeCompare(b)),
+    hits,
+    projectsBySpec,
+  };
+};
+
+module.exports = {
+  createProjectMatcher,
+  groupSpecsByProject,
+  buildProjectArgs,
+  resolveForcedProjectSpecs,
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const COVERAGE_ATTACHMENT_NAME = 'playwright-impact-coverage';
+// Version 2 keys calls by spec and test; version 1 (calls by spec) is still read.
+const COVERAGE_MAP_VERSION = 2;
+const SUPPORTED_COVERAGE_MAP_VERSIONS = [1, 2];
+// Test key of a version 1 entry, which covers its whole spec.
+const LEGACY_SPEC_ENTRY_KEY = '';
+const DEFAULT_COVERAGE_MAP_FILE = 'playwright-impact-coverage.json';
+const COVERAGE_MAP_MODES = ['merge', 'replace'];
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const getClassName = (instance) => {
+  const constructor = instance && instance.constructor;
+  return constructor && constructor !== Object && constructor.name ? constructor.name : null;
+};
+
+// Walk the prototype chain, so inherited getters are recorded the same way as own ones.
+const findPropertyDescriptor = (target, property) => {
+  for (let current = target; current && current !== Object.prototype; current = Object.getPrototypeOf(current)) {
+    const descriptor = Object.getOwnPropertyDescriptor(current, property);
+    if (descriptor) return descriptor;
+  }
+  return null;
+};
+
+/**
+ * Wrap a POM instance in a proxy that records every `Class.member` the test calls or reads as a getter.
+ * Methods run against the real instance, so classes with `#private` fields keep working.
+ */
+const createCoverageProxy = (instance, calls) => {
+  const className = getClassName(instance);
+  if (!className) return instance;
+  const wrappedMethods = new Map();
+
+  return new Proxy(instance, {
+    get(target, property) {
+      if (typeof property !== 'string' || property === 'constructor' || property === 'then') {
+        return Reflect.get(target, property, target);
+      }
+      const descriptor = findPropertyDescriptor(target, property);
+      const value = Reflect.get(target, property, target);
+      if (descriptor && descriptor.get) calls.add(`${className}.${property}`);
+      if (typeof value !== 'function') return value;
+
+      // Keep wrapper identity stable, so `page.open === page.open` still holds.
+      const cached = wrappedMethods.get(property);
+      if (cached && cached.original === value) return cached.wrapped;
+      const wrapped = function recordedMethod(...args) {
+        calls.add(`${className}.${property}`);
+        return value.apply(target, args);
+      };
+      wrappedMethods.set(property, { original: value, wrapped });
+      return wrapped;
+    },
+  });
+};
+
+/**
+ * Fixture helper: pass the POM through a recording proxy and attach the recorded calls to the test.
+ * Usage inside a Playwright fixture:
+ *   loginPage: async ({ page }, use, testInfo) => withPomCoverage(new LoginPage(page), use, testInfo)
+ */
+const withPomCoverage = async (instance, use, testInfo) => {
+  const calls = new Set();
+  await use(createCoverageProxy(instance, calls));
+  // Worker-scoped fixtures get a WorkerInfo without attach(); there is no spec to record for them.
+  if (!testInfo || typeof testInfo.attach !== 'function' || calls.size === 0) return;
+  await testInfo.attach(COVERAGE_ATTACHMENT_NAME, {
+    body: JSON.stringify({ calls: Array.from(calls).sort((a, b) => a.localeCompare(b)) }),
+    contentType: 'application/json',
+  });
+};
+
+const sortedEntries = (map) => Array.from(map.entries()).sort(([a], [b]) => a.localeCompare(b));
+
+const toSortedCoverageMap = (testsBySpec) => ({
+  version: COVERAGE_MAP_VERSION,
+  specs: Object.fromEntries(sortedEntries(testsBySpec).map(([specPath, callsByTest]) => [
+    specPath,
+    Object.fromEntries(sortedEntries(callsByTest).map(([testKey, calls]) => [testKey, Array.from(calls).sort((a, b) => a.localeCompare(b))])),
+  ])),
+});
+
+/**
+ * Read the per-test entries of a coverage map: `Map<repo-relative spec, Map<test key, Set<Class.member>>>`,
+ * or null when the file does not exist. A version 1 map has one entry per spec, under an empty test key.
+ */
+const readCoverageEntries = ({ repoRoot, coverageMapPath }) => {
+  const resolvedPath = path.resolve(repoRoot, coverageMapPath);
+  if (!fs.existsSync(resolvedPath)) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse coverage map ${resolvedPath}: ${error.message}`);
+  }
+  if (!raw || !SUPPORTED_COVERAGE_MAP_VERSIONS.includes(raw.version) || !raw.specs || typeof raw.specs !== 'object') {
+    throw new Error(`Unsupported coverage map ${resolvedPath}: expected { version: ${COVERAGE_MAP_VERSION}, specs }`);
+  }
+
+  const entries = new Map();
+  for (const [specPath, tests] of Object.entries(raw.specs)) {
+    const callsByTest = new Map();
+    if (raw.version === 1 && Array.isArray(tests)) {
+      callsByTest.set(LEGACY_SPEC_ENTRY_KEY, new Set(tests.map(String)));
+    } else if (raw.version === 2 && tests && typeof tests === 'object') {
+      for (const [testKey, calls] of Object.entries(tests)) {
+        if (Array.isArray(calls)) callsByTest.set(testKey, new Set(calls.map(String)));
+      }
+    }
+    if (callsByTest.size > 0) entries.set(normalizePath(specPath), callsByTest);
+  }
+  return entries;
+};
+
+/**
+ * Read a coverage map written by the coverage reporter.
+ * Returns `Map<repo-relative spec, Set<Class.member>>` with the calls of all recorded tests of each spec,
+ * or null when the file does not exist.
+ */
+const readCoverageMap = ({ repoRoot, coverageMapPath }) => {
+  const entries = readCoverageEntries({ repoRoot, coverageMapPath });
+  if (!entries) return null;
+  const coverage = new Map();
+  for (const [specPath, callsByTest] of entries) {
+    coverage.set(specPath, new Set(Array.from(callsByTest.values()).flatMap((calls) => Array.from(calls))));
+  }
+  return coverage;
+};
+
+/**
+ * Write a coverage map from `Map<spec, Map<test key, Set<Class.member>>>`.
+ * Entries are replaced per test: tests of this run replace their previous calls, and every other test is kept,
+ * also within a spec that ran only partly (`file:line`, `--grep`, a shard). A spec's calls are never truncated
+ * to the tests that happened to run.
+ */
+const writeCoverageMap = ({ outputPath, specs, merge = true }) => {
+  const combined = new Map();
+  if (merge && fs.existsSync(outputPath)) {
+    const previous = readCoverageEntries({ repoRoot: path.dirname(outputPath), coverageMapPath: outputPath }) || new Map();
+    for (const [specPath, callsByTest] of previous.entries()) combined.set(specPath, new Map(callsByTest));
+  }
+  for (const [specPath, callsByTest] of specs.entries()) {
+    if (!combined.has(specPath)) combined.set(specPath, new Map());
+    for (const [testKey, calls] of callsByTest) combined.get(specPath).set(testKey, calls);
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, `${JSON.stringify(toSortedCoverageMap(combined), null, 2)}\n`, 'utf8');
+};
+
+/**
+ * Intersect recorded runtime calls with impacted methods.
+ * Returns `Map<absolute spec path, Class.member[]>` for specs that called at least one impacted member.
+ * Runtime calls carry bare class names, so a call matches every impacted class of that name: file-qualified ids
+ * (`apps/a/header.ts:HeaderComponent`) of same-named classes cannot be told apart at runtime. Matches use the ids.
+ */
+const collectRuntimeCoverageMatches = ({ repoRoot, coverageMap, impactedMethodsByClass }) => {
+  const classIdsByName = new Map();
+  for (const classId of impactedMethodsByClass.keys()) {
+    const className = classId.slice(classId.lastIndexOf(':') + 1);
+    if (!classIdsByName.has(className)) classIdsByName.set(className, []);
+    classIdsByName.get(className).push(classId);
+  }
+
+  const matchesBySpec = new Map();
+  for (const [specPath, calls] of coverageMap.entries()) {
+    const matches = Array.from(calls).flatMap((call) => {
+      const separatorIndex = call.lastIndexOf('.');
+      if (separatorIndex <= 0) return [];
+      const memberName = call.slice(separatorIndex + 1);
+      return (classIdsByName.get(call.slice(0, separatorIndex)) || [])
+        .filter((classId) => impactedMethodsByClass.get(classId).has(memberName))
+        .map((classId) => `${classId}.${memberName}`);
+    });
+    if (matches.length > 0) matchesBySpec.set(path.join(repoRoot, specPath), matches.sort((a, b) => a.localeCompare(b)));
+  }
+  return matchesBySpec;
+};
+
+module.exports = {
+  COVERAGE_ATTACHMENT_NAME,
+  COVERAGE_MAP_MODES,
+  DEFAULT_COVERAGE_MAP_FILE,
+  withPomCoverage,
+  readCoverageMap,
+  writeCoverageMap,
+  collectRuntimeCoverageMatches,
+  __testOnly: {
+    createCoverageProxy,
+  },
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+const path = require('path');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const sortUnique = (values) => Array.from(new Set(values)).sort((a, b) => a.localeCompare(b));
+
+const readSourceLine = ({ sourceFiles, filePath, line }) => {
+  try {
+    return (sourceFiles.readText(filePath).split(/\r?\n/)[line - 1] || '').trim();
+  } catch (_error) {
+    return '';
+  }
+};
+
+/**
+ * Build one structured record per selected spec: the reason code plus the evidence behind it.
+ * - `matchedMembers`: impacted `Class.method` names the spec calls (statically or at runtime)
+ * - `uncertainCallSites`: call sites Stage B could not resolve, with location and source line
+ * - `importChain`: changed file -> importers -> spec, for `matched-import-graph`
+ * - `globalWatchHits`: changed files that hit a global or project watch pattern, for `global-watch-*`
+ * All paths are repo-relative.
+ */
+const buildSelectionReasonRecords = ({
+  repoRoot,
+  selectedSpecs,
+  selectionReasons,
+  callSitesBySpec = new Map(),
+  importPathBySpec = new Map(),
+  runtimeMatchesBySpec = new Map(),
+  globalWatchHits = [],
+  projectWatch = { hits: [], projectsBySpec: new Map() },
+  sourceFiles,
+}) => {
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, filePath));
+  const records = new Map();
+
+  for (const specPath of selectedSpecs) {
+    const reason = selectionReasons.get(specPath);
+    if (!reason) continue;
+    const callSites = callSitesBySpec.get(specPath);
+    const specRelative = toRelative(specPath);
+
+    let matchedMembers = [];
+    if (reason === 'matched-precise' && callSites) {
+      matchedMembers = callSites.precise.map((callSite) => `${callSite.className}.${callSite.methodName}`);
+    } else if (reason === 'matched-uncertain-fail-open' && callSites) {
+      matchedMembers = callSites.uncertain
+        .filter((callSite) => callSite.methodName)
+        .map((callSite) => `${callSite.className}.${callSite.methodName}`);
+    } else if (reason === 'matched-runtime-coverage') {
+      matchedMembers = runtimeMatchesBySpec.get(specPath) || [];
+    }
+
+    let globalWatch = [];
+    if (reason === 'global-watch-force-all') {
+      globalWatch = globalWatchHits.map((hit) => ({ ...hit, project: null }));
+    } else if (reason === 'global-watch-force-project') {
+      const projects = new Set(projectWatch.projectsBySpec.get(specPath) || []);
+      globalWatch = projectWatch.hits.filter((hit) => projects.has(hit.project));
+    }
+
+    records.set(specPath, {
+      reason,
+      matchedMembers: sortUnique(matchedMembers),
+      uncertainCallSites: (callSites ? callSites.uncertain : []).map((callSite) => ({
+        file: specRelative,
+        line: callSite.line,
+        column: callSite.column,
+        callee: callSite.callee,
+        snippet: readSourceLine({ sourceFiles, filePath: specPath, line: callSite.line }),
+      })),
+      importChain: reason === 'matched-import-graph' ? (importPathBySpec.get(specPath) || [specPath]).map(toRelative) : [],
+      globalWatchHits: globalWatch,
+    });
+  }
+
+  return records;
+};
+
+module.exports = {
+  buildSelectionReasonRecords,
+};
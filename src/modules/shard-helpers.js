@@ -0,0 +1,70 @@
+'use strict';
+
+const toDurationLookup = (durations) => {
+  if (!durations) return new Map();
+  if (durations instanceof Map) return durations;
+  return new Map(Object.entries(durations));
+};
+
+const isUsableDuration = (value) => Number.isFinite(value) && value >= 0;
+
+const getMedian = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Pack selected specs into N shards of similar total duration (longest-processing-time first).
+ * Specs without history, or with a non-finite or negative duration, are weighted with the median known duration,
+ * or 1 when nothing is known, which degrades to count-balanced shards.
+ * Ties are broken by path and shard index, so the same input always lands on the same shards.
+ */
+const shardSelectedSpecs = ({ selectedSpecs, shards, durations = null }) => {
+  if (!Number.isInteger(shards) || shards < 1) throw new Error(`Invalid shards count: ${shards}. Expected a positive integer`);
+
+  const durationLookup = toDurationLookup(durations);
+  const specs = Array.from(new Set(selectedSpecs)).sort((a, b) => a.localeCompare(b));
+  const knownDurations = specs.map((specPath) => durationLookup.get(specPath)).filter(isUsableDuration);
+  const fallbackDuration = getMedian(knownDurations) || 1;
+  const missingDurations = specs.filter((specPath) => !isUsableDuration(durationLookup.get(specPath)));
+
+  const weightedSpecs = specs
+    .map((specPath) => ({
+      specPath,
+      duration: isUsableDuration(durationLookup.get(specPath)) ? durationLookup.get(specPath) : fallbackDuration,
+    }))
+    .sort((a, b) => b.duration - a.duration || a.specPath.localeCompare(b.specPath));
+
+  const buckets = Array.from({ length: shards }, (_unused, index) => ({ index: index + 1, specs: [], estimatedDuration: 0 }));
+  for (const { specPath, duration } of weightedSpecs) {
+    let target = buckets[0];
+    for (const bucket of buckets) {
+      if (bucket.estimatedDuration < target.estimatedDuration) target = bucket;
+    }
+    target.specs.push(specPath);
+    target.estimatedDuration += duration;
+  }
+
+  for (const bucket of buckets) bucket.specs.sort((a, b) => a.localeCompare(b));
+  return { shards: buckets, missingDurations };
+};
+
+/**
+ * Parse a Playwright-style `<index>/<total>` shard argument (1-based index).
+ */
+const parseShardArg = (value) => {
+  const match = /^(\d+)\/(\d+)$/.exec(String(value || '').trim());
+  const index = match ? Number(match[1]) : NaN;
+  const total = match ? Number(match[2]) : NaN;
+  if (!match || total < 1 || index < 1 || index > total) {
+    throw new Error(`Invalid shard "${value}". Expected <index>/<total>, for example 1/4`);
+  }
+  return { index, total };
+};
+
+module.exports = {
+  shardSelectedSpecs,
+  parseShardArg,
+};
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { listFilesRecursive } = require('./file-and-git-helpers');
+
+// Same parse settings the stages used on their own, so sharing the AST does not change results.
+const getScriptKind = (filePath) => (filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS);
+
+const isSameOrInside = (childPath, parentPath) => childPath === parentPath || childPath.startsWith(`${parentPath}${path.sep}`);
+
+// The working tree; a git tree (see git-tree-helpers) offers the same three methods for a commit.
+const DISK_FILE_SYSTEM = {
+  readText: (absPath) => fs.readFileSync(absPath, 'utf8'),
+  exists: (absPath) => fs.existsSync(absPath),
+  listFiles: (absPath) => listFilesRecursive(absPath),
+};
+
+/**
+ * Per-run file layer shared by every pipeline stage.
+ * Each file is read at most once and parsed at most once; folder listings and existence checks are memoized.
+ * The service is scoped to one analysis run, so it never serves stale content across runs;
+ * long-running callers (watch mode) keep it and call `invalidate` for the files that changed.
+ * Files come from `fileSystem` (the working tree by default, or a commit's tree for `headRef`).
+ * An optional `overlay` (absolute path -> content, or null for a removed file) is laid over it;
+ * what-if analysis uses it to serve file contents that exist only in memory.
+ */
+const createSourceFileService = ({ overlay = new Map(), fileSystem = DISK_FILE_SYSTEM } = {}) => {
+  const textByPath = new Map();
+  const sourceFileByPath = new Map();
+  const existsByPath = new Map();
+  const filesByDir = new Map();
+  const stats = { filesRead: 0, filesParsed: 0 };
+
+  const readText = (filePath) => {
+    const absPath = path.resolve(filePath);
+    if (overlay.has(absPath)) {
+      if (overlay.get(absPath) !== null) return overlay.get(absPath);
+      const error = new Error(`ENOENT: no such file or directory, open '${absPath}'`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+    if (textByPath.has(absPath)) return textByPath.get(absPath);
+    const content = fileSystem.readText(absPath);
+    stats.filesRead += 1;
+    textByPath.set(absPath, content);
+    return content;
+  };
+
+  const exists = (filePath) => {
+    const absPath = path.resolve(filePath);
+    if (overlay.has(absPath)) return overlay.get(absPath) !== null;
+    if (textByPath.has(absPath)) return true;
+    if (!existsByPath.has(absPath)) existsByPath.set(absPath, fileSystem.exists(absPath));
+    return existsByPath.get(absPath);
+  };
+
+  const listWithOverlay = (absPath) => {
+    const files = fileSystem.listFiles(absPath).filter((filePath) => !overlay.has(filePath) || overlay.get(filePath) !== null);
+    const listed = new Set(files);
+    for (const [filePath, content] of overlay) {
+      if (content !== null && filePath !== absPath && isSameOrInside(filePath, absPath) && !listed.has(filePath)) files.push(filePath);
+    }
+    return files;
+  };
+
+  const listFiles = (dirPath) => {
+    const absPath = path.resolve(dirPath);
+    if (!filesByDir.has(absPath)) filesByDir.set(absPath, listWithOverlay(absPath));
+    return [...filesByDir.get(absPath)];
+  };
+
+  const getSourceFile = (filePath) => {
+    const absPath = path.resolve(filePath);
+    if (sourceFileByPath.has(absPath)) return sourceFileByPath.get(absPath);
+    const sourceFile = ts.createSourceFile(absPath, readText(absPath), ts.ScriptTarget.Latest, true, getScriptKind(absPath));
+    stats.filesParsed += 1;
+    sourceFileByPath.set(absPath, sourceFile);
+    return sourceFile;
+  };
+
+  // Forget edited, added or removed files (or whole removed folders), and every listing that could contain them.
+  const invalidate = (filePaths) => {
+    for (const filePath of filePaths) {
+      const absPath = path.resolve(filePath);
+      for (const cache of [textByPath, sourceFileByPath, existsByPath]) {
+        for (const cachedPath of Array.from(cache.keys())) {
+          if (isSameOrInside(cachedPath, absPath)) cache.delete(cachedPath);
+        }
+      }
+      for (const dirPath of Array.from(filesByDir.keys())) {
+        if (isSameOrInside(absPath, dirPath) || isSameOrInside(dirPath, absPath)) filesByDir.delete(dirPath);
+      }
+    }
+  };
+
+  return {
+    readText,
+    exists,
+    listFiles,
+    getSourceFile,
+    invalidate,
+    getStats: () => ({ ...stats }),
+  };
+};
+
+module.exports = {
+  createSourceFileService,
+};
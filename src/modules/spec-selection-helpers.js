@@ -1,7 +1,8 @@
 'use strict';
 
-const fs = require('fs');
 const ts = require('typescript');
+const { createNoopAnalysisCache } = require('./analysis-cache-helpers');
+const { createSourceFileService } = require('./source-file-helpers');
 
 const DEFAULT_EXTENSIONS = ['.ts', '.tsx'];
 
@@ -19,14 +20,8 @@ const getFixtureKeyFromBindingElement = (element) => {
   return null;
 };
 
-/**
- * Stage A fixture extraction from spec callback parameters.
- * Supports destructuring, aliasing, defaults, and TS syntax.
- */
-const extractFixtureUsagesFromSpec = (content, filePath) => {
+const collectFixtureUsagesFromSourceFile = (sourceFile) => {
   const used = new Set();
-  const scriptKind = filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
-  const sourceFile = ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind);
 
   const collectFromBindingPattern = (pattern) => {
     for (const element of pattern.elements) {
@@ -48,18 +43,39 @@ const extractFixtureUsagesFromSpec = (content, filePath) => {
   return used;
 };
 
+/**
+ * Stage A fixture extraction from spec callback parameters.
+ * Supports destructuring, aliasing, defaults, and TS syntax.
+ */
+const extractFixtureUsagesFromSpec = (content, filePath) => {
+  const scriptKind = filePath.endsWith('.tsx') ? ts.ScriptKind.TSX : ts.ScriptKind.TS;
+  return collectFixtureUsagesFromSourceFile(ts.createSourceFile(filePath, content, ts.ScriptTarget.Latest, true, scriptKind));
+};
+
 /**
  * Stage A spec prefilter:
  * select only spec files that bind at least one impacted fixture key.
  */
-const selectSpecFiles = ({ testsRootAbs, fixtureKeys, listFilesRecursive, fileExtensions = DEFAULT_EXTENSIONS }) => {
+const selectSpecFiles = ({
+  testsRootAbs,
+  fixtureKeys,
+  listFilesRecursive,
+  fileExtensions = DEFAULT_EXTENSIONS,
+  analysisCache = createNoopAnalysisCache(),
+  sourceFiles = createSourceFileService(),
+}) => {
   const specFiles = listFilesRecursive(testsRootAbs)
     .filter((filePath) => fileExtensions.some((ext) => filePath.endsWith(`.spec${ext}`)));
   const selected = [];
 
   for (const filePath of specFiles) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const usedKeys = extractFixtureUsagesFromSpec(content, filePath);
+    const content = sourceFiles.readText(filePath);
+    const usedKeys = new Set(analysisCache.getOrCompute(
+      'fixture-usage',
+      filePath,
+      content,
+      () => Array.from(collectFixtureUsagesFromSourceFile(sourceFiles.getSourceFile(filePath))).sort((a, b) => a.localeCompare(b))
+    ));
     const isImpacted = Array.from(fixtureKeys).some((key) => usedKeys.has(key));
     if (isImpacted) selected.push(filePath);
   }
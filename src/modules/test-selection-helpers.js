@@ -0,0 +1,201 @@
+'use strict';
+
+const path = require('path');
+const ts = require('typescript');
+
+const DEFAULT_TEST_IDENTIFIERS = ['test'];
+const TEST_MODIFIERS = new Set(['only', 'skip', 'fixme', 'fail', 'slow']);
+const HOOK_NAMES = new Set(['beforeEach', 'afterEach', 'beforeAll', 'afterAll']);
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+const isFunctionNode = (node) => Boolean(node) && (ts.isArrowFunction(node) || ts.isFunctionExpression(node));
+
+// `test.describe.serial.only` -> ['test', 'describe', 'serial', 'only']; null for computed callees.
+const getCalleeNames = (expression) => {
+  const names = [];
+  let current = expression;
+  while (ts.isPropertyAccessExpression(current)) {
+    if (!ts.isIdentifier(current.name)) return null;
+    names.unshift(current.name.text);
+    current = current.expression;
+  }
+  if (!ts.isIdentifier(current)) return null;
+  names.unshift(current.text);
+  return names;
+};
+
+const getTitle = (node) => {
+  if (node && (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node))) return node.text;
+  return null;
+};
+
+const isSerialConfigure = (optionsNode) => {
+  if (!optionsNode || !ts.isObjectLiteralExpression(optionsNode)) return false;
+  return optionsNode.properties.some((property) => ts.isPropertyAssignment(property)
+    && ts.isIdentifier(property.name)
+    && property.name.text === 'mode'
+    && getTitle(property.initializer) === 'serial');
+};
+
+/**
+ * Classify a call as a Playwright block: test, describe, hook or describe.configure.
+ * Anything else (test.step, test.use, test.skip(condition), ...) returns null.
+ */
+const classifyBlockCall = (node, testIdentifiers) => {
+  if (!ts.isCallExpression(node)) return null;
+  const names = getCalleeNames(node.expression);
+  if (!names || !testIdentifiers.has(names[0])) return null;
+
+  const args = node.arguments;
+  const callback = args.length > 0 && isFunctionNode(args[args.length - 1]) ? args[args.length - 1] : null;
+
+  if (names.length === 1) return callback ? { kind: 'test', title: getTitle(args[0]), callback } : null;
+  if (names[1] === 'describe') {
+    if (names[2] === 'configure') return { kind: 'configure', serial: isSerialConfigure(args[0]) };
+    if (!callback) return null;
+    const title = args.length > 1 ? getTitle(args[0]) : '';
+    return { kind: 'describe', title, callback, serial: names.includes('serial') };
+  }
+  if (HOOK_NAMES.has(names[1])) return callback ? { kind: 'hook', title: names[1], callback } : null;
+  if (names.length === 2 && TEST_MODIFIERS.has(names[1]) && callback && args.length > 1) {
+    return { kind: 'test', title: getTitle(args[0]), callback };
+  }
+  return null;
+};
+
+/**
+ * Build the test/describe/hook tree of one spec file.
+ * Every block keeps its source range so call sites can be mapped back to the enclosing test.
+ */
+const collectSpecBlocks = ({ sourceFile, testIdentifiers = DEFAULT_TEST_IDENTIFIERS }) => {
+  const identifiers = new Set(testIdentifiers);
+  const root = { kind: 'file', title: null, titlePath: [], line: 1, column: 1, start: 0, end: sourceFile.end, serial: false, children: [] };
+
+  const visit = (node, parent) => {
+    const block = classifyBlockCall(node, identifiers);
+    if (block && block.kind === 'configure') {
+      if (block.serial) parent.serial = true;
+      return;
+    }
+    if (block) {
+      const start = node.getStart(sourceFile);
+      const { line, character } = sourceFile.getLineAndCharacterOfPosition(start);
+      const entry = {
+        kind: block.kind,
+        title: block.title,
+        titlePath: block.kind === 'hook' ? parent.titlePath : [...parent.titlePath, block.title],
+        line: line + 1,
+        column: character + 1,
+        start,
+        end: node.end,
+        serial: Boolean(block.serial),
+        children: [],
+      };
+      parent.children.push(entry);
+      // Tests and hooks cannot declare nested blocks, only describe bodies are walked for children.
+      if (block.kind === 'describe') ts.forEachChild(block.callback, (child) => visit(child, entry));
+      return;
+    }
+    ts.forEachChild(node, (child) => visit(child, parent));
+  };
+
+  ts.forEachChild(sourceFile, (child) => visit(child, root));
+  return root;
+};
+
+const getBlockPath = (root, position) => {
+  const blockPath = [root];
+  let current = root;
+  while (current) {
+    const next = current.children.find((child) => position >= child.start && position < child.end);
+    if (!next) break;
+    blockPath.push(next);
+    current = next;
+  }
+  return blockPath;
+};
+
+/**
+ * Map impacted call-site positions to the smallest set of tests Playwright must run.
+ * - a call inside a test selects that test
+ * - a call inside a hook, or in describe code outside tests, selects the enclosing describe
+ * - a call at file level selects the whole file
+ * - serial describes (`describe.serial` or `describe.configure({ mode: 'serial' })`) are selected as a unit
+ */
+const selectImpactedTests = ({ sourceFile, positions, testIdentifiers = DEFAULT_TEST_IDENTIFIERS }) => {
+  const root = collectSpecBlocks({ sourceFile, testIdentifiers });
+  const targets = new Set();
+
+  for (const position of positions) {
+    const blockPath = getBlockPath(root, position);
+    let targetIndex = blockPath.length - 1;
+    if (blockPath[targetIndex].kind === 'hook') targetIndex -= 1;
+    const serialIndex = blockPath.findIndex((block) => block.serial);
+    if (serialIndex !== -1 && serialIndex < targetIndex) targetIndex = serialIndex;
+    targets.add(blockPath[targetIndex]);
+  }
+
+  if (targets.size === 0 || targets.has(root)) return { wholeFile: true, tests: [] };
+
+  // Drop targets already covered by a selected describe.
+  const selected = Array.from(targets).filter((block) => !Array.from(targets).some((other) => other !== block
+    && other.kind === 'describe'
+    && block.start >= other.start
+    && block.end <= other.end));
+
+  return {
+    wholeFile: false,
+    tests: selected
+      .sort((a, b) => a.start - b.start)
+      .map((block) => ({ kind: block.kind, title: block.title, titlePath: block.titlePath, line: block.line, column: block.column })),
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Turn per-spec test selection into Playwright CLI inputs.
+ * `testLocationArgs` holds `file:line` for narrowed specs and plain paths otherwise.
+ * `testGrepPattern` is null when any selected spec runs as a whole or has a dynamic title,
+ * because a grep would then filter out tests that must run.
+ */
+const buildTestLevelSelection = ({ repoRoot, selectedSpecs, narrowedTestsBySpec = new Map() }) => {
+  const impactedTestsBySpec = new Map();
+  const testLocationArgs = [];
+  const grepTitles = [];
+  let canGrep = selectedSpecs.length > 0;
+
+  for (const specPath of selectedSpecs) {
+    const relativePath = normalizePath(path.relative(repoRoot, specPath));
+    const narrowed = narrowedTestsBySpec.get(specPath);
+    if (!narrowed || narrowed.wholeFile) {
+      impactedTestsBySpec.set(specPath, { wholeFile: true, tests: [] });
+      testLocationArgs.push(relativePath);
+      canGrep = false;
+      continue;
+    }
+
+    impactedTestsBySpec.set(specPath, narrowed);
+    for (const testBlock of narrowed.tests) {
+      testLocationArgs.push(`${relativePath}:${testBlock.line}`);
+      if (testBlock.titlePath.some((title) => title === null)) canGrep = false;
+      else grepTitles.push(testBlock.titlePath.filter(Boolean).join(' '));
+    }
+  }
+
+  const uniqueTitles = Array.from(new Set(grepTitles)).sort((a, b) => a.localeCompare(b));
+  return {
+    impactedTestsBySpec,
+    testLocationArgs,
+    testGrepPattern: canGrep && uniqueTitles.length > 0 ? uniqueTitles.map(escapeRegex).join('|') : null,
+  };
+};
+
+module.exports = {
+  selectImpactedTests,
+  buildTestLevelSelection,
+  __testOnly: {
+    collectSpecBlocks,
+  },
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const path = require('path');
+const ts = require('typescript');
+const { collectClassDeclarations } = require('./class-declaration-helpers');
+
+const RESOLUTION_MODES = ['syntactic', 'typechecker'];
+
+const TSCONFIG_FILE_NAME = 'tsconfig.json';
+
+// Used when the repo has no tsconfig.json: loose enough to type-check a plain POM tree.
+const DEFAULT_COMPILER_OPTIONS = {
+  target: ts.ScriptTarget.ES2022,
+  module: ts.ModuleKind.CommonJS,
+  moduleResolution: ts.ModuleResolutionKind.Node10,
+  allowJs: true,
+  esModuleInterop: true,
+  skipLibCheck: true,
+};
+
+const isSameOrInside = (childPath, parentPath) => childPath === parentPath || childPath.startsWith(`${parentPath}${path.sep}`);
+
+const formatDiagnostic = (diagnostic) => ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+
+/**
+ * Compiler host that reads files under repoRoot through the source-file service (working tree, commit tree
+ * or overlay, as the analysis does) and everything else (TypeScript libs, node_modules types) from disk.
+ */
+const createServiceCompilerHost = ({ repoRoot, options, sourceFiles }) => {
+  const host = ts.createCompilerHost(options, true);
+  const isInRepo = (fileName) => isSameOrInside(path.resolve(fileName), repoRoot) && !fileName.includes(`${path.sep}node_modules${path.sep}`);
+  const diskFileExists = host.fileExists.bind(host);
+  const diskReadFile = host.readFile.bind(host);
+
+  const readFile = (fileName) => {
+    if (!isInRepo(fileName)) return diskReadFile(fileName);
+    if (!sourceFiles.exists(fileName)) return undefined;
+    return sourceFiles.readText(fileName);
+  };
+
+  return {
+    ...host,
+    fileExists: (fileName) => (isInRepo(fileName) ? sourceFiles.exists(fileName) : diskFileExists(fileName)),
+    readFile,
+    getSourceFile: (fileName, languageVersion) => {
+      const text = readFile(fileName);
+      return text === undefined ? undefined : ts.createSourceFile(fileName, text, languageVersion, true);
+    },
+  };
+};
+
+const readCompilerOptions = ({ repoRoot, sourceFiles, warnings }) => {
+  const configPath = path.join(repoRoot, TSCONFIG_FILE_NAME);
+  if (!sourceFiles.exists(configPath)) {
+    return { options: DEFAULT_COMPILER_OPTIONS, fileNames: [] };
+  }
+
+  const parsedJson = ts.parseConfigFileTextToJson(configPath, sourceFiles.readText(configPath));
+  if (parsedJson.error) {
+    warnings.push(`Failed to parse ${TSCONFIG_FILE_NAME}: ${formatDiagnostic(parsedJson.error)}`);
+    return { options: DEFAULT_COMPILER_OPTIONS, fileNames: [] };
+  }
+  const parseHost = {
+    ...ts.sys,
+    fileExists: (fileName) => sourceFiles.exists(fileName),
+    readFile: (fileName) => (sourceFiles.exists(fileName) ? sourceFiles.readText(fileName) : undefined),
+  };
+  const parsed = ts.parseJsonConfigFileContent(parsedJson.config, parseHost, repoRoot, undefined, configPath);
+  for (const error of parsed.errors) {
+    // An include pattern that matches nothing is normal here: page and spec files are added as roots anyway.
+    if (error.code !== 18003) warnings.push(`${TSCONFIG_FILE_NAME}: ${formatDiagnostic(error)}`);
+  }
+  return { options: parsed.options, fileNames: parsed.fileNames };
+};
+
+/**
+ * TypeChecker-backed resolution for `resolution: 'typechecker'`.
+ * Builds one ts.Program from the project tsconfig (page and spec files are added as roots, since tsconfig
+ * may leave them out) and answers by symbol what the syntactic path answers by name: the base class of a class,
+ * the class a field holds, the member a call lands on and the class of a call receiver. Aliases and re-exports
+ * are followed to the class declaration. Only classes declared in page files count; every other answer is null
+ * so callers keep their syntactic fallback. Classes are answered by their `classIndex` id (bare names without one).
+ * Nodes must come from `getSourceFile`, not from a separate parse.
+ */
+const createTypeResolver = ({ repoRoot, pageFiles, rootFiles = [], sourceFiles, classIndex = null }) => {
+  const warnings = [];
+  const { options, fileNames } = readCompilerOptions({ repoRoot, sourceFiles, warnings });
+  const rootNames = Array.from(new Set([...fileNames, ...pageFiles, ...rootFiles].map((filePath) => path.resolve(filePath))));
+  const program = ts.createProgram({
+    rootNames,
+    options: { ...options, noEmit: true },
+    host: createServiceCompilerHost({ repoRoot, options, sourceFiles }),
+  });
+  const checker = program.getTypeChecker();
+  const pageFileSet = new Set(pageFiles.map((filePath) => path.resolve(filePath)));
+
+  const getSourceFile = (filePath) => program.getSourceFile(path.resolve(filePath)) || null;
+
+  // Page class nodes and their names: declarations, const-bound class expressions and mixin factory classes.
+  const classNameByNode = new Map();
+  for (const filePath of pageFileSet) {
+    const sourceFile = getSourceFile(filePath);
+    for (const { name, classNode } of sourceFile ? collectClassDeclarations(sourceFile) : []) classNameByNode.set(classNode, name);
+  }
+
+  const isPageClassDeclaration = (declaration) => classNameByNode.has(declaration);
+
+  const resolveAlias = (symbol) => (symbol && symbol.flags & ts.SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol);
+
+  const getClassIdOfDeclaration = (declaration) => (classIndex
+    ? classIndex.getClassId(declaration.getSourceFile().fileName, classNameByNode.get(declaration))
+    : classNameByNode.get(declaration));
+
+  const getClassNameOfSymbol = (symbol) => {
+    const declaration = (resolveAlias(symbol)?.declarations || []).find(isPageClassDeclaration);
+    return declaration ? getClassIdOfDeclaration(declaration) : null;
+  };
+
+  // Page classes behind a type: unions and intersections (mixins) are split, generic instances keep their class.
+  const getClassNamesOfType = (type) => {
+    if (!type) return [];
+    if (type.isUnionOrIntersection()) return Array.from(new Set(type.types.flatMap(getClassNamesOfType)));
+    const className = getClassNameOfSymbol(type.getSymbol() || type.aliasSymbol);
+    return className ? [className] : [];
+  };
+
+  /** Page class of the instance type at `node` (a field, a parameter, an expression), or null. */
+  const getClassNameOfNode = (node) => getClassNamesOfType(checker.getTypeAtLocation(node))[0] || null;
+
+  /** Page classes a receiver expression may hold; empty when its type is unknown or not a page class. */
+  const getReceiverClassNames = (expression) => getClassNamesOfType(checker.getTypeAtLocation(expression));
+
+  /**
+   * The page base class of a class declaration, through generics, aliases and mixin calls.
+   * Null when the class has no base, the base is not a page class or the checker cannot tell.
+   */
+  const getBaseClassName = (classDeclaration) => {
+    const symbol = classDeclaration.name ? checker.getSymbolAtLocation(classDeclaration.name) : null;
+    if (!symbol) return null;
+    const baseTypes = checker.getBaseTypes(checker.getDeclaredTypeOfSymbol(symbol)) || [];
+    return baseTypes.flatMap(getClassNamesOfType)[0] || null;
+  };
+
+  /**
+   * The page member a call lands on, for `x.m()` and `x['m']()` callee expressions:
+   * `{ className, memberName }`, 'external' when it lands outside page classes, or null when the checker cannot tell.
+   */
+  const resolveCallTarget = (calleeExpression) => {
+    const nameNode = ts.isPropertyAccessExpression(calleeExpression) ? calleeExpression.name : calleeExpression.argumentExpression;
+    const symbol = nameNode ? checker.getSymbolAtLocation(nameNode) : null;
+    if (!symbol || !symbol.declarations || symbol.declarations.length === 0) return null;
+    const declaration = symbol.declarations.find((candidate) => isPageClassDeclaration(candidate.parent));
+    if (!declaration) return 'external';
+    return { className: getClassIdOfDeclaration(declaration.parent), memberName: symbol.name };
+  };
+
+  return {
+    getSourceFile,
+    getClassNameOfNode,
+    getReceiverClassNames,
+    getBaseClassName,
+    resolveCallTarget,
+    warnings,
+  };
+};
+
+/**
+ * The resolver for `profile.resolution`, or null for the default syntactic resolution.
+ */
+const createTypeResolverForProfile = ({ profile, ...args }) => (
+  profile.resolution === 'typechecker' ? createTypeResolver(args) : null
+);
+
+module.exports = {
+  RESOLUTION_MODES,
+  readCompilerOptions,
+  createTypeResolver,
+  createTypeResolverForProfile,
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const VIRTUAL_CHANGE_STATUSES = ['A', 'M', 'D', 'R'];
+
+const normalizeRelativePath = (filePath) => String(filePath || '').trim().split(path.sep).join('/').replace(/^\.\//, '');
+
+const readWorkingTreeFile = ({ repoRoot, relativePath }) => {
+  const absolutePath = path.join(repoRoot, relativePath);
+  return fs.existsSync(absolutePath) ? fs.readFileSync(absolutePath, 'utf8') : null;
+};
+
+const normalizeVirtualChange = ({ repoRoot, change }) => {
+  const status = String((change && change.status) || '').toUpperCase();
+  const effectivePath = normalizeRelativePath(change && change.path);
+  if (!effectivePath) throw new Error('Missing required path in virtual change');
+  if (!VIRTUAL_CHANGE_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${change.status}" for virtual change ${effectivePath}. Expected one of: ${VIRTUAL_CHANGE_STATUSES.join(', ')}`);
+  }
+
+  const oldPath = status === 'R' ? normalizeRelativePath(change.oldPath) : effectivePath;
+  if (!oldPath) throw new Error(`Missing required oldPath for renamed virtual change ${effectivePath}`);
+  const basePath = status === 'A' ? null : oldPath;
+  const headPath = status === 'D' ? null : effectivePath;
+
+  if (headPath && typeof change.headContent !== 'string') {
+    throw new Error(`Missing headContent for virtual change ${effectivePath}`);
+  }
+  // Without an explicit base the change is measured against the file as it is on disk now.
+  let baseContent = null;
+  if (basePath) {
+    baseContent = typeof change.baseContent === 'string' ? change.baseContent : readWorkingTreeFile({ repoRoot, relativePath: basePath });
+    if (baseContent === null) throw new Error(`Missing baseContent for virtual change ${effectivePath}: ${basePath} does not exist`);
+  }
+
+  return {
+    entry: { status, oldPath: basePath, newPath: headPath, effectivePath, rawStatus: `${status} (virtual)` },
+    contents: { basePath, headPath, baseContent, headContent: headPath ? change.headContent : null },
+  };
+};
+
+/**
+ * Change source for what-if analysis: changed entries and their contents come from `changes`
+ * (`{ path, status, baseContent?, headContent?, oldPath? }`) instead of git.
+ * `overlay` holds the head state of every changed file (null when removed) for the source-file layer,
+ * so later stages read the hypothetical tree rather than the working tree.
+ */
+const createVirtualChangeSource = ({ repoRoot, changes }) => {
+  if (!Array.isArray(changes)) throw new Error('Missing required changes array');
+  const contentsByPath = new Map();
+  const overlay = new Map();
+  const entries = [];
+
+  for (const change of changes) {
+    const { entry, contents } = normalizeVirtualChange({ repoRoot, change });
+    if (contentsByPath.has(entry.effectivePath)) throw new Error(`Duplicate virtual change for ${entry.effectivePath}`);
+    contentsByPath.set(entry.effectivePath, contents);
+    entries.push(entry);
+    if (contents.basePath) overlay.set(path.resolve(repoRoot, contents.basePath), null);
+    if (contents.headPath) overlay.set(path.resolve(repoRoot, contents.headPath), contents.headContent);
+  }
+  entries.sort((a, b) => a.effectivePath.localeCompare(b.effectivePath));
+
+  return {
+    overlay,
+    getChangedEntries: () => ({
+      entries,
+      warnings: [],
+      statusFallbackHits: 0,
+      changedEntriesBySource: { fromBaseHead: 0, fromWorkingTree: 0, fromUntracked: 0 },
+    }),
+    readChangeContents: (entry) => contentsByPath.get(entry.effectivePath),
+    getUntrackedSpecPaths: () => [],
+  };
+};
+
+module.exports = {
+  VIRTUAL_CHANGE_STATUSES,
+  createVirtualChangeSource,
+};
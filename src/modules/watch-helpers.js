@@ -0,0 +1,121 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const listDirectoriesRecursive = (rootDir) => {
+  if (!fs.existsSync(rootDir) || !fs.statSync(rootDir).isDirectory()) return [];
+  const directories = [];
+  const stack = [rootDir];
+
+  while (stack.length > 0) {
+    const current = stack.pop();
+    directories.push(current);
+    for (const entry of fs.readdirSync(current, { withFileTypes: true })) {
+      if (entry.isDirectory()) stack.push(path.join(current, entry.name));
+    }
+  }
+
+  return directories;
+};
+
+const isDirectory = (filePath) => {
+  try {
+    return fs.statSync(filePath).isDirectory();
+  } catch (_error) {
+    return false;
+  }
+};
+
+/**
+ * Watch folder trees and single files with one non-recursive fs.watch per folder,
+ * since recursive fs.watch is not available on every platform Node supports.
+ * Events are batched: onChange receives the sorted absolute paths touched within debounceMs of each other.
+ */
+const watchFileTree = ({ directories = [], files = [], debounceMs = 100, onChange }) => {
+  const watchers = new Map();
+  const treeDirectories = new Set();
+  const fileNamesByDirectory = new Map();
+  let pending = new Set();
+  let timer = null;
+  let closed = false;
+
+  const flush = () => {
+    timer = null;
+    if (closed || pending.size === 0) return;
+    const batch = Array.from(pending).sort((a, b) => a.localeCompare(b));
+    pending = new Set();
+    onChange(batch);
+  };
+
+  const schedule = (absPath) => {
+    pending.add(absPath);
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const watchDirectory = (dirPath) => {
+    if (watchers.has(dirPath)) return;
+    let watcher;
+    try {
+      watcher = fs.watch(dirPath, (_eventType, fileName) => handleEvent(dirPath, fileName));
+    } catch (_error) {
+      // The folder was removed before it could be watched; its parent reports the removal.
+      return;
+    }
+    watcher.on('error', () => {
+      watcher.close();
+      watchers.delete(dirPath);
+    });
+    watchers.set(dirPath, watcher);
+  };
+
+  const watchTree = (rootDir) => {
+    for (const dirPath of listDirectoriesRecursive(rootDir)) {
+      treeDirectories.add(dirPath);
+      watchDirectory(dirPath);
+    }
+  };
+
+  const handleEvent = (dirPath, fileName) => {
+    if (closed) return;
+    // Some platforms omit the file name; report the folder so everything under it is re-read.
+    if (!fileName) {
+      schedule(dirPath);
+      return;
+    }
+    const absPath = path.join(dirPath, String(fileName));
+    if (treeDirectories.has(dirPath)) {
+      // A folder created or moved in is watched too, and its files count as changed.
+      if (isDirectory(absPath) && !watchers.has(absPath)) watchTree(absPath);
+      schedule(absPath);
+      return;
+    }
+    const fileNames = fileNamesByDirectory.get(dirPath);
+    if (fileNames && fileNames.has(String(fileName))) schedule(absPath);
+  };
+
+  for (const dirPath of directories) watchTree(path.resolve(dirPath));
+  for (const filePath of files) {
+    // Editors often replace files on save, so the parent folder is watched rather than the file itself.
+    const absPath = path.resolve(filePath);
+    const dirPath = path.dirname(absPath);
+    if (!isDirectory(dirPath)) continue;
+    if (!fileNamesByDirectory.has(dirPath)) fileNamesByDirectory.set(dirPath, new Set());
+    fileNamesByDirectory.get(dirPath).add(path.basename(absPath));
+    watchDirectory(dirPath);
+  }
+
+  return {
+    close: () => {
+      closed = true;
+      if (timer) clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+    },
+  };
+};
+
+module.exports = {
+  watchFileTree,
+};
@@ -0,0 +1,216 @@
+'use strict';
+
+const path = require('path');
+const {
+  DEFAULT_ANALYSIS_ROOTS_RELATIVE,
+  DEFAULT_FIXTURES_TYPES_RELATIVE,
+  normalizeFileExtensions,
+} = require('./analyze-impacted-specs');
+const {
+  buildInheritanceGraph,
+  getClassLineage,
+  addDescendantClasses,
+  collectImpactedClasses,
+  getFixtureKeysForClasses,
+} = require('./modules/class-impact-helpers');
+const { parseFixtureMappings } = require('./modules/fixture-map-helpers');
+const { collectChangedMethodsByClass, buildImpactedMethodsByClass } = require('./modules/method-impact-helpers');
+const { selectSpecFiles } = require('./modules/spec-selection-helpers');
+const { filterSpecsByImpactedMethods } = require('./modules/method-filter-helpers');
+const { traceChangedImports } = require('./modules/import-impact-helpers');
+const { resolveProfile } = require('./modules/profile-config-helpers');
+const { buildTestLevelSelection } = require('./modules/test-selection-helpers');
+const { buildSelectionReasonRecords } = require('./modules/selection-reason-helpers');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { createTypeResolverForProfile } = require('./modules/type-resolution-helpers');
+const { createClassIndex } = require('./modules/class-identity-helpers');
+
+// `Class.member`, or `path/to/file.ts:Class.member` for a class whose name several page files declare.
+const MEMBER_TARGET_PATTERN = /^((?:[^:]+:)?[A-Za-z_$][\w$]*)\.([A-Za-z_$][\w$]*)$/;
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+// An existing file wins over the Class.member form, so `Foo.ts` at the repo root is read as a file.
+const parseQueryTarget = ({ target, repoRoot, sourceFiles }) => {
+  const value = String(target || '').trim();
+  const absPath = path.resolve(repoRoot, value);
+  if (value && sourceFiles.exists(absPath)) {
+    return { kind: 'file', target: value, relativePath: normalizePath(path.relative(repoRoot, absPath)) };
+  }
+  const match = MEMBER_TARGET_PATTERN.exec(value);
+  if (match) return { kind: 'member', target: value, className: match[1], memberName: match[2] };
+  throw new Error(`Invalid query target "${value}". Expected Class.member, path:Class.member or an existing file`);
+};
+
+// A class name that several page files declare must be written as one of its file-qualified ids.
+const assertUnambiguousClass = ({ target, classIndex }) => {
+  const classIds = classIndex.getClassIdsByName(target.className);
+  if (classIds.length > 1) {
+    throw new Error(`Ambiguous class "${target.className}" in query target "${target.target}". Expected one of: ${classIds.join(', ')}`);
+  }
+};
+
+// A member target must name a member of the class or of one of its base classes or mixins.
+const assertMemberTargetExists = ({ target, propagationTrace, parentsByChild, mixinsByChild }) => {
+  if (!propagationTrace.fileByClass.has(target.className)) {
+    throw new Error(`Unknown class "${target.className}" in query target "${target.target}"`);
+  }
+  for (const className of getClassLineage({ className: target.className, parentsByChild, mixinsByChild })) {
+    if (propagationTrace.memberKeyParts.has(`${className}#${target.memberName}`)) return;
+  }
+  throw new Error(`Unknown member "${target.memberName}" of ${target.className} in query target "${target.target}"`);
+};
+
+/**
+ * Reverse query: which specs and tests reach these `Class.member` or file targets?
+ * Each target is treated as if it had changed (a file as if it were added, so every member counts), then the
+ * usual call-graph propagation, Stage A fixture prefilter, import graph and Stage B matching decide the specs,
+ * with the same precise/uncertain reasons and selection bias as analyzeImpactedSpecs. Reads the working tree only.
+ */
+const queryImpactedSpecs = ({
+  repoRoot,
+  profile: rawProfile,
+  targets,
+  fileExtensions,
+  selectionBias = 'fail-open',
+}, { sourceFiles = createSourceFileService() } = {}) => {
+  const profile = resolveProfile(rawProfile);
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+  if (!Array.isArray(targets) || targets.length === 0) throw new Error('Missing required targets');
+
+  const parsedTargets = targets.map((target) => parseQueryTarget({ target, repoRoot, sourceFiles }));
+  const fileTargets = parsedTargets.filter((target) => target.kind === 'file');
+  const memberTargets = parsedTargets.filter((target) => target.kind === 'member');
+  const effectiveExtensions = normalizeFileExtensions(fileExtensions);
+  const testsRoot = path.join(repoRoot, profile.testsRootRelative);
+
+  const pageFiles = (profile.analysisRootsRelative || DEFAULT_ANALYSIS_ROOTS_RELATIVE)
+    .flatMap((relativePath) => sourceFiles.listFiles(path.join(repoRoot, relativePath)))
+    .filter((filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase()));
+  const classIndex = createClassIndex({ repoRoot, pageFiles, sourceFiles });
+  for (const target of memberTargets) assertUnambiguousClass({ target, classIndex });
+  const typeResolver = createTypeResolverForProfile({
+    profile,
+    repoRoot,
+    pageFiles,
+    rootFiles: sourceFiles.listFiles(testsRoot).filter((filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase())),
+    sourceFiles,
+    classIndex,
+  });
+  const { parentsByChild, childrenByParent, mixinsByChild } = buildInheritanceGraph(
+    pageFiles,
+    (filePath) => sourceFiles.readText(filePath),
+    { typeResolver, classIndex, getSourceFile: sourceFiles.getSourceFile }
+  );
+
+  // File targets go through the semantic seed as added files; member targets seed themselves.
+  const fileEntries = fileTargets.map((target) => ({ status: 'A', effectivePath: target.relativePath, newPath: target.relativePath }));
+  const readChangeContents = (entry) => ({
+    baseContent: null,
+    headContent: sourceFiles.readText(path.join(repoRoot, entry.effectivePath)),
+  });
+  const { changedMethodsByClass } = collectChangedMethodsByClass({
+    changedPomEntries: fileEntries,
+    baseRef: null,
+    readChangeContents,
+    classIndex,
+  });
+  for (const target of memberTargets) {
+    if (!changedMethodsByClass.has(target.className)) changedMethodsByClass.set(target.className, new Set());
+    changedMethodsByClass.get(target.className).add(target.memberName);
+  }
+  const impactedClasses = addDescendantClasses(
+    new Set([
+      ...collectImpactedClasses({ changedPomEntries: fileEntries, childrenByParent, baseRef: null, readChangeContents, classIndex }),
+      ...memberTargets.map((target) => target.className),
+    ]),
+    childrenByParent
+  );
+
+  const propagation = buildImpactedMethodsByClass({
+    impactedClasses,
+    changedMethodsByClass,
+    parentsByChild,
+    mixinsByChild,
+    pageFiles,
+    sourceFiles,
+    typeResolver,
+    classIndex,
+  });
+  for (const target of memberTargets) assertMemberTargetExists({ target, propagationTrace: propagation.trace, parentsByChild, mixinsByChild });
+  const { impactedMethodsByClass } = propagation;
+
+  const importTrace = fileEntries.length > 0
+    ? traceChangedImports({
+      repoRoot,
+      testsRootAbs: testsRoot,
+      changedPomEntries: fileEntries,
+      listFilesRecursive: sourceFiles.listFiles,
+      fileExtensions: effectiveExtensions,
+      sourceFiles,
+    })
+    : { impactedSpecs: [], importPathBySpec: new Map() };
+
+  // Stage A: fixture-key prefilter, as in the analysis.
+  const fixtureMappings = parseFixtureMappings({
+    typesPath: path.join(repoRoot, profile.fixturesTypesRelative || DEFAULT_FIXTURES_TYPES_RELATIVE),
+    sourceFiles,
+    classIndex,
+  });
+  const classesForFixtureSelection = impactedMethodsByClass.size > 0 ? new Set(impactedMethodsByClass.keys()) : impactedClasses;
+  const fixtureKeys = getFixtureKeysForClasses(classesForFixtureSelection, fixtureMappings.classToFixtureKeys);
+  const stageASpecs = fixtureKeys.size > 0
+    ? selectSpecFiles({
+      testsRootAbs: testsRoot,
+      fixtureKeys,
+      listFilesRecursive: sourceFiles.listFiles,
+      fileExtensions: effectiveExtensions,
+      sourceFiles,
+    })
+    : [];
+
+  // Stage B: precise/uncertain call-site matching.
+  const methodFilterResult = filterSpecsByImpactedMethods({
+    selectedSpecs: Array.from(new Set([...stageASpecs, ...importTrace.impactedSpecs])).sort((a, b) => a.localeCompare(b)),
+    directChangedSpecsAbs: [],
+    alwaysIncludeSpecsAbs: importTrace.impactedSpecs,
+    fixtureKeyToClass: fixtureMappings.fixtureKeyToClass,
+    fixtureKeys,
+    impactedMethodsByClass,
+    selectionBias,
+    sourceFiles,
+    typeResolver,
+  });
+  const selectedSpecs = methodFilterResult.filteredSpecs;
+
+  return {
+    targets: parsedTargets.map((target) => target.target),
+    selectedSpecs,
+    selectedSpecsRelative: selectedSpecs.map((specPath) => path.relative(repoRoot, specPath)),
+    selectionReasons: methodFilterResult.selectionReasons,
+    selectionReasonRecords: buildSelectionReasonRecords({
+      repoRoot,
+      selectedSpecs,
+      selectionReasons: methodFilterResult.selectionReasons,
+      callSitesBySpec: methodFilterResult.callSitesBySpec,
+      importPathBySpec: importTrace.importPathBySpec,
+      sourceFiles,
+    }),
+    impactedClasses,
+    impactedMethodsByClass,
+    fixtureKeys,
+    ...buildTestLevelSelection({ repoRoot, selectedSpecs, narrowedTestsBySpec: methodFilterResult.narrowedTestsBySpec }),
+    hasAnythingToRun: selectedSpecs.length > 0,
+    coverageStats: { uncertainCallSites: methodFilterResult.uncertainCallSites },
+    warnings: [
+      ...(typeResolver ? typeResolver.warnings : []),
+      ...classIndex.warnings,
+      ...(propagation.warnings || []),
+      ...methodFilterResult.warnings,
+    ],
+  };
+};
+
+module.exports = {
+  queryImpactedSpecs,
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+const path = require('path');
+const {
+  DEFAULT_ANALYSIS_ROOTS_RELATIVE,
+  DEFAULT_FIXTURES_TYPES_RELATIVE,
+  normalizeFileExtensions,
+} = require('./analyze-impacted-specs');
+const { buildInheritanceGraph } = require('./modules/class-impact-helpers');
+const { buildImpactedMethodsByClass } = require('./modules/method-impact-helpers');
+const { parseFixtureMappings } = require('./modules/fixture-map-helpers');
+const { collectClassMembers, findUnusedMembers } = require('./modules/member-usage-helpers');
+const { resolveProfile } = require('./modules/profile-config-helpers');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { createTypeResolverForProfile } = require('./modules/type-resolution-helpers');
+const { createClassIndex } = require('./modules/class-identity-helpers');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+
+/**
+ * Report POM members (methods, accessors, fields) that no spec can reach, directly or through other members,
+ * classes no spec uses at all, and fixture keys from the fixture types file that no spec destructures.
+ * Every file under the tests root counts as a user of POM members (helpers included), and so does every file next
+ * to the fixture types file, where fixture implementations set page objects up before `use(...)`. Only specs count
+ * as users of fixtures. Reads the working tree only.
+ */
+const reportUnusedMembers = ({ repoRoot, profile: rawProfile, fileExtensions }) => {
+  const profile = resolveProfile(rawProfile);
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+
+  const sourceFiles = createSourceFileService();
+  const effectiveExtensions = normalizeFileExtensions(fileExtensions);
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, filePath));
+  const pageFiles = (profile.analysisRootsRelative || DEFAULT_ANALYSIS_ROOTS_RELATIVE)
+    .flatMap((relativePath) => sourceFiles.listFiles(path.join(repoRoot, relativePath)))
+    .filter((filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase()));
+  const hasEffectiveExtension = (filePath) => effectiveExtensions.includes(path.extname(filePath).toLowerCase());
+  const testFiles = sourceFiles.listFiles(path.join(repoRoot, profile.testsRootRelative))
+    .filter(hasEffectiveExtension)
+    .sort((a, b) => a.localeCompare(b))
+    .map((filePath) => ({
+      filePath,
+      relativePath: toRelative(filePath),
+      isSpec: effectiveExtensions.some((ext) => filePath.endsWith(`.spec${ext}`)),
+    }));
+  const fixturesTypesPath = path.join(repoRoot, profile.fixturesTypesRelative || DEFAULT_FIXTURES_TYPES_RELATIVE);
+  // A types file at the repo root has no fixtures directory to scan; the root itself would pull in everything.
+  const fixturesDir = path.dirname(fixturesTypesPath);
+  const scannedFiles = new Set([...pageFiles, ...testFiles.map((testFile) => testFile.filePath)]);
+  const fixtureFiles = (fixturesDir === path.resolve(repoRoot) ? [fixturesTypesPath] : sourceFiles.listFiles(fixturesDir))
+    .filter((filePath) => hasEffectiveExtension(filePath) && sourceFiles.exists(filePath) && !scannedFiles.has(filePath))
+    .sort((a, b) => a.localeCompare(b))
+    .map((filePath) => ({ filePath, relativePath: toRelative(filePath), isSpec: false }));
+
+  const classIndex = createClassIndex({ repoRoot, pageFiles, sourceFiles });
+  const typeResolver = createTypeResolverForProfile({
+    profile,
+    repoRoot,
+    pageFiles,
+    rootFiles: testFiles.map((testFile) => testFile.filePath),
+    sourceFiles,
+    classIndex,
+  });
+  const { parentsByChild, mixinsByChild } = buildInheritanceGraph(
+    pageFiles,
+    (filePath) => sourceFiles.readText(filePath),
+    { typeResolver, classIndex, getSourceFile: sourceFiles.getSourceFile }
+  );
+  // Seedless propagation: only the call graph it builds is needed here.
+  const { trace: callGraph, warnings } = buildImpactedMethodsByClass({
+    impactedClasses: new Set(),
+    changedMethodsByClass: new Map(),
+    parentsByChild,
+    mixinsByChild,
+    pageFiles,
+    sourceFiles,
+    typeResolver,
+    classIndex,
+  });
+  const { fixtureKeyToClass } = parseFixtureMappings({
+    typesPath: fixturesTypesPath,
+    sourceFiles,
+    classIndex,
+  });
+  const classMembers = collectClassMembers({ pageFiles, sourceFiles, classIndex });
+  const usage = findUnusedMembers({ classMembers, testFiles: [...testFiles, ...fixtureFiles], fixtureKeyToClass, parentsByChild, mixinsByChild, callGraph, sourceFiles });
+
+  const memberCount = Array.from(classMembers.classes.values()).reduce((sum, classInfo) => sum + classInfo.members.size, 0);
+  return {
+    unusedMembers: usage.unusedMembers
+      .map((member) => ({ ...member, file: toRelative(member.file) }))
+      .sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line),
+    unusedClasses: usage.unusedClasses.sort((a, b) => a.localeCompare(b)),
+    unusedFixtures: Array.from(fixtureKeyToClass)
+      .filter(([fixtureKey]) => !usage.fixtureKeysUsedBySpecs.has(fixtureKey))
+      .map(([fixtureKey, className]) => ({ fixtureKey, className }))
+      .sort((a, b) => a.fixtureKey.localeCompare(b.fixtureKey)),
+    // Classes kept whole because a spec used them dynamically; their members cannot be reported.
+    dynamicallyUsedClasses: Array.from(usage.dynamicUsesByClass)
+      .map(([className, files]) => ({ className, files: Array.from(files).sort((a, b) => a.localeCompare(b)) }))
+      .sort((a, b) => a.className.localeCompare(b.className)),
+    stats: {
+      classes: classMembers.classes.size,
+      members: memberCount,
+      unusedMembers: usage.unusedMembers.length,
+      fixtures: fixtureKeyToClass.size,
+      specs: testFiles.filter((testFile) => testFile.isSpec).length,
+    },
+    warnings: [...(typeResolver ? typeResolver.warnings : []), ...classIndex.warnings, ...(warnings || [])],
+  };
+};
+
+module.exports = {
+  reportUnusedMembers,
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const path = require('path');
+const { analyzeImpactedSpecs } = require('./analyze-impacted-specs');
+const { buildExclusion } = require('./explain-spec-selection');
+const { readSpecOutcomesFromReport } = require('./modules/playwright-report-helpers');
+
+const normalizePath = (filePath) => String(filePath || '').split(path.sep).join('/');
+const sortStrings = (values) => Array.from(values).sort((a, b) => a.localeCompare(b));
+const toRatio = (numerator, denominator) => (denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null);
+
+// Repo-relative selection, reasons and drop reasons from an analyzeImpactedSpecs result or its `--format json` output.
+const readSelection = ({ result, repoRoot }) => {
+  const toRelative = (filePath) => normalizePath(path.relative(repoRoot, path.resolve(repoRoot, filePath)));
+  const toEntries = (reasons) => (reasons instanceof Map ? Array.from(reasons) : Object.entries(reasons || {}));
+  const selectedSpecs = result.selectedSpecsRelative || result.selectedSpecs;
+  if (!Array.isArray(selectedSpecs)) throw new Error('Analysis result has no selectedSpecs');
+  return {
+    selectedSpecs: new Set(selectedSpecs.map(toRelative)),
+    selectionReasons: new Map(toEntries(result.selectionReasons).map(([specPath, reason]) => [toRelative(specPath), reason])),
+    exclusionReasons: new Map(toEntries(result.exclusionReasons).map(([specPath, reason]) => [toRelative(specPath), reason])),
+  };
+};
+
+/**
+ * Shadow-mode check of a selection against a full Playwright run of the same change.
+ * Compares the failed specs in the JSON report at `reportPath` with the selected specs of `result`
+ * (an analyzeImpactedSpecs result or its `--format json` output); without `result`, the analysis runs here.
+ * Returns precision (share of selected specs that failed), recall (share of failed specs that were selected)
+ * and every missed failure with its drop reason; the drop details are included when the analysis ran here.
+ * Ratios are null when their denominator is zero. Counts are per spec file; flaky tests do not count as failed.
+ */
+const validateSelection = ({ reportPath, result = null, ...analyzeOptions }) => {
+  const { repoRoot } = analyzeOptions;
+  if (!repoRoot) throw new Error('Missing required repoRoot');
+  if (!reportPath) throw new Error('Missing required reportPath');
+
+  const outcomes = readSpecOutcomesFromReport({ reportPath, repoRoot });
+  const trace = result ? null : {};
+  const analysisResult = result || analyzeImpactedSpecs(analyzeOptions, { trace });
+  const selection = readSelection({ result: analysisResult, repoRoot });
+
+  const failedSpecs = sortStrings(Array.from(outcomes.entries())
+    .filter(([, outcome]) => outcome.failedTests.length > 0)
+    .map(([specRelative]) => specRelative));
+  const caughtFailures = failedSpecs
+    .filter((specRelative) => selection.selectedSpecs.has(specRelative))
+    .map((specRelative) => ({
+      spec: specRelative,
+      selectionReason: selection.selectionReasons.get(specRelative) || null,
+      failedTests: outcomes.get(specRelative).failedTests,
+    }));
+  const missedFailures = failedSpecs
+    .filter((specRelative) => !selection.selectedSpecs.has(specRelative))
+    .map((specRelative) => {
+      const exclusion = trace
+        ? buildExclusion({
+          specAbs: path.join(repoRoot, specRelative),
+          result: analysisResult,
+          trace,
+          toRelative: (filePath) => normalizePath(path.relative(repoRoot, filePath)),
+        })
+        : { reason: selection.exclusionReasons.get(specRelative) || null, details: null };
+      return {
+        spec: specRelative,
+        failedTests: outcomes.get(specRelative).failedTests,
+        // A failed spec the analysis never saw (outside the tests root, or removed since) has no drop reason.
+        exclusionReason: exclusion.reason || null,
+        exclusionDetails: exclusion.reason ? exclusion.details : null,
+      };
+    });
+
+  const selectedSpecsInReport = sortStrings(selection.selectedSpecs).filter((specRelative) => outcomes.has(specRelative));
+  return {
+    specsInReport: outcomes.size,
+    selectedSpecs: selection.selectedSpecs.size,
+    failedSpecs,
+    caughtFailures,
+    missedFailures,
+    // Precision is measured over the selected specs the full run actually executed.
+    precision: toRatio(caughtFailures.length, selectedSpecsInReport.length),
+    recall: toRatio(caughtFailures.length, failedSpecs.length),
+    selectedSpecsNotInReport: sortStrings(selection.selectedSpecs).filter((specRelative) => !outcomes.has(specRelative)),
+    warnings: analysisResult.warnings || [],
+  };
+};
+
+module.exports = {
+  validateSelection,
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const path = require('path');
+const {
+  DEFAULT_ANALYSIS_ROOTS_RELATIVE,
+  DEFAULT_FIXTURES_TYPES_RELATIVE,
+  analyzeImpactedSpecs,
+} = require('./analyze-impacted-specs');
+const { resolveProfile } = require('./modules/profile-config-helpers');
+const { createSourceFileService } = require('./modules/source-file-helpers');
+const { createMemoryAnalysisCache } = require('./modules/analysis-cache-helpers');
+const { watchFileTree } = require('./modules/watch-helpers');
+
+const DEFAULT_DEBOUNCE_MS = 100;
+
+const diffSelection = (previousSpecs, nextSpecs) => {
+  const previous = new Set(previousSpecs);
+  const next = new Set(nextSpecs);
+  return {
+    addedSpecs: nextSpecs.filter((specPath) => !previous.has(specPath)),
+    removedSpecs: previousSpecs.filter((specPath) => !next.has(specPath)),
+  };
+};
+
+/**
+ * Keep the impacted selection up to date while files are edited.
+ * Watches the analysis roots, the tests root and the fixtures file. Between runs the source-file layer and an
+ * in-memory fact cache are kept, so the inheritance, call and import graphs re-read and re-parse only edited files.
+ *
+ * onChange receives `{ result, selectedSpecs, addedSpecs, removedSpecs, changedFiles, error }` (repo-relative paths).
+ * The first call is made synchronously with the initial selection, listing every spec as added.
+ * A failed recompute is reported through `error` and keeps the previous selection.
+ */
+const watchImpactedSpecs = (options, onChange) => {
+  const { debounceMs = DEFAULT_DEBOUNCE_MS, ...analyzeOptions } = options || {};
+  if (typeof onChange !== 'function') throw new Error('Missing required onChange callback');
+  if (!analyzeOptions.repoRoot) throw new Error('Missing required repoRoot');
+  const profile = resolveProfile(analyzeOptions.profile);
+  const { repoRoot } = analyzeOptions;
+
+  const sourceFiles = createSourceFileService();
+  const cacheEntries = new Map();
+  let selectedSpecs = [];
+
+  const recompute = (changedFilesAbs) => {
+    sourceFiles.invalidate(changedFilesAbs);
+    const result = analyzeImpactedSpecs(analyzeOptions, {
+      sourceFiles,
+      analysisCache: createMemoryAnalysisCache({ repoRoot, entries: cacheEntries }),
+    });
+    const nextSpecs = result.selectedSpecsRelative;
+    const diff = diffSelection(selectedSpecs, nextSpecs);
+    selectedSpecs = nextSpecs;
+    return { result, selectedSpecs, ...diff };
+  };
+
+  const toRelative = (filePaths) => filePaths.map((filePath) => path.relative(repoRoot, filePath));
+
+  onChange({ ...recompute([]), changedFiles: [], error: null });
+
+  const analysisRootsRelative = profile.analysisRootsRelative || DEFAULT_ANALYSIS_ROOTS_RELATIVE;
+  const fixturesTypesRelative = profile.fixturesTypesRelative || DEFAULT_FIXTURES_TYPES_RELATIVE;
+  return watchFileTree({
+    directories: [...analysisRootsRelative, profile.testsRootRelative].map((relativePath) => path.join(repoRoot, relativePath)),
+    files: [path.join(repoRoot, fixturesTypesRelative)],
+    debounceMs,
+    onChange: (changedFilesAbs) => {
+      const changedFiles = toRelative(changedFilesAbs);
+      let update;
+      try {
+        update = { ...recompute(changedFilesAbs), changedFiles, error: null };
+      } catch (error) {
+        update = { result: null, selectedSpecs, addedSpecs: [], removedSpecs: [], changedFiles, error };
+      }
+      onChange(update);
+    },
+  });
+};
+
+module.exports = {
+  watchImpactedSpecs,
+};
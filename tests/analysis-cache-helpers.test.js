@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createAnalysisCache, createNoopAnalysisCache } = require('../src/modules/analysis-cache-helpers');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const contextFilesRelative = ['tsconfig.json', 'src/fixtures/types.ts'];
+
+const computeWith = (cache, filePath, content) => {
+  let computed = 0;
+  const data = cache.getOrCompute('facts', filePath, content, () => {
+    computed += 1;
+    return { length: content.length };
+  });
+  return { data, computed };
+};
+
+test('createNoopAnalysisCache always computes and never writes', () => {
+  const cache = createNoopAnalysisCache();
+
+  assert.deepEqual(computeWith(cache, '/repo/a.ts', 'abc'), { data: { length: 3 }, computed: 1 });
+  assert.deepEqual(computeWith(cache, '/repo/a.ts', 'abc').computed, 1);
+  assert.deepEqual(cache.getStats(), { enabled: false, hits: 0, misses: 0, invalidated: false });
+});
+
+test('createAnalysisCache reuses facts across runs while content is unchanged', () => {
+  const dir = createTempDir();
+  const filePath = path.join(dir, 'src/pages/A.ts');
+
+  const first = createAnalysisCache({ repoRoot: dir, cacheDir: '.cache', contextFilesRelative });
+  assert.equal(computeWith(first, filePath, 'class A {}').computed, 1);
+  first.save();
+
+  const second = createAnalysisCache({ repoRoot: dir, cacheDir: '.cache', contextFilesRelative });
+  assert.deepEqual(computeWith(second, filePath, 'class A {}'), { data: { length: 10 }, computed: 0 });
+  assert.equal(computeWith(second, filePath, 'class A { x = 1; }').computed, 1);
+  assert.deepEqual(second.getStats(), { enabled: true, hits: 1, misses: 1, invalidated: false });
+});
+
+test('createAnalysisCache invalidates everything when tsconfig.json or the fixtures file changes', () => {
+  const dir = createTempDir();
+  const filePath = path.join(dir, 'src/pages/A.ts');
+  writeFile(dir, 'tsconfig.json', '{ "compilerOptions": {} }');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = {};');
+
+  const seed = createAnalysisCache({ repoRoot: dir, cacheDir: '.cache', contextFilesRelative });
+  computeWith(seed, filePath, 'class A {}');
+  seed.save();
+
+  writeFile(dir, 'tsconfig.json', '{ "compilerOptions": { "baseUrl": "." } }');
+  const afterTsconfig = createAnalysisCache({ repoRoot: dir, cacheDir: '.cache', contextFilesRelative });
+  assert.equal(computeWith(afterTsconfig, filePath, 'class A {}').computed, 1);
+  assert.equal(afterTsconfig.getStats().invalidated, true);
+  afterTsconfig.save();
+
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { a: Pages.A };');
+  const afterFixtures = createAnalysisCache({ repoRoot: dir, cacheDir: '.cache', contextFilesRelative });
+  assert.equal(computeWith(afterFixtures, filePath, 'class A {}').computed, 1);
+});
+
+test('createAnalysisCache rebuilds a corrupted cache file', () => {
+  const dir = createTempDir();
+  writeFile(dir, '.cache/analysis-cache.json', '{"contextHash":');
+
+  const cache = createAnalysisCache({ repoRoot: dir, cacheDir: '.cache', contextFilesRelative });
+  assert.equal(computeWith(cache, path.join(dir, 'a.ts'), 'x').computed, 1);
+  cache.save();
+
+  assert.equal(typeof JSON.parse(fs.readFileSync(path.join(dir, '.cache/analysis-cache.json'), 'utf8')).contextHash, 'string');
+});
+
+test('analyzeImpactedSpecs returns the same selection from a warm cache', () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage extends BasePage { login(){ return this.open(); } }\n');
+  writeFile(dir, 'src/utils/date.ts', 'export const today = () => 1;\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/login.spec.ts', 'test("a", async ({ loginPage }) => { await loginPage.login(); });\n');
+  writeFile(dir, 'tests/date.spec.ts', 'import { today } from "../src/utils/date";\ntest("b", async () => { today(); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("c", async ({ loginPage }) => { await loginPage.close(); });\n');
+  commitAll(dir, 'base');
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+  writeFile(dir, 'src/utils/date.ts', 'export const today = () => 2;\n');
+
+  const profile = {
+    testsRootRelative: 'tests',
+    changedSpecPrefix: 'tests/',
+    isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/') || filePath.startsWith('src/utils/'),
+  };
+
+  const cold = analyzeImpactedSpecs({ repoRoot: dir, profile, cacheDir: '.impact-cache' });
+  const warm = analyzeImpactedSpecs({ repoRoot: dir, profile, cacheDir: '.impact-cache' });
+  const uncached = analyzeImpactedSpecs({ repoRoot: dir, profile });
+
+  assert.deepEqual(cold.selectedSpecsRelative, ['tests/date.spec.ts', 'tests/login.spec.ts']);
+  assert.deepEqual(warm.selectedSpecsRelative, cold.selectedSpecsRelative);
+  assert.deepEqual(uncached.selectedSpecsRelative, cold.selectedSpecsRelative);
+  assert.deepEqual(warm.impactedMethodsByClass, cold.impactedMethodsByClass);
+  assert.equal(cold.cacheStats.hits, 0);
+  assert.equal(warm.cacheStats.misses, 0);
+  assert.ok(warm.cacheStats.hits > 0);
+  assert.deepEqual(uncached.cacheStats, { enabled: false, hits: 0, misses: 0, invalidated: false });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeCommitBreakdown } = require('../src/analyze-commit-breakdown');
+const { formatCommitBreakdown } = require('../src/format-analyze-result');
+const { createTempDir, writeFile, initGitRepo, commitAll, run } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const getHeadSha = (dir) => run(dir, 'git', ['rev-parse', 'HEAD']).stdout.trim();
+
+const createBranch = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage extends BasePage { addItem(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage extends BasePage { login(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage; loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', 'test("add", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  writeFile(dir, 'tests/cart-open.spec.ts', 'test("cart", async ({ cartPage }) => { await cartPage.open(); });\n');
+  writeFile(dir, 'tests/login.spec.ts', 'test("login", async ({ loginPage }) => { await loginPage.open(); });\n');
+  commitAll(dir, 'base');
+  const baseSha = getHeadSha(dir);
+
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage extends BasePage { addItem(){ return 2; } }\n');
+  commitAll(dir, 'Change addItem');
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+  commitAll(dir, 'Change open');
+  return { dir, baseSha };
+};
+
+test('analyzeCommitBreakdown reports specs and members per commit and their union', () => {
+  const { dir, baseSha } = createBranch();
+  // Working-tree edits are not part of any commit.
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage extends BasePage { login(){ return 3; } }\n');
+
+  const breakdown = analyzeCommitBreakdown({ repoRoot: dir, baseRef: baseSha, profile });
+
+  assert.deepEqual(breakdown.commits.map(({ subject, selectedSpecsRelative, impactedMembers }) => ({
+    subject,
+    selectedSpecsRelative,
+    impactedMembers,
+  })), [
+    { subject: 'Change addItem', selectedSpecsRelative: ['tests/add.spec.ts'], impactedMembers: ['CartPage.addItem'] },
+    {
+      subject: 'Change open',
+      selectedSpecsRelative: ['tests/cart-open.spec.ts', 'tests/login.spec.ts'],
+      impactedMembers: ['BasePage.open', 'CartPage.open', 'LoginPage.open'],
+    },
+  ]);
+  const [first, second] = breakdown.commits.map((commit) => commit.sha);
+  assert.deepEqual(breakdown.selectedSpecsRelative, ['tests/add.spec.ts', 'tests/cart-open.spec.ts', 'tests/login.spec.ts']);
+  assert.deepEqual(Array.from(breakdown.commitsBySpec), [
+    ['tests/add.spec.ts', [first]],
+    ['tests/cart-open.spec.ts', [second]],
+    ['tests/login.spec.ts', [second]],
+  ]);
+  assert.equal(breakdown.hasAnythingToRun, true);
+  assert.equal(formatCommitBreakdown(breakdown), [
+    `${first.slice(0, 7)} Change addItem (1 specs)`,
+    '  members: CartPage.addItem',
+    '  specs: tests/add.spec.ts',
+    `${second.slice(0, 7)} Change open (2 specs)`,
+    '  members: BasePage.open, CartPage.open, LoginPage.open',
+    '  specs: tests/cart-open.spec.ts, tests/login.spec.ts',
+    'total: 3 specs from 2 commits',
+  ].join('\n'));
+});
+
+test('analyzeCommitBreakdown skips merge commits and validates its options', () => {
+  const { dir, baseSha } = createBranch();
+  const mainBranch = run(dir, 'git', ['rev-parse', '--abbrev-ref', 'HEAD']).stdout.trim();
+  run(dir, 'git', ['checkout', '-q', '-b', 'side', baseSha]);
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage extends BasePage { login(){ return 2; } }\n');
+  commitAll(dir, 'Change login');
+  run(dir, 'git', ['checkout', '-q', mainBranch]);
+  run(dir, 'git', ['merge', '-q', '--no-edit', 'side']);
+
+  const breakdown = analyzeCommitBreakdown({ repoRoot: dir, baseRef: baseSha, profile });
+
+  assert.deepEqual(breakdown.commits.map((commit) => commit.subject).sort(), ['Change addItem', 'Change login', 'Change open']);
+  assert.throws(() => analyzeCommitBreakdown({ repoRoot: dir, profile }), /Missing required baseRef/);
+  assert.throws(() => analyzeCommitBreakdown({ repoRoot: dir, baseRef: 'no-such-ref', profile }), /Cannot list commits in no-such-ref\.\.HEAD/);
+});
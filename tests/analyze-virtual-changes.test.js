@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { analyzeVirtualChanges } = require('../src/analyze-virtual-changes');
+const { createTempDir, writeFile } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+// No git repository: what-if analysis reads only the working tree and the changes it is given.
+const createTree = () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage extends BasePage { addItem(){ return 1; } clear(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', 'test("add", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  writeFile(dir, 'tests/clear.spec.ts', 'test("clear", async ({ cartPage }) => { await cartPage.clear(); });\n');
+  return dir;
+};
+
+test('analyzeVirtualChanges runs the semantic diff against the file on disk without git', () => {
+  const dir = createTree();
+  const headContent = 'export class CartPage extends BasePage { addItem(){ return 2; } clear(){ return 1; } }\n';
+
+  const result = analyzeVirtualChanges({
+    repoRoot: dir,
+    profile,
+    changes: [{ path: 'src/pages/CartPage.ts', status: 'M', headContent }],
+  });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/add.spec.ts']);
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/add.spec.ts')), 'matched-precise');
+  assert.deepEqual(Array.from(result.impactedMethodsByClass.get('CartPage')), ['addItem']);
+  assert.equal(fs.readFileSync(path.join(dir, 'src/pages/CartPage.ts'), 'utf8').includes('return 1; } clear'), true);
+});
+
+test('analyzeVirtualChanges propagates through inheritance and sees in-memory specs', () => {
+  const dir = createTree();
+
+  const result = analyzeVirtualChanges({
+    repoRoot: dir,
+    profile,
+    changes: [
+      {
+        path: 'src/pages/BasePage.ts',
+        status: 'M',
+        baseContent: 'export class BasePage { open(){ return 1; } }\n',
+        headContent: 'export class BasePage { open(){ return 2; } }\n',
+      },
+      { path: 'tests/open.spec.ts', status: 'A', headContent: 'test("open", async ({ cartPage }) => { await cartPage.open(); });\n' },
+    ],
+  });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/open.spec.ts']);
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/open.spec.ts')), 'direct-changed-spec');
+  assert.equal(result.impactedMethodsByClass.get('CartPage').has('open'), true);
+});
+
+test('analyzeVirtualChanges treats a removed page as deleted for every stage', () => {
+  const dir = createTree();
+
+  const result = analyzeVirtualChanges({
+    repoRoot: dir,
+    profile,
+    changes: [{ path: 'src/pages/CartPage.ts', status: 'D' }],
+  });
+
+  assert.deepEqual(result.statusSummary, { A: 0, M: 0, D: 1, R: 0 });
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/add.spec.ts', 'tests/clear.spec.ts']);
+});
+
+test('analyzeVirtualChanges validates the changes', () => {
+  const dir = createTree();
+  const run = (changes) => analyzeVirtualChanges({ repoRoot: dir, profile, changes });
+
+  assert.throws(() => analyzeVirtualChanges({ profile, changes: [] }), /Missing required repoRoot/);
+  assert.throws(() => run(null), /Missing required changes array/);
+  assert.throws(() => run([{ path: 'src/pages/A.ts', status: 'X', headContent: '' }]), /Invalid status "X"/);
+  assert.throws(() => run([{ path: 'src/pages/CartPage.ts', status: 'M' }]), /Missing headContent/);
+  assert.throws(() => run([{ path: 'src/pages/Missing.ts', status: 'M', headContent: '' }]), /Missing baseContent .* does not exist/);
+  assert.throws(() => run([{ path: 'src/pages/New.ts', status: 'R', headContent: '' }]), /Missing required oldPath/);
+  assert.throws(() => run([
+    { path: 'src/pages/CartPage.ts', status: 'D' },
+    { path: 'src/pages/CartPage.ts', status: 'D' },
+  ]), /Duplicate virtual change/);
+});
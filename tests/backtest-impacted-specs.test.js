@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { backtestImpactedSpecs } = require('../src/backtest-impacted-specs');
+const { formatBacktestRecords } = require('../src/modules/backtest-helpers');
+const { formatBacktestSummary } = require('../src/format-analyze-result');
+const { createTempDir, writeFile, initGitRepo, commitAll, run } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const mergeBranch = (dir, mainBranch, branch, files) => {
+  run(dir, 'git', ['checkout', '-q', '-b', branch]);
+  for (const [relativePath, content] of Object.entries(files)) writeFile(dir, relativePath, content);
+  commitAll(dir, `Change on ${branch}`);
+  run(dir, 'git', ['checkout', '-q', mainBranch]);
+  run(dir, 'git', ['merge', '-q', '--no-ff', '-m', `Merge ${branch}`, branch]);
+};
+
+// Two merges on main; the dynamic call in dynamic.spec.ts is uncertain for every CartPage change.
+const createHistory = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage { addItem(){ return 1; } clear(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', 'test("add", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  writeFile(dir, 'tests/dynamic.spec.ts', 'test("dynamic", async ({ cartPage }) => { const action = "clear"; await cartPage[action](); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("other", async () => {});\n');
+  commitAll(dir, 'base');
+  const mainBranch = run(dir, 'git', ['rev-parse', '--abbrev-ref', 'HEAD']).stdout.trim();
+
+  mergeBranch(dir, mainBranch, 'add-item', {
+    'src/pages/CartPage.ts': 'export class CartPage { addItem(){ return 2; } clear(){ return 1; } }\n',
+  });
+  mergeBranch(dir, mainBranch, 'clear', {
+    'src/pages/CartPage.ts': 'export class CartPage { addItem(){ return 2; } clear(){ return 2; } }\n',
+  });
+  return dir;
+};
+
+const pick = (record) => [record.subject, record.selectionBias, record.selectedSpecs, record.totalSpecs, record.suiteShare];
+
+test('backtestImpactedSpecs replays merge commits per bias and compares them', () => {
+  const dir = createHistory();
+
+  const backtest = backtestImpactedSpecs({ repoRoot: dir, profile, selectionBiases: ['fail-open', 'fail-closed'] });
+
+  assert.equal(backtest.merges, 2);
+  assert.deepEqual(backtest.records.map(pick), [
+    ['Merge clear', 'fail-open', 1, 3, 0.3333],
+    ['Merge clear', 'fail-closed', 0, 3, 0],
+    ['Merge add-item', 'fail-open', 2, 3, 0.6667],
+    ['Merge add-item', 'fail-closed', 1, 3, 0.3333],
+  ]);
+  assert.equal(backtest.records[0].uncertainCallSites, 1);
+  assert.equal(typeof backtest.records[0].stageTimings.total, 'number');
+  assert.deepEqual(backtest.summary.map(({ meanTotalMs: _meanTotalMs, ...row }) => row), [
+    { selectionBias: 'fail-open', runs: 2, errors: 0, meanSelectedSpecs: 1.5, meanSuiteShare: 0.5, forcedAllRuns: 0, uncertainCallSites: 2 },
+    { selectionBias: 'fail-closed', runs: 2, errors: 0, meanSelectedSpecs: 0.5, meanSuiteShare: 0.1667, forcedAllRuns: 0, uncertainCallSites: 2 },
+  ]);
+  assert.match(formatBacktestSummary(backtest.summary).split('\n')[2], /^fail-closed\s+2\s+0\s+0\.5\s+16\.7%\s+0\s+2\s+\d+\.\d$/);
+});
+
+test('backtestImpactedSpecs writes NDJSON or CSV records and limits the merges', () => {
+  const dir = createHistory();
+
+  const ndjson = backtestImpactedSpecs({ repoRoot: dir, profile, limit: 1, selectionBiases: ['balanced'], outputPath: 'out/backtest.ndjson' });
+  const lines = fs.readFileSync(path.join(dir, 'out/backtest.ndjson'), 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(ndjson.outputPath, path.join(dir, 'out/backtest.ndjson'));
+  assert.deepEqual(lines.map(pick), [['Merge clear', 'balanced', 0, 3, 0]]);
+
+  backtestImpactedSpecs({ repoRoot: dir, profile, limit: 1, selectionBiases: ['balanced'], outputPath: 'out/backtest.csv' });
+  const [header, row] = fs.readFileSync(path.join(dir, 'out/backtest.csv'), 'utf8').trim().split('\n');
+  assert.match(header, /^commit,subject,selectionBias,selectedSpecs,totalSpecs,suiteShare,forcedAllSpecs,uncertainCallSites,warnings,error,changedEntriesMs,.*,totalMs$/);
+  assert.match(row, /^[0-9a-f]{40},Merge clear,balanced,0,3,0,false,1,0,,/);
+});
+
+test('formatBacktestRecords quotes CSV values and keeps failed runs', () => {
+  const records = [
+    { commit: 'abc', subject: 'Fix "cart", totals', selectionBias: 'balanced', error: 'bad tree' },
+  ];
+
+  assert.equal(
+    formatBacktestRecords({ records, format: 'csv' }),
+    'commit,subject,selectionBias,selectedSpecs,totalSpecs,suiteShare,forcedAllSpecs,uncertainCallSites,warnings,error\n'
+      + 'abc,"Fix ""cart"", totals",balanced,,,,,,,bad tree\n'
+  );
+  assert.throws(() => formatBacktestRecords({ records, format: 'xml' }), /Invalid backtest format "xml"/);
+  assert.throws(() => backtestImpactedSpecs({ repoRoot: createTempDir(), profile, limit: 0 }), /Invalid backtest limit: 0/);
+  assert.throws(
+    () => backtestImpactedSpecs({ repoRoot: createTempDir(), profile, selectionBiases: ['strict'] }),
+    /Invalid selection bias "strict"/
+  );
+});
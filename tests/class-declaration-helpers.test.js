@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { collectClassDeclarations } = require('../src/modules/class-declaration-helpers');
+const { buildInheritanceGraph } = require('../src/modules/class-impact-helpers');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const summarize = (content) => collectClassDeclarations(ts.createSourceFile('file.ts', content, ts.ScriptTarget.Latest, true))
+  .map(({ name, baseName, mixins, isMixin }) => ({ name, baseName, mixins, isMixin }));
+
+test('collectClassDeclarations reads generic, qualified, abstract, expression and mixin classes from the AST', () => {
+  assert.deepEqual(summarize([
+    '// class Commented extends BasePage {}',
+    "const text = 'class Quoted extends BasePage {}';",
+    'export abstract class BasePage<TModel> { wait(){ return 1; } }',
+    'export class CartPage extends ns.BasePage<Cart> {}',
+    'export const Timestamped = <T extends Ctor>(Base: T) => class extends Base { stamp(){ return 1; } };',
+    'export function Logged<T extends Ctor>(Base: T) { return class extends Base { log(){ return 1; } }; }',
+    'export class AuditPage extends Timestamped(Logged(BasePage<Audit>)) {}',
+    'export const LegacyPage = class extends BasePage<string> {};',
+    'export default class {}',
+    '',
+  ].join('\n')), [
+    { name: 'BasePage', baseName: null, mixins: [], isMixin: false },
+    { name: 'CartPage', baseName: 'ns.BasePage', mixins: [], isMixin: false },
+    { name: 'Timestamped', baseName: null, mixins: [], isMixin: true },
+    { name: 'Logged', baseName: null, mixins: [], isMixin: true },
+    { name: 'AuditPage', baseName: 'BasePage', mixins: ['Timestamped', 'Logged'], isMixin: false },
+    { name: 'LegacyPage', baseName: 'BasePage', mixins: [], isMixin: false },
+  ]);
+});
+
+test('buildInheritanceGraph links generic and qualified bases and records mixins as edges', () => {
+  const dir = createTempDir();
+  const files = [
+    writeFile(dir, 'BasePage.ts', 'export abstract class BasePage<TModel> {}\n'),
+    writeFile(dir, 'Timestamped.ts', 'export const Timestamped = (Base) => class extends Base {};\n'),
+    writeFile(dir, 'CartPage.ts', "import * as pages from './BasePage';\nexport class CartPage extends pages.BasePage<Cart> {}\n"),
+    writeFile(dir, 'AuditPage.ts', 'export class AuditPage extends Timestamped(BasePage<Audit>) {}\n/* class Fake extends AuditPage {} */\n'),
+  ];
+
+  const graph = buildInheritanceGraph(files, fs.readFileSync);
+
+  assert.deepEqual(Array.from(graph.parentsByChild), [['CartPage', 'BasePage'], ['AuditPage', 'BasePage']]);
+  assert.deepEqual(Array.from(graph.mixinsByChild), [['AuditPage', ['Timestamped']]]);
+  assert.deepEqual(Array.from(graph.childrenByParent.get('Timestamped')), ['AuditPage']);
+  assert.equal(graph.childrenByParent.has('AuditPage'), false);
+});
+
+// AuditPage extends a generic abstract base through a mixin; its spec calls only methods AuditPage declares itself.
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export abstract class BasePage<TModel> { wait(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/Timestamped.ts', [
+    'export const Timestamped = <T extends new (...args: any[]) => object>(Base: T) => class extends Base {',
+    '  stamp(){ return 1; }',
+    '};',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/AuditPage.ts', [
+    "import { BasePage } from './BasePage';",
+    "import { Timestamped } from './Timestamped';",
+    'export class AuditPage extends Timestamped(BasePage<string>) {',
+    '  open(){ return this.wait(); }',
+    '  save(){ return this.stamp(); }',
+    '}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { auditPage: Pages.AuditPage };\n');
+  writeFile(dir, 'tests/open.spec.ts', "test('open', async ({ auditPage }) => { await auditPage.open(); });\n");
+  writeFile(dir, 'tests/save.spec.ts', "test('save', async ({ auditPage }) => { await auditPage.save(); });\n");
+  commitAll(dir, 'base');
+  return dir;
+};
+
+test('changes to a generic base or a mixin reach the classes that apply them', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export abstract class BasePage<TModel> { wait(){ return 2; } }\n');
+
+  const baseChanged = analyzeImpactedSpecs({ repoRoot: dir, profile });
+  assert.deepEqual(baseChanged.selectedSpecsRelative, ['tests/open.spec.ts']);
+  assert.deepEqual(Array.from(baseChanged.impactedMethodsByClass.get('AuditPage')).sort(), ['open', 'wait']);
+
+  commitAll(dir, 'change base');
+  writeFile(dir, 'src/pages/Timestamped.ts', [
+    'export const Timestamped = <T extends new (...args: any[]) => object>(Base: T) => class extends Base {',
+    '  stamp(){ return 2; }',
+    '};',
+    '',
+  ].join('\n'));
+
+  const mixinChanged = analyzeImpactedSpecs({ repoRoot: dir, profile });
+  assert.deepEqual(mixinChanged.selectedSpecsRelative, ['tests/save.spec.ts']);
+  assert.deepEqual(mixinChanged.selectionReasonRecords.get(path.join(dir, 'tests/save.spec.ts')).matchedMembers, ['AuditPage.save']);
+  assert.deepEqual(mixinChanged.warnings, []);
+});
@@ -0,0 +1,116 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { queryImpactedSpecs } = require('../src/query-impacted-specs');
+const { buildInheritanceGraph } = require('../src/modules/class-impact-helpers');
+const { createClassIndex } = require('../src/modules/class-identity-helpers');
+const { createSourceFileService } = require('../src/modules/source-file-helpers');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const HEADER_A = 'src/pages/app-a/Header.ts';
+const HEADER_B = 'src/pages/app-b/Header.ts';
+
+// Two apps each declare a HeaderComponent; every user reaches its own through a relative import,
+// a barrel re-export or a namespace import.
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, HEADER_A, 'export class HeaderComponent { open(){ return 1; } }\n');
+  writeFile(dir, HEADER_B, 'export class HeaderComponent { open(){ return 1; } close(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/app-b/index.ts', "export * from './Header';\n");
+  writeFile(dir, 'src/pages/app-a/AppAPage.ts', [
+    "import { HeaderComponent } from './Header';",
+    'export class AppAPage { header: HeaderComponent; openMenu(){ return this.header.open(); } }',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/app-b/AppBPage.ts', [
+    "import { HeaderComponent } from './Header';",
+    'export class AppBPage { header: HeaderComponent; openMenu(){ return this.header.open(); } }',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/app-b/StickyHeader.ts', [
+    "import { HeaderComponent } from './index';",
+    'export class StickyHeader extends HeaderComponent { pin(){ return this.open(); } }',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/fixtures/types.ts', [
+    "import * as AppB from '../pages/app-b';",
+    'type T = { pageA: Pages.AppAPage; pageB: Pages.AppBPage; sticky: Pages.StickyHeader; headerB: AppB.HeaderComponent };',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/a.spec.ts', "test('a', async ({ pageA }) => { await pageA.openMenu(); });\n");
+  writeFile(dir, 'tests/b.spec.ts', "test('b', async ({ pageB }) => { await pageB.openMenu(); });\n");
+  writeFile(dir, 'tests/sticky.spec.ts', "test('sticky', async ({ sticky }) => { await sticky.pin(); });\n");
+  writeFile(dir, 'tests/header-b.spec.ts', "test('header', async ({ headerB }) => { await headerB.open(); });\n");
+  commitAll(dir, 'base');
+  return dir;
+};
+
+test('same-named classes in different files get file-qualified ids and never share impact', () => {
+  const dir = createRepo();
+  writeFile(dir, HEADER_A, 'export class HeaderComponent { open(){ return 2; } }\n');
+
+  const changedA = analyzeImpactedSpecs({ repoRoot: dir, profile });
+  assert.deepEqual(changedA.selectedSpecsRelative, ['tests/a.spec.ts']);
+  assert.deepEqual(Array.from(changedA.impactedMethodsByClass.keys()).sort(), ['AppAPage', `${HEADER_A}:HeaderComponent`]);
+  assert.deepEqual(changedA.warnings, []);
+
+  commitAll(dir, 'change a');
+  writeFile(dir, HEADER_B, 'export class HeaderComponent { open(){ return 2; } close(){ return 1; } }\n');
+
+  const changedB = analyzeImpactedSpecs({ repoRoot: dir, profile });
+  assert.deepEqual(changedB.selectedSpecsRelative, ['tests/b.spec.ts', 'tests/header-b.spec.ts', 'tests/sticky.spec.ts']);
+  assert.deepEqual(
+    changedB.selectionReasonRecords.get(path.join(dir, 'tests/header-b.spec.ts')).matchedMembers,
+    [`${HEADER_B}:HeaderComponent.open`]
+  );
+});
+
+test('buildInheritanceGraph resolves duplicated base names through imports and leaves unimported ones unlinked', () => {
+  const dir = createRepo();
+  writeFile(dir, 'tsconfig.json', JSON.stringify({ compilerOptions: { baseUrl: '.', paths: { '@app-a/*': ['src/pages/app-a/*'] } } }));
+  writeFile(dir, 'src/pages/shared/Panel.ts', [
+    "import { HeaderComponent } from '@app-a/Header';",
+    'export class Panel extends HeaderComponent {}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/shared/Orphan.ts', 'export class Orphan extends HeaderComponent {}\n');
+  const sourceFiles = createSourceFileService();
+  const pageFiles = sourceFiles.listFiles(path.join(dir, 'src/pages'));
+  const classIndex = createClassIndex({ repoRoot: dir, pageFiles, sourceFiles });
+
+  const { parentsByChild } = buildInheritanceGraph(pageFiles, sourceFiles.readText, { classIndex });
+
+  assert.equal(parentsByChild.get('StickyHeader'), `${HEADER_B}:HeaderComponent`);
+  assert.equal(parentsByChild.get('Panel'), `${HEADER_A}:HeaderComponent`);
+  assert.equal(parentsByChild.has('Orphan'), false);
+  assert.deepEqual(classIndex.warnings, [
+    `Ambiguous class HeaderComponent in src/pages/shared/Orphan.ts: declared in ${HEADER_A}, ${HEADER_B}`,
+  ]);
+  assert.equal(classIndex.getClassId(path.join(dir, 'src/pages/app-a/AppAPage.ts'), 'AppAPage'), 'AppAPage');
+  // A deleted file's class stays apart from the live class of the same name.
+  assert.equal(classIndex.getClassId('src/pages/old/AppAPage.ts', 'AppAPage'), 'src/pages/old/AppAPage.ts:AppAPage');
+});
+
+test('queryImpactedSpecs requires a file-qualified id for a duplicated class name', () => {
+  const dir = createRepo();
+
+  assert.throws(
+    () => queryImpactedSpecs({ repoRoot: dir, profile, targets: ['HeaderComponent.open'] }),
+    new RegExp(`Ambiguous class "HeaderComponent" in query target "HeaderComponent.open". Expected one of: ${HEADER_A}:HeaderComponent, ${HEADER_B}:HeaderComponent`)
+  );
+
+  const result = queryImpactedSpecs({ repoRoot: dir, profile, targets: [`${HEADER_B}:HeaderComponent.close`] });
+  assert.deepEqual(result.selectedSpecsRelative, []);
+  const opened = queryImpactedSpecs({ repoRoot: dir, profile, targets: [`${HEADER_A}:HeaderComponent.open`] });
+  assert.deepEqual(opened.selectedSpecsRelative, ['tests/a.spec.ts']);
+});
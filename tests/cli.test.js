@@ -0,0 +1,367 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { runCli, EXIT_CODES, __testOnly } = require('../src/cli');
+const { createTempDir, writeFile, initGitRepo, commitAll, run } = require('./_test-helpers');
+
+const { parseCliArgs } = __testOnly;
+
+const PROFILE_SOURCE = [
+  'module.exports = {',
+  '  testsRootRelative: "tests",',
+  '  changedSpecPrefix: "tests/",',
+  '  isRelevantPomPath: (filePath) => filePath.startsWith("src/pages/") && filePath.endsWith(".ts"),',
+  '};',
+  '',
+].join('\n');
+
+const createStream = () => {
+  const chunks = [];
+  return { write: (chunk) => chunks.push(String(chunk)), text: () => chunks.join('') };
+};
+
+const createCliRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'playwright-impact.config.js', PROFILE_SOURCE);
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/login.spec.ts', 'test("login", async ({ loginPage }) => { await loginPage.open(); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("other", async () => {});\n');
+  commitAll(dir, 'base');
+  return dir;
+};
+
+const invoke = (dir, argv) => {
+  const stdout = createStream();
+  const stderr = createStream();
+  const exitCode = runCli({ argv, cwd: dir, stdout, stderr });
+  return { exitCode, stdout: stdout.text(), stderr: stderr.text() };
+};
+
+test('parseCliArgs supports value flags in both forms and boolean flags', () => {
+  const parsed = parseCliArgs(['--base', 'origin/main', '--bias=fail-closed', '--no-untracked', '--format', 'json']);
+
+  assert.equal(parsed.baseRef, 'origin/main');
+  assert.equal(parsed.selectionBias, 'fail-closed');
+  assert.equal(parsed.includeUntrackedSpecs, false);
+  assert.equal(parsed.format, 'json');
+});
+
+test('parseCliArgs rejects unknown options and invalid values', () => {
+  assert.throws(() => parseCliArgs(['--unknown']), /Unknown option: --unknown/);
+  assert.throws(() => parseCliArgs(['--format', 'xml']), /Invalid --format "xml"/);
+  assert.throws(() => parseCliArgs(['--bias', 'sometimes']), /Invalid --bias "sometimes"/);
+  assert.throws(() => parseCliArgs(['--resolution', 'semantic']), /Invalid --resolution "semantic". Expected one of: syntactic, typechecker/);
+  assert.throws(() => parseCliArgs(['--base']), /Missing value for --base/);
+  assert.throws(() => parseCliArgs(['--coverage-map', 'c.json', '--coverage-mode', 'only']), /Invalid --coverage-mode "only"/);
+  assert.throws(() => parseCliArgs(['--coverage-mode', 'replace']), /--coverage-mode requires --coverage-map/);
+});
+
+test('runCli exits with nothing-to-run code on a clean tree', () => {
+  const dir = createCliRepo();
+  const result = invoke(dir, []);
+
+  assert.equal(result.exitCode, EXIT_CODES.NOTHING_TO_RUN);
+  assert.equal(result.stdout, '');
+  assert.match(result.stderr, /No impacted specs found/);
+});
+
+test('runCli prints selected specs as plain text', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+
+  const result = invoke(dir, []);
+
+  assert.equal(result.exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(result.stdout, 'tests/login.spec.ts\n');
+});
+
+test('runCli prints JSON and NUL-separated output', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 3; } }\n');
+
+  const json = invoke(dir, ['--format', 'json']);
+  const parsed = JSON.parse(json.stdout);
+  assert.equal(json.exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.deepEqual(parsed.selectedSpecs, ['tests/login.spec.ts']);
+  assert.equal(parsed.selectionReasons['tests/login.spec.ts'], 'matched-precise');
+
+  const nul = invoke(dir, ['--format=null']);
+  assert.equal(nul.stdout, 'tests/login.spec.ts\0');
+});
+
+test('runCli honors --no-untracked', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'tests/new.spec.ts', 'test("new", async () => {});\n');
+
+  assert.equal(invoke(dir, []).stdout, 'tests/new.spec.ts\n');
+  assert.equal(invoke(dir, ['--no-untracked']).exitCode, EXIT_CODES.NOTHING_TO_RUN);
+});
+
+test('runCli reports analysis errors with the error exit code', () => {
+  const dir = createCliRepo();
+  const missingConfig = invoke(dir, ['--config', 'missing.config.js']);
+  assert.equal(missingConfig.exitCode, EXIT_CODES.ANALYSIS_ERROR);
+  assert.match(missingConfig.stderr, /Profile config not found/);
+
+  const badBase = invoke(dir, ['--base', 'no-such-ref']);
+  assert.equal(badBase.exitCode, EXIT_CODES.ANALYSIS_ERROR);
+  assert.match(badBase.stderr, /git diff failed/);
+});
+
+test('bin entry runs the CLI and propagates the exit code', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 4; } }\n');
+
+  const binPath = path.join(__dirname, '..', 'bin', 'playwright-impact.js');
+  const result = spawnSync(process.execPath, [binPath], { cwd: dir, encoding: 'utf8' });
+
+  assert.equal(result.status, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(result.stdout, 'tests/login.spec.ts\n');
+});
+
+test('runCli discovers a JSON config with path globs', () => {
+  const dir = createCliRepo();
+  writeFile(
+    dir,
+    'playwright-impact.config.json',
+    JSON.stringify({ testsRootRelative: 'tests', changedSpecPrefix: 'tests/', pomPathGlobs: ['src/pages/**/*.ts'] })
+  );
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 5; } }\n');
+
+  const result = invoke(dir, ['--config', 'playwright-impact.config.json']);
+
+  assert.equal(result.exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(result.stdout, 'tests/login.spec.ts\n');
+});
+
+test('runCli prints file:line per impacted test with --tests', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 4; } }\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("other", async () => { /* edited */ });\n');
+
+  const result = invoke(dir, ['--tests']);
+  assert.equal(result.stdout, 'tests/login.spec.ts:1\ntests/other.spec.ts\n');
+
+  const parsed = JSON.parse(invoke(dir, ['--format', 'json']).stdout);
+  assert.deepEqual(parsed.impactedTests['tests/login.spec.ts'].tests.map((block) => block.title), ['login']);
+  assert.equal(parsed.impactedTests['tests/other.spec.ts'].wholeFile, true);
+  assert.deepEqual(parsed.testLocationArgs, ['tests/login.spec.ts:1', 'tests/other.spec.ts']);
+  assert.equal(parsed.testGrepPattern, null);
+});
+
+test('runCli prints one duration-balanced shard with --shard and --durations', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'tests/login.spec.ts', 'test("login", async () => { /* edited */ });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("other", async () => { /* edited */ });\n');
+  writeFile(dir, 'tests/third.spec.ts', 'test("third", async () => {});\n');
+  writeFile(dir, 'report.json', JSON.stringify({
+    config: { rootDir: path.join(dir, 'tests') },
+    suites: [
+      { file: 'login.spec.ts', specs: [{ file: 'login.spec.ts', tests: [{ results: [{ duration: 500 }] }] }] },
+      { file: 'other.spec.ts', specs: [{ file: 'other.spec.ts', tests: [{ results: [{ duration: 200 }] }] }] },
+      { file: 'third.spec.ts', specs: [{ file: 'third.spec.ts', tests: [{ results: [{ duration: 200 }] }] }] },
+    ],
+  }));
+
+  assert.equal(invoke(dir, ['--shard', '1/2', '--durations', 'report.json']).stdout, 'tests/login.spec.ts\n');
+  assert.equal(invoke(dir, ['--shard=2/2', '--durations=report.json']).stdout, 'tests/other.spec.ts\ntests/third.spec.ts\n');
+
+  const empty = invoke(dir, ['--shard', '4/4']);
+  assert.equal(empty.exitCode, EXIT_CODES.NOTHING_TO_RUN);
+  assert.match(empty.stderr, /No specs in shard 4\/4/);
+
+  const usage = invoke(dir, ['--durations', 'report.json']);
+  assert.equal(usage.exitCode, EXIT_CODES.ANALYSIS_ERROR);
+  assert.match(usage.stderr, /--durations requires --shard/);
+});
+
+test('parseCliArgs rejects --watch with options that need a single run', () => {
+  assert.equal(parseCliArgs(['--watch']).watch, true);
+  assert.throws(() => parseCliArgs(['--watch', '--shard', '1/2']), /--watch cannot be combined with --shard/);
+  assert.throws(() => parseCliArgs(['--watch', '--format', 'null']), /--watch cannot be combined with --format null/);
+  assert.throws(() => parseCliArgs(['--watch', '--cache-dir', '.cache']), /--watch cannot be combined with --cache-dir/);
+});
+
+test('runCli --patch reads changes from a patch file instead of git', () => {
+  const dir = createCliRepo();
+  // The change is committed, so git alone sees a clean tree; only the patch describes it.
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+  commitAll(dir, 'change');
+  writeFile(dir, 'pr.patch', [
+    '--- a/src/pages/LoginPage.ts',
+    '+++ b/src/pages/LoginPage.ts',
+    '@@ -1 +1 @@',
+    '-export class LoginPage { open(){ return 1; } }',
+    '+export class LoginPage { open(){ return 2; } }',
+    '',
+  ].join('\n'));
+
+  assert.equal(invoke(dir, []).exitCode, EXIT_CODES.NOTHING_TO_RUN);
+  assert.equal(invoke(dir, ['--patch', 'pr.patch']).stdout, 'tests/login.spec.ts\n');
+  assert.throws(() => parseCliArgs(['--patch', 'pr.patch', '--base', 'main']), /--patch cannot be combined with --base/);
+  assert.throws(() => parseCliArgs(['--watch', '--patch', 'pr.patch']), /--watch cannot be combined with --patch/);
+});
+
+test('runCli --head analyzes a commit pair without the working tree', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+  commitAll(dir, 'change');
+  // Uncommitted edits are not part of the head commit.
+  writeFile(dir, 'tests/other.spec.ts', 'test("other edited", async () => {});\n');
+
+  assert.equal(invoke(dir, ['--base', 'HEAD~1', '--head', 'HEAD']).stdout, 'tests/login.spec.ts\n');
+  assert.throws(() => parseCliArgs(['--head', 'HEAD']), /--head requires --base/);
+  assert.throws(() => parseCliArgs(['--watch', '--base', 'main', '--head', 'HEAD']), /--watch cannot be combined with --head/);
+});
+
+test('runCli commits prints the specs of each commit in the range', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+  commitAll(dir, 'Change open');
+
+  const { stdout, exitCode } = invoke(dir, ['commits', '--base', 'HEAD~1']);
+  assert.equal(exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.match(stdout, /^[0-9a-f]{7} Change open \(1 specs\)\n  members: LoginPage\.open\n  specs: tests\/login\.spec\.ts\ntotal: 1 specs from 1 commits\n$/);
+  assert.equal(JSON.parse(invoke(dir, ['commits', '--base', 'HEAD~1', '--format', 'json']).stdout).commitsBySpec['tests/login.spec.ts'].length, 1);
+  assert.throws(() => parseCliArgs(['commits']), /commits requires --base/);
+  assert.throws(() => parseCliArgs(['commits', '--base', 'main', '--watch']), /commits cannot be combined with --watch/);
+});
+
+test('runCli backtest prints a per-bias summary of the last merge commits', () => {
+  const dir = createCliRepo();
+  const mainBranch = run(dir, 'git', ['rev-parse', '--abbrev-ref', 'HEAD']).stdout.trim();
+  run(dir, 'git', ['checkout', '-q', '-b', 'feature']);
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+  commitAll(dir, 'Change open');
+  run(dir, 'git', ['checkout', '-q', mainBranch]);
+  run(dir, 'git', ['merge', '-q', '--no-ff', '-m', 'Merge feature', 'feature']);
+
+  const { stdout, exitCode } = invoke(dir, ['backtest', '--last', '5', '--biases', 'fail-open,fail-closed']);
+  assert.equal(exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.deepEqual(stdout.split('\n').slice(0, 4).map((line) => line.split(/\s+/).slice(0, 5).join(' ')), [
+    '1 merge commits',
+    'bias runs errors mean specs',
+    'fail-open 1 0 1.0 50.0%',
+    'fail-closed 1 0 1.0 50.0%',
+  ]);
+  assert.throws(() => parseCliArgs(['backtest', '--base', 'main']), /backtest cannot be combined with --base/);
+  assert.throws(() => parseCliArgs(['backtest', '--last', '0']), /Invalid --last "0"/);
+  assert.throws(() => parseCliArgs(['backtest', '--biases', 'strict']), /Invalid --biases entry "strict"/);
+  assert.throws(() => parseCliArgs(['--last', '5']), /--last requires the backtest command/);
+});
+
+test('runCli validate reports failures the selection would have missed', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+  const toSuite = (file, status) => ({ title: file, file, specs: [{ title: file, file, tests: [{ status }] }] });
+  writeFile(dir, 'full-run.json', JSON.stringify({
+    config: { rootDir: path.join(dir, 'tests') },
+    suites: [toSuite('login.spec.ts', 'unexpected'), toSuite('other.spec.ts', 'unexpected')],
+  }));
+
+  const { stdout, exitCode } = invoke(dir, ['validate', '--report', 'full-run.json']);
+  assert.equal(exitCode, EXIT_CODES.NOTHING_TO_RUN);
+  assert.match(stdout, /^failed specs: 2, caught: 1, missed: 1\n.*\nrecall: 0\.5000 .*\nmissed failures:\n  tests\/other\.spec\.ts: excluded-no-impacted-fixture\n/);
+
+  writeFile(dir, 'selection.json', invoke(dir, ['--format', 'json']).stdout);
+  const fromFile = JSON.parse(invoke(dir, ['validate', '--report', 'full-run.json', '--result', 'selection.json', '--format', 'json']).stdout);
+  assert.equal(fromFile.missedFailures[0].exclusionReason, 'excluded-no-impacted-fixture');
+  assert.throws(() => parseCliArgs(['validate']), /validate requires --report/);
+  assert.throws(() => parseCliArgs(['--report', 'full-run.json']), /--report requires the validate command/);
+});
+
+test('runCli graph prints the impact graph and limits it to the change with --changed-only', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+
+  const full = invoke(dir, ['graph']);
+  assert.equal(full.exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.match(full.stdout, /^digraph impact \{\n/);
+  assert.match(full.stdout, /"fixture:loginPage" -> "class:LoginPage" \[label="binds"\];/);
+
+  const changed = JSON.parse(invoke(dir, ['graph', '--changed-only', '--format', 'json']).stdout);
+  assert.equal(changed.scope, 'change');
+  assert.deepEqual(changed.nodes.map(({ id, changed: isChanged }) => [id, Boolean(isChanged)]), [
+    ['class:LoginPage', true],
+    ['file:src/pages/LoginPage.ts', true],
+    ['file:tests/login.spec.ts', false],
+    ['fixture:loginPage', false],
+    ['member:LoginPage#open', true],
+  ]);
+  assert.match(invoke(dir, ['graph', '--format', 'mermaid']).stdout, /^flowchart LR\n/);
+  assert.throws(() => parseCliArgs(['graph', '--format', 'text']), /Invalid --format "text". Expected one of: dot, mermaid, json/);
+  assert.throws(() => parseCliArgs(['--changed-only']), /--changed-only requires the graph command/);
+  assert.throws(() => parseCliArgs(['graph', '--changed-only', '--head', 'HEAD']), /--head requires --base/);
+});
+
+test('runCli query lists the specs that reach a member without a diff', () => {
+  const dir = createCliRepo();
+
+  const { stdout, exitCode } = invoke(dir, ['query', 'LoginPage.open']);
+  assert.equal(exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(stdout, 'tests/login.spec.ts: matched-precise\n  login (line 1)\n1 specs reach LoginPage.open (1 precise, 0 uncertain)\n');
+  assert.equal(invoke(dir, ['query', 'LoginPage.open', '--tests']).stdout, 'tests/login.spec.ts:1\n');
+  assert.deepEqual(JSON.parse(invoke(dir, ['query', 'src/pages/LoginPage.ts', '--format', 'json']).stdout).selectionReasons, {
+    'tests/login.spec.ts': 'matched-precise',
+  });
+  assert.equal(invoke(dir, ['query', 'LoginPage.close']).exitCode, EXIT_CODES.ANALYSIS_ERROR);
+  assert.throws(() => parseCliArgs(['query']), /query requires at least one Class.member or file target/);
+  assert.throws(() => parseCliArgs(['query', 'LoginPage.open', '--base', 'main']), /query cannot be combined with --base/);
+});
+
+test('runCli unused reports unreachable members and exits 1 once everything is used', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 1; } close(){ return 1; } }\n');
+
+  const { stdout, exitCode } = invoke(dir, ['unused']);
+  assert.equal(exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(stdout, 'src/pages/LoginPage.ts\n  LoginPage.close (method, line 1)\n1 of 2 members unused, 0 of 1 fixtures unused\n');
+  assert.deepEqual(JSON.parse(invoke(dir, ['unused', '--format', 'json']).stdout).unusedMembers.map((member) => member.memberName), ['close']);
+
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 1; } }\n');
+  assert.equal(invoke(dir, ['unused']).exitCode, EXIT_CODES.NOTHING_TO_RUN);
+  assert.throws(() => parseCliArgs(['unused', '--base', 'main']), /unused cannot be combined with --base/);
+  assert.throws(() => parseCliArgs(['unused', '--tests']), /unused cannot be combined with --tests/);
+});
+
+test('runCli --watch prints the initial selection and stops when the signal aborts', async () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+  const stdout = createStream();
+  const stderr = createStream();
+  const controller = new AbortController();
+
+  const exitCode = runCli({ argv: ['--watch'], cwd: dir, stdout, stderr, signal: controller.signal });
+  controller.abort();
+
+  assert.equal(exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(stdout.text(), 'tests/login.spec.ts\n');
+  assert.equal(stderr.text(), 'Watching for changes (1 impacted)\n');
+});
+
+test('runCli explain prints the causal chain and exits 1 for specs that are not selected', () => {
+  const dir = createCliRepo();
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+
+  const selected = invoke(dir, ['explain', 'tests/login.spec.ts']);
+  assert.equal(selected.exitCode, EXIT_CODES.SPECS_SELECTED);
+  assert.equal(selected.stdout, [
+    'tests/login.spec.ts: selected (matched-precise)',
+    '  chain 1:',
+    '    changed       LoginPage.open (src/pages/LoginPage.ts)',
+    '    fixture       loginPage -> LoginPage',
+    '    call site     tests/login.spec.ts:1:48 loginPage.open (precise)',
+    '',
+  ].join('\n'));
+
+  const json = JSON.parse(invoke(dir, ['explain', 'tests/other.spec.ts', '--format', 'json']).stdout);
+  assert.deepEqual({ spec: json.spec, selected: json.selected }, { spec: 'tests/other.spec.ts', selected: false });
+  assert.equal(invoke(dir, ['explain', 'tests/other.spec.ts']).exitCode, EXIT_CODES.NOTHING_TO_RUN);
+  assert.throws(() => parseCliArgs(['explain']), /explain requires a spec path/);
+  assert.throws(() => parseCliArgs(['explain', 'tests/a.spec.ts', '--watch']), /explain cannot be combined with --watch/);
+});
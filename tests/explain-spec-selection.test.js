@@ -0,0 +1,218 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { explainSpecSelection, explainExclusion } = require('../src/explain-spec-selection');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { formatSpecExplanation } = require('../src/format-analyze-result');
+const { createTempDir, writeFile, initGitRepo, commitAll, run } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/') || filePath.startsWith('src/utils/'),
+};
+
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/CartWidget.ts', 'export class CartWidget { total(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/LoginPage.ts', [
+    'export class LoginPage extends BasePage {',
+    '  constructor() { super(); this.cart = new CartWidget(); }',
+    '  login(){ return this.open(); }',
+    '}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/CheckoutPage.ts', 'export class CheckoutPage extends LoginPage { pay(){ return this.login(); } }\n');
+  writeFile(dir, 'src/utils/money.ts', 'export const format = () => 1;\n');
+  writeFile(dir, 'src/utils/index.ts', 'export * from "./money";\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { checkoutPage: Pages.CheckoutPage; loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/checkout.spec.ts', [
+    'test("pay", async ({ checkoutPage }) => {',
+    '  await checkoutPage.pay();',
+    '});',
+    'test("open", async ({ checkoutPage: page }) => {',
+    '  await page.open();',
+    '});',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/cart.spec.ts', 'test("cart", async ({ loginPage }) => { await loginPage.total(); });\n');
+  writeFile(dir, 'tests/money.spec.ts', 'import { format } from "../src/utils";\ntest("money", async () => { format(); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("other", async ({ loginPage }) => { await loginPage.close(); });\n');
+  writeFile(dir, 'tests/dynamic.spec.ts', 'test("dynamic", async ({ loginPage }) => { await loginPage[action](); });\n');
+  commitAll(dir, 'base');
+  return dir;
+};
+
+test('explainSpecSelection returns the reverse call path and inherited projection down to each call site', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+
+  const explanation = explainSpecSelection({ repoRoot: dir, profile, spec: 'tests/checkout.spec.ts' });
+
+  assert.equal(explanation.selected, true);
+  assert.equal(explanation.reason, 'matched-precise');
+  assert.deepEqual(explanation.chains, [
+    [
+      { kind: 'changed-member', file: 'src/pages/BasePage.ts', className: 'BasePage', memberName: 'open' },
+      { kind: 'called-by', file: 'src/pages/LoginPage.ts', className: 'LoginPage', memberName: 'login' },
+      { kind: 'called-by', file: 'src/pages/CheckoutPage.ts', className: 'CheckoutPage', memberName: 'pay' },
+      { kind: 'fixture', fixtureKey: 'checkoutPage', className: 'CheckoutPage' },
+      { kind: 'call-site', file: 'tests/checkout.spec.ts', line: 2, column: 9, callee: 'checkoutPage.pay', certainty: 'precise' },
+    ],
+    [
+      { kind: 'changed-member', file: 'src/pages/BasePage.ts', className: 'BasePage', memberName: 'open' },
+      { kind: 'projected', via: 'inherited', className: 'CheckoutPage', memberName: 'open', fromClass: 'BasePage' },
+      { kind: 'fixture', fixtureKey: 'checkoutPage', className: 'CheckoutPage' },
+      { kind: 'call-site', file: 'tests/checkout.spec.ts', line: 5, column: 9, callee: 'page.open', certainty: 'precise' },
+    ],
+  ]);
+  assert.deepEqual(explanation.impactedTests.tests.map((block) => block.title), ['pay', 'open']);
+});
+
+test('explainSpecSelection shows composed-field projection', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/CartWidget.ts', 'export class CartWidget { total(){ return 2; } }\n');
+
+  const explanation = explainSpecSelection({ repoRoot: dir, profile, spec: 'tests/cart.spec.ts' });
+
+  assert.equal(explanation.reason, 'matched-precise');
+  assert.deepEqual(explanation.chains[0].slice(0, 2), [
+    { kind: 'changed-member', file: 'src/pages/CartWidget.ts', className: 'CartWidget', memberName: 'total' },
+    { kind: 'projected', via: 'composed', className: 'LoginPage', memberName: 'total', fromClass: 'CartWidget' },
+  ]);
+});
+
+test('explainSpecSelection follows the import path for import-graph matches', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/utils/money.ts', 'export const format = () => 2;\n');
+
+  const explanation = explainSpecSelection({ repoRoot: dir, profile, spec: 'tests/money.spec.ts' });
+
+  assert.equal(explanation.reason, 'matched-import-graph');
+  assert.deepEqual(explanation.chains, [[
+    { kind: 'changed-file', file: 'src/utils/money.ts' },
+    { kind: 'imported-by', file: 'src/utils/index.ts' },
+    { kind: 'imported-by', file: 'tests/money.spec.ts' },
+  ]]);
+});
+
+test('explainSpecSelection reports unselected specs with their drop reason and validates input', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+
+  const explanation = explainSpecSelection({ repoRoot: dir, profile, spec: 'tests/other.spec.ts' });
+
+  assert.deepEqual({ selected: explanation.selected, reason: explanation.reason, chains: explanation.chains }, {
+    selected: false,
+    reason: null,
+    chains: [],
+  });
+  assert.equal(formatSpecExplanation(explanation), [
+    'tests/other.spec.ts: not selected (excluded-no-impacted-method-call)',
+    '  fixture loginPage -> LoginPage (impacted: login, open)',
+  ].join('\n'));
+  assert.throws(() => explainSpecSelection({ repoRoot: dir, profile }), /Missing required spec/);
+  assert.throws(() => explainSpecSelection({ repoRoot: dir, profile, spec: 'tests/missing.spec.ts' }), /Spec not found under the tests root/);
+});
+
+test('analyzeImpactedSpecs accounts for every spec that was not selected', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile, selectionBias: 'fail-closed' });
+  const exclusions = Object.fromEntries(Array.from(result.exclusionReasons.entries())
+    .map(([specPath, reason]) => [specPath.slice(dir.length + 1), reason]));
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/checkout.spec.ts']);
+  assert.deepEqual(exclusions, {
+    'tests/cart.spec.ts': 'excluded-no-impacted-method-call',
+    'tests/dynamic.spec.ts': 'excluded-uncertain-only',
+    'tests/money.spec.ts': 'excluded-no-impacted-fixture',
+    'tests/other.spec.ts': 'excluded-no-impacted-method-call',
+  });
+  assert.equal(result.droppedByMethodFilter, 3);
+});
+
+test('explainExclusion returns the drop reason with the facts behind it', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+
+  assert.deepEqual(explainExclusion({ repoRoot: dir, profile, spec: 'tests/money.spec.ts' }), {
+    spec: 'tests/money.spec.ts',
+    excluded: true,
+    reason: 'excluded-no-impacted-fixture',
+    details: { boundFixtureKeys: [], impactedFixtureKeys: ['checkoutPage', 'loginPage'] },
+  });
+  assert.deepEqual(explainExclusion({ repoRoot: dir, profile, spec: 'tests/dynamic.spec.ts', selectionBias: 'fail-closed' }).details, {
+    boundFixtures: [{ fixtureKey: 'loginPage', className: 'LoginPage', impactedMembers: ['login', 'open'] }],
+    selectionBias: 'fail-closed',
+    uncertainCallSites: [{
+      file: 'tests/dynamic.spec.ts',
+      line: 1,
+      column: 50,
+      callee: 'loginPage[action]',
+      fixtureKey: 'loginPage',
+      className: 'LoginPage',
+      methodName: null,
+    }],
+  });
+  assert.deepEqual(explainExclusion({ repoRoot: dir, profile, spec: 'tests/checkout.spec.ts' }), {
+    spec: 'tests/checkout.spec.ts',
+    excluded: false,
+    reason: null,
+    details: null,
+  });
+});
+
+test('explainExclusion separates "nothing changed" from "no semantic change"', () => {
+  const dir = createRepo();
+  assert.equal(explainExclusion({ repoRoot: dir, profile, spec: 'tests/other.spec.ts' }).reason, 'excluded-no-pom-change');
+
+  writeFile(dir, 'src/pages/BasePage.ts', '// formatting only\nexport class BasePage { open(){ return 1; } }\n');
+  assert.deepEqual(explainExclusion({ repoRoot: dir, profile, spec: 'tests/other.spec.ts' }), {
+    spec: 'tests/other.spec.ts',
+    excluded: true,
+    reason: 'excluded-no-semantic-change',
+    details: { changedFiles: ['src/pages/BasePage.ts'] },
+  });
+});
+
+test('formatSpecExplanation prints one numbered chain per call site', () => {
+  const text = formatSpecExplanation({
+    spec: 'tests/checkout.spec.ts',
+    selected: true,
+    reason: 'matched-precise',
+    chains: [[
+      { kind: 'changed-member', file: 'src/pages/BasePage.ts', className: 'BasePage', memberName: 'open' },
+      { kind: 'projected', via: 'inherited', className: 'CheckoutPage', memberName: 'open', fromClass: 'BasePage' },
+      { kind: 'fixture', fixtureKey: 'checkoutPage', className: 'CheckoutPage' },
+      { kind: 'call-site', file: 'tests/checkout.spec.ts', line: 5, column: 9, callee: 'page.open', certainty: 'precise' },
+    ]],
+  });
+
+  assert.equal(text, [
+    'tests/checkout.spec.ts: selected (matched-precise)',
+    '  chain 1:',
+    '    changed       BasePage.open (src/pages/BasePage.ts)',
+    '    projected     CheckoutPage.open (inherited from BasePage)',
+    '    fixture       checkoutPage -> CheckoutPage',
+    '    call site     tests/checkout.spec.ts:5:9 page.open (precise)',
+  ].join('\n'));
+});
+
+test('explainExclusion reads bound fixtures from the analyzed tree, not the working tree', () => {
+  const dir = createRepo();
+  const baseSha = run(dir, 'git', ['rev-parse', 'HEAD']).stdout.trim();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+  commitAll(dir, 'change base page');
+  const headSha = run(dir, 'git', ['rev-parse', 'HEAD']).stdout.trim();
+  writeFile(dir, 'tests/money.spec.ts', 'test("money", async ({ cartWidget }) => { await cartWidget.total(); });\n');
+
+  const exclusion = explainExclusion({ repoRoot: dir, profile, baseRef: baseSha, headRef: headSha, spec: 'tests/money.spec.ts' });
+
+  assert.equal(exclusion.reason, 'excluded-no-impacted-fixture');
+  assert.deepEqual(exclusion.details.boundFixtureKeys, []);
+});
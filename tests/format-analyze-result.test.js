@@ -24,3 +24,39 @@ test('formatSelectionReasonsForLog truncates output by maxLines', () => {
   assert.match(result, /b\.spec\.ts: reason B/);
   assert.match(result, /\.\.\. 1 more selected specs with reasons/);
 });
+
+test('formatSelectionReasonsForLog renders the evidence of structured records', () => {
+  const repoRoot = '/repo';
+  const selectedSpecs = ['/repo/tests/a.spec.ts', '/repo/tests/b.spec.ts', '/repo/tests/c.spec.ts'];
+  const selectionReasons = new Map([
+    ['/repo/tests/a.spec.ts', 'matched-precise'],
+    ['/repo/tests/b.spec.ts', 'matched-import-graph'],
+    ['/repo/tests/c.spec.ts', 'global-watch-force-project'],
+  ]);
+  const empty = { matchedMembers: [], uncertainCallSites: [], importChain: [], globalWatchHits: [] };
+  const selectionReasonRecords = new Map([
+    ['/repo/tests/a.spec.ts', {
+      ...empty,
+      reason: 'matched-precise',
+      matchedMembers: ['LoginPage.login'],
+      uncertainCallSites: [{ file: 'tests/a.spec.ts', line: 3, column: 9, callee: 'loginPage[action]', snippet: 'await loginPage[action]();' }],
+    }],
+    ['/repo/tests/b.spec.ts', { ...empty, reason: 'matched-import-graph', importChain: ['src/utils/money.ts', 'tests/b.spec.ts'] }],
+    ['/repo/tests/c.spec.ts', { ...empty, reason: 'global-watch-force-project', globalWatchHits: [{ file: 'src/setup.ts', pattern: 'src/setup.ts', project: 'stem' }] }],
+  ]);
+
+  const result = formatSelectionReasonsForLog({ selectedSpecs, selectionReasons, selectionReasonRecords, repoRoot, maxLines: 2 });
+
+  assert.equal(result, [
+    '       - tests/a.spec.ts: matched-precise',
+    '           members: LoginPage.login',
+    '           uncertain: tests/a.spec.ts:3:9 loginPage[action] | await loginPage[action]();',
+    '       - tests/b.spec.ts: matched-import-graph',
+    '           import chain: src/utils/money.ts -> tests/b.spec.ts',
+    '       - ... 1 more selected specs with reasons',
+  ].join('\n'));
+  assert.match(
+    formatSelectionReasonsForLog({ selectedSpecs, selectionReasons, selectionReasonRecords, repoRoot }),
+    /global watch: src\/setup\.ts \(pattern src\/setup\.ts, project stem\)/
+  );
+});
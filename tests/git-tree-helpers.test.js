@@ -0,0 +1,99 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createGitTreeFileSystem } = require('../src/modules/git-tree-helpers');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll, run } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const getHeadSha = (dir) => run(dir, 'git', ['rev-parse', 'HEAD']).stdout.trim();
+
+// Base commit, a head commit on top of it, then the base checked out again with unrelated edits.
+const createCommitPair = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage { addItem(){ return 1; } clear(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', 'test("add", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  writeFile(dir, 'tests/clear.spec.ts', 'test("clear", async ({ cartPage }) => { await cartPage.clear(); });\n');
+  commitAll(dir, 'base');
+  const baseSha = getHeadSha(dir);
+
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage { addItem(){ return 2; } clear(){ return 1; } }\n');
+  writeFile(dir, 'tests/checkout.spec.ts', 'test("checkout", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  commitAll(dir, 'head');
+  const headSha = getHeadSha(dir);
+
+  run(dir, 'git', ['checkout', '-q', baseSha]);
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage { addItem(){ return 1; } clear(){ return 3; } }\n');
+  writeFile(dir, 'tests/local.spec.ts', 'test("local", async ({ cartPage }) => { await cartPage.clear(); });\n');
+  return { dir, baseSha, headSha };
+};
+
+test('createGitTreeFileSystem reads, checks and lists files of a commit', () => {
+  const { dir, headSha } = createCommitPair();
+  const fileSystem = createGitTreeFileSystem({ repoRoot: dir, ref: headSha });
+
+  assert.equal(fileSystem.readText(path.join(dir, 'src/pages/CartPage.ts')).includes('return 2'), true);
+  assert.equal(fileSystem.exists(path.join(dir, 'tests/checkout.spec.ts')), true);
+  assert.equal(fileSystem.exists(path.join(dir, 'src/pages')), true);
+  assert.equal(fileSystem.exists(path.join(dir, 'tests/local.spec.ts')), false);
+  assert.deepEqual(fileSystem.listFiles(path.join(dir, 'tests')).map((filePath) => path.relative(dir, filePath)), [
+    path.join('tests', 'add.spec.ts'),
+    path.join('tests', 'checkout.spec.ts'),
+    path.join('tests', 'clear.spec.ts'),
+  ]);
+  assert.deepEqual(fileSystem.listFiles(path.join(dir, 'missing')), []);
+  assert.throws(() => fileSystem.readText(path.join(dir, 'tests/local.spec.ts')), (error) => error.code === 'ENOENT');
+  assert.throws(() => createGitTreeFileSystem({ repoRoot: dir, ref: 'no-such-ref' }), /Cannot read the tree of no-such-ref/);
+});
+
+test('analyzeImpactedSpecs with headRef analyzes the commit pair regardless of the working tree', () => {
+  const { dir, baseSha, headSha } = createCommitPair();
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, baseRef: baseSha, headRef: headSha, profile });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/add.spec.ts', 'tests/checkout.spec.ts']);
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/checkout.spec.ts')), 'direct-changed-spec');
+  assert.deepEqual(Array.from(result.impactedMethodsByClass.get('CartPage')), ['addItem']);
+  assert.equal(result.exclusionReasons.has(path.join(dir, 'tests/local.spec.ts')), false);
+  assert.throws(() => analyzeImpactedSpecs({ repoRoot: dir, headRef: headSha, profile }), /headRef requires baseRef/);
+});
+
+test('analyzeImpactedSpecs with headRef resolves global watch imports in the head tree', () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/global-setup.ts', 'export default async () => {};\n');
+  writeFile(dir, 'tests/a.spec.ts', 'test("a", async () => {});\n');
+  commitAll(dir, 'base');
+  const baseSha = getHeadSha(dir);
+
+  // The helper exists only in the head commit, so resolving the import from disk would miss it.
+  writeFile(dir, 'src/global-setup.ts', 'import { readEnv } from "./helpers/env";\nexport default async () => readEnv();\n');
+  commitAll(dir, 'import helper');
+  writeFile(dir, 'src/helpers/env.ts', 'export const readEnv = () => 1;\n');
+  commitAll(dir, 'add helper');
+  const helperSha = getHeadSha(dir);
+  writeFile(dir, 'src/helpers/env.ts', 'export const readEnv = () => 2;\n');
+  commitAll(dir, 'change helper');
+  const headSha = getHeadSha(dir);
+  run(dir, 'git', ['checkout', '-q', baseSha]);
+
+  const result = analyzeImpactedSpecs({
+    repoRoot: dir,
+    baseRef: helperSha,
+    headRef: headSha,
+    profile: { ...profile, globalWatchPatterns: ['src/global-setup.ts'] },
+  });
+
+  assert.equal(result.forcedAllSpecs, true);
+  assert.deepEqual(result.globalWatchMatches, ['src/helpers/env.ts']);
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/a.spec.ts']);
+});
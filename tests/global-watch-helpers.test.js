@@ -2,7 +2,7 @@
 
 const test = require('node:test');
 const assert = require('node:assert/strict');
-const { evaluateGlobalWatch, __testOnly } = require('../src/modules/global-watch-helpers');
+const { evaluateGlobalWatch, globToRegex, __testOnly } = require('../src/modules/global-watch-helpers');
 const { createTempDir, writeFile } = require('./_test-helpers');
 const { listFilesRecursive } = require('../src/modules/file-and-git-helpers');
 
@@ -90,3 +90,48 @@ test('global watch matches changed rename entries by old/new/effective path', ()
 
   assert.equal(result.matchedPaths.includes('src/global-setup-stem.ts'), true);
 });
+
+test('global watch reports the pattern behind each hit, or null for import-closure hits', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/watch.ts', 'import { a } from "./lib/a"; export const w = a;\n');
+  writeFile(dir, 'src/lib/a.ts', 'export const a = 1;\n');
+
+  const result = evaluateGlobalWatch({
+    repoRoot: dir,
+    changedEntries: [
+      { status: 'M', effectivePath: 'src/watch.ts', oldPath: 'src/watch.ts', newPath: 'src/watch.ts' },
+      { status: 'M', effectivePath: 'src/lib/a.ts', oldPath: 'src/lib/a.ts', newPath: 'src/lib/a.ts' },
+    ],
+    patterns: ['src/*.ts'],
+    listFilesRecursive,
+  });
+
+  assert.deepEqual(result.hits, [
+    { file: 'src/lib/a.ts', pattern: null },
+    { file: 'src/watch.ts', pattern: 'src/*.ts' },
+  ]);
+});
+
+test('globToRegex in extended mode matches zero directories for **/ and supports brace alternatives', () => {
+  const regex = globToRegex('src/**/*.{ts,tsx}', { extended: true });
+
+  assert.equal(regex.test('src/a.ts'), true);
+  assert.equal(regex.test('src/deep/nested/b.tsx'), true);
+  assert.equal(regex.test('src/a.js'), false);
+  assert.equal(regex.test('other/a.ts'), false);
+});
+
+test('globalWatchPatterns keep plain glob matching: **/ needs a directory and braces are literal', () => {
+  const dir = createTempDir();
+  const changedEntries = ['src/setup.ts', 'src/env/setup.ts', 'config/{a,b}.json', 'config/a.json']
+    .map((filePath) => ({ status: 'M', effectivePath: filePath, oldPath: filePath, newPath: filePath }));
+
+  const result = evaluateGlobalWatch({
+    repoRoot: dir,
+    changedEntries,
+    patterns: ['src/**/setup.ts', 'config/{a,b}.json'],
+    listFilesRecursive,
+  });
+
+  assert.deepEqual(result.matchedPaths.sort(), ['config/{a,b}.json', 'src/env/setup.ts']);
+});
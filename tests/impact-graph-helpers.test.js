@@ -0,0 +1,137 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { exportImpactGraph } = require('../src/export-impact-graph');
+const { buildImpactGraph, formatImpactGraph } = require('../src/modules/impact-graph-helpers');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+// CartPage extends BasePage, composes Header and calls the inherited wait() from addItem().
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { wait(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/Header.ts', 'export class Header { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/CartPage.ts', [
+    "import { BasePage } from './BasePage';",
+    "import { Header } from './Header';",
+    'export class CartPage extends BasePage { header: Header = new Header(); addItem(){ return this.wait(); } clear(){ return 1; } }',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', [
+    "import { CartPage } from '../src/pages/CartPage';",
+    "test('add', async ({ cartPage }) => { await cartPage.addItem(); });",
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/clear.spec.ts', "test('clear', async ({ cartPage }) => { await cartPage.clear(); });\n");
+  commitAll(dir, 'base');
+  return dir;
+};
+
+const toEdgeList = (graph) => graph.edges.map(({ from, to, kind }) => `${from} -${kind}-> ${to}`);
+
+test('exportImpactGraph exports inheritance, composition, calls, fixtures and imports of the whole tree', () => {
+  const dir = createRepo();
+
+  const graph = exportImpactGraph({ repoRoot: dir, profile });
+
+  assert.equal(graph.schemaVersion, 1);
+  assert.equal(graph.scope, 'full');
+  assert.deepEqual(graph.nodes.find((node) => node.id === 'class:CartPage'), {
+    id: 'class:CartPage', kind: 'class', label: 'CartPage', file: 'src/pages/CartPage.ts',
+  });
+  assert.equal(graph.nodes.find((node) => node.id === 'file:tests/add.spec.ts').kind, 'spec');
+  assert.deepEqual(toEdgeList(graph), [
+    'class:BasePage -declares-> member:BasePage#wait',
+    'class:CartPage -extends-> class:BasePage',
+    'class:CartPage -composes-> class:Header',
+    'class:CartPage -declares-> member:CartPage#addItem',
+    'class:CartPage -declares-> member:CartPage#clear',
+    'class:Header -declares-> member:Header#open',
+    'file:src/pages/CartPage.ts -imports-> file:src/pages/BasePage.ts',
+    'file:src/pages/CartPage.ts -imports-> file:src/pages/Header.ts',
+    'file:tests/add.spec.ts -imports-> file:src/pages/CartPage.ts',
+    'fixture:cartPage -binds-> class:CartPage',
+    'member:CartPage#addItem -calls-> member:BasePage#wait',
+  ]);
+});
+
+test('exportImpactGraph keeps only the subgraph touched by the change and marks what changed', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { wait(){ return 2; } }\n');
+
+  const graph = exportImpactGraph({ repoRoot: dir, profile, scope: 'change' });
+
+  assert.equal(graph.scope, 'change');
+  assert.deepEqual(graph.nodes.map(({ id, changed }) => [id, Boolean(changed)]), [
+    ['class:BasePage', true],
+    ['class:CartPage', false],
+    ['file:src/pages/BasePage.ts', true],
+    ['file:src/pages/CartPage.ts', false],
+    ['file:tests/add.spec.ts', false],
+    ['fixture:cartPage', false],
+    ['member:BasePage#wait', true],
+    ['member:CartPage#addItem', false],
+  ]);
+  assert.ok(toEdgeList(graph).includes('member:CartPage#addItem -calls-> member:BasePage#wait'));
+  assert.ok(!toEdgeList(graph).some((edge) => edge.includes('Header')));
+  assert.throws(() => exportImpactGraph({ repoRoot: dir, profile, scope: 'diff' }), /Invalid graph scope "diff"/);
+});
+
+test('formatImpactGraph writes DOT and Mermaid with escaped labels and highlighted changes', () => {
+  const graphs = {
+    parentsByChild: new Map([['CartPage', 'BasePage']]),
+    callGraph: {
+      fileByClass: new Map(),
+      composedClassToOwnerClasses: new Map(),
+      memberKeyParts: new Map([['CartPage#say"hi"', { className: 'CartPage', memberName: 'say"hi"' }]]),
+      callEdges: new Map(),
+    },
+    fixtureKeyToClass: new Map(),
+    importersByFile: new Map(),
+  };
+  const graph = buildImpactGraph({
+    repoRoot: '/repo',
+    graphs,
+    isSpecPath: () => false,
+    touched: {
+      classes: new Set(['CartPage', 'BasePage']),
+      memberKeys: new Set(['CartPage#say"hi"']),
+      fixtureKeys: new Set(),
+      files: new Set(),
+      changedClasses: new Set(['CartPage']),
+      changedMemberKeys: new Set(['CartPage#say"hi"']),
+      changedFiles: new Set(),
+    },
+  });
+
+  assert.equal(formatImpactGraph({ graph, format: 'dot' }), [
+    'digraph impact {',
+    '  rankdir=LR;',
+    '  "class:BasePage" [label="BasePage", shape=box];',
+    '  "class:CartPage" [label="CartPage", shape=box, style=filled, fillcolor="#f8c4c4"];',
+    '  "member:CartPage#say\\"hi\\"" [label="CartPage.say\\"hi\\"", shape=ellipse, style=filled, fillcolor="#f8c4c4"];',
+    '  "class:CartPage" -> "class:BasePage" [label="extends"];',
+    '  "class:CartPage" -> "member:CartPage#say\\"hi\\"" [label="declares"];',
+    '}',
+  ].join('\n'));
+  assert.equal(formatImpactGraph({ graph, format: 'mermaid' }), [
+    'flowchart LR',
+    '  n0["BasePage"]',
+    '  n1["CartPage"]',
+    '  n2("CartPage.say#quot;hi#quot;")',
+    '  n1 -->|extends| n0',
+    '  n1 -->|declares| n2',
+    '  classDef changed fill:#f8c4c4,stroke:#c00',
+    '  class n1,n2 changed',
+  ].join('\n'));
+  assert.deepEqual(JSON.parse(formatImpactGraph({ graph, format: 'json' })), graph);
+  assert.throws(() => formatImpactGraph({ graph, format: 'svg' }), /Invalid graph format "svg"/);
+});
@@ -0,0 +1,159 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { parseUnifiedDiff, reverseApplyHunks, createPatchChangeSource } = require('../src/modules/patch-helpers');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll, run } = require('./_test-helpers');
+
+const GIT_PATCH = [
+  'diff --git a/src/pages/CartPage.ts b/src/pages/CartPage.ts',
+  'index 1111111..2222222 100644',
+  '--- a/src/pages/CartPage.ts',
+  '+++ b/src/pages/CartPage.ts',
+  '@@ -1,4 +1,4 @@',
+  ' export class CartPage {',
+  '-  addItem() { return 1; }',
+  '+  addItem() { return 2; }',
+  '   clear() { return 1; }',
+  ' }',
+  'diff --git a/src/pages/Old.ts b/src/pages/New.ts',
+  'similarity index 100%',
+  'rename from src/pages/Old.ts',
+  'rename to src/pages/New.ts',
+  'diff --git a/tests/new.spec.ts b/tests/new.spec.ts',
+  'new file mode 100644',
+  'index 0000000..3333333',
+  '--- /dev/null',
+  '+++ b/tests/new.spec.ts',
+  '@@ -0,0 +1 @@',
+  '+test("new", async () => {});',
+  'diff --git a/src/pages/Gone.ts b/src/pages/Gone.ts',
+  'deleted file mode 100644',
+  'index 4444444..0000000',
+  '--- a/src/pages/Gone.ts',
+  '+++ /dev/null',
+  '@@ -1,2 +0,0 @@',
+  '-export class Gone {',
+  '--- not a header, a removed line }',
+  '',
+].join('\n');
+
+test('parseUnifiedDiff reads modified, renamed, added and deleted files from a git diff', () => {
+  const entries = parseUnifiedDiff(GIT_PATCH).map(({ hunks, ...entry }) => ({ ...entry, hunks: hunks.length }));
+
+  assert.deepEqual(entries, [
+    { status: 'M', oldPath: 'src/pages/CartPage.ts', newPath: 'src/pages/CartPage.ts', effectivePath: 'src/pages/CartPage.ts', rawStatus: 'M (patch)', hunks: 1 },
+    { status: 'R', oldPath: 'src/pages/Old.ts', newPath: 'src/pages/New.ts', effectivePath: 'src/pages/New.ts', rawStatus: 'R (patch)', hunks: 0 },
+    { status: 'A', oldPath: null, newPath: 'tests/new.spec.ts', effectivePath: 'tests/new.spec.ts', rawStatus: 'A (patch)', hunks: 1 },
+    { status: 'D', oldPath: 'src/pages/Gone.ts', newPath: null, effectivePath: 'src/pages/Gone.ts', rawStatus: 'D (patch)', hunks: 1 },
+  ]);
+});
+
+test('parseUnifiedDiff accepts plain diff -u output with timestamps', () => {
+  const patchText = [
+    '--- a/src/pages/A.ts\t2024-01-01 10:00:00.000000000 +0000',
+    '+++ b/src/pages/A.ts\t2024-01-02 10:00:00.000000000 +0000',
+    '@@ -1 +1 @@',
+    '-export const a = 1;',
+    '+export const a = 2;',
+    '--- /dev/null',
+    '+++ b/src/pages/B.ts',
+    '@@ -0,0 +1 @@',
+    '+export const b = 1;',
+  ].join('\n');
+
+  assert.deepEqual(parseUnifiedDiff(patchText).map((entry) => [entry.status, entry.effectivePath]), [
+    ['M', 'src/pages/A.ts'],
+    ['A', 'src/pages/B.ts'],
+  ]);
+});
+
+test('reverseApplyHunks rebuilds the base content, including end-of-file newline changes', () => {
+  const [cartPatch] = parseUnifiedDiff(GIT_PATCH);
+  const headContent = 'export class CartPage {\n  addItem() { return 2; }\n  clear() { return 1; }\n}\n';
+  assert.equal(
+    reverseApplyHunks({ headContent, hunks: cartPatch.hunks, filePath: 'src/pages/CartPage.ts' }),
+    'export class CartPage {\n  addItem() { return 1; }\n  clear() { return 1; }\n}\n'
+  );
+
+  const [noNewline] = parseUnifiedDiff([
+    '--- a/a.ts',
+    '+++ b/a.ts',
+    '@@ -1,2 +1,2 @@',
+    ' const a = 1;',
+    '-const b = 1;',
+    '\\ No newline at end of file',
+    '+const b = 2;',
+  ].join('\n'));
+  assert.equal(reverseApplyHunks({ headContent: 'const a = 1;\nconst b = 2;\n', hunks: noNewline.hunks, filePath: 'a.ts' }), 'const a = 1;\nconst b = 1;');
+
+  assert.throws(
+    () => reverseApplyHunks({ headContent: 'something else\n', hunks: cartPatch.hunks, filePath: 'src/pages/CartPage.ts' }),
+    /Patch does not match src\/pages\/CartPage\.ts at line 1/
+  );
+});
+
+test('reverseApplyHunks round-trips a real git diff with several hunks', () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  const baseLines = Array.from({ length: 30 }, (_, index) => `export const v${index} = ${index};`);
+  writeFile(dir, 'a.ts', `${baseLines.join('\n')}\n`);
+  commitAll(dir, 'base');
+  const headLines = [...baseLines];
+  headLines.splice(2, 1, 'export const v2 = 200;');
+  headLines.splice(20, 2);
+  headLines.push('export const extra = 1;');
+  writeFile(dir, 'a.ts', `${headLines.join('\n')}\n`);
+
+  const [filePatch] = parseUnifiedDiff(run(dir, 'git', ['diff']).stdout);
+
+  assert.equal(filePatch.hunks.length, 3);
+  assert.equal(reverseApplyHunks({ headContent: `${headLines.join('\n')}\n`, hunks: filePatch.hunks, filePath: 'a.ts' }), `${baseLines.join('\n')}\n`);
+});
+
+test('createPatchChangeSource falls back to an empty base with a warning when the working tree does not match', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage {}\n');
+
+  const changeSource = createPatchChangeSource({ repoRoot: dir, patchText: GIT_PATCH });
+  const { entries, warnings } = changeSource.getChangedEntries();
+
+  assert.deepEqual(entries.map((entry) => entry.effectivePath), ['src/pages/CartPage.ts', 'src/pages/Gone.ts', 'src/pages/New.ts', 'tests/new.spec.ts']);
+  assert.deepEqual(warnings, [
+    'Patch does not match src/pages/CartPage.ts at line 1; comparing against an empty base',
+    'Patch file missing from the working tree: src/pages/New.ts',
+  ]);
+  assert.equal(changeSource.readChangeContents(entries[0]).baseContent, null);
+  assert.equal(changeSource.readChangeContents(entries[1]).baseContent, 'export class Gone {\n-- not a header, a removed line }\n');
+});
+
+test('analyzeImpactedSpecs reads changes from patchPath without git history', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage {\n  addItem() { return 2; }\n  clear() { return 1; }\n}\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', 'test("add", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  writeFile(dir, 'tests/clear.spec.ts', 'test("clear", async ({ cartPage }) => { await cartPage.clear(); });\n');
+  writeFile(dir, 'tests/new.spec.ts', 'test("new", async () => {});\n');
+  writeFile(dir, 'changes.patch', GIT_PATCH);
+
+  const result = analyzeImpactedSpecs({
+    repoRoot: dir,
+    patchPath: 'changes.patch',
+    profile: {
+      testsRootRelative: 'tests',
+      changedSpecPrefix: 'tests/',
+      isRelevantPomPath: (filePath) => filePath === 'src/pages/CartPage.ts',
+    },
+  });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/add.spec.ts', 'tests/new.spec.ts']);
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/new.spec.ts')), 'direct-changed-spec');
+  assert.deepEqual(Array.from(result.impactedMethodsByClass.get('CartPage')), ['addItem']);
+  assert.throws(() => analyzeImpactedSpecs({
+    repoRoot: dir,
+    patchPath: 'missing.patch',
+    profile: { testsRootRelative: 'tests', changedSpecPrefix: 'tests/', isRelevantPomPath: () => true },
+  }), /Patch file not found: missing\.patch/);
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readPlaywrightConfig, resolvePlaywrightProfile } = require('../src/modules/playwright-config-helpers');
+const { loadImpactConfig } = require('../src/modules/profile-config-helpers');
+const { createTempDir, writeFile } = require('./_test-helpers');
+
+const MULTI_PROJECT_CONFIG = [
+  'import { defineConfig, devices } from "@playwright/test";',
+  'import path from "path";',
+  '',
+  'const TESTS = "./e2e";',
+  '',
+  'export default defineConfig({',
+  '  testDir: TESTS,',
+  '  testMatch: "**/*.spec.ts",',
+  '  testIgnore: [/legacy/],',
+  '  globalSetup: require.resolve("./src/global-setup.ts"),',
+  '  projects: [',
+  '    { name: "stem", testDir: path.join(__dirname, "e2e/stem"), use: { ...devices["Desktop Chrome"] } },',
+  '    { name: "mathnation", testDir: "./e2e/mathnation", testMatch: /.*\\.spec\\.tsx?$/, dependencies: ["stem"] },',
+  '  ],',
+  '});',
+  '',
+].join('\n');
+
+test('readPlaywrightConfig statically reads root and project fields', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright.config.ts', MULTI_PROJECT_CONFIG);
+
+  const config = readPlaywrightConfig({ repoRoot: dir });
+
+  assert.equal(config.configRelative, 'playwright.config.ts');
+  assert.equal(config.testDirRelative, 'e2e');
+  assert.deepEqual(config.testMatch, ['**/*.spec.ts']);
+  assert.equal(config.testIgnore[0] instanceof RegExp, true);
+  assert.deepEqual(config.globalFilesRelative, ['src/global-setup.ts']);
+  assert.deepEqual(
+    config.projects.map((project) => [project.name, project.testDirRelative]),
+    [['stem', 'e2e/stem'], ['mathnation', 'e2e/mathnation']]
+  );
+  assert.deepEqual(config.projects[0].testMatch, ['**/*.spec.ts']);
+  assert.deepEqual(config.projects[1].dependencies, ['stem']);
+});
+
+test('readPlaywrightConfig does not execute the config file', () => {
+  const dir = createTempDir();
+  writeFile(
+    dir,
+    'playwright.config.ts',
+    'throw new Error("executed"); const config = { testDir: "tests" }; export default config;\n'
+  );
+
+  const config = readPlaywrightConfig({ repoRoot: dir });
+  assert.equal(config.testDirRelative, 'tests');
+});
+
+test('readPlaywrightConfig supports module.exports and defaults testDir to the config folder', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'apps/web/playwright.config.js', 'module.exports = { retries: 1 };\n');
+
+  const config = readPlaywrightConfig({ repoRoot: dir, configPath: 'apps/web/playwright.config.js' });
+  assert.equal(config.testDirRelative, 'apps/web');
+});
+
+test('readPlaywrightConfig fails clearly when the config cannot be read statically', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright.config.ts', 'export default buildConfig();\n');
+
+  assert.throws(() => readPlaywrightConfig({ repoRoot: dir }), /Cannot statically read the exported config object/);
+  assert.throws(() => readPlaywrightConfig({ repoRoot: dir, configPath: 'missing.config.ts' }), /Playwright config not found/);
+});
+
+test('resolvePlaywrightProfile derives profile and fileExtensions', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright.config.ts', MULTI_PROJECT_CONFIG);
+
+  const resolved = resolvePlaywrightProfile({ repoRoot: dir });
+
+  assert.equal(resolved.profile.testsRootRelative, 'e2e');
+  assert.equal(resolved.profile.changedSpecPrefix, 'e2e/');
+  assert.deepEqual(resolved.fileExtensions, ['.ts', '.tsx']);
+  assert.deepEqual(resolved.profile.pomPathGlobs, ['src/pages/**/*.{ts,tsx}', 'src/utils/**/*.{ts,tsx}']);
+  assert.deepEqual(resolved.profile.globalWatchPatterns, ['playwright.config.ts', 'src/global-setup.ts']);
+  assert.equal(resolved.projects.length, 2);
+});
+
+test('resolvePlaywrightProfile reads RegExp testMatch extensions from the end of the pattern', () => {
+  const dir = createTempDir();
+  const extensionsFor = (testMatch) => {
+    writeFile(dir, 'playwright.config.ts', `export default { testDir: "tests", testMatch: ${testMatch} };\n`);
+    return resolvePlaywrightProfile({ repoRoot: dir }).fileExtensions;
+  };
+
+  // "tests" in the path names no extension.
+  assert.deepEqual(extensionsFor('/tests\\/.*\\.spec\\.js/'), ['.js']);
+  assert.deepEqual(extensionsFor('/.*\\.spec\\.[jt]sx?$/'), ['.js', '.jsx', '.ts', '.tsx']);
+  assert.deepEqual(extensionsFor('/\\.(spec|test)\\.(?:ts|mts)$/'), ['.mts', '.ts']);
+  assert.deepEqual(extensionsFor('/smoke/'), ['.ts', '.tsx']);
+});
+
+test('resolvePlaywrightProfile lets overrides replace derived fields', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright.config.ts', 'export default { testDir: "tests", testMatch: "**/*.spec.ts" };\n');
+
+  const isRelevantPomPath = () => true;
+  const resolved = resolvePlaywrightProfile({
+    repoRoot: dir,
+    overrides: { changedSpecPrefix: 'tests/smoke/', isRelevantPomPath, globalWatchPatterns: [] },
+  });
+
+  assert.deepEqual(resolved.fileExtensions, ['.ts']);
+  assert.equal(resolved.profile.testsRootRelative, 'tests');
+  assert.equal(resolved.profile.changedSpecPrefix, 'tests/smoke/');
+  assert.equal(resolved.profile.isRelevantPomPath, isRelevantPomPath);
+  assert.equal(resolved.profile.pomPathGlobs, undefined);
+  assert.deepEqual(resolved.profile.globalWatchPatterns, []);
+});
+
+test('loadImpactConfig merges playwrightConfig defaults with explicit keys', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright.config.ts', 'export default defineConfig({ testDir: "./tests" });\n');
+  writeFile(
+    dir,
+    'playwright-impact.config.json',
+    JSON.stringify({ playwrightConfig: 'playwright.config.ts', analysisRootsRelative: ['src/pom'] })
+  );
+
+  const { profile, fileExtensions } = loadImpactConfig({ repoRoot: dir });
+
+  assert.equal(profile.testsRootRelative, 'tests');
+  assert.deepEqual(fileExtensions, ['.ts', '.tsx']);
+  assert.equal(profile.isRelevantPomPath('src/pom/LoginPage.ts'), true);
+  assert.equal(profile.isRelevantPomPath('src/pages/LoginPage.ts'), false);
+});
+
+test('resolvePlaywrightProfile exposes projects with dependency setup files as watch patterns', () => {
+  const dir = createTempDir();
+  writeFile(
+    dir,
+    'playwright.config.ts',
+    [
+      'export default defineConfig({',
+      '  testDir: "tests",',
+      '  projects: [',
+      '    { name: "setup", testMatch: "global.setup.ts" },',
+      '    { name: "app", testDir: "tests/app", dependencies: ["setup"] },',
+      '  ],',
+      '});',
+      '',
+    ].join('\n')
+  );
+
+  const { profile } = resolvePlaywrightProfile({ repoRoot: dir });
+  const app = profile.projects.find((project) => project.name === 'app');
+
+  assert.equal(profile.testsRootRelative, 'tests');
+  assert.deepEqual(app.globalWatchPatterns, ['tests/**/global.setup.ts']);
+});
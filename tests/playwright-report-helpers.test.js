@@ -0,0 +1,79 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { readSpecDurationsFromReport, readSpecOutcomesFromReport } = require('../src/modules/playwright-report-helpers');
+const { createTempDir, writeFile } = require('./_test-helpers');
+
+const createReport = (dir) => JSON.stringify({
+  config: { rootDir: path.join(dir, 'tests') },
+  suites: [
+    {
+      title: 'cart.spec.ts',
+      file: 'cart.spec.ts',
+      specs: [
+        { title: 'adds', file: 'cart.spec.ts', tests: [{ projectName: 'chromium', results: [{ duration: 100 }, { duration: 120 }] }] },
+      ],
+      suites: [
+        {
+          title: 'checkout',
+          file: 'cart.spec.ts',
+          specs: [{ title: 'pays', file: 'cart.spec.ts', tests: [{ projectName: 'firefox', results: [{ duration: 30 }] }] }],
+        },
+      ],
+    },
+    {
+      title: 'auth/login.spec.ts',
+      file: 'auth/login.spec.ts',
+      specs: [{ title: 'logs in', file: 'auth/login.spec.ts', tests: [{ results: [{ duration: 15 }] }] }],
+    },
+  ],
+});
+
+test('readSpecDurationsFromReport sums durations per repo-relative spec', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'report.json', createReport(dir));
+
+  const durations = readSpecDurationsFromReport({ reportPath: 'report.json', repoRoot: dir });
+
+  assert.deepEqual(Object.fromEntries(durations), {
+    'tests/cart.spec.ts': 250,
+    'tests/auth/login.spec.ts': 15,
+  });
+});
+
+test('readSpecDurationsFromReport rejects missing and malformed reports', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'broken.json', '{');
+  writeFile(dir, 'other.json', '{"stats":{}}');
+
+  assert.throws(() => readSpecDurationsFromReport({ reportPath: 'missing.json', repoRoot: dir }), /Playwright report not found/);
+  assert.throws(() => readSpecDurationsFromReport({ reportPath: 'broken.json', repoRoot: dir }), /Failed to parse Playwright report/);
+  assert.throws(() => readSpecDurationsFromReport({ reportPath: 'other.json', repoRoot: dir }), /Not a Playwright JSON report/);
+});
+
+test('readSpecOutcomesFromReport lists failed and flaky tests with their describe path and project', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'report.json', JSON.stringify({
+    config: { rootDir: path.join(dir, 'tests') },
+    suites: [{
+      title: 'cart.spec.ts',
+      file: 'cart.spec.ts',
+      specs: [{ title: 'adds', file: 'cart.spec.ts', tests: [{ projectName: 'chromium', status: 'expected' }] }],
+      suites: [{
+        title: 'checkout',
+        file: 'cart.spec.ts',
+        specs: [{
+          title: 'pays',
+          file: 'cart.spec.ts',
+          tests: [{ projectName: 'chromium', status: 'unexpected' }, { projectName: 'firefox', status: 'flaky' }],
+        }],
+      }],
+    }],
+  }));
+
+  assert.deepEqual(Object.fromEntries(readSpecOutcomesFromReport({ reportPath: 'report.json', repoRoot: dir })), {
+    'tests/cart.spec.ts': { failedTests: ['checkout > pays [chromium]'], flakyTests: ['checkout > pays [firefox]'] },
+  });
+});
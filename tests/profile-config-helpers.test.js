@@ -0,0 +1,134 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadImpactConfig, resolveProfile } = require('../src/modules/profile-config-helpers');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const jsonProfile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  pomPathGlobs: ['src/pages/**/*.{ts,tsx}'],
+  pomPathExclude: ['src/pages/**/*.generated.ts'],
+};
+
+test('loadImpactConfig discovers JSON config and compiles pomPathGlobs', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright-impact.config.json', JSON.stringify(jsonProfile, null, 2));
+
+  const { profile, configPath } = loadImpactConfig({ repoRoot: dir });
+
+  assert.equal(configPath, path.join(dir, 'playwright-impact.config.json'));
+  assert.equal(profile.isRelevantPomPath('src/pages/LoginPage.ts'), true);
+  assert.equal(profile.isRelevantPomPath('src/pages/admin/Users.tsx'), true);
+  assert.equal(profile.isRelevantPomPath('src/pages/api.generated.ts'), false);
+  assert.equal(profile.isRelevantPomPath('src/utils/session.ts'), false);
+});
+
+test('loadImpactConfig accepts comments and trailing commas in JSON config', () => {
+  const dir = createTempDir();
+  writeFile(
+    dir,
+    'playwright-impact.config.json',
+    '{\n  // shared with other tools\n  "testsRootRelative": "tests",\n  "changedSpecPrefix": "tests/",\n  "pomPathGlobs": ["src/**"],\n}\n'
+  );
+
+  const { profile } = loadImpactConfig({ repoRoot: dir });
+  assert.equal(profile.isRelevantPomPath('src/a.ts'), true);
+});
+
+test('loadImpactConfig prefers .js over .cjs and .json', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'playwright-impact.config.json', JSON.stringify(jsonProfile));
+  writeFile(
+    dir,
+    'playwright-impact.config.js',
+    'module.exports = { testsRootRelative: "e2e", changedSpecPrefix: "e2e/", isRelevantPomPath: () => true };\n'
+  );
+
+  const { profile } = loadImpactConfig({ repoRoot: dir });
+  assert.equal(profile.testsRootRelative, 'e2e');
+});
+
+test('loadImpactConfig loads an explicit .cjs path', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'config/impact.cjs', `module.exports = ${JSON.stringify(jsonProfile)};\n`);
+
+  const { profile } = loadImpactConfig({ repoRoot: dir, configPath: 'config/impact.cjs' });
+  assert.equal(profile.changedSpecPrefix, 'tests/');
+});
+
+test('loadImpactConfig reports every invalid key in one error', () => {
+  const dir = createTempDir();
+  writeFile(
+    dir,
+    'playwright-impact.config.json',
+    JSON.stringify({ changedSpecPrefix: 'tests/', pomPathGlobs: 'src/**', globalWatchMode: 'sometimes', testRoot: 'tests' })
+  );
+
+  assert.throws(
+    () => loadImpactConfig({ repoRoot: dir }),
+    (error) => {
+      assert.match(error.message, /Invalid profile configuration in playwright-impact\.config\.json/);
+      assert.match(error.message, /Missing profile\.testsRootRelative/);
+      assert.match(error.message, /profile\.pomPathGlobs must be a non-empty array/);
+      assert.match(error.message, /profile\.globalWatchMode must be one of/);
+      assert.match(error.message, /Unknown profile key "testRoot"/);
+      assert.equal(error.issues.length, 4);
+      return true;
+    }
+  );
+});
+
+test('loadImpactConfig explains where it looked when no config exists', () => {
+  const dir = createTempDir();
+  assert.throws(() => loadImpactConfig({ repoRoot: dir }), /No playwright-impact config found.*playwright-impact\.config\.json/);
+});
+
+test('resolveProfile rejects combining the function and glob forms', () => {
+  assert.throws(
+    () => resolveProfile({ ...jsonProfile, isRelevantPomPath: () => true }),
+    /Use either profile\.isRelevantPomPath or profile\.pomPathGlobs/
+  );
+  assert.throws(
+    () => resolveProfile({ testsRootRelative: 'tests', changedSpecPrefix: 'tests/', isRelevantPomPath: () => true, pomPathExclude: ['x'] }),
+    /pomPathExclude requires profile\.pomPathGlobs/
+  );
+});
+
+test('resolveProfile keeps function profiles untouched and tolerates extra keys', () => {
+  const profile = { testsRootRelative: 'tests', changedSpecPrefix: 'tests/', isRelevantPomPath: () => true, custom: 1 };
+  assert.equal(resolveProfile(profile), profile);
+});
+
+test('analyzeImpactedSpecs accepts a glob-based profile', () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/login.spec.ts', 'test("login", async ({ loginPage }) => { await loginPage.open(); });\n');
+  commitAll(dir, 'base');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } }\n');
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile: jsonProfile });
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/login.spec.ts']);
+});
+
+test('resolveProfile validates project entries', () => {
+  assert.throws(
+    () => resolveProfile({
+      ...jsonProfile,
+      projects: [{ name: 'stem', testDirRelative: 'tests/stem' }, { name: 'stem' }, 'mathnation'],
+    }),
+    (error) => {
+      assert.deepEqual(error.issues, [
+        'profile.projects[1].name "stem" is declared twice',
+        'profile.projects[1].testDirRelative must be a repo-relative folder',
+        'profile.projects[2] must be an object',
+      ]);
+      return true;
+    }
+  );
+});
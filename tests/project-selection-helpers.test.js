@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createProjectMatcher, groupSpecsByProject, buildProjectArgs } = require('../src/modules/project-selection-helpers');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const repoRoot = '/repo';
+const abs = (relativePath) => path.join(repoRoot, relativePath);
+
+test('createProjectMatcher applies testDir, testMatch and testIgnore', () => {
+  const matches = createProjectMatcher({
+    repoRoot,
+    project: { name: 'stem', testDirRelative: 'tests/stem', testMatch: ['*.spec.ts'], testIgnore: [/legacy/] },
+  });
+
+  assert.equal(matches(abs('tests/stem/a.spec.ts')), true);
+  assert.equal(matches(abs('tests/stem/deep/b.spec.ts')), true);
+  assert.equal(matches(abs('tests/stem/legacy/c.spec.ts')), false);
+  assert.equal(matches(abs('tests/stem/a.spec.tsx')), false);
+  assert.equal(matches(abs('tests/mathnation/a.spec.ts')), false);
+});
+
+test('groupSpecsByProject lets a spec belong to several projects and builds --project args', () => {
+  const projects = [
+    { name: 'chromium', testDirRelative: 'tests' },
+    { name: 'firefox', testDirRelative: 'tests' },
+    { name: 'admin', testDirRelative: 'tests/admin' },
+  ];
+  const grouped = groupSpecsByProject({ repoRoot, selectedSpecs: [abs('tests/a.spec.ts')], projects });
+
+  assert.deepEqual(Array.from(grouped.entries()), [
+    ['chromium', ['tests/a.spec.ts']],
+    ['firefox', ['tests/a.spec.ts']],
+  ]);
+  assert.deepEqual(buildProjectArgs(grouped), ['--project=chromium', '--project=firefox']);
+});
+
+const projectProfile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+  projects: [
+    { name: 'stem', testDirRelative: 'tests/stem', globalWatchPatterns: ['src/global-setup-stem.ts'] },
+    { name: 'mathnation', testDirRelative: 'tests/mathnation', globalWatchPatterns: ['src/global-setup-mn.ts'] },
+  ],
+};
+
+const createProjectRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/global-setup-stem.ts', 'export default async () => {};\n');
+  writeFile(dir, 'src/global-setup-mn.ts', 'export default async () => {};\n');
+  writeFile(dir, 'src/pages/MyPage.ts', 'export class MyPage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { myPage: Pages.MyPage };\n');
+  writeFile(dir, 'tests/stem/a.spec.ts', 'test("a", async () => {});\n');
+  writeFile(dir, 'tests/stem/b.spec.ts', 'test("b", async () => {});\n');
+  writeFile(dir, 'tests/mathnation/c.spec.ts', 'test("c", async ({ myPage }) => { await myPage.open(); });\n');
+  writeFile(dir, 'tests/mathnation/d.spec.ts', 'test("d", async () => {});\n');
+  commitAll(dir, 'base');
+  return dir;
+};
+
+test('analyzeImpactedSpecs forces only the project whose setup changed', () => {
+  const dir = createProjectRepo();
+  writeFile(dir, 'src/global-setup-stem.ts', 'export default async () => { return 1; };\n');
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile: projectProfile });
+
+  assert.equal(result.forcedAllSpecs, false);
+  assert.deepEqual(result.forcedProjects, ['stem']);
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/stem/a.spec.ts', 'tests/stem/b.spec.ts']);
+  assert.deepEqual(Array.from(result.selectedSpecsByProject.keys()), ['stem']);
+  assert.deepEqual(result.playwrightProjectArgs, ['--project=stem']);
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/stem/a.spec.ts')), 'global-watch-force-project');
+  assert.deepEqual(result.globalWatchMatches, ['src/global-setup-stem.ts']);
+});
+
+test('analyzeImpactedSpecs merges forced project specs with regular selection', () => {
+  const dir = createProjectRepo();
+  writeFile(dir, 'src/global-setup-stem.ts', 'export default async () => { return 2; };\n');
+  writeFile(dir, 'src/pages/MyPage.ts', 'export class MyPage { open(){ return 2; } }\n');
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile: projectProfile });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/mathnation/c.spec.ts', 'tests/stem/a.spec.ts', 'tests/stem/b.spec.ts']);
+  assert.deepEqual(Object.fromEntries(result.selectedSpecsByProject), {
+    stem: ['tests/stem/a.spec.ts', 'tests/stem/b.spec.ts'],
+    mathnation: ['tests/mathnation/c.spec.ts'],
+  });
+  assert.deepEqual(result.playwrightProjectArgs, ['--project=stem', '--project=mathnation']);
+});
+
+test('analyzeImpactedSpecs returns empty project output without projects', () => {
+  const dir = createProjectRepo();
+  writeFile(dir, 'src/pages/MyPage.ts', 'export class MyPage { open(){ return 3; } }\n');
+
+  const { projects, ...profileWithoutProjects } = projectProfile;
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile: profileWithoutProjects });
+
+  assert.equal(projects.length, 2);
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/mathnation/c.spec.ts']);
+  assert.equal(result.selectedSpecsByProject.size, 0);
+  assert.deepEqual(result.playwrightProjectArgs, []);
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { queryImpactedSpecs } = require('../src/query-impacted-specs');
+const { formatQueryResult } = require('../src/format-analyze-result');
+const { createTempDir, writeFile } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+// No git repo: the query reads the working tree only.
+const createTree = () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { wait(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/CheckoutPage.ts', [
+    "import { BasePage } from './BasePage';",
+    'export class CheckoutPage extends BasePage {',
+    '  applyCoupon(code: string){ return this.wait(); }',
+    "  pay(){ return this.applyCoupon('none'); }",
+    '  total(){ return 1; }',
+    '}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { checkoutPage: Pages.CheckoutPage };\n');
+  writeFile(dir, 'tests/coupon.spec.ts', [
+    "test.describe('checkout', () => {",
+    "  test('coupon', async ({ checkoutPage }) => { await checkoutPage.applyCoupon('A'); });",
+    "  test('total', async ({ checkoutPage }) => { await checkoutPage.total(); });",
+    '});',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/pay.spec.ts', "test('pay', async ({ checkoutPage }) => { await checkoutPage.pay(); });\n");
+  writeFile(dir, 'tests/dynamic.spec.ts', "test('dynamic', async ({ checkoutPage }) => { const action = 'total'; await checkoutPage[action](); });\n");
+  writeFile(dir, 'tests/total.spec.ts', "test('total', async ({ checkoutPage }) => { await checkoutPage.total(); });\n");
+  writeFile(dir, 'tests/base.spec.ts', "import { BasePage } from '../src/pages/BasePage';\ntest('base', async () => {});\n");
+  return dir;
+};
+
+const toReasons = (result) => result.selectedSpecsRelative.map((specPath, index) => [
+  specPath,
+  result.selectionReasons.get(result.selectedSpecs[index]),
+]);
+
+test('queryImpactedSpecs returns the specs and tests that reach a member through its callers', () => {
+  const dir = createTree();
+
+  const result = queryImpactedSpecs({ repoRoot: dir, profile, targets: ['CheckoutPage.applyCoupon'] });
+
+  assert.deepEqual(toReasons(result), [
+    ['tests/coupon.spec.ts', 'matched-precise'],
+    ['tests/dynamic.spec.ts', 'matched-uncertain-fail-open'],
+    ['tests/pay.spec.ts', 'matched-precise'],
+  ]);
+  assert.deepEqual(Array.from(result.impactedMethodsByClass.get('CheckoutPage')).sort(), ['applyCoupon', 'pay']);
+  assert.deepEqual(result.testLocationArgs, ['tests/coupon.spec.ts:2', 'tests/dynamic.spec.ts:1', 'tests/pay.spec.ts:1']);
+  assert.equal(result.coverageStats.uncertainCallSites, 1);
+  assert.equal(formatQueryResult(result), [
+    'tests/coupon.spec.ts: matched-precise',
+    '  checkout > coupon (line 2)',
+    'tests/dynamic.spec.ts: matched-uncertain-fail-open',
+    '  dynamic (line 1)',
+    'tests/pay.spec.ts: matched-precise',
+    '  pay (line 1)',
+    '3 specs reach CheckoutPage.applyCoupon (2 precise, 1 uncertain)',
+  ].join('\n'));
+
+  const failClosed = queryImpactedSpecs({ repoRoot: dir, profile, targets: ['CheckoutPage.applyCoupon'], selectionBias: 'fail-closed' });
+  assert.deepEqual(failClosed.selectedSpecsRelative, ['tests/coupon.spec.ts', 'tests/pay.spec.ts']);
+});
+
+test('queryImpactedSpecs resolves inherited members and treats file targets as added files', () => {
+  const dir = createTree();
+
+  const inherited = queryImpactedSpecs({ repoRoot: dir, profile, targets: ['CheckoutPage.wait'] });
+  assert.deepEqual(inherited.selectedSpecsRelative, ['tests/coupon.spec.ts', 'tests/dynamic.spec.ts', 'tests/pay.spec.ts']);
+
+  const byFile = queryImpactedSpecs({ repoRoot: dir, profile, targets: ['src/pages/BasePage.ts'] });
+  assert.deepEqual(toReasons(byFile), [
+    ['tests/base.spec.ts', 'matched-import-graph'],
+    ['tests/coupon.spec.ts', 'matched-precise'],
+    ['tests/dynamic.spec.ts', 'matched-uncertain-fail-open'],
+    ['tests/pay.spec.ts', 'matched-precise'],
+  ]);
+  assert.deepEqual(byFile.impactedTestsBySpec.get(byFile.selectedSpecs[0]), { wholeFile: true, tests: [] });
+});
+
+test('queryImpactedSpecs rejects unknown classes, members and malformed targets', () => {
+  const dir = createTree();
+
+  assert.throws(() => queryImpactedSpecs({ repoRoot: dir, profile, targets: ['Nope.open'] }), /Unknown class "Nope" in query target "Nope.open"/);
+  assert.throws(
+    () => queryImpactedSpecs({ repoRoot: dir, profile, targets: ['CheckoutPage.refund'] }),
+    /Unknown member "refund" of CheckoutPage in query target "CheckoutPage.refund"/
+  );
+  assert.throws(() => queryImpactedSpecs({ repoRoot: dir, profile, targets: ['checkout page'] }), /Invalid query target "checkout page"/);
+  assert.throws(() => queryImpactedSpecs({ repoRoot: dir, profile, targets: [] }), /Missing required targets/);
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ts = require('typescript');
+const { reportUnusedMembers } = require('../src/report-unused-members');
+const { formatUnusedReport } = require('../src/format-analyze-result');
+const { __testOnly } = require('../src/modules/member-usage-helpers');
+const { createTempDir, writeFile } = require('./_test-helpers');
+
+const { collectMemberUsesInSourceFile } = __testOnly;
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+// No git repo: the report reads the working tree only.
+const createTree = () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/BasePage.ts', [
+    'export class BasePage {',
+    '  constructor(protected page: Page) {}',
+    '  wait(){ return this.page.waitForTimeout(1); }',
+    '  unusedBase(){ return 1; }',
+    '}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/Header.ts', 'export class Header {\n  open(){ return 1; }\n  close(){ return 1; }\n}\n');
+  writeFile(dir, 'src/pages/CartPage.ts', [
+    "import { BasePage } from './BasePage';",
+    "import { Header } from './Header';",
+    'export class CartPage extends BasePage {',
+    '  header: Header = new Header();',
+    "  readonly total = this.page.locator('#total');",
+    "  readonly legacyButton = this.page.locator('#legacy');",
+    '  addItem(){ return this.wait(); }',
+    '  get count(){ return 1; }',
+    '  helper(){ return this.deadChain(); }',
+    '  deadChain(){ return 2; }',
+    '}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/OrphanPage.ts', 'export class OrphanPage { go(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/DynPage.ts', 'export class DynPage { a(){ return 1; } b(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage; orphanPage: Pages.OrphanPage; dynPage: Pages.DynPage };\n');
+  writeFile(dir, 'tests/cart.spec.ts', [
+    "test('add', async ({ cartPage }) => {",
+    '  await cartPage.addItem();',
+    '  await cartPage.header.open();',
+    '  await expect(cartPage.total).toBeVisible();',
+    '});',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/dyn.spec.ts', "test('dyn', async ({ dynPage }) => { const key = 'a'; await dynPage[key](); });\n");
+  writeFile(dir, 'tests/helpers/count.ts', 'export const readCount = (page) => page.count;\n');
+  return dir;
+};
+
+test('reportUnusedMembers follows calls, composed fields and base classes from the specs', () => {
+  const dir = createTree();
+
+  const report = reportUnusedMembers({ repoRoot: dir, profile });
+
+  assert.deepEqual(report.unusedMembers.map(({ className, memberName, kind, line }) => `${className}.${memberName}:${kind}:${line}`), [
+    'BasePage.unusedBase:method:4',
+    'CartPage.legacyButton:field:6',
+    'CartPage.helper:method:9',
+    'CartPage.deadChain:method:10',
+    'Header.close:method:3',
+    'OrphanPage.go:method:1',
+  ]);
+  assert.deepEqual(report.unusedClasses, ['OrphanPage']);
+  assert.deepEqual(report.unusedFixtures, [{ fixtureKey: 'orphanPage', className: 'OrphanPage' }]);
+  assert.deepEqual(report.dynamicallyUsedClasses, [{ className: 'DynPage', files: ['tests/dyn.spec.ts'] }]);
+  assert.deepEqual(report.stats, { classes: 5, members: 15, unusedMembers: 6, fixtures: 3, specs: 2 });
+  assert.equal(formatUnusedReport(report), [
+    'src/pages/BasePage.ts',
+    '  BasePage.unusedBase (method, line 4)',
+    'src/pages/CartPage.ts',
+    '  CartPage.legacyButton (field, line 6)',
+    '  CartPage.helper (method, line 9)',
+    '  CartPage.deadChain (method, line 10)',
+    'src/pages/Header.ts',
+    '  Header.close (method, line 3)',
+    'src/pages/OrphanPage.ts',
+    '  OrphanPage.go (method, line 1)',
+    'Unused classes: OrphanPage',
+    'Unused fixture: orphanPage -> OrphanPage',
+    'Kept whole (dynamic use): DynPage in tests/dyn.spec.ts',
+    '6 of 15 members unused, 1 of 3 fixtures unused',
+  ].join('\n'));
+});
+
+test('reportUnusedMembers keeps overrides reached through a base-class receiver', () => {
+  const dir = createTree();
+  writeFile(dir, 'src/pages/OrphanPage.ts', [
+    "import { CartPage } from './CartPage';",
+    'export class OrphanPage extends CartPage { addItem(){ return 3; } go(){ return 1; } }',
+    '',
+  ].join('\n'));
+
+  const report = reportUnusedMembers({ repoRoot: dir, profile });
+
+  const unused = report.unusedMembers.map(({ className, memberName }) => `${className}.${memberName}`);
+  assert.ok(!unused.includes('OrphanPage.addItem'));
+  assert.ok(unused.includes('OrphanPage.go'));
+});
+
+test('reportUnusedMembers counts uses in fixture implementations and top-level page code', () => {
+  const dir = createTree();
+  writeFile(dir, 'src/fixtures/index.ts', [
+    "import { OrphanPage } from '../pages/OrphanPage';",
+    'export const test = base.extend({',
+    '  orphanPage: async ({ page }, use) => {',
+    '    const orphanPage = new OrphanPage(page);',
+    '    await orphanPage.go();',
+    '    await use(orphanPage);',
+    '  },',
+    '});',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/pages/session.ts', "import { Header } from './Header';\nexport const closeAll = (header: Header) => header.close();\n");
+
+  const report = reportUnusedMembers({ repoRoot: dir, profile });
+
+  const unused = report.unusedMembers.map(({ className, memberName }) => `${className}.${memberName}`);
+  assert.ok(!unused.includes('OrphanPage.go'));
+  assert.ok(!unused.includes('Header.close'));
+  assert.ok(unused.includes('CartPage.deadChain'));
+  // Fixture implementations use members, not fixtures: orphanPage is still destructured by no spec.
+  assert.deepEqual(report.unusedFixtures, [{ fixtureKey: 'orphanPage', className: 'OrphanPage' }]);
+  assert.equal(report.stats.specs, 2);
+});
+
+test('collectMemberUsesInSourceFile separates known receivers, computed keys and loose names', () => {
+  const sourceFile = ts.createSourceFile('x.spec.ts', [
+    "test('x', async ({ cartPage }) => {",
+    "  await cartPage.header['open']();",
+    '  await cartPage[name]();',
+    '  const { total } = cartPage;',
+    '  helper(cartPage);',
+    '  other.count;',
+    '});',
+    '',
+  ].join('\n'), ts.ScriptTarget.Latest, true);
+
+  const { roots, looseNames } = collectMemberUsesInSourceFile({ sourceFile, fixtureVarToClass: new Map([['cartPage', 'CartPage']]) });
+
+  assert.deepEqual(roots.map(({ names, dynamic }) => [names, dynamic]), [
+    [['header', 'open'], false],
+    [[], true],
+    [['total'], false],
+    [[], true],
+  ]);
+  assert.deepEqual(Array.from(looseNames), ['count']);
+});
@@ -0,0 +1,254 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  COVERAGE_ATTACHMENT_NAME,
+  withPomCoverage,
+  readCoverageMap,
+  writeCoverageMap,
+  collectRuntimeCoverageMatches,
+  __testOnly,
+} = require('../src/modules/runtime-coverage-helpers');
+const PomCoverageReporter = require('../src/coverage-reporter');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const { createCoverageProxy } = __testOnly;
+
+class BasePage {
+  get title() {
+    return 'base';
+  }
+
+  open() {
+    return this.#load();
+  }
+
+  #load() {
+    return 'opened';
+  }
+}
+
+class LoginPage extends BasePage {
+  login() {
+    return this.open();
+  }
+}
+
+test('createCoverageProxy records called methods and getters with the runtime class name', () => {
+  const calls = new Set();
+  const page = createCoverageProxy(new LoginPage(), calls);
+
+  assert.equal(page.login(), 'opened');
+  assert.equal(page.title, 'base');
+  assert.equal(page.open, page.open);
+  assert.deepEqual(Array.from(calls).sort(), ['LoginPage.login', 'LoginPage.title']);
+});
+
+test('withPomCoverage attaches recorded calls to the test', async () => {
+  const attachments = [];
+  const testInfo = { attach: async (name, options) => attachments.push({ name, ...options }) };
+
+  await withPomCoverage(new LoginPage(), async (page) => { page.open(); }, testInfo);
+  await withPomCoverage(new LoginPage(), async () => {}, testInfo);
+  await withPomCoverage(new LoginPage(), async (page) => { page.open(); }, {});
+
+  assert.deepEqual(attachments, [{
+    name: COVERAGE_ATTACHMENT_NAME,
+    body: JSON.stringify({ calls: ['LoginPage.open'] }),
+    contentType: 'application/json',
+  }]);
+});
+
+const attachment = (calls) => ({ name: COVERAGE_ATTACHMENT_NAME, body: Buffer.from(JSON.stringify({ calls })) });
+const testInfo = (dir, file, ...titles) => ({ location: { file: path.join(dir, file) }, titlePath: () => ['', 'chromium', file, ...titles] });
+
+test('PomCoverageReporter writes a sorted per-test map and keeps tests that did not run', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'coverage.json', JSON.stringify({
+    version: 2,
+    specs: {
+      'tests/old.spec.ts': { 'chromium › tests/old.spec.ts › old': ['OldPage.open'] },
+      'tests/b.spec.ts': { 'chromium › tests/b.spec.ts › first': ['Stale.call'] },
+    },
+  }));
+  const reporter = new PomCoverageReporter({ repoRoot: dir, outputFile: 'coverage.json' });
+
+  reporter.onTestEnd(testInfo(dir, 'tests/b.spec.ts', 'first'), { attachments: [attachment(['LoginPage.open'])] });
+  // A retry of the same test adds to its calls.
+  reporter.onTestEnd(testInfo(dir, 'tests/b.spec.ts', 'first'), { attachments: [attachment(['CartPage.add', 'LoginPage.open'])] });
+  reporter.onTestEnd(testInfo(dir, 'tests/a.spec.ts', 'cart', 'empty'), { attachments: [{ name: 'screenshot', path: 'x.png' }] });
+  reporter.onEnd();
+
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(dir, 'coverage.json'), 'utf8')), {
+    version: 2,
+    specs: {
+      'tests/a.spec.ts': { 'chromium › tests/a.spec.ts › cart › empty': [] },
+      'tests/b.spec.ts': { 'chromium › tests/b.spec.ts › first': ['CartPage.add', 'LoginPage.open'] },
+      'tests/old.spec.ts': { 'chromium › tests/old.spec.ts › old': ['OldPage.open'] },
+    },
+  });
+});
+
+test('PomCoverageReporter keeps the calls of tests a partial run of their spec skipped', () => {
+  const dir = createTempDir();
+  const fullRun = new PomCoverageReporter({ repoRoot: dir, outputFile: 'coverage.json' });
+  fullRun.onTestEnd(testInfo(dir, 'tests/login.spec.ts', 'opens'), { attachments: [attachment(['LoginPage.open'])] });
+  fullRun.onTestEnd(testInfo(dir, 'tests/login.spec.ts', 'closes'), { attachments: [attachment(['LoginPage.close'])] });
+  fullRun.onEnd();
+
+  // `login.spec.ts:3` or `--grep closes` runs one test of the spec.
+  const partialRun = new PomCoverageReporter({ repoRoot: dir, outputFile: 'coverage.json' });
+  partialRun.onTestEnd(testInfo(dir, 'tests/login.spec.ts', 'closes'), { attachments: [attachment(['LoginPage.close', 'LoginPage.wait'])] });
+  partialRun.onEnd();
+
+  const coverageMap = readCoverageMap({ repoRoot: dir, coverageMapPath: 'coverage.json' });
+  assert.deepEqual(Array.from(coverageMap.get('tests/login.spec.ts')).sort(), ['LoginPage.close', 'LoginPage.open', 'LoginPage.wait']);
+});
+
+test('readCoverageMap reads version 1 maps, returns null for a missing map and rejects unknown formats', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'v1.json', JSON.stringify({ version: 1, specs: { 'tests/a.spec.ts': ['LoginPage.open'] } }));
+  writeFile(dir, 'v3.json', JSON.stringify({ version: 3, specs: {} }));
+
+  assert.deepEqual(Array.from(readCoverageMap({ repoRoot: dir, coverageMapPath: 'v1.json' })), [['tests/a.spec.ts', new Set(['LoginPage.open'])]]);
+  assert.equal(readCoverageMap({ repoRoot: dir, coverageMapPath: 'missing.json' }), null);
+  assert.throws(() => readCoverageMap({ repoRoot: dir, coverageMapPath: 'v3.json' }), /Unsupported coverage map/);
+});
+
+test('collectRuntimeCoverageMatches intersects recorded calls with impacted methods', () => {
+  const dir = createTempDir();
+  const outputPath = path.join(dir, 'coverage.json');
+  writeCoverageMap({
+    outputPath,
+    specs: new Map([
+      ['tests/a.spec.ts', new Map([['open', new Set(['LoginPage.open'])], ['close', new Set(['LoginPage.close'])]])],
+      ['tests/b.spec.ts', new Map([['close', new Set(['LoginPage.close'])]])],
+    ]),
+  });
+
+  const matches = collectRuntimeCoverageMatches({
+    repoRoot: dir,
+    coverageMap: readCoverageMap({ repoRoot: dir, coverageMapPath: 'coverage.json' }),
+    impactedMethodsByClass: new Map([['LoginPage', new Set(['open'])]]),
+  });
+
+  assert.deepEqual(Array.from(matches.entries()), [[path.join(dir, 'tests/a.spec.ts'), ['LoginPage.open']]]);
+
+  // Runtime names cannot tell same-named classes apart: a bare call matches every file-qualified id of its name.
+  const qualified = collectRuntimeCoverageMatches({
+    repoRoot: dir,
+    coverageMap: readCoverageMap({ repoRoot: dir, coverageMapPath: 'coverage.json' }),
+    impactedMethodsByClass: new Map([
+      ['src/a/LoginPage.ts:LoginPage', new Set(['close'])],
+      ['src/b/LoginPage.ts:LoginPage', new Set(['open'])],
+    ]),
+  });
+  assert.deepEqual(Array.from(qualified.entries()), [
+    [path.join(dir, 'tests/a.spec.ts'), ['src/a/LoginPage.ts:LoginPage.close', 'src/b/LoginPage.ts:LoginPage.open']],
+    [path.join(dir, 'tests/b.spec.ts'), ['src/a/LoginPage.ts:LoginPage.close']],
+  ]);
+});
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const createCoverageRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 1; } close(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  // Dynamic dispatch: Stage B only sees an uncertain call site.
+  writeFile(dir, 'tests/dynamic-open.spec.ts', 'test("a", async ({ loginPage }) => { const m = "open"; await loginPage[m](); });\n');
+  writeFile(dir, 'tests/dynamic-close.spec.ts', 'test("b", async ({ loginPage }) => { const m = "close"; await loginPage[m](); });\n');
+  writeFile(dir, 'tests/precise.spec.ts', 'test("c", async ({ loginPage }) => { await loginPage.open(); });\n');
+  writeFile(dir, 'coverage.json', JSON.stringify({
+    version: 1,
+    specs: {
+      'tests/dynamic-open.spec.ts': ['LoginPage.open'],
+      'tests/dynamic-close.spec.ts': ['LoginPage.close'],
+      'tests/precise.spec.ts': ['LoginPage.close'],
+    },
+  }));
+  commitAll(dir, 'base');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage { open(){ return 2; } close(){ return 1; } }\n');
+  return dir;
+};
+
+test('analyzeImpactedSpecs adds runtime coverage matches in merge mode and keeps uncertain specs', () => {
+  const dir = createCoverageRepo();
+
+  const withoutCoverage = analyzeImpactedSpecs({ repoRoot: dir, profile });
+  assert.equal(withoutCoverage.selectedSpecsRelative.length, 3);
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'coverage.json' });
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/dynamic-close.spec.ts', 'tests/dynamic-open.spec.ts', 'tests/precise.spec.ts']);
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/dynamic-open.spec.ts')), 'matched-runtime-coverage');
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/dynamic-close.spec.ts')), 'matched-uncertain-fail-open');
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/precise.spec.ts')), 'matched-precise');
+});
+
+test('analyzeImpactedSpecs keeps an uncertain spec the coverage map recorded without calls in merge mode', () => {
+  const dir = createCoverageRepo();
+  // The reporter records every spec that ran, also when its fixtures were never wrapped.
+  writeFile(dir, 'coverage.json', JSON.stringify({ version: 1, specs: { 'tests/dynamic-open.spec.ts': [] } }));
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'coverage.json' });
+
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/dynamic-open.spec.ts')), 'matched-uncertain-fail-open');
+  assert.equal(result.selectedSpecsRelative.length, 3);
+});
+
+test('analyzeImpactedSpecs lets runtime coverage decide in replace mode', () => {
+  const dir = createCoverageRepo();
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'coverage.json', coverageMapMode: 'replace' });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/dynamic-open.spec.ts']);
+  // precise.spec recorded only `close`; its static `open()` call site may be reached in a way the proxy misses.
+  assert.equal(result.exclusionReasons.get(path.join(dir, 'tests/precise.spec.ts')), 'excluded-runtime-coverage');
+  assert.deepEqual(result.warnings.filter((warning) => warning.startsWith('Runtime coverage dropped')), [
+    `Runtime coverage dropped a spec Stage B matched: ${path.join(dir, 'tests/dynamic-close.spec.ts')}`,
+    `Runtime coverage dropped a spec Stage B matched: ${path.join(dir, 'tests/precise.spec.ts')}`,
+  ]);
+
+  const failClosed = analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'coverage.json', coverageMapMode: 'replace', selectionBias: 'fail-closed' });
+  assert.deepEqual(failClosed.warnings.filter((warning) => warning.startsWith('Runtime coverage dropped')), [
+    `Runtime coverage dropped a spec Stage B matched: ${path.join(dir, 'tests/precise.spec.ts')}`,
+  ]);
+  assert.throws(
+    () => analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'coverage.json', coverageMapMode: 'only' }),
+    /Invalid coverageMapMode "only"/
+  );
+});
+
+test('analyzeImpactedSpecs still selects a spec in replace mode after a partial run recorded only some of its tests', () => {
+  const dir = createCoverageRepo();
+  const record = (...tests) => {
+    const reporter = new PomCoverageReporter({ repoRoot: dir, outputFile: 'recorded.json' });
+    for (const [title, calls] of tests) reporter.onTestEnd(testInfo(dir, 'tests/dynamic-open.spec.ts', title), { attachments: [attachment(calls)] });
+    reporter.onEnd();
+  };
+  record(['opens', ['LoginPage.open']], ['closes', ['LoginPage.close']]);
+  record(['closes', ['LoginPage.close']]);
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'recorded.json', coverageMapMode: 'replace' });
+
+  assert.ok(result.selectedSpecsRelative.includes('tests/dynamic-open.spec.ts'));
+  assert.equal(result.selectionReasons.get(path.join(dir, 'tests/dynamic-open.spec.ts')), 'matched-runtime-coverage');
+});
+
+test('analyzeImpactedSpecs warns and falls back to Stage B when the coverage map is missing', () => {
+  const dir = createCoverageRepo();
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile, coverageMapPath: 'missing.json' });
+
+  assert.equal(result.selectedSpecsRelative.length, 3);
+  assert.ok(result.warnings.includes('Coverage map not found: missing.json'));
+});
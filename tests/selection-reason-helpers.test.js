@@ -0,0 +1,94 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/') || filePath.startsWith('src/utils/'),
+};
+
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage extends BasePage { login(){ return this.open(); } }\n');
+  writeFile(dir, 'src/utils/money.ts', 'export const format = () => 1;\n');
+  writeFile(dir, 'src/global-setup.ts', 'export default async () => {};\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/login.spec.ts', [
+    'test("login", async ({ loginPage }) => {',
+    '  await loginPage.login();',
+    '  await loginPage[action]();',
+    '});',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/dynamic.spec.ts', 'test("dynamic", async ({ loginPage }) => { await loginPage[action](); });\n');
+  writeFile(dir, 'tests/money.spec.ts', 'import { format } from "../src/utils/money";\ntest("money", async () => { format(); });\n');
+  commitAll(dir, 'base');
+  return dir;
+};
+
+const recordsByRelativeSpec = (dir, result) => Object.fromEntries(Array.from(result.selectionReasonRecords.entries())
+  .map(([specPath, record]) => [path.relative(dir, specPath), record]));
+
+test('analyzeImpactedSpecs records matched members and uncertain call sites with their source line', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+
+  const records = recordsByRelativeSpec(dir, analyzeImpactedSpecs({ repoRoot: dir, profile }));
+
+  assert.deepEqual(records['tests/login.spec.ts'], {
+    reason: 'matched-precise',
+    matchedMembers: ['LoginPage.login'],
+    uncertainCallSites: [{ file: 'tests/login.spec.ts', line: 3, column: 9, callee: 'loginPage[action]', snippet: 'await loginPage[action]();' }],
+    importChain: [],
+    globalWatchHits: [],
+  });
+  assert.equal(records['tests/dynamic.spec.ts'].reason, 'matched-uncertain-fail-open');
+  assert.deepEqual(records['tests/dynamic.spec.ts'].matchedMembers, []);
+  assert.equal(records['tests/dynamic.spec.ts'].uncertainCallSites[0].snippet, 'test("dynamic", async ({ loginPage }) => { await loginPage[action](); });');
+});
+
+test('analyzeImpactedSpecs records the import chain of import-graph matches', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/utils/money.ts', 'export const format = () => 2;\n');
+
+  const result = analyzeImpactedSpecs({ repoRoot: dir, profile });
+
+  assert.deepEqual(recordsByRelativeSpec(dir, result), {
+    'tests/money.spec.ts': {
+      reason: 'matched-import-graph',
+      matchedMembers: [],
+      uncertainCallSites: [],
+      importChain: ['src/utils/money.ts', 'tests/money.spec.ts'],
+      globalWatchHits: [],
+    },
+  });
+});
+
+test('analyzeImpactedSpecs records the global watch pattern that forced a spec', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/global-setup.ts', 'export default async () => { return 1; };\n');
+
+  const forcedAll = analyzeImpactedSpecs({ repoRoot: dir, profile: { ...profile, globalWatchPatterns: ['src/global-*.ts'] } });
+  assert.deepEqual(recordsByRelativeSpec(dir, forcedAll)['tests/money.spec.ts'].globalWatchHits, [
+    { file: 'src/global-setup.ts', pattern: 'src/global-*.ts', project: null },
+  ]);
+
+  const forcedProject = analyzeImpactedSpecs({
+    repoRoot: dir,
+    profile: {
+      ...profile,
+      globalWatchPatterns: [],
+      projects: [{ name: 'app', testDirRelative: 'tests', globalWatchPatterns: ['src/global-setup.ts'] }],
+    },
+  });
+  const record = recordsByRelativeSpec(dir, forcedProject)['tests/login.spec.ts'];
+  assert.equal(record.reason, 'global-watch-force-project');
+  assert.deepEqual(record.globalWatchHits, [{ file: 'src/global-setup.ts', pattern: 'src/global-setup.ts', project: 'app' }]);
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shardSelectedSpecs, parseShardArg } = require('../src/modules/shard-helpers');
+
+test('shardSelectedSpecs balances shards by duration', () => {
+  const durations = new Map([
+    ['tests/a.spec.ts', 50],
+    ['tests/b.spec.ts', 30],
+    ['tests/c.spec.ts', 20],
+    ['tests/d.spec.ts', 10],
+    ['tests/e.spec.ts', 10],
+  ]);
+
+  const result = shardSelectedSpecs({ selectedSpecs: Array.from(durations.keys()), shards: 2, durations });
+
+  assert.deepEqual(result.shards, [
+    { index: 1, specs: ['tests/a.spec.ts', 'tests/d.spec.ts'], estimatedDuration: 60 },
+    { index: 2, specs: ['tests/b.spec.ts', 'tests/c.spec.ts', 'tests/e.spec.ts'], estimatedDuration: 60 },
+  ]);
+  assert.deepEqual(result.missingDurations, []);
+});
+
+test('shardSelectedSpecs is deterministic regardless of input order', () => {
+  const specs = ['tests/c.spec.ts', 'tests/a.spec.ts', 'tests/d.spec.ts', 'tests/b.spec.ts'];
+  const first = shardSelectedSpecs({ selectedSpecs: specs, shards: 3 });
+  const second = shardSelectedSpecs({ selectedSpecs: [...specs].reverse(), shards: 3 });
+
+  assert.deepEqual(first, second);
+  assert.deepEqual(first.shards.map((shard) => shard.specs), [
+    ['tests/a.spec.ts', 'tests/d.spec.ts'],
+    ['tests/b.spec.ts'],
+    ['tests/c.spec.ts'],
+  ]);
+});
+
+test('shardSelectedSpecs weights specs without history with the median duration', () => {
+  const result = shardSelectedSpecs({
+    selectedSpecs: ['tests/a.spec.ts', 'tests/b.spec.ts', 'tests/c.spec.ts', 'tests/new.spec.ts'],
+    shards: 2,
+    durations: { 'tests/a.spec.ts': 100, 'tests/b.spec.ts': 40, 'tests/c.spec.ts': 20 },
+  });
+
+  assert.deepEqual(result.missingDurations, ['tests/new.spec.ts']);
+  assert.deepEqual(result.shards.map((shard) => shard.estimatedDuration), [100, 100]);
+  assert.deepEqual(result.shards[1].specs, ['tests/b.spec.ts', 'tests/c.spec.ts', 'tests/new.spec.ts']);
+});
+
+test('shardSelectedSpecs treats negative and non-finite durations as missing', () => {
+  const result = shardSelectedSpecs({
+    selectedSpecs: ['tests/a.spec.ts', 'tests/b.spec.ts', 'tests/c.spec.ts', 'tests/d.spec.ts'],
+    shards: 2,
+    durations: { 'tests/a.spec.ts': 10, 'tests/b.spec.ts': 10, 'tests/c.spec.ts': -100, 'tests/d.spec.ts': Infinity },
+  });
+
+  // c and d weigh the median 10 instead of pulling or pushing their shard's total.
+  assert.deepEqual(result.shards.map(({ specs, estimatedDuration }) => ({ specs, estimatedDuration })), [
+    { specs: ['tests/a.spec.ts', 'tests/c.spec.ts'], estimatedDuration: 20 },
+    { specs: ['tests/b.spec.ts', 'tests/d.spec.ts'], estimatedDuration: 20 },
+  ]);
+  assert.deepEqual(result.missingDurations, ['tests/c.spec.ts', 'tests/d.spec.ts']);
+});
+
+test('shardSelectedSpecs returns empty shards when there are fewer specs than shards', () => {
+  const result = shardSelectedSpecs({ selectedSpecs: ['tests/a.spec.ts'], shards: 3 });
+
+  assert.deepEqual(result.shards.map((shard) => shard.specs.length), [1, 0, 0]);
+  assert.throws(() => shardSelectedSpecs({ selectedSpecs: [], shards: 0 }), /Invalid shards count: 0/);
+});
+
+test('parseShardArg accepts <index>/<total> and rejects anything else', () => {
+  assert.deepEqual(parseShardArg('2/4'), { index: 2, total: 4 });
+  assert.throws(() => parseShardArg('5/4'), /Invalid shard "5\/4"/);
+  assert.throws(() => parseShardArg('0/4'), /Invalid shard/);
+  assert.throws(() => parseShardArg('two'), /Invalid shard/);
+});
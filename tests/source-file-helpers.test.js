@@ -0,0 +1,133 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ts = require('typescript');
+const { createSourceFileService } = require('../src/modules/source-file-helpers');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+test('createSourceFileService reads and parses each file once', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/A.ts', 'export class A { open() {} }\n');
+  writeFile(dir, 'src/pages/B.tsx', 'export const b = <div />;\n');
+  const sourceFiles = createSourceFileService();
+  const filePath = path.join(dir, 'src/pages/A.ts');
+
+  assert.equal(sourceFiles.readText(filePath), 'export class A { open() {} }\n');
+  const first = sourceFiles.getSourceFile(filePath);
+  assert.equal(sourceFiles.getSourceFile(filePath), first);
+  assert.equal(sourceFiles.readText(filePath), first.text);
+  assert.equal(sourceFiles.getSourceFile(path.join(dir, 'src/pages/B.tsx')).languageVariant, ts.LanguageVariant.JSX);
+  assert.deepEqual(sourceFiles.getStats(), { filesRead: 2, filesParsed: 2 });
+});
+
+test('createSourceFileService memoizes listings and existence checks, and throws for missing reads', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'tests/a.spec.ts', 'test("a", async () => {});\n');
+  const sourceFiles = createSourceFileService();
+  const testsRoot = path.join(dir, 'tests');
+
+  assert.deepEqual(sourceFiles.listFiles(testsRoot), [path.join(testsRoot, 'a.spec.ts')]);
+  writeFile(dir, 'tests/b.spec.ts', 'test("b", async () => {});\n');
+  assert.deepEqual(sourceFiles.listFiles(testsRoot), [path.join(testsRoot, 'a.spec.ts')]);
+
+  assert.equal(sourceFiles.exists(path.join(dir, 'tests/missing.ts')), false);
+  writeFile(dir, 'tests/missing.ts', 'export {};\n');
+  assert.equal(sourceFiles.exists(path.join(dir, 'tests/missing.ts')), false);
+  assert.throws(() => sourceFiles.readText(path.join(dir, 'tests/nope.ts')), /ENOENT/);
+});
+
+test('createSourceFileService invalidate drops edited files and listings that contain them', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/A.ts', 'export class A {}\n');
+  const sourceFiles = createSourceFileService();
+  const filePath = path.join(dir, 'src/pages/A.ts');
+  const pagesRoot = path.join(dir, 'src/pages');
+
+  sourceFiles.getSourceFile(filePath);
+  sourceFiles.listFiles(pagesRoot);
+  writeFile(dir, 'src/pages/A.ts', 'export class B {}\n');
+  writeFile(dir, 'src/pages/C.ts', 'export class C {}\n');
+  sourceFiles.invalidate([filePath, path.join(dir, 'src/pages/C.ts')]);
+
+  assert.equal(sourceFiles.readText(filePath), 'export class B {}\n');
+  assert.equal(sourceFiles.listFiles(pagesRoot).length, 2);
+  assert.deepEqual(sourceFiles.getStats(), { filesRead: 2, filesParsed: 1 });
+});
+
+test('createSourceFileService lays an in-memory overlay over the disk', () => {
+  const dir = createTempDir();
+  writeFile(dir, 'src/pages/A.ts', 'export class A {}\n');
+  writeFile(dir, 'src/pages/B.ts', 'export class B {}\n');
+  const pagesRoot = path.join(dir, 'src/pages');
+  const overlay = new Map([
+    [path.join(pagesRoot, 'A.ts'), 'export class A2 {}\n'],
+    [path.join(pagesRoot, 'B.ts'), null],
+    [path.join(pagesRoot, 'nested/C.ts'), 'export class C {}\n'],
+  ]);
+  const sourceFiles = createSourceFileService({ overlay });
+
+  assert.equal(sourceFiles.readText(path.join(pagesRoot, 'A.ts')), 'export class A2 {}\n');
+  assert.equal(sourceFiles.exists(path.join(pagesRoot, 'B.ts')), false);
+  assert.throws(() => sourceFiles.readText(path.join(pagesRoot, 'B.ts')), /ENOENT/);
+  assert.deepEqual(sourceFiles.listFiles(pagesRoot).sort(), [path.join(pagesRoot, 'A.ts'), path.join(pagesRoot, 'nested/C.ts')]);
+  assert.equal(sourceFiles.getSourceFile(path.join(pagesRoot, 'nested/C.ts')).text, 'export class C {}\n');
+  assert.deepEqual(sourceFiles.getStats(), { filesRead: 0, filesParsed: 1 });
+});
+
+test('analyzeImpactedSpecs reports stage timings and parses every file at most once', () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'import { BasePage } from "./BasePage";\nexport class LoginPage extends BasePage { login(){ return this.open(); } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/login.spec.ts', 'import { LoginPage } from "../src/pages/LoginPage";\ntest("a", async ({ loginPage }) => { await loginPage.login(); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("c", async ({ loginPage }) => { await loginPage.close(); });\n');
+  commitAll(dir, 'base');
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } }\n');
+
+  const result = analyzeImpactedSpecs({
+    repoRoot: dir,
+    profile: {
+      testsRootRelative: 'tests',
+      changedSpecPrefix: 'tests/',
+      isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+    },
+  });
+
+  assert.deepEqual(result.selectedSpecsRelative, ['tests/login.spec.ts']);
+  assert.deepEqual(Object.keys(result.stageTimings), [
+    'changedEntries',
+    'globalWatch',
+    'importGraph',
+    'semanticSeed',
+    'propagation',
+    'stageA',
+    'runtimeCoverage',
+    'stageB',
+    'testSelection',
+    'total',
+  ]);
+  for (const value of Object.values(result.stageTimings)) assert.ok(Number.isFinite(value) && value >= 0);
+  // Two page files, the fixtures file and two specs: each is parsed once although several stages visit them.
+  assert.deepEqual(result.sourceFileStats, { filesRead: 5, filesParsed: 5 });
+});
+
+test('analyzeImpactedSpecs reports zeroed stage timings on the fast exit', () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'tests/a.spec.ts', 'test("a", async () => {});\n');
+  commitAll(dir, 'base');
+
+  const result = analyzeImpactedSpecs({
+    repoRoot: dir,
+    profile: { testsRootRelative: 'tests', changedSpecPrefix: 'tests/', isRelevantPomPath: () => false },
+  });
+
+  assert.equal(result.hasAnythingToRun, false);
+  assert.equal(result.stageTimings.stageB, 0);
+  assert.ok(result.stageTimings.total >= result.stageTimings.changedEntries);
+  assert.deepEqual(result.sourceFileStats, { filesRead: 0, filesParsed: 0 });
+});
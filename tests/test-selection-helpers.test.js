@@ -0,0 +1,158 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const ts = require('typescript');
+const { selectImpactedTests, buildTestLevelSelection, __testOnly } = require('../src/modules/test-selection-helpers');
+const { filterSpecsByImpactedMethods } = require('../src/modules/method-filter-helpers');
+const { createTempDir, writeFile } = require('./_test-helpers');
+
+const { collectSpecBlocks } = __testOnly;
+
+const parse = (lines) => ts.createSourceFile('a.spec.ts', lines.join('\n'), ts.ScriptTarget.Latest, true, ts.ScriptKind.TS);
+
+// Positions of every `page.open(` call, standing in for Stage B matches.
+const positionsOf = (sourceFile, needle = 'page.open(') => {
+  const positions = [];
+  const text = sourceFile.getFullText();
+  for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + 1)) positions.push(index);
+  return positions;
+};
+
+const pick = (result) => result.tests.map((block) => `${block.kind}:${block.line}:${block.titlePath.join(' > ')}`);
+
+test('collectSpecBlocks builds the describe/test/hook tree', () => {
+  const sourceFile = parse([
+    'test.beforeAll(async () => {});',
+    'test.describe("cart", () => {',
+    '  test.beforeEach(async ({ page }) => {});',
+    '  test("adds", async () => {});',
+    '  test.skip("removes", async () => {});',
+    '  test.skip(process.env.CI === "1");',
+    '  test.step("not a block", async () => {});',
+    '});',
+  ]);
+
+  const root = collectSpecBlocks({ sourceFile });
+  assert.deepEqual(root.children.map((block) => block.kind), ['hook', 'describe']);
+  assert.deepEqual(root.children[1].children.map((block) => `${block.kind}:${block.title}`), [
+    'hook:beforeEach',
+    'test:adds',
+    'test:removes',
+  ]);
+});
+
+test('selectImpactedTests picks only the tests containing matched calls', () => {
+  const sourceFile = parse([
+    'test.describe("cart", () => {',
+    '  test("adds", async ({ page }) => { await page.open(); });',
+    '  test("removes", async ({ page }) => { await page.close(); });',
+    '});',
+    'test("checkout", async ({ page }) => { await page.open(); });',
+  ]);
+
+  const result = selectImpactedTests({ sourceFile, positions: positionsOf(sourceFile) });
+
+  assert.equal(result.wholeFile, false);
+  assert.deepEqual(pick(result), ['test:2:cart > adds', 'test:5:checkout']);
+});
+
+test('selectImpactedTests widens hook matches to the enclosing describe', () => {
+  const sourceFile = parse([
+    'test.describe("cart", () => {',
+    '  test.beforeEach(async ({ page }) => { await page.open(); });',
+    '  test("adds", async () => {});',
+    '  test("removes", async () => {});',
+    '});',
+    'test("checkout", async () => {});',
+  ]);
+
+  assert.deepEqual(pick(selectImpactedTests({ sourceFile, positions: positionsOf(sourceFile) })), ['describe:1:cart']);
+});
+
+test('selectImpactedTests selects the whole file for file-level hooks and helpers', () => {
+  const hookFile = parse([
+    'test.beforeEach(async ({ page }) => { await page.open(); });',
+    'test("adds", async () => {});',
+  ]);
+  const helperFile = parse([
+    'const openPage = async (page) => page.open();',
+    'test("adds", async ({ page }) => { await openPage(page); });',
+  ]);
+
+  assert.deepEqual(selectImpactedTests({ sourceFile: hookFile, positions: positionsOf(hookFile) }), { wholeFile: true, tests: [] });
+  assert.deepEqual(selectImpactedTests({ sourceFile: helperFile, positions: positionsOf(helperFile) }), { wholeFile: true, tests: [] });
+});
+
+test('selectImpactedTests keeps serial describes together', () => {
+  const sourceFile = parse([
+    'test.describe.serial("flow", () => {',
+    '  test("step 1", async () => {});',
+    '  test("step 2", async ({ page }) => { await page.open(); });',
+    '});',
+    'test.describe("configured", () => {',
+    '  test.describe.configure({ mode: "serial" });',
+    '  test.describe("inner", () => {',
+    '    test("a", async ({ page }) => { await page.open(); });',
+    '  });',
+    '});',
+  ]);
+
+  assert.deepEqual(pick(selectImpactedTests({ sourceFile, positions: positionsOf(sourceFile) })), [
+    'describe:1:flow',
+    'describe:5:configured',
+  ]);
+});
+
+test('buildTestLevelSelection emits file:line args and a grep pattern for narrowed specs', () => {
+  const repoRoot = '/repo';
+  const spec = path.join(repoRoot, 'tests/cart.spec.ts');
+  const narrowedTestsBySpec = new Map([[spec, {
+    wholeFile: false,
+    tests: [
+      { kind: 'test', title: 'adds (1)', titlePath: ['cart', 'adds (1)'], line: 2, column: 3 },
+      { kind: 'test', title: 'checkout', titlePath: ['checkout'], line: 9, column: 1 },
+    ],
+  }]]);
+
+  const result = buildTestLevelSelection({ repoRoot, selectedSpecs: [spec], narrowedTestsBySpec });
+
+  assert.deepEqual(result.testLocationArgs, ['tests/cart.spec.ts:2', 'tests/cart.spec.ts:9']);
+  assert.equal(result.testGrepPattern, 'cart adds \\(1\\)|checkout');
+  assert.equal(result.impactedTestsBySpec.get(spec).wholeFile, false);
+});
+
+test('buildTestLevelSelection drops the grep pattern when a spec runs whole', () => {
+  const repoRoot = '/repo';
+  const narrowedSpec = path.join(repoRoot, 'tests/a.spec.ts');
+  const wholeSpec = path.join(repoRoot, 'tests/b.spec.ts');
+  const narrowedTestsBySpec = new Map([[narrowedSpec, {
+    wholeFile: false,
+    tests: [{ kind: 'test', title: 'a', titlePath: ['a'], line: 1, column: 1 }],
+  }]]);
+
+  const result = buildTestLevelSelection({ repoRoot, selectedSpecs: [narrowedSpec, wholeSpec], narrowedTestsBySpec });
+
+  assert.deepEqual(result.testLocationArgs, ['tests/a.spec.ts:1', 'tests/b.spec.ts']);
+  assert.equal(result.testGrepPattern, null);
+  assert.deepEqual(result.impactedTestsBySpec.get(wholeSpec), { wholeFile: true, tests: [] });
+});
+
+test('filterSpecsByImpactedMethods narrows matched specs to impacted tests', () => {
+  const dir = createTempDir();
+  const spec = writeFile(dir, 'a.spec.ts', [
+    'test("opens", async ({ page }) => { await page.open(); });',
+    'test("closes", async ({ page }) => { await page.close(); });',
+  ].join('\n'));
+
+  const result = filterSpecsByImpactedMethods({
+    selectedSpecs: [spec],
+    directChangedSpecsAbs: [],
+    fixtureKeyToClass: new Map([['page', 'Page']]),
+    fixtureKeys: new Set(['page']),
+    impactedMethodsByClass: new Map([['Page', new Set(['open'])]]),
+  });
+
+  assert.deepEqual(result.narrowedTestsBySpec.get(spec).tests.map((block) => block.title), ['opens']);
+});
@@ -0,0 +1,26 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+
+const SRC_DIR = path.join(__dirname, '..', 'src');
+
+test('published type declarations compile under strict mode', () => {
+  const rootNames = fs.readdirSync(SRC_DIR)
+    .filter((fileName) => fileName.endsWith('.d.ts'))
+    .map((fileName) => path.join(SRC_DIR, fileName));
+  const program = ts.createProgram({ rootNames, options: { strict: true, noEmit: true, types: ['node'] } });
+
+  const messages = ts.getPreEmitDiagnostics(program).map((diagnostic) => {
+    const location = diagnostic.file
+      ? `${path.basename(diagnostic.file.fileName)}(${diagnostic.file.getLineAndCharacterOfPosition(diagnostic.start).line + 1}): `
+      : '';
+    return `${location}${ts.flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`;
+  });
+
+  assert.ok(rootNames.length >= 3);
+  assert.deepEqual(messages, []);
+});
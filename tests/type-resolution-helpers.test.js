@@ -0,0 +1,105 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { analyzeImpactedSpecs } = require('../src/analyze-impacted-specs');
+const { buildInheritanceGraph } = require('../src/modules/class-impact-helpers');
+const { resolveProfile } = require('../src/modules/profile-config-helpers');
+const { createSourceFileService } = require('../src/modules/source-file-helpers');
+const { createTypeResolver } = require('../src/modules/type-resolution-helpers');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+// CartPage extends a generic BasePage through a re-exported alias and holds Header in a constructor parameter property:
+// none of it is visible to name-based matching. A global declaration types the fixtures, so specs import nothing.
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'tsconfig.json', JSON.stringify({ compilerOptions: { strict: true, target: 'ES2022' }, include: ['src'] }));
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage<T = unknown> { wait(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/index.ts', "export { BasePage as Base } from './BasePage';\n");
+  writeFile(dir, 'src/pages/Header.ts', 'export class Header { open(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/CartPage.ts', [
+    "import { Base } from './index';",
+    "import { Header } from './Header';",
+    'export class CartPage extends Base<string> {',
+    '  constructor(private readonly header: Header) { super(); }',
+    '  addItem(){ return this.wait(); }',
+    '  openMenu(){ const menu = this.header; return menu.open(); }',
+    '  clear(){ return 1; }',
+    '}',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'src/types/fixtures.d.ts', [
+    "import type { CartPage } from '../pages/CartPage';",
+    'declare global {',
+    '  function test(title: string, body: (fixtures: { cartPage: CartPage }) => Promise<void>): void;',
+    '}',
+    'export {};',
+    '',
+  ].join('\n'));
+  writeFile(dir, 'tests/add.spec.ts', "test('add', async ({ cartPage }) => { await cartPage.addItem(); });\n");
+  writeFile(dir, 'tests/menu.spec.ts', "test('menu', async ({ cartPage }) => { await cartPage.openMenu(); });\n");
+  writeFile(dir, 'tests/typed.spec.ts', "test('typed', async ({ cartPage }) => { const page = cartPage; await page.clear(); });\n");
+  commitAll(dir, 'base');
+  return dir;
+};
+
+test('typechecker resolution follows aliased generic bases and typed fields the syntactic path misses', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage<T = unknown> { wait(){ return 2; } }\n');
+  writeFile(dir, 'src/pages/Header.ts', 'export class Header { open(){ return 2; } }\n');
+
+  const syntactic = analyzeImpactedSpecs({ repoRoot: dir, profile });
+  assert.deepEqual(syntactic.selectedSpecsRelative, []);
+
+  const typed = analyzeImpactedSpecs({ repoRoot: dir, profile: { ...profile, resolution: 'typechecker' } });
+  assert.deepEqual(typed.selectedSpecsRelative, ['tests/add.spec.ts', 'tests/menu.spec.ts']);
+  assert.deepEqual(Array.from(typed.impactedMethodsByClass.get('CartPage')).sort(), ['addItem', 'open', 'openMenu', 'wait']);
+  assert.deepEqual(typed.warnings, []);
+});
+
+test('typechecker resolution matches spec calls by receiver type instead of fixture variable name', () => {
+  const dir = createRepo();
+  writeFile(dir, 'src/pages/CartPage.ts', [
+    "import { Base } from './index';",
+    "import { Header } from './Header';",
+    'export class CartPage extends Base<string> {',
+    '  constructor(private readonly header: Header) { super(); }',
+    '  addItem(){ return this.wait(); }',
+    '  openMenu(){ const menu = this.header; return menu.open(); }',
+    '  clear(){ return 2; }',
+    '}',
+    '',
+  ].join('\n'));
+
+  assert.deepEqual(analyzeImpactedSpecs({ repoRoot: dir, profile }).selectedSpecsRelative, []);
+
+  const typed = analyzeImpactedSpecs({ repoRoot: dir, profile: { ...profile, resolution: 'typechecker' } });
+  assert.deepEqual(typed.selectedSpecsRelative, ['tests/typed.spec.ts']);
+  assert.deepEqual(typed.selectionReasonRecords.get(path.join(dir, 'tests/typed.spec.ts')).matchedMembers, ['CartPage.clear']);
+  assert.deepEqual(typed.testLocationArgs, ['tests/typed.spec.ts:1']);
+});
+
+test('buildInheritanceGraph replaces alias parents with the classes the checker resolves', () => {
+  const dir = createRepo();
+  const sourceFiles = createSourceFileService();
+  const pageFiles = sourceFiles.listFiles(path.join(dir, 'src/pages'));
+  const typeResolver = createTypeResolver({ repoRoot: dir, pageFiles, sourceFiles });
+
+  const syntactic = buildInheritanceGraph(pageFiles, sourceFiles.readText);
+  const typed = buildInheritanceGraph(pageFiles, sourceFiles.readText, { typeResolver });
+
+  assert.deepEqual(Array.from(syntactic.parentsByChild), [['CartPage', 'Base']]);
+  assert.deepEqual(Array.from(typed.parentsByChild), [['CartPage', 'BasePage']]);
+  assert.deepEqual(Array.from(typed.childrenByParent.get('BasePage')), ['CartPage']);
+  assert.equal(typed.childrenByParent.get('Base').size, 0);
+  assert.throws(() => resolveProfile({ ...profile, resolution: 'semantic' }), /profile\.resolution must be one of: syntactic, typechecker/);
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { validateSelection } = require('../src/validate-selection');
+const { formatSelectionValidation } = require('../src/format-analyze-result');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const toSpec = (file, title, status) => ({ title, file, tests: [{ projectName: 'chromium', status, results: [] }] });
+
+// Full run of the change: add.spec passes, clear.spec fails, other.spec fails, flaky.spec passed on retry.
+const createFullRunReport = (dir) => JSON.stringify({
+  config: { rootDir: path.join(dir, 'tests') },
+  suites: [
+    { title: 'add.spec.ts', file: 'add.spec.ts', specs: [toSpec('add.spec.ts', 'adds', 'expected')] },
+    {
+      title: 'clear.spec.ts',
+      file: 'clear.spec.ts',
+      specs: [],
+      suites: [{ title: 'cart', file: 'clear.spec.ts', specs: [toSpec('clear.spec.ts', 'clears', 'unexpected')] }],
+    },
+    { title: 'other.spec.ts', file: 'other.spec.ts', specs: [toSpec('other.spec.ts', 'other', 'unexpected')] },
+    { title: 'flaky.spec.ts', file: 'flaky.spec.ts', specs: [toSpec('flaky.spec.ts', 'flaky', 'flaky')] },
+  ],
+});
+
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage { addItem(){ return 1; } clear(){ return 1; } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { cartPage: Pages.CartPage };\n');
+  writeFile(dir, 'tests/add.spec.ts', 'test("adds", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  writeFile(dir, 'tests/clear.spec.ts', 'test("clears", async ({ cartPage }) => { await cartPage.clear(); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("other", async () => {});\n');
+  writeFile(dir, 'tests/flaky.spec.ts', 'test("flaky", async ({ cartPage }) => { await cartPage.addItem(); });\n');
+  commitAll(dir, 'base');
+  writeFile(dir, 'src/pages/CartPage.ts', 'export class CartPage { addItem(){ return 1; } clear(){ return 2; } }\n');
+  writeFile(dir, 'full-run.json', createFullRunReport(dir));
+  return dir;
+};
+
+test('validateSelection reports missed failures with their drop reason, precision and recall', () => {
+  const dir = createRepo();
+
+  const validation = validateSelection({ repoRoot: dir, profile, reportPath: 'full-run.json' });
+
+  assert.deepEqual(validation.failedSpecs, ['tests/clear.spec.ts', 'tests/other.spec.ts']);
+  assert.deepEqual(validation.caughtFailures, [
+    { spec: 'tests/clear.spec.ts', selectionReason: 'matched-precise', failedTests: ['cart > clears [chromium]'] },
+  ]);
+  assert.deepEqual(validation.missedFailures, [{
+    spec: 'tests/other.spec.ts',
+    failedTests: ['other [chromium]'],
+    exclusionReason: 'excluded-no-impacted-fixture',
+    exclusionDetails: { boundFixtureKeys: [], impactedFixtureKeys: ['cartPage'] },
+  }]);
+  assert.equal(validation.precision, 1);
+  assert.equal(validation.recall, 0.5);
+  assert.equal(formatSelectionValidation(validation), [
+    'failed specs: 2, caught: 1, missed: 1',
+    'precision: 1.0000 (1 of 1 selected specs failed)',
+    'recall: 0.5000 (1 of 2 failed specs selected)',
+    'missed failures:',
+    '  tests/other.spec.ts: excluded-no-impacted-fixture',
+    '    failed: other [chromium]',
+    '    bound fixtures: none',
+    '    impacted fixtures: cartPage',
+  ].join('\n'));
+});
+
+test('validateSelection accepts the --format json output of an earlier analysis', () => {
+  const dir = createRepo();
+
+  const validation = validateSelection({
+    repoRoot: dir,
+    profile,
+    reportPath: 'full-run.json',
+    result: {
+      selectedSpecs: ['tests/add.spec.ts', 'tests/new.spec.ts'],
+      selectionReasons: { 'tests/add.spec.ts': 'matched-precise', 'tests/new.spec.ts': 'direct-changed-spec' },
+      exclusionReasons: { 'tests/clear.spec.ts': 'excluded-no-impacted-method-call' },
+    },
+  });
+
+  assert.deepEqual(validation.missedFailures.map(({ spec, exclusionReason, exclusionDetails }) => [spec, exclusionReason, exclusionDetails]), [
+    ['tests/clear.spec.ts', 'excluded-no-impacted-method-call', null],
+    ['tests/other.spec.ts', null, null],
+  ]);
+  assert.equal(validation.precision, 0);
+  assert.equal(validation.recall, 0);
+  assert.deepEqual(validation.selectedSpecsNotInReport, ['tests/new.spec.ts']);
+  assert.throws(() => validateSelection({ repoRoot: dir, profile }), /Missing required reportPath/);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { watchImpactedSpecs } = require('../src/watch-impacted-specs');
+const { createTempDir, writeFile, initGitRepo, commitAll } = require('./_test-helpers');
+
+const profile = {
+  testsRootRelative: 'tests',
+  changedSpecPrefix: 'tests/',
+  isRelevantPomPath: (filePath) => filePath.startsWith('src/pages/'),
+};
+
+const createRepo = () => {
+  const dir = createTempDir();
+  initGitRepo(dir);
+  writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } close(){ return 1; } }\n');
+  writeFile(dir, 'src/pages/LoginPage.ts', 'export class LoginPage extends BasePage { login(){ return this.open(); } }\n');
+  writeFile(dir, 'src/fixtures/types.ts', 'type T = { loginPage: Pages.LoginPage };\n');
+  writeFile(dir, 'tests/login.spec.ts', 'test("a", async ({ loginPage }) => { await loginPage.login(); });\n');
+  writeFile(dir, 'tests/other.spec.ts', 'test("b", async ({ loginPage }) => { await loginPage.close(); });\n');
+  commitAll(dir, 'base');
+  return dir;
+};
+
+// Resolve with the next update, or fail after a generous timeout for slow CI file watchers.
+const createUpdateQueue = () => {
+  const updates = [];
+  const waiters = [];
+  return {
+    push: (update) => {
+      const waiter = waiters.shift();
+      if (waiter) waiter(update);
+      else updates.push(update);
+    },
+    next: () => {
+      if (updates.length > 0) return Promise.resolve(updates.shift());
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Timed out waiting for a watch update')), 10000);
+        waiters.push((update) => {
+          clearTimeout(timer);
+          resolve(update);
+        });
+      });
+    },
+  };
+};
+
+test('watchImpactedSpecs emits the initial selection synchronously', () => {
+  const dir = createRepo();
+  writeFile(dir, 'tests/login.spec.ts', 'test("a", async ({ loginPage }) => { await loginPage.login(); await loginPage.open(); });\n');
+  const updates = [];
+
+  const watcher = watchImpactedSpecs({ repoRoot: dir, profile }, (update) => updates.push(update));
+  watcher.close();
+
+  assert.equal(updates.length, 1);
+  assert.deepEqual(updates[0].selectedSpecs, ['tests/login.spec.ts']);
+  assert.deepEqual(updates[0].addedSpecs, ['tests/login.spec.ts']);
+  assert.deepEqual(updates[0].removedSpecs, []);
+  assert.deepEqual(updates[0].changedFiles, []);
+  assert.equal(updates[0].error, null);
+});
+
+test('watchImpactedSpecs validates its arguments', () => {
+  assert.throws(() => watchImpactedSpecs({ repoRoot: '/tmp', profile }), /Missing required onChange callback/);
+  assert.throws(() => watchImpactedSpecs({ profile }, () => {}), /Missing required repoRoot/);
+});
+
+test('watchImpactedSpecs re-analyzes only edited files and reports added and removed specs', async () => {
+  const dir = createRepo();
+  const queue = createUpdateQueue();
+  const watcher = watchImpactedSpecs({ repoRoot: dir, profile, debounceMs: 50 }, queue.push);
+
+  try {
+    assert.deepEqual((await queue.next()).selectedSpecs, []);
+
+    writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 2; } close(){ return 1; } }\n');
+    const first = await queue.next();
+    assert.deepEqual(first.changedFiles, ['src/pages/BasePage.ts']);
+    assert.deepEqual(first.addedSpecs, ['tests/login.spec.ts']);
+    assert.deepEqual(first.removedSpecs, []);
+
+    writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 3; } close(){ return 2; } }\n');
+    const second = await queue.next();
+    assert.deepEqual(second.addedSpecs, ['tests/other.spec.ts']);
+    assert.deepEqual(second.selectedSpecs, ['tests/login.spec.ts', 'tests/other.spec.ts']);
+    // Only the edited page file is parsed again; the other files come from the session's memory.
+    assert.deepEqual(second.result.sourceFileStats, { filesRead: 1, filesParsed: 1 });
+
+    writeFile(dir, 'src/pages/BasePage.ts', 'export class BasePage { open(){ return 1; } close(){ return 2; } }\n');
+    const third = await queue.next();
+    assert.deepEqual(third.removedSpecs, ['tests/login.spec.ts']);
+    assert.deepEqual(third.selectedSpecs, ['tests/other.spec.ts']);
+  } finally {
+    watcher.close();
+  }
+});